@@ -1,36 +1,162 @@
 const TelegramBot = require('node-telegram-bot-api');
 const axios = require('axios');
 require('dotenv').config();
+const { createStorage } = require('./lib/storage');
+const { createFavourites, MAX_FAVOURITES } = require('./lib/favourites');
+const { createAlertScheduler, ALERT_THRESHOLDS, MAX_ALERTS_PER_USER } = require('./lib/alerts');
+const { createScheduler, parseScheduleInput, DAY_PRESETS, HOLIDAY_MODES, MAX_SCHEDULES_PER_USER } = require('./lib/schedules');
+const { createLiveUpdater, LIVE_DURATIONS, LIVE_UPDATE_INTERVAL, MAX_LIVE_MESSAGES } = require('./lib/live');
+const { createSpatialIndex } = require('./lib/spatial-index');
+const { loadSnapshot, saveSnapshot, diffBusStops, logBusStopsDiff } = require('./lib/bus-stops');
+const { createArrivalCache } = require('./lib/arrival-cache');
+const { createLimiter, createInflightTracker, settlesWithin } = require('./lib/concurrency');
+const { createLTAClient } = require('./lib/lta-client');
+const crypto = require('crypto');
+const { logger, addSecrets, createRequestId, withContext } = require('./lib/logger');
+const { parseAdminIds, createUserRegistry, createBroadcaster } = require('./lib/admin');
+const { createRegistry } = require('./lib/metrics');
+const { createHttpServer, json, text } = require('./lib/http-server');
+const { createStopSearchIndex, parseRoadQuery } = require('./lib/stop-search');
+const { routeText } = require('./lib/intents');
+const { findDirectJourneys, servicesServingStops } = require('./lib/journeys');
+const { serviceHeading, groupStopsByDirection } = require('./lib/directions');
+const { compareServiceNumbers } = require('./lib/services');
+const { MESSAGE_PAGE_LIMIT, splitMessage } = require('./lib/pagination');
+const { createBusTracker, busPosition, TRACK_LIVE_PERIOD, MAX_TRACKED_BUSES } = require('./lib/tracking');
+const { LANGUAGES, DEFAULT_LANGUAGE, LANGUAGE_NAMES, resolveLanguage, createTranslator, allTranslations, formatTime } = require('./lib/i18n');
 
 // Configuration from environment variables
 const BOT_TOKEN = process.env.BOT_TOKEN;
 const LTA_API_KEY = process.env.LTA_API_KEY;
 const NODE_ENV = process.env.NODE_ENV || 'development';
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'file';
+const STORAGE_PATH = process.env.STORAGE_PATH || './data/bot-state.json';
+const BUS_STOPS_SNAPSHOT_PATH = process.env.BUS_STOPS_SNAPSHOT_PATH || './data/bus-stops.json';
+const BUS_STOPS_REFRESH_HOURS = parseFloat(process.env.BUS_STOPS_REFRESH_HOURS) || 24;
+const SG_PUBLIC_HOLIDAYS = (process.env.SG_PUBLIC_HOLIDAYS || '').split(',').map(date => date.trim()).filter(Boolean);
+const ADMIN_CHAT_IDS = parseAdminIds(process.env.ADMIN_CHAT_IDS);
+const HTTP_PORT = parseInt(process.env.PORT, 10) || 3000; // Railway sets PORT
+// Webhook mode needs the public base URL of this service; polling stays the default
+const WEBHOOK_URL = (process.env.WEBHOOK_URL || '').replace(/\/+$/, '');
+const BOT_MODE = process.env.BOT_MODE || (WEBHOOK_URL ? 'webhook' : 'polling');
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+const SHUTDOWN_DRAIN_TIMEOUT = 10000; // How long shutdown waits for in-flight updates
 
 // Validate required environment variables
 if (!BOT_TOKEN || !LTA_API_KEY) {
-    console.error('❌ Missing required environment variables:');
-    if (!BOT_TOKEN) console.error('   - BOT_TOKEN is required');
-    if (!LTA_API_KEY) console.error('   - LTA_API_KEY is required');
-    console.error('   Please check your .env file or Railway environment variables');
+    logger.error('❌ Missing required environment variables - check your .env file or Railway environment variables', {
+        missing: [!BOT_TOKEN && 'BOT_TOKEN', !LTA_API_KEY && 'LTA_API_KEY'].filter(Boolean)
+    });
+    process.exit(1);
+}
+if (BOT_MODE !== 'polling' && BOT_MODE !== 'webhook') {
+    logger.error('❌ BOT_MODE must be "polling" or "webhook"', { mode: BOT_MODE });
+    process.exit(1);
+}
+if (BOT_MODE === 'webhook' && !WEBHOOK_URL) {
+    logger.error('❌ WEBHOOK_URL is required in webhook mode');
     process.exit(1);
 }
 
-// Debug API key (show first 8 characters only for security)
-console.log('🔑 API Key (first 8 chars):', LTA_API_KEY.substring(0, 8) + '...');
+// Never let either secret reach the logs, even inside URLs or error messages
+addSecrets(BOT_TOKEN, LTA_API_KEY, WEBHOOK_SECRET);
+
+// Prometheus metrics served on /metrics - the gauges are registered next to the HTTP server
+const metrics = createRegistry();
+const telegramUpdates = metrics.counter('sgbus_telegram_updates_total', 'Telegram updates received, by update type');
+const ltaRequestDuration = metrics.histogram('sgbus_lta_request_duration_seconds', 'LTA DataMall request latency in seconds, by endpoint');
+const ltaRequestErrors = metrics.counter('sgbus_lta_request_errors_total', 'Failed LTA DataMall requests, by endpoint and reason');
+const geocoderRequests = metrics.counter('sgbus_geocoder_requests_total', 'Geocoder lookups, by provider and result (hit, miss or error)');
 
 // Initialize bot with bot commands
-const bot = new TelegramBot(BOT_TOKEN, { polling: true });
-
-// Set bot commands for the command menu
-bot.setMyCommands([
-    { command: 'start', description: 'Start the bot and get welcome message' },
-    { command: 'help', description: 'Show help and usage instructions' },
-    { command: 'location', description: 'Share location to find nearby bus stops' },
-    { command: 'search', description: 'Search by typing address or place name' },
-    { command: 'busstop', description: 'Search by bus stop number (e.g. 01012)' },
-    { command: 'settings', description: 'Adjust search radius and preferences' }
-]);
+const bot = new TelegramBot(BOT_TOKEN, { polling: BOT_MODE === 'polling' });
+
+// Track every handler's promise so shutdown can wait for updates that are still being answered
+const inflight = createInflightTracker();
+const trackHandler = (handler) => (...args) => {
+    const result = handler(...args);
+    if (result && typeof result.then === 'function') {
+        inflight.track(result).catch(error => logger.error('❌ Unhandled error in update handler', { error }));
+    }
+    return result;
+};
+const addListener = bot.on.bind(bot);
+bot.on = (event, listener) => addListener(event, trackHandler(listener));
+const addTextListener = bot.onText.bind(bot);
+bot.onText = (regexp, callback) => addTextListener(regexp, trackHandler(callback));
+
+// Filled in from getMe() during startup
+let botUsername = null;
+let botId = null;
+
+// Markdown-safe "@username" for help text - underscores would start italics
+const inlineMention = (t) => botUsername ? `@${botUsername.replace(/_/g, '\\_')}` : t('help.inlineMentionFallback');
+
+// Telegram group and supergroup chat IDs are negative
+const isGroupChat = (chatId) => chatId < 0;
+
+// Private chats have one session. In groups every member gets their own, so two people
+// answering prompts at the same time don't overwrite each other's state.
+const sessionKey = (chatId, userId) => isGroupChat(chatId) && userId ? `${chatId}:${userId}` : chatId;
+
+const mentionPattern = (flags) => new RegExp(`@${botUsername}\\b`, flags);
+
+// In groups only messages meant for the bot count: replies to its messages or an @mention
+const isAddressedToBot = (msg) => {
+    if (!isGroupChat(msg.chat.id)) return true;
+    if (botId && msg.reply_to_message?.from?.id === botId) return true;
+    return Boolean(botUsername && msg.text && mentionPattern('i').test(msg.text));
+};
+
+const stripBotMention = (text) => botUsername ? text.replace(mentionPattern('ig'), '').trim() : text;
+
+// Prompts waiting for a typed answer. With privacy mode on, a group member's answer only
+// reaches the bot as a reply, so ask for one - from the member who asked, when we know them.
+const promptOptions = (chatId, replyToMessageId = null) => isGroupChat(chatId) ? {
+    ...(replyToMessageId && { reply_to_message_id: replyToMessageId }),
+    reply_markup: { force_reply: true, selective: Boolean(replyToMessageId) }
+} : {};
+
+// Tag everything logged while handling an update with a request ID
+const dispatchUpdate = bot.processUpdate.bind(bot);
+bot.processUpdate = (update) => {
+    const updateType = Object.keys(update).find(key => key !== 'update_id') || 'unknown';
+    telegramUpdates.inc({ type: updateType });
+    
+    return withContext({
+        requestId: createRequestId(),
+        updateId: update.update_id,
+        updateType
+    }, () => dispatchUpdate(update));
+};
+
+// Commands in everyone's menu - admin commands are only listed in admin chats
+const PUBLIC_COMMAND_NAMES = ['start', 'help', 'location', 'search', 'busstop', 'favourites', 'alerts', 'schedule', 'route', 'find', 'settings'];
+
+const publicCommands = (language) => {
+    const t = createTranslator(language);
+    return PUBLIC_COMMAND_NAMES.map(command => ({ command, description: t(`command.${command}`) }));
+};
+
+const ADMIN_COMMANDS = [
+    { command: 'debug', description: '🔧 System status and endpoint health' },
+    { command: 'test', description: '🔧 Re-test the DataMall endpoints' },
+    { command: 'users', description: '🔧 User and usage statistics' },
+    { command: 'reloadstops', description: '🔧 Re-download bus stop data now' },
+    { command: 'broadcast', description: '🔧 Message every user (preview first)' }
+];
+
+// Set bot commands for the command menu - Telegram shows each user the list for their app language
+bot.setMyCommands(publicCommands(DEFAULT_LANGUAGE))
+    .catch(error => logger.warn('⚠️ Could not set command menu', { error }));
+LANGUAGES.filter(language => language !== DEFAULT_LANGUAGE).forEach(language => {
+    bot.setMyCommands(publicCommands(language), { language_code: language })
+        .catch(error => logger.warn('⚠️ Could not set translated command menu', { language, error }));
+});
+ADMIN_CHAT_IDS.forEach(chatId => {
+    bot.setMyCommands([...publicCommands(DEFAULT_LANGUAGE), ...ADMIN_COMMANDS], { scope: { type: 'chat', chat_id: chatId } })
+        .catch(error => logger.warn('⚠️ Could not set admin command menu', { chatId, error }));
+});
 
 // Updated API endpoints - trying multiple possible endpoints
 const API_ENDPOINTS = {
@@ -45,51 +171,136 @@ const API_ENDPOINTS = {
 const SEARCH_RADIUS = 200; // Increased from 50m to 200m
 const MAX_BUS_STOPS = 5; // Increased to show more stops
 const REQUEST_TIMEOUT = 20000; // Increased timeout for better reliability
+const LTA_RATE_LIMIT = { capacity: 10, perSecond: 5 }; // Token bucket shared by all DataMall calls
+
+// DataMall client - picks and tracks the working endpoint, fails over when it breaks
+const ltaClient = createLTAClient({
+    apiKey: LTA_API_KEY,
+    endpoints: API_ENDPOINTS,
+    timeout: REQUEST_TIMEOUT,
+    rateLimit: LTA_RATE_LIMIT,
+    onResponse: ({ endpoint, latency, error }) => {
+        ltaRequestDuration.observe({ endpoint }, latency / 1000);
+        if (error) ltaRequestErrors.inc({ endpoint, reason: error.response?.status || error.code || 'error' });
+    }
+});
 
-// Store working API endpoint
-let WORKING_API_ENDPOINT = null;
+// Persistent storage for sessions and preferences (survives redeploys)
+const storage = createStorage({ driver: STORAGE_DRIVER, filePath: STORAGE_PATH });
+storage.init();
 
-// In-memory storage
-const userSessions = new Map();
+const userSessions = storage.collection('sessions');
 const busStopsCache = {
     data: [],
-    lastUpdated: 0
+    index: null, // Spatial index over data, rebuilt whenever data changes
+    searchIndex: null, // Name and road search over data, rebuilt with it
+    byCode: new Map(), // BusStopCode -> stop, rebuilt with data
+    lastUpdated: 0,
+    refreshing: null, // In-flight download shared by all callers
+    refreshTimer: null
 };
 
 // User preferences storage
-const userPreferences = new Map();
+const userPreferences = storage.collection('preferences');
+
+// New preference fields only need a default here - stored records are merged over it
+const DEFAULT_PREFERENCES = {
+    radius: SEARCH_RADIUS,
+    maxStops: MAX_BUS_STOPS,
+    detailedArrivals: false, // Third bus, bus type, wheelchair access and operator
+    sortBy: 'service', // Or 'soonest'
+    timeFormat: 'relative', // Or '24h' / '12h' for clock times
+    hiddenServices: {}, // BusStopCode -> services left out of that stop's arrivals
+    showAllServices: false, // Combined messages show up to MAX_SERVICES_PER_STOP at each stop otherwise
+    language: null, // Picked in /settings - null follows the Telegram app's language
+    detectedLanguage: null
+};
 
-// Utility Functions
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-    const R = 6371e3;
-    const φ1 = lat1 * Math.PI / 180;
-    const φ2 = lat2 * Math.PI / 180;
-    const Δφ = (lat2 - lat1) * Math.PI / 180;
-    const Δλ = (lon2 - lon1) * Math.PI / 180;
+const getUserPreferences = (chatId) => ({
+    ...DEFAULT_PREFERENCES,
+    ...userPreferences.get(chatId)
+});
+
+const languageFor = (chatId, languageCode = null) => {
+    const prefs = getUserPreferences(chatId);
+    return prefs.language || prefs.detectedLanguage || resolveLanguage(languageCode);
+};
+
+const translatorFor = (chatId, languageCode = null) => createTranslator(languageFor(chatId, languageCode));
+
+const TIME_FORMATS = ['relative', '24h', '12h'];
+
+// How a user wants arrivals formatted - spread into the formatters' options
+const displayOptionsFor = (chatId, languageCode = null) => {
+    const prefs = getUserPreferences(chatId);
+    return {
+        language: languageFor(chatId, languageCode),
+        radius: prefs.radius,
+        detailed: prefs.detailedArrivals,
+        sortBy: prefs.sortBy,
+        timeFormat: prefs.timeFormat,
+        hiddenServices: prefs.hiddenServices,
+        allServices: prefs.showAllServices
+    };
+};
 
-    const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-              Math.cos(φ1) * Math.cos(φ2) *
-              Math.sin(Δλ/2) * Math.sin(Δλ/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+const toggleHiddenService = (chatId, busStopCode, serviceNo) => {
+    const prefs = getUserPreferences(chatId);
+    const current = prefs.hiddenServices[busStopCode] || [];
+    const hiddenServices = {
+        ...prefs.hiddenServices,
+        [busStopCode]: current.includes(serviceNo) ? current.filter(hidden => hidden !== serviceNo) : [...current, serviceNo]
+    };
+    if (hiddenServices[busStopCode].length === 0) delete hiddenServices[busStopCode];
+    
+    userPreferences.set(chatId, { ...prefs, hiddenServices });
+};
 
-    return R * c;
+// Private chats follow the user's app language until they pick one; groups keep the default
+const rememberLanguage = (chatId, languageCode) => {
+    if (isGroupChat(chatId) || !languageCode) return;
+    
+    const detectedLanguage = resolveLanguage(languageCode);
+    const stored = userPreferences.get(chatId);
+    if (stored?.detectedLanguage !== detectedLanguage) {
+        userPreferences.set(chatId, { ...stored, detectedLanguage });
+    }
 };
 
-const formatArrivalTime = (arrivalTime) => {
-    if (!arrivalTime || arrivalTime === '') return 'No data';
+// Favourite bus stops storage
+const favourites = createFavourites(storage.collection('favourites'));
+
+// Every chat that has used the bot - the audience for /broadcast and /users
+const users = createUserRegistry(storage.collection('users'));
+
+bot.on('message', (msg) => {
+    users.touch(msg.chat.id, msg.chat.type);
+    rememberLanguage(msg.chat.id, msg.from?.language_code);
+});
+bot.on('callback_query', (callbackQuery) => {
+    if (callbackQuery.message) users.touch(callbackQuery.message.chat.id, callbackQuery.message.chat.type);
+});
+
+// Utility Functions
+// Null when there is no usable estimate. Clock formats show the time the bus is due instead of minutes.
+const formatArrivalTime = (arrivalTime, t, timeFormat = 'relative') => {
+    if (!arrivalTime || arrivalTime === '') return null;
     
     const now = new Date();
     const arrival = new Date(arrivalTime);
     
     // Check if the date is valid
-    if (isNaN(arrival.getTime())) return 'No data';
+    if (isNaN(arrival.getTime())) return null;
     
     const diffMinutes = Math.round((arrival - now) / (1000 * 60));
     
-    if (diffMinutes <= 0) return 'Arriving';
-    if (diffMinutes === 1) return '1 min';
-    if (diffMinutes > 60) return 'No data'; // Filter out unrealistic times
-    return `${diffMinutes} mins`;
+    if (diffMinutes <= 0) return t('time.arriving');
+    if (diffMinutes > 60) return null; // Filter out unrealistic times
+    if (timeFormat !== 'relative') {
+        return formatTime(t.language, arrival, { hour: 'numeric', minute: '2-digit', hour12: timeFormat === '12h' });
+    }
+    if (diffMinutes === 1) return t('time.minute');
+    return t('time.minutes', { minutes: diffMinutes });
 };
 
 const formatLoad = (load) => {
@@ -101,229 +312,333 @@ const formatLoad = (load) => {
     return loadMap[load] || '⚪';
 };
 
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const OPERATOR_NAMES = {
+    SBST: 'SBS Transit',
+    SMRT: 'SMRT',
+    TTS: 'Tower Transit',
+    GAS: 'Go-Ahead'
+};
 
-// Test API connectivity with correct endpoints
-const testAPIConnection = async () => {
-    console.log('🧪 Testing API connectivity...');
+const BUS_TYPES = ['SD', 'DD', 'BD']; // Single deck, double deck, bendy
+
+// " → Choa Chu Kang Int" after the service number, or a loop marker
+const formatHeading = (service, t) => {
+    const heading = serviceHeading(service);
+    if (!heading) return '';
     
-    for (const [name, baseUrl] of Object.entries(API_ENDPOINTS)) {
-        console.log(`   Testing ${name}: ${baseUrl}`);
-        
-        // Test the correct endpoints as per official documentation
-        const testEndpoints = [
-            { endpoint: 'BusStops', description: 'Bus Stops' },
-            { endpoint: 'v3/BusArrival', params: { BusStopCode: '01012' }, description: 'Bus Arrival v3' },
-            { endpoint: 'BusServices', description: 'Bus Services' }
-        ];
-        
-        for (const test of testEndpoints) {
-            try {
-                console.log(`   🔍 Testing endpoint: ${test.endpoint} (${test.description})`);
-                
-                const params = test.params || { '$skip': 0, '$top': 1 };
-                
-                const response = await axios.get(`${baseUrl}/${test.endpoint}`, {
-                    headers: {
-                        'AccountKey': LTA_API_KEY, // Correct header format per documentation
-                        'accept': 'application/json'
-                    },
-                    params,
-                    timeout: REQUEST_TIMEOUT
-                });
-                
-                if (response.data && (response.data.value || response.data.Services || response.data.BusStopCode)) {
-                    console.log(`   ✅ ${name} endpoint working with ${test.endpoint}!`);
-                    console.log(`   📊 Response structure:`, Object.keys(response.data));
-                    
-                    // Test a specific bus stop to ensure arrivals work
-                    if (test.endpoint === 'v3/BusArrival') {
-                        console.log(`   📍 BusStopCode in response: ${response.data.BusStopCode}`);
-                        console.log(`   🚌 Services found: ${response.data.Services?.length || 0}`);
-                    }
-                    
-                    return baseUrl;
-                }
-                
-            } catch (error) {
-                console.log(`   ❌ ${test.endpoint} failed:`, error.response?.status, error.response?.statusText || error.message);
-                if (error.response?.status === 404) {
-                    console.log(`   💡 404 suggests endpoint doesn't exist or API structure changed`);
-                }
-            }
+    const terminus = findBusStop(heading.destinationCode)?.Description || heading.destinationCode;
+    return heading.loop ? ` 🔁 ${t('bus.loop', { stop: terminus })}` : ` → ${terminus}`;
+};
+
+// One service's arrivals, or null when its next bus has no usable time. Compact shows the
+// next two buses on one line; detailed gives each of the next three buses its own line with
+// the bus type, wheelchair access and whether the time is tracked live or only scheduled.
+const formatServiceArrivals = (service, t, { detailed = false, timeFormat } = {}) => {
+    const nextBus = formatArrivalTime(service.NextBus?.EstimatedArrival, t, timeFormat);
+    if (!nextBus) return null;
+    
+    if (!detailed) {
+        const nextBus2 = formatArrivalTime(service.NextBus2?.EstimatedArrival, t, timeFormat);
+        let line = `🚍 ${service.ServiceNo}${formatHeading(service, t)}: ${formatLoad(service.NextBus?.Load)} ${nextBus}`;
+        if (nextBus2) {
+            line += ` • ${formatLoad(service.NextBus2?.Load)} ${nextBus2}`;
         }
+        return line + '\n';
     }
     
-    console.log('❌ All API endpoints failed');
-    return null;
+    const operator = OPERATOR_NAMES[service.Operator] || service.Operator;
+    let lines = `🚍 *${service.ServiceNo}*${formatHeading(service, t)}${operator ? ` • ${operator}` : ''}\n`;
+    
+    [service.NextBus, service.NextBus2, service.NextBus3].forEach(bus => {
+        const time = formatArrivalTime(bus?.EstimatedArrival, t, timeFormat);
+        if (!time) return;
+        
+        const details = [
+            `${formatLoad(bus.Load)} ${time}`,
+            BUS_TYPES.includes(bus.Type) && t(`bus.type.${bus.Type}`),
+            bus.Feature === 'WAB' && '♿',
+            Number(bus.Monitored) === 0 && `⏱️ ${t('bus.scheduled')}`
+        ].filter(Boolean);
+        lines += `    ${details.join(' • ')}\n`;
+    });
+    
+    return lines;
 };
 
-// Enhanced API request function with correct authentication
-const makeAPIRequest = async (endpoint, params = {}, retries = 3) => {
-    if (!WORKING_API_ENDPOINT) {
-        throw new Error('No working API endpoint available');
-    }
+const arrivalTimestamp = (service) => {
+    const time = new Date(service.NextBus?.EstimatedArrival).getTime();
+    return Number.isNaN(time) ? Infinity : time;
+};
+
+// The services to list at a stop: those with a next bus, minus any the user hid there (unless
+// they asked for them by number), in the user's chosen order
+const selectServices = (arrivalsData, busStopCode, options = {}) => {
+    const requested = options.services || [];
+    const hidden = requested.length ? [] : options.hiddenServices?.[busStopCode] || [];
     
-    const url = `${WORKING_API_ENDPOINT}/${endpoint}`;
-    console.log(`🌐 Making API request to: ${url}`);
-    console.log(`📋 Parameters:`, params);
+    // Filter out services with no real arrival data
+    const validServices = arrivalsData.Services.filter(service => {
+        return service.NextBus && 
+               service.NextBus.EstimatedArrival && 
+               service.NextBus.EstimatedArrival !== '' &&
+               service.NextBus.Monitored !== undefined &&
+               (!requested.length || requested.includes(service.ServiceNo));
+    });
+    const services = validServices
+        .filter(service => !hidden.includes(service.ServiceNo))
+        .sort(options.sortBy === 'soonest'
+            ? (a, b) => arrivalTimestamp(a) - arrivalTimestamp(b)
+            : (a, b) => compareServiceNumbers(a.ServiceNo, b.ServiceNo));
     
-    for (let attempt = 1; attempt <= retries + 1; attempt++) {
-        try {
-            console.log(`🔑 API request attempt ${attempt}`);
-            
-            const response = await axios.get(url, {
-                headers: {
-                    'AccountKey': LTA_API_KEY, // This is the correct header format per documentation
-                    'accept': 'application/json',
-                    'User-Agent': 'Singapore-Bus-Bot/3.0'
-                },
-                params,
-                timeout: REQUEST_TIMEOUT
-            });
-            
-            console.log(`✅ API request successful (attempt ${attempt})`);
-            console.log(`📊 Response structure:`, Object.keys(response.data));
-            
-            return response.data;
-            
-        } catch (error) {
-            console.error(`❌ API request attempt ${attempt} failed:`, {
-                status: error.response?.status,
-                statusText: error.response?.statusText,
-                message: error.message,
-                url: url
-            });
-            
-            // Log detailed response for debugging
-            if (error.response) {
-                console.log(`📊 Error response details:`, {
-                    status: error.response.status,
-                    statusText: error.response.statusText,
-                    headers: error.response.headers,
-                    data: error.response.data
-                });
-            }
-            
-            if (attempt <= retries) {
-                const delay = Math.pow(2, attempt) * 1000;
-                console.log(`⏳ Retrying in ${delay}ms...`);
-                await sleep(delay);
-            } else {
-                throw error;
-            }
+    return { services, hiddenCount: validServices.length - services.length };
+};
+
+const formatLegend = (t, detailed) => `\n${t('load.legend')}${detailed ? `\n${t('load.detailLegend')}` : ''}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const makeAPIRequest = (endpoint, params = {}, retries = 3) => ltaClient.request(endpoint, params, retries);
+
+// Fetch every page of a paginated DataMall dataset
+const fetchAllPages = async (endpoint, label, maxRequests = 30) => {
+    let allRecords = [];
+    let skip = 0;
+    const limit = 500; // Per documentation, max 500 records per call
+    let totalRequests = 0;
+
+    while (true) {
+        totalRequests++;
+        logger.debug('📡 Fetching page', { label, request: totalRequests, skip, limit });
+        
+        const data = await makeAPIRequest(endpoint, { 
+            '$skip': skip,
+            '$top': limit 
+        });
+        
+        const records = data.value || data; // Handle different response formats
+        if (!records || records.length === 0) {
+            logger.debug('✅ No more records to fetch', { label });
+            break;
+        }
+
+        allRecords = allRecords.concat(records);
+        logger.debug('📊 Progress', { label, loaded: allRecords.length });
+        
+        skip += limit;
+
+        // Add delay to respect rate limits
+        if (records.length === limit) {
+            await sleep(200);
+        }
+        
+        // Safety check to avoid infinite loops
+        if (totalRequests > maxRequests) {
+            logger.warn('⚠️ Safety limit reached, stopping fetch', { label, requests: totalRequests });
+            break;
         }
     }
+
+    return allRecords;
+};
+
+// A refresh that comes back much smaller than what we have is treated as a partial download
+const MIN_REFRESH_RATIO = 0.9;
+
+// Swap in a new dataset in one step - the index is built before anything is replaced,
+// so searches never see new data with an old index or a half-built one
+const setBusStopsData = (busStops, lastUpdated = Date.now()) => {
+    const index = createSpatialIndex(busStops);
+    const searchIndex = createStopSearchIndex(busStops);
+    const byCode = new Map(busStops.map(stop => [stop.BusStopCode, stop]));
+    
+    busStopsCache.data = busStops;
+    busStopsCache.index = index;
+    busStopsCache.searchIndex = searchIndex;
+    busStopsCache.byCode = byCode;
+    busStopsCache.lastUpdated = lastUpdated;
+    logger.info('🗺️ Spatial index built', { stops: index.size, cells: index.cellCount });
+    logger.info('🔎 Search index built', { stops: searchIndex.size, roads: searchIndex.roadCount });
+};
+
+const findBusStop = (busStopCode) => busStopsCache.byCode.get(busStopCode) || null;
+
+const loadBusStopsSnapshot = () => {
+    const snapshot = loadSnapshot(BUS_STOPS_SNAPSHOT_PATH);
+    if (!snapshot) return false;
+    
+    setBusStopsData(snapshot.stops, snapshot.lastUpdated);
+    const ageHours = ((Date.now() - snapshot.lastUpdated) / 3600000).toFixed(1);
+    logger.info('💾 Loaded bus stops from snapshot', { stops: snapshot.stops.length, ageHours: Number(ageHours) });
+    return true;
 };
 
+const isBusStopsCacheStale = () => Date.now() - busStopsCache.lastUpdated > BUS_STOPS_REFRESH_HOURS * 3600000;
+
 // Get all bus stops with correct endpoint
 const getAllBusStops = async () => {
-    console.log('🚌 Fetching bus stops data...');
+    if (busStopsCache.refreshing) return busStopsCache.refreshing;
     
-    try {
-        let allBusStops = [];
-        let skip = 0;
-        const limit = 500; // Per documentation, max 500 records per call
-        let totalRequests = 0;
-
-        while (true) {
-            totalRequests++;
-            console.log(`📡 Request ${totalRequests}: fetching ${limit} records (skip: ${skip})`);
-            
-            // Use correct endpoint as per documentation
-            const data = await makeAPIRequest('BusStops', { 
-                '$skip': skip,
-                '$top': limit 
-            });
-            
-            const busStops = data.value || data; // Handle different response formats
-            if (!busStops || busStops.length === 0) {
-                console.log('✅ No more bus stops to fetch');
-                break;
-            }
+    busStopsCache.refreshing = (async () => {
+        logger.info('🚌 Fetching bus stops data');
+        
+        try {
+            const allBusStops = await fetchAllPages('BusStops', 'bus stops');
 
-            allBusStops = allBusStops.concat(busStops);
-            console.log(`📊 Progress: ${allBusStops.length} bus stops loaded`);
+            if (allBusStops.length === 0) {
+                throw new Error('No bus stops data received');
+            }
+            if (allBusStops.length < busStopsCache.data.length * MIN_REFRESH_RATIO) {
+                throw new Error(`Only ${allBusStops.length} bus stops received (have ${busStopsCache.data.length}), keeping current data`);
+            }
             
-            skip += limit;
-
-            // Add delay to respect rate limits
-            if (busStops.length === limit) {
-                await sleep(200);
+            if (busStopsCache.data.length > 0) {
+                logBusStopsDiff(diffBusStops(busStopsCache.data, allBusStops));
             }
+            setBusStopsData(allBusStops);
+            logger.info('✅ Loaded bus stops', { stops: allBusStops.length });
             
-            // Safety check to avoid infinite loops
-            if (totalRequests > 30) {
-                console.log('⚠️ Safety limit reached, stopping fetch');
-                break;
+            try {
+                await saveSnapshot(BUS_STOPS_SNAPSHOT_PATH, allBusStops, busStopsCache.lastUpdated);
+                logger.debug('💾 Bus stop snapshot saved', { path: BUS_STOPS_SNAPSHOT_PATH });
+            } catch (error) {
+                logger.error('❌ Failed to save bus stop snapshot', { error });
             }
-        }
-
-        if (allBusStops.length > 0) {
-            busStopsCache.data = allBusStops;
-            busStopsCache.lastUpdated = Date.now();
             
-            console.log(`✅ Successfully loaded ${allBusStops.length} bus stops`);
-            console.log(`📋 Sample bus stop:`, JSON.stringify(allBusStops[0], null, 2));
             return allBusStops;
-        } else {
-            throw new Error('No bus stops data received');
+            
+        } catch (error) {
+            logger.error('❌ Error fetching bus stops', { error });
+            return busStopsCache.data; // Keep serving the last good data
+        } finally {
+            busStopsCache.refreshing = null;
         }
-        
-    } catch (error) {
-        console.error('❌ Error fetching bus stops:', error.message);
-        console.error('Stack trace:', error.stack);
-        return busStopsCache.data; // Return cached data if available
-    }
+    })();
+    
+    return busStopsCache.refreshing;
 };
 
-const findNearbyBusStops = (userLat, userLng, busStops, radiusMeters = SEARCH_RADIUS) => {
-    console.log(`🔍 Searching for bus stops within ${radiusMeters}m of (${userLat}, ${userLng})`);
+// Background refresh - checks hourly and re-downloads once the data is older than the refresh interval
+const startBusStopsRefresh = () => {
+    if (busStopsCache.refreshTimer) return;
     
-    const nearby = [];
-    
-    for (const stop of busStops) {
-        const distance = calculateDistance(userLat, userLng, stop.Latitude, stop.Longitude);
-        if (distance <= radiusMeters) {
-            nearby.push({
-                ...stop,
-                distance: Math.round(distance)
-            });
+    busStopsCache.refreshTimer = setInterval(() => {
+        if (ltaClient.workingEndpoint && isBusStopsCacheStale()) {
+            logger.info('🔁 Bus stop data is stale, refreshing in background');
+            getAllBusStops();
         }
-    }
+    }, Math.min(BUS_STOPS_REFRESH_HOURS * 3600000, 3600000));
+    logger.info('🔁 Bus stop refresh scheduled', { everyHours: BUS_STOPS_REFRESH_HOURS });
+};
 
-    const sorted = nearby.sort((a, b) => a.distance - b.distance).slice(0, MAX_BUS_STOPS);
-    console.log(`📍 Found ${sorted.length} nearby bus stops`);
+const findNearbyBusStops = (userLat, userLng, radiusMeters = SEARCH_RADIUS, limit = MAX_BUS_STOPS) => {
+    if (!busStopsCache.index) return [];
+    
+    const sorted = busStopsCache.index.withinRadius(userLat, userLng, radiusMeters, limit);
+    logger.debug('📍 Nearby bus stop search', { radiusMeters, found: sorted.length });
     
     return sorted;
 };
 
-const getBusArrivals = async (busStopCode) => {
-    console.log(`🚌 Getting arrivals for bus stop: ${busStopCode}`);
+// Nearest stops regardless of radius, used when nothing is within the user's radius
+const NEAREST_FALLBACK_MAX_DISTANCE = 2000;
+
+const findNearestBusStops = (userLat, userLng, count = MAX_BUS_STOPS) => {
+    if (!busStopsCache.index) return [];
+    
+    return busStopsCache.index.nearest(userLat, userLng, count)
+        .filter(stop => stop.distance <= NEAREST_FALLBACK_MAX_DISTANCE);
+};
+
+// Stops to show for a location, falling back to the nearest few when none are in range
+const findStopsForLocation = (chatId, latitude, longitude) => {
+    const userPrefs = getUserPreferences(chatId);
+    const t = translatorFor(chatId);
+    const nearbyStops = findNearbyBusStops(latitude, longitude, userPrefs.radius, userPrefs.maxStops);
+    
+    if (nearbyStops.length > 0) {
+        return { stops: nearbyStops, title: t('arrivals.nearbyTitle', { count: nearbyStops.length, radius: userPrefs.radius }) };
+    }
+    
+    const nearestStops = findNearestBusStops(latitude, longitude, userPrefs.maxStops);
+    return {
+        stops: nearestStops,
+        title: t('arrivals.nearestTitle', { count: nearestStops.length, radius: userPrefs.radius })
+    };
+};
+
+// Bus routes are only needed by /route, so they load on first use and refresh daily
+const BUS_ROUTES_MAX_AGE = 24 * 60 * 60 * 1000;
+const busRoutesCache = {
+    services: new Map(), // ServiceNo -> { 1: [stops], 2: [stops] }
+    lastUpdated: 0,
+    loading: null
+};
+
+const getAllBusRoutes = async () => {
+    if (busRoutesCache.services.size > 0 && Date.now() - busRoutesCache.lastUpdated < BUS_ROUTES_MAX_AGE) {
+        return busRoutesCache.services;
+    }
+    
+    // Share one download between everyone asking while it loads
+    if (!busRoutesCache.loading) {
+        busRoutesCache.loading = (async () => {
+            logger.info('🛣️ Fetching bus routes data');
+            try {
+                // ~26,000 route records, so allow more pages than the bus stop fetch
+                const routes = await fetchAllPages('BusRoutes', 'route stops', 80);
+                if (routes.length === 0) throw new Error('No bus routes data received');
+                
+                const services = new Map();
+                for (const route of routes) {
+                    if (!services.has(route.ServiceNo)) services.set(route.ServiceNo, {});
+                    const directions = services.get(route.ServiceNo);
+                    if (!directions[route.Direction]) directions[route.Direction] = [];
+                    directions[route.Direction].push(route);
+                }
+                for (const directions of services.values()) {
+                    Object.values(directions).forEach(stops => stops.sort((a, b) => a.StopSequence - b.StopSequence));
+                }
+                
+                busRoutesCache.services = services;
+                busRoutesCache.lastUpdated = Date.now();
+                logger.info('✅ Loaded bus routes', { services: services.size });
+            } catch (error) {
+                logger.error('❌ Error fetching bus routes', { error });
+            } finally {
+                busRoutesCache.loading = null;
+            }
+            return busRoutesCache.services;
+        })();
+    }
     
+    return busRoutesCache.loading;
+};
+
+// Direct DataMall call - everything else goes through getBusArrivals and the shared cache
+const fetchBusArrivals = async (busStopCode) => {
     try {
         // Use the correct v3 endpoint as per official documentation
         const data = await makeAPIRequest('v3/BusArrival', { 'BusStopCode': busStopCode });
         
         if (data && (data.Services || data.BusStopCode)) {
-            console.log(`✅ Got arrival data for ${busStopCode}: ${data.Services?.length || 0} services`);
+            logger.debug('✅ Got arrival data', { busStopCode, services: data.Services?.length || 0 });
             return data;
         } else {
-            console.log(`⚠️ No bus services found for ${busStopCode}`);
+            logger.debug('⚠️ No bus services found', { busStopCode });
             return { Services: [], BusStopCode: busStopCode };
         }
     } catch (error) {
-        console.error(`❌ Error fetching arrivals for ${busStopCode}:`, error.response?.status, error.message);
+        logger.warn('❌ Error fetching arrivals', { busStopCode, error });
         
         // If 404, try the old endpoint as fallback
         if (error.response?.status === 404) {
-            console.log(`🔄 Trying fallback endpoint for ${busStopCode}...`);
+            logger.info('🔄 Trying fallback arrivals endpoint', { busStopCode });
             try {
                 const fallbackData = await makeAPIRequest('BusArrivalv2', { 'BusStopCode': busStopCode });
-                console.log(`✅ Fallback successful for ${busStopCode}`);
+                logger.info('✅ Fallback arrivals endpoint worked', { busStopCode });
                 return fallbackData;
             } catch (fallbackError) {
-                console.error(`❌ Fallback also failed for ${busStopCode}:`, fallbackError.message);
+                logger.error('❌ Fallback arrivals endpoint also failed', { busStopCode, error: fallbackError });
             }
         }
         
@@ -331,134 +646,171 @@ const getBusArrivals = async (busStopCode) => {
     }
 };
 
+const arrivalCache = createArrivalCache({ fetch: fetchBusArrivals });
+
+// Cached arrivals for a stop. When the API fails, returns the last good data with
+// isStale set, or null if there is nothing recent enough to fall back on.
+const getBusArrivals = (busStopCode) => arrivalCache.get(busStopCode);
+
+const formatStaleNotice = (arrivalsData, t) => {
+    if (!arrivalsData?.isStale) return '';
+    const ageMinutes = Math.max(1, Math.round((Date.now() - arrivalsData.cachedAt) / 60000));
+    return t('arrivals.stale', { minutes: ageMinutes }) + '\n';
+};
+
+const formatLastUpdated = (t) => `\n\n${t('arrivals.lastUpdated', { time: formatTime(t.language) })}`;
+
 // Enhanced message formatting with better real-time data handling
-const formatSingleBusStopMessage = async (busStopCode, busStopName = null) => {
+// Display options come from displayOptionsFor; options.services limits it to those buses
+const formatSingleBusStopMessage = async (busStopCode, busStopName = null, options = {}) => {
+    const t = createTranslator(options.language);
+    const header = `🚏 *${t('arrivals.busStop', { code: busStopCode })}*${busStopName ? `\n📍 ${busStopName}` : ''}\n\n`;
+    
     try {
         const arrivalsData = await getBusArrivals(busStopCode);
         
-        if (!arrivalsData || !arrivalsData.Services || arrivalsData.Services.length === 0) {
-            return `🚏 *Bus Stop ${busStopCode}*${busStopName ? `\n📍 ${busStopName}` : ''}\n\n❌ No buses currently serving this stop`;
+        if (!arrivalsData) {
+            return header + t('arrivals.error');
+        }
+        
+        if (!arrivalsData.Services || arrivalsData.Services.length === 0) {
+            return header + t('arrivals.noServices');
         }
 
-        let message = `🚏 *Bus Stop ${busStopCode}*${busStopName ? `\n📍 ${busStopName}` : ''}\n\n`;
+        let message = header;
+        message += formatStaleNotice(arrivalsData, t);
 
-        // Filter out services with no real arrival data
-        const validServices = arrivalsData.Services.filter(service => {
-            return service.NextBus && 
-                   service.NextBus.EstimatedArrival && 
-                   service.NextBus.EstimatedArrival !== '' &&
-                   service.NextBus.Monitored !== undefined;
-        });
+        const { services, hiddenCount } = selectServices(arrivalsData, busStopCode, options);
         
-        if (validServices.length === 0) {
-            message += `⏰ No real-time arrivals available`;
+        if (services.length === 0) {
+            if (hiddenCount > 0) {
+                message += t('arrivals.allHidden');
+            } else {
+                message += options.services?.length
+                    ? t('arrivals.noRealtimeFor', { services: options.services.join(', ') })
+                    : t('arrivals.noRealtime');
+            }
         } else {
-            const sortedServices = validServices.sort((a, b) => {
-                const numA = parseInt(a.ServiceNo) || 999;
-                const numB = parseInt(b.ServiceNo) || 999;
-                return numA - numB;
-            });
-
-            sortedServices.forEach(service => {
-                const busNumber = service.ServiceNo;
-                const nextBus = formatArrivalTime(service.NextBus?.EstimatedArrival);
-                const nextBus2 = formatArrivalTime(service.NextBus2?.EstimatedArrival);
-                
-                const load1 = formatLoad(service.NextBus?.Load);
-                const load2 = formatLoad(service.NextBus2?.Load);
-
-                if (nextBus !== 'No data') {
-                    message += `🚍 ${busNumber}: ${load1} ${nextBus}`;
-                    if (nextBus2 !== 'No data') {
-                        message += ` • ${load2} ${nextBus2}`;
-                    }
-                    message += '\n';
-                }
+            services.forEach(service => {
+                message += formatServiceArrivals(service, t, options) || '';
             });
+            if (hiddenCount > 0) {
+                message += `${t('arrivals.hiddenCount', { count: hiddenCount })}\n`;
+            }
         }
 
-        message += '\n🟢 Seats Available • 🟡 Standing • 🔴 Limited Standing';
-        message += `\n\n🔄 Last updated: ${new Date().toLocaleTimeString('en-SG', { timeZone: 'Asia/Singapore' })}`;
+        message += formatLegend(t, options.detailed);
+        message += formatLastUpdated(t);
         
         return message;
         
     } catch (error) {
-        console.error(`Error getting arrivals for ${busStopCode}:`, error);
-        return `🚏 *Bus Stop ${busStopCode}*\n\n❌ Error loading arrivals (API issue)`;
+        logger.error('❌ Error getting arrivals', { busStopCode, error });
+        return `🚏 *${t('arrivals.busStop', { code: busStopCode })}*\n\n${t('arrivals.error')}`;
     }
 };
 
-const formatCombinedBusArrivalsMessage = async (nearbyStops) => {
-    let combinedMessage = `🚌 *Bus Arrivals (${nearbyStops.length} stops within ${SEARCH_RADIUS}m)*\n\n`;
+// Multi-stop messages fetch a few stops at a time and wait at most this long overall;
+// anything slower shows as loading and is filled in by a follow-up edit
+const COMBINED_FETCH_CONCURRENCY = 4;
+const COMBINED_FETCH_BUDGET = 6000;
+const MAX_SERVICES_PER_STOP = 8;
+
+// One stop's section of a combined message; arrivalsData is undefined while still loading
+const formatStopArrivalsSection = (busStop, arrivalsData, t, options = {}) => {
+    let section = `📍 *${busStop.Description}*\n`;
+    section += t('arrivals.stopCode', { code: busStop.BusStopCode });
+    section += busStop.distance !== undefined ? ` • ${t('arrivals.distance', { distance: busStop.distance })}\n` : '\n';
     
-    for (const [index, busStop] of nearbyStops.entries()) {
-        combinedMessage += `📍 *${busStop.Description}*\n`;
-        combinedMessage += `🏷️ Stop: ${busStop.BusStopCode} • ${busStop.distance}m away\n`;
-        
-        try {
-            const arrivalsData = await getBusArrivals(busStop.BusStopCode);
-            
-            if (!arrivalsData || !arrivalsData.Services || arrivalsData.Services.length === 0) {
-                combinedMessage += `❌ No buses currently serving this stop\n`;
-            } else {
-                // Filter out services with no real arrival data
-                const validServices = arrivalsData.Services.filter(service => {
-                    return service.NextBus && 
-                           service.NextBus.EstimatedArrival && 
-                           service.NextBus.EstimatedArrival !== '' &&
-                           service.NextBus.Monitored !== undefined;
-                });
-                
-                if (validServices.length === 0) {
-                    combinedMessage += `⏰ No real-time arrivals available\n`;
-                } else {
-                    const sortedServices = validServices.sort((a, b) => {
-                        const numA = parseInt(a.ServiceNo) || 999;
-                        const numB = parseInt(b.ServiceNo) || 999;
-                        return numA - numB;
-                    });
+    if (arrivalsData === undefined) {
+        return section + `${t('arrivals.stillLoading')}\n`;
+    }
+    
+    section += formatStaleNotice(arrivalsData, t);
+    
+    if (!arrivalsData) {
+        return section + `${t('arrivals.error')}\n`;
+    }
+    if (!arrivalsData.Services || arrivalsData.Services.length === 0) {
+        return section + `${t('arrivals.noServices')}\n`;
+    }
+    
+    const { services, hiddenCount } = selectServices(arrivalsData, busStop.BusStopCode, options);
+    
+    if (services.length === 0) {
+        return section + `${t(hiddenCount > 0 ? 'arrivals.allHidden' : 'arrivals.noRealtime')}\n`;
+    }
 
-                    sortedServices.slice(0, 8).forEach(service => { // Limit to 8 buses per stop
-                        const busNumber = service.ServiceNo;
-                        const nextBus = formatArrivalTime(service.NextBus?.EstimatedArrival);
-                        const nextBus2 = formatArrivalTime(service.NextBus2?.EstimatedArrival);
-                        
-                        const load1 = formatLoad(service.NextBus?.Load);
-                        const load2 = formatLoad(service.NextBus2?.Load);
-                        
-                        if (nextBus !== 'No data') {
-                            combinedMessage += `🚍 ${busNumber}: ${load1} ${nextBus}`;
-                            if (nextBus2 !== 'No data') {
-                                combinedMessage += ` • ${load2} ${nextBus2}`;
-                            }
-                            combinedMessage += '\n';
-                        }
-                    });
-                }
-            }
+    const shown = options.allServices ? services : services.slice(0, MAX_SERVICES_PER_STOP);
+    shown.forEach(service => {
+        section += formatServiceArrivals(service, t, options) || '';
+    });
+    if (services.length > shown.length) {
+        section += `${t('arrivals.moreServices', { count: services.length - shown.length })}\n`;
+    }
+    if (hiddenCount > 0) {
+        section += `${t('arrivals.hiddenCount', { count: hiddenCount })}\n`;
+    }
+    
+    return section;
+};
+
+// Resolves to { message, complete }: complete is null when every stop made the time budget,
+// otherwise a promise of the full message for a follow-up edit (see editWhenComplete).
+// options.groupByDirection puts stops served in the same direction together under a heading
+const formatCombinedBusArrivalsMessage = async (nearbyStops, title = null, options = {}) => {
+    const t = createTranslator(options.language);
+    const results = new Map();
+    const limit = createLimiter(COMBINED_FETCH_CONCURRENCY);
+    
+    const allLoaded = Promise.all(nearbyStops.map(busStop => limit(async () => {
+        try {
+            results.set(busStop.BusStopCode, await getBusArrivals(busStop.BusStopCode));
         } catch (error) {
-            console.error(`Error getting arrivals for ${busStop.BusStopCode}:`, error);
-            combinedMessage += `❌ Error loading arrivals (API issue)\n`;
+            logger.error('❌ Error getting arrivals', { busStopCode: busStop.BusStopCode, error });
+            results.set(busStop.BusStopCode, null);
         }
+    })));
+    
+    const render = (waitingForMore) => {
+        let combinedMessage = `🚌 *${title || t('arrivals.nearbyTitle', { count: nearbyStops.length, radius: options.radius || SEARCH_RADIUS })}*\n\n`;
+        
+        const groups = options.groupByDirection
+            ? groupStopsByDirection(nearbyStops, busStop => results.get(busStop.BusStopCode))
+            : [{ stops: nearbyStops, destinationCodes: [] }];
+        
+        combinedMessage += groups.map(group => {
+            const places = group.destinationCodes.slice(0, 2).map(code => findBusStop(code)?.Description || code);
+            const heading = groups.length > 1 && places.length > 0 ? `*${t('arrivals.towards', { places: places.join(', ') })}*\n\n` : '';
+            
+            return heading + group.stops
+                .map(busStop => formatStopArrivalsSection(busStop, results.get(busStop.BusStopCode), t, options))
+                .join('\n');
+        }).join('\n');
         
-        if (index < nearbyStops.length - 1) {
-            combinedMessage += '\n';
+        if (waitingForMore) {
+            combinedMessage += `\n${t('arrivals.slowStops')}\n`;
         }
-    }
+        combinedMessage += formatLegend(t, options.detailed);
+        combinedMessage += formatLastUpdated(t);
+        
+        return combinedMessage;
+    };
     
-    combinedMessage += '\n🟢 Seats Available • 🟡 Standing • 🔴 Limited Standing';
-    combinedMessage += `\n\n🔄 Last updated: ${new Date().toLocaleTimeString('en-SG', { timeZone: 'Asia/Singapore' })}`;
+    if (await settlesWithin(allLoaded, COMBINED_FETCH_BUDGET)) {
+        return { message: render(false), complete: null };
+    }
     
-    return combinedMessage;
+    logger.info('⏳ Stops missed the arrivals budget', { missed: nearbyStops.length - results.size, stops: nearbyStops.length, budgetMs: COMBINED_FETCH_BUDGET });
+    return { message: render(true), complete: allLoaded.then(() => render(false)) };
 };
 
 // Enhanced geocoding function with multiple providers
 const geocodeAddress = async (address) => {
-    console.log(`🔍 Geocoding address: "${address}"`);
+    logger.debug('🔍 Geocoding address', { address });
     
     // Try OneMap first (Singapore's official service)
     try {
-        console.log('   🇸🇬 Trying OneMap API...');
         const response = await axios.get('https://developers.onemap.sg/commonapi/search', {
             params: {
                 searchVal: address,
@@ -471,7 +823,8 @@ const geocodeAddress = async (address) => {
         
         if (response.data && response.data.results && response.data.results.length > 0) {
             const result = response.data.results[0];
-            console.log('   ✅ OneMap found result');
+            geocoderRequests.inc({ provider: 'onemap', result: 'hit' });
+            logger.debug('✅ Geocoded', { provider: 'OneMap' });
             return {
                 latitude: parseFloat(result.LATITUDE),
                 longitude: parseFloat(result.LONGITUDE),
@@ -479,13 +832,14 @@ const geocodeAddress = async (address) => {
                 provider: 'OneMap'
             };
         }
+        geocoderRequests.inc({ provider: 'onemap', result: 'miss' });
     } catch (error) {
-        console.log('   ❌ OneMap failed:', error.message);
+        geocoderRequests.inc({ provider: 'onemap', result: 'error' });
+        logger.warn('❌ OneMap geocoding failed', { error });
     }
     
     // Try Nominatim (OpenStreetMap) as fallback
     try {
-        console.log('   🌍 Trying Nominatim (OpenStreetMap)...');
         const response = await axios.get('https://nominatim.openstreetmap.org/search', {
             params: {
                 q: `${address}, Singapore`,
@@ -502,7 +856,8 @@ const geocodeAddress = async (address) => {
         
         if (response.data && response.data.length > 0) {
             const result = response.data[0];
-            console.log('   ✅ Nominatim found result');
+            geocoderRequests.inc({ provider: 'nominatim', result: 'hit' });
+            logger.debug('✅ Geocoded', { provider: 'OpenStreetMap' });
             return {
                 latitude: parseFloat(result.lat),
                 longitude: parseFloat(result.lon),
@@ -510,8 +865,10 @@ const geocodeAddress = async (address) => {
                 provider: 'OpenStreetMap'
             };
         }
+        geocoderRequests.inc({ provider: 'nominatim', result: 'miss' });
     } catch (error) {
-        console.log('   ❌ Nominatim failed:', error.message);
+        geocoderRequests.inc({ provider: 'nominatim', result: 'error' });
+        logger.warn('❌ Nominatim geocoding failed', { error });
     }
     
     // Try more specific Singapore search terms
@@ -525,7 +882,6 @@ const geocodeAddress = async (address) => {
     
     for (const term of singaporeSpecificTerms) {
         try {
-            console.log(`   🔍 Trying enhanced search: "${term}"`);
             const response = await axios.get('https://nominatim.openstreetmap.org/search', {
                 params: {
                     q: term,
@@ -542,7 +898,8 @@ const geocodeAddress = async (address) => {
             
             if (response.data && response.data.length > 0) {
                 const result = response.data[0];
-                console.log(`   ✅ Enhanced search found result with term: "${term}"`);
+                geocoderRequests.inc({ provider: 'nominatim_enhanced', result: 'hit' });
+                logger.debug('✅ Geocoded', { provider: 'OpenStreetMap Enhanced', term });
                 return {
                     latitude: parseFloat(result.lat),
                     longitude: parseFloat(result.lon),
@@ -550,8 +907,10 @@ const geocodeAddress = async (address) => {
                     provider: 'OpenStreetMap Enhanced'
                 };
             }
+            geocoderRequests.inc({ provider: 'nominatim_enhanced', result: 'miss' });
         } catch (error) {
-            console.log(`   ❌ Enhanced search failed for "${term}":`, error.message);
+            geocoderRequests.inc({ provider: 'nominatim_enhanced', result: 'error' });
+            logger.warn('❌ Enhanced geocoding search failed', { term, error });
         }
     }
     
@@ -595,7 +954,8 @@ const geocodeAddress = async (address) => {
     // Check for exact matches first
     if (commonLocations[searchKey]) {
         const loc = commonLocations[searchKey];
-        console.log(`   ✅ Found in local database: ${loc.name}`);
+        geocoderRequests.inc({ provider: 'local', result: 'hit' });
+        logger.debug('✅ Geocoded', { provider: 'Local Database', name: loc.name });
         return {
             latitude: loc.lat,
             longitude: loc.lng,
@@ -607,7 +967,8 @@ const geocodeAddress = async (address) => {
     // Check for partial matches
     for (const [key, loc] of Object.entries(commonLocations)) {
         if (key.includes(searchKey) || searchKey.includes(key)) {
-            console.log(`   ✅ Partial match found in local database: ${loc.name}`);
+            geocoderRequests.inc({ provider: 'local', result: 'hit' });
+            logger.debug('✅ Geocoded', { provider: 'Local Database (Partial Match)', name: loc.name });
             return {
                 latitude: loc.lat,
                 longitude: loc.lng,
@@ -617,52 +978,558 @@ const geocodeAddress = async (address) => {
         }
     }
     
-    console.log('   ❌ No results found in any geocoding service');
+    geocoderRequests.inc({ provider: 'local', result: 'miss' });
+    logger.info('❌ No results found in any geocoding service');
     return null;
 };
 
-// Keyboard creation
-const createMainKeyboard = () => ({
-    keyboard: [
-        [{ text: '📍 Share Location', request_location: true }],
-        [{ text: '🔍 Search Address' }, { text: '🚏 Bus Stop Number' }],
-        [{ text: '🔄 Refresh' }, { text: '⚙️ Settings' }],
-        [{ text: '❓ Help' }]
-    ],
-    resize_keyboard: true,
-    one_time_keyboard: false
+// Bus arrival alerts - the scheduler is started from initializeBot
+const alertScheduler = createAlertScheduler({
+    collection: storage.collection('alerts'),
+    // Stale data could make a bus look like it has passed, so treat it as a failed poll
+    getBusArrivals: async (busStopCode) => {
+        const arrivalsData = await getBusArrivals(busStopCode);
+        return arrivalsData?.isStale ? null : arrivalsData;
+    },
+    notify: async (alert, reason, minutes) => {
+        const t = translatorFor(alert.chatId);
+        const stop = `${alert.busStopName ? `${alert.busStopName} ` : ''}(${alert.busStopCode})`;
+        const details = { service: alert.serviceNo, stop, threshold: alert.thresholdMinutes };
+        let message;
+        
+        if (reason === 'triggered') {
+            const eta = minutes <= 0.5 ? t('alerts.etaNow') : t('alerts.etaMinutes', { minutes: Math.max(1, Math.round(minutes)) });
+            message = t('alerts.triggered', { ...details, eta });
+        } else if (reason === 'passed') {
+            message = t('alerts.passed', details);
+        } else {
+            message = t('alerts.expired', details);
+        }
+        
+        await bot.sendMessage(alert.chatId, message, {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [[{ text: t('button.viewArrivals'), callback_data: `refresh_stop_${alert.busStopCode}` }]]
+            }
+        });
+    }
 });
 
-const createRefreshKeyboard = () => ({
-    inline_keyboard: [
-        [{ text: '🔄 Refresh All Arrivals', callback_data: 'refresh_all' }],
-        [{ text: '📍 New Location Search', callback_data: 'new_search' }]
-    ]
+// Recurring commute schedules - the scheduler is started from initializeBot
+const commuteScheduler = createScheduler({
+    collection: storage.collection('schedules'),
+    extraHolidays: SG_PUBLIC_HOLIDAYS,
+    deliver: async (schedule) => {
+        const busMessage = await formatSingleBusStopMessage(schedule.busStopCode, schedule.busStopName, {
+            services: schedule.services,
+            ...displayOptionsFor(schedule.chatId)
+        });
+        
+        await sendArrivalsMessage(schedule.chatId,
+            `${translatorFor(schedule.chatId)('schedules.update', { time: schedule.time })}\n\n${busMessage}`,
+            createBusStopKeyboard(schedule.chatId, schedule.busStopCode), schedule.busStopCode);
+    }
 });
 
-// FIXED: Settings function extracted to be reusable
-const showSettingsMenu = async (chatId, messageId = null) => {
-    const prefs = userPreferences.get(chatId) || { radius: SEARCH_RADIUS, maxStops: MAX_BUS_STOPS };
+// Keyboard creation
+// Reply keyboards (and location buttons) are for private chats - groups get none
+const createMainKeyboard = (chatId) => {
+    if (isGroupChat(chatId)) return { remove_keyboard: true };
     
-    const settingsKeyboard = {
+    const t = translatorFor(chatId);
+    return {
+        keyboard: [
+            [{ text: t('button.shareLocation'), request_location: true }],
+            [{ text: t('button.searchAddress') }, { text: t('button.busStopNumber') }],
+            [{ text: t('button.refresh') }, { text: t('button.settings') }],
+            [{ text: t('button.favourites') }, { text: t('button.help') }]
+        ],
+        resize_keyboard: true,
+        one_time_keyboard: false
+    };
+};
+
+// Reply keyboard buttons arrive as plain text, in whichever language the keyboard was sent in
+const isKeyboardButton = (text, key) => allTranslations(key).includes(text);
+
+// Nearby results carry their own search location in their buttons, so in a group a refresh
+// re-runs the search behind that message rather than whichever member searched last
+const encodeSearchLocation = (latitude, longitude) => `${latitude.toFixed(5)},${longitude.toFixed(5)}`;
+
+const isLocationTarget = (target) => target === 'all' || target.includes(',');
+
+// "all" is the older button format that relied on the chat's last search
+const resolveSearchLocation = (target, chatId) => {
+    if (target !== 'all') {
+        const [latitude, longitude] = target.split(',').map(Number);
+        return Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
+    }
+    const session = userSessions.get(chatId);
+    return session?.latitude && session?.longitude ? { latitude: session.latitude, longitude: session.longitude } : null;
+};
+
+const createRefreshKeyboard = (chatId, location, live = false) => {
+    const t = translatorFor(chatId);
+    return {
+        inline_keyboard: live
+            ? [
+                [{ text: t('button.stopLive'), callback_data: `live_off_${location}` }],
+                [{ text: t('button.newLocationSearch'), callback_data: 'new_search' }]
+            ]
+            : [
+                [{ text: t('button.refreshAll'), callback_data: `refresh_all_${location}` }],
+                [{ text: t('button.liveUpdates'), callback_data: `live_menu_${location}` }],
+                [{ text: t('button.newLocationSearch'), callback_data: 'new_search' }]
+            ]
+    };
+};
+
+const createBusStopKeyboard = (chatId, busStopCode, live = false) => {
+    const t = translatorFor(chatId);
+    return live ? ({
+        inline_keyboard: [
+            [{ text: t('button.stopLive'), callback_data: `live_off_${busStopCode}` }],
+            [{ text: t('button.newSearch'), callback_data: 'new_search' }]
+        ]
+    }) : ({
         inline_keyboard: [
+            [{ text: t('button.refreshStop'), callback_data: `refresh_stop_${busStopCode}` }],
+            [{ text: t('button.liveUpdates'), callback_data: `live_menu_${busStopCode}` }],
+            [{ text: t('button.setAlert'), callback_data: `alert_pick_${busStopCode}` }],
+            [{ text: t('button.whereIsBus'), callback_data: `track_pick_${busStopCode}` }],
+            [{ text: t('button.hideServices'), callback_data: `hide_menu_${busStopCode}` }],
             [
-                { text: `Radius: ${prefs.radius}m`, callback_data: 'setting_radius' },
-                { text: `Max Stops: ${prefs.maxStops}`, callback_data: 'setting_stops' }
+                favourites.has(chatId, busStopCode)
+                    ? { text: t('button.removeFavourite'), callback_data: `fav_remove_${busStopCode}` }
+                    : { text: t('button.addFavourite'), callback_data: `fav_add_${busStopCode}` }
             ],
-            [{ text: '🔄 Reset to Default', callback_data: 'setting_reset' }],
-            [{ text: '✅ Done', callback_data: 'setting_done' }]
+            [{ text: t('button.newSearch'), callback_data: 'new_search' }]
         ]
-    };
-    
-    const settingsMessage = 
-        `⚙️ *Settings*\n\n` +
-        `Current preferences:\n` +
-        `• Search Radius: ${prefs.radius}m\n` +
-        `• Max Bus Stops: ${prefs.maxStops}\n\n` +
-        `Tap to adjust:`;
-    
-    if (messageId) {
+    });
+};
+
+// Duration picker shown in place of the normal keyboard; target is 'all' or a bus stop code
+const createLiveDurationKeyboard = (chatId, target) => {
+    const t = translatorFor(chatId);
+    return {
+        inline_keyboard: [
+            LIVE_DURATIONS.map(minutes => ({ text: t('button.liveMinutes', { minutes }), callback_data: `live_${target}_${minutes}` })),
+            [{ text: t('button.cancel'), callback_data: `live_cancel_${target}` }]
+        ]
+    };
+};
+
+// Every service at the stop as a hide/show toggle, in place of the stop's keyboard. Null when
+// there are no services to list; arrivals come from the cache, so this rarely calls DataMall.
+const createHideServicesKeyboard = async (chatId, busStopCode) => {
+    const arrivalsData = await getBusArrivals(busStopCode);
+    const serviceNos = (arrivalsData?.Services || []).map(service => service.ServiceNo).sort(compareServiceNumbers);
+    if (serviceNos.length === 0) return null;
+    
+    const t = translatorFor(chatId);
+    const hidden = getUserPreferences(chatId).hiddenServices[busStopCode] || [];
+    const rows = [];
+    for (let i = 0; i < serviceNos.length; i += 4) {
+        rows.push(serviceNos.slice(i, i + 4).map(serviceNo => ({
+            text: `${hidden.includes(serviceNo) ? '🙈' : '👁️'} ${serviceNo}`,
+            callback_data: `hide_${busStopCode}_${serviceNo}`
+        })));
+    }
+    rows.push([{ text: t('settings.doneButton'), callback_data: `hide_done_${busStopCode}` }]);
+    
+    return { inline_keyboard: rows };
+};
+
+// Services at the stop whose next bus is reporting where it is, in place of the stop's
+// keyboard. Null when none are.
+const createTrackServicesKeyboard = async (chatId, busStopCode) => {
+    const arrivalsData = await getBusArrivals(busStopCode);
+    const serviceNos = (arrivalsData?.Services || [])
+        .filter(service => busPosition(service))
+        .map(service => service.ServiceNo)
+        .sort(compareServiceNumbers);
+    if (serviceNos.length === 0) return null;
+    
+    const t = translatorFor(chatId);
+    const rows = [];
+    for (let i = 0; i < serviceNos.length; i += 4) {
+        rows.push(serviceNos.slice(i, i + 4).map(serviceNo => ({
+            text: `📍 ${serviceNo}`,
+            callback_data: `track_bus_${busStopCode}_${serviceNo}`
+        })));
+    }
+    rows.push([{ text: t('button.cancel'), callback_data: `track_cancel_${busStopCode}` }]);
+    
+    return { inline_keyboard: rows };
+};
+
+const createTrackingKeyboard = (chatId, busStopCode, serviceNo, following = false) => {
+    const t = translatorFor(chatId);
+    return {
+        inline_keyboard: [[following
+            ? { text: t('button.stopFollowing'), callback_data: `track_stop_${busStopCode}_${serviceNo}` }
+            : { text: t('button.followBus'), callback_data: `track_follow_${busStopCode}_${serviceNo}` }
+        ]]
+    };
+};
+
+const createFavouritesKeyboard = (chatId) => {
+    const t = translatorFor(chatId);
+    return {
+        inline_keyboard: [
+            [{ text: t('button.refreshFavourites'), callback_data: 'fav_refresh' }],
+            [{ text: t('button.manageFavourites'), callback_data: 'fav_manage' }]
+        ]
+    };
+};
+
+// Favourites as stops for the combined arrivals message, labelled with their nicknames
+const favouriteArrivalStops = (chatId) => favourites.list(chatId).map(fav => ({
+    BusStopCode: fav.busStopCode,
+    Description: fav.nickname
+        ? `⭐ ${fav.nickname}${fav.description ? ` (${fav.description})` : ''}`
+        : `⭐ ${favourites.displayName(fav)}`
+}));
+
+const showFavourites = async (chatId, messageId = null) => {
+    const favouriteStops = favourites.list(chatId);
+    const t = translatorFor(chatId);
+    
+    if (favouriteStops.length === 0) {
+        const emptyMessage = t('favourites.empty', { max: MAX_FAVOURITES });
+        
+        if (messageId) {
+            await bot.editMessageText(emptyMessage, {
+                chat_id: chatId,
+                message_id: messageId,
+                parse_mode: 'Markdown'
+            });
+        } else {
+            await bot.sendMessage(chatId, emptyMessage, {
+                parse_mode: 'Markdown',
+                reply_markup: createMainKeyboard(chatId)
+            });
+        }
+        return;
+    }
+    
+    if (messageId) {
+        await bot.editMessageText(t('favourites.refreshing'), {
+            chat_id: chatId,
+            message_id: messageId
+        });
+    } else {
+        const loadingMsg = await bot.sendMessage(chatId, t('favourites.loading'));
+        messageId = loadingMsg.message_id;
+    }
+    
+    const stops = favouriteArrivalStops(chatId);
+    const { message, complete } = await formatCombinedBusArrivalsMessage(stops, t('arrivals.favouritesTitle', { count: stops.length }), displayOptionsFor(chatId));
+    const sent = editArrivalsMessage(chatId, messageId, message, createFavouritesKeyboard(chatId), 'fav');
+    editWhenComplete(sent, complete, chatId, messageId, createFavouritesKeyboard(chatId), 'fav');
+    await sent;
+};
+
+const showFavouritesManager = async (chatId, messageId) => {
+    const t = translatorFor(chatId);
+    const favouriteStops = favourites.list(chatId);
+    
+    if (favouriteStops.length === 0) {
+        await showFavourites(chatId, messageId);
+        return;
+    }
+    
+    const rows = [];
+    favouriteStops.forEach((fav, index) => {
+        rows.push([{ text: `${index + 1}. ${favourites.displayName(fav)} (${fav.busStopCode})`, callback_data: `refresh_stop_${fav.busStopCode}` }]);
+        rows.push([
+            { text: '⬆️', callback_data: `fav_up_${fav.busStopCode}` },
+            { text: '⬇️', callback_data: `fav_down_${fav.busStopCode}` },
+            { text: t('button.rename'), callback_data: `fav_rename_${fav.busStopCode}` },
+            { text: t('button.delete'), callback_data: `fav_del_${fav.busStopCode}` }
+        ]);
+    });
+    rows.push([{ text: t('button.backToFavourites'), callback_data: 'fav_refresh' }]);
+    
+    await bot.editMessageText(t('favourites.manage'), {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: rows }
+    });
+};
+
+const showAlerts = async (chatId, messageId = null) => {
+    const t = translatorFor(chatId);
+    const alerts = alertScheduler.list(chatId);
+    let message;
+    const rows = [];
+    
+    if (alerts.length === 0) {
+        message = t('alerts.none');
+    } else {
+        message = `${t('alerts.title', { count: alerts.length, max: MAX_ALERTS_PER_USER })}\n\n`;
+        alerts.forEach(alert => {
+            const details = { service: alert.serviceNo, stop: alert.busStopName || alert.busStopCode, code: alert.busStopCode, minutes: alert.thresholdMinutes };
+            message += `${t('alerts.item', details)}\n`;
+            rows.push([{ text: t('alerts.cancelButton', details), callback_data: `alert_cancel_${alert.id}` }]);
+        });
+    }
+    
+    const options = {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: rows }
+    };
+    
+    if (messageId) {
+        await bot.editMessageText(message, { ...options, chat_id: chatId, message_id: messageId });
+    } else {
+        await bot.sendMessage(chatId, message, options);
+    }
+};
+
+// "Weekdays at 08:05, not on public holidays"
+const describeSchedule = (t, schedule) =>
+    t(`schedules.summary.${schedule.holidays}`, { days: t(`schedules.days.${schedule.days}`), time: schedule.time });
+
+const showSchedules = async (chatId, messageId = null) => {
+    const t = translatorFor(chatId);
+    const schedules = commuteScheduler.list(chatId);
+    let message = `${t('schedules.title')}\n\n`;
+    const rows = [];
+    
+    if (schedules.length === 0) {
+        message += t('schedules.empty');
+    } else {
+        schedules.forEach(schedule => {
+            const services = schedule.services.length ? ` • 🚍 ${schedule.services.join(', ')}` : '';
+            message += `${schedule.enabled ? '🟢' : '⏸️'} ${schedule.busStopName || t('schedules.unnamedStop')} (${schedule.busStopCode})${services}\n`;
+            message += `    ${describeSchedule(t, schedule)}\n`;
+            rows.push([{ text: `${schedule.time} • ${schedule.busStopCode}`, callback_data: `sched_view_${schedule.id}` }]);
+        });
+    }
+    
+    if (schedules.length < MAX_SCHEDULES_PER_USER) {
+        rows.push([{ text: t('button.newSchedule'), callback_data: 'sched_new' }]);
+    }
+    
+    const options = {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: rows }
+    };
+    
+    if (messageId) {
+        await bot.editMessageText(message, { ...options, chat_id: chatId, message_id: messageId });
+    } else {
+        await bot.sendMessage(chatId, message, options);
+    }
+};
+
+const showScheduleDetail = async (chatId, messageId, schedule) => {
+    const t = translatorFor(chatId);
+    const mark = (selected) => (selected ? '✅ ' : '');
+    
+    await bot.editMessageText(t('schedules.detail', {
+        time: schedule.time,
+        stop: schedule.busStopName || t('schedules.unnamedStop'),
+        code: schedule.busStopCode,
+        services: schedule.services.length ? schedule.services.join(', ') : t('schedules.allServices'),
+        summary: describeSchedule(t, schedule),
+        status: schedule.enabled ? t('schedules.active') : t('schedules.paused')
+    }), {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown',
+        reply_markup: {
+            inline_keyboard: [
+                Object.keys(DAY_PRESETS).map(preset => ({
+                    text: `${mark(schedule.days === preset)}${t(`schedules.days.${preset}`)}`,
+                    callback_data: `sched_days_${schedule.id}_${preset}`
+                })),
+                ...HOLIDAY_MODES.map(mode => [{
+                    text: `${mark(schedule.holidays === mode)}${t(`schedules.holidays.${mode}`)}`,
+                    callback_data: `sched_hol_${schedule.id}_${mode}`
+                }]),
+                [
+                    { text: schedule.enabled ? t('button.pause') : t('button.resume'), callback_data: `sched_toggle_${schedule.id}` },
+                    { text: t('button.delete'), callback_data: `sched_del_${schedule.id}` }
+                ],
+                [{ text: t('button.backToSchedules'), callback_data: 'sched_list' }]
+            ]
+        }
+    });
+};
+
+const ROUTE_PAGE_SIZE = 10;
+
+// One page of a service's route in one direction, with a button per stop
+const renderRoutePage = (t, serviceNo, direction, page) => {
+    const directions = busRoutesCache.services.get(serviceNo);
+    const stops = directions?.[direction];
+    if (!stops || stops.length === 0) return null;
+    
+    const stopName = (busStopCode) => {
+        const busStop = findBusStop(busStopCode);
+        return busStop ? busStop.Description : t('arrivals.busStop', { code: busStopCode });
+    };
+    
+    const directionNumbers = Object.keys(directions).map(Number).sort();
+    const totalPages = Math.ceil(stops.length / ROUTE_PAGE_SIZE);
+    const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+    const pageStops = stops.slice(currentPage * ROUTE_PAGE_SIZE, (currentPage + 1) * ROUTE_PAGE_SIZE);
+    const first = stops[0];
+    const last = stops[stops.length - 1];
+    const isLoop = first.BusStopCode === last.BusStopCode;
+    
+    let message = `${t('route.title', { service: serviceNo, operator: first.Operator })}\n`;
+    message += `🛣️ ${stopName(first.BusStopCode)} → ${isLoop ? t('route.loop', { stop: stopName(first.BusStopCode) }) : stopName(last.BusStopCode)}\n`;
+    if (directionNumbers.length > 1) {
+        message += `${t('route.direction', { direction, count: directionNumbers.length })}\n`;
+    }
+    message += `${t('route.stops', { from: currentPage * ROUTE_PAGE_SIZE + 1, to: currentPage * ROUTE_PAGE_SIZE + pageStops.length, total: stops.length })}\n\n`;
+    
+    pageStops.forEach(stop => {
+        message += `${stop.StopSequence}. ${stopName(stop.BusStopCode)} (${stop.BusStopCode}) • ${stop.Distance} km\n`;
+    });
+    message += `\n${t('stopSearch.tapStop')}`;
+    
+    const rows = [];
+    for (let i = 0; i < pageStops.length; i += 2) {
+        rows.push(pageStops.slice(i, i + 2).map(stop => ({
+            text: `${stop.StopSequence}. ${stopName(stop.BusStopCode)}`.slice(0, 32),
+            callback_data: `route_arr_${stop.BusStopCode}`
+        })));
+    }
+    
+    const navigation = [];
+    if (currentPage > 0) {
+        navigation.push({ text: t('button.previous'), callback_data: `route_${serviceNo}_${direction}_${currentPage - 1}` });
+    }
+    navigation.push({ text: `${currentPage + 1}/${totalPages}`, callback_data: 'noop' });
+    if (currentPage < totalPages - 1) {
+        navigation.push({ text: t('button.next'), callback_data: `route_${serviceNo}_${direction}_${currentPage + 1}` });
+    }
+    rows.push(navigation);
+    
+    if (directionNumbers.length > 1) {
+        const otherDirection = directionNumbers.find(d => d !== direction);
+        rows.push([{ text: t('button.oppositeDirection'), callback_data: `route_${serviceNo}_${otherDirection}_0` }]);
+    }
+    
+    return {
+        text: message,
+        reply_markup: { inline_keyboard: rows }
+    };
+};
+
+const STOP_SEARCH_RESULTS = 8;
+const ROAD_SEARCH_MAX_STOPS = 40;
+
+// Stops matching a name, or every stop on a road for "stops on Orchard Rd" - each one a
+// button that opens its arrivals. Null when nothing matches.
+const renderStopSearchResults = (query, t) => {
+    const searchIndex = busStopsCache.searchIndex;
+    if (!searchIndex) return null;
+    
+    const stopButton = (stop) => ({
+        text: `${stop.Description} (${stop.BusStopCode})`.slice(0, 40),
+        callback_data: `stop_arr_${stop.BusStopCode}`
+    });
+    
+    const roadQuery = parseRoadQuery(query);
+    if (roadQuery) {
+        const road = searchIndex.searchRoad(roadQuery);
+        if (!road) return null;
+        
+        const shown = road.stops.slice(0, ROAD_SEARCH_MAX_STOPS);
+        let message = `${t('stopSearch.roadTitle', { road: road.roadName, count: road.stops.length })}\n`;
+        if (shown.length < road.stops.length) {
+            message += `${t('stopSearch.showingFirst', { count: shown.length })}\n`;
+        }
+        message += `\n${t('stopSearch.tapStop')}`;
+        
+        const rows = [];
+        for (let i = 0; i < shown.length; i += 2) {
+            rows.push(shown.slice(i, i + 2).map(stopButton));
+        }
+        return { text: message, reply_markup: { inline_keyboard: rows } };
+    }
+    
+    const matches = searchIndex.search(query, STOP_SEARCH_RESULTS);
+    if (matches.length === 0) return null;
+    
+    let message = `${t('stopSearch.title')}\n\n`;
+    matches.forEach((stop, index) => {
+        message += `${index + 1}. ${stop.Description} (${stop.BusStopCode}) • ${stop.RoadName}\n`;
+    });
+    message += `\n${t('stopSearch.tapStop')}`;
+    
+    return {
+        text: message,
+        reply_markup: { inline_keyboard: matches.map(stop => [stopButton(stop)]) }
+    };
+};
+
+
+const promptFavouriteNickname = async (chatId, busStopCode, sessionId = chatId) => {
+    const t = translatorFor(chatId);
+    
+    // A group answer has to come back as a reply, and a message can't have both kinds of markup
+    if (isGroupChat(chatId)) {
+        await bot.sendMessage(chatId, t('favourites.nicknamePromptGroup', { code: busStopCode }), {
+            parse_mode: 'Markdown',
+            ...promptOptions(chatId)
+        });
+    } else {
+        await bot.sendMessage(chatId, t('favourites.nicknamePrompt', { code: busStopCode }), {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [[{ text: t('button.skip'), callback_data: 'fav_skipname' }]]
+            }
+        });
+    }
+    
+    userSessions.set(sessionId, {
+        ...userSessions.get(sessionId),
+        waitingForNickname: busStopCode
+    });
+};
+
+// FIXED: Settings function extracted to be reusable
+const showSettingsMenu = async (chatId, messageId = null) => {
+    const prefs = getUserPreferences(chatId);
+    const t = translatorFor(chatId);
+    const language = prefs.language
+        ? LANGUAGE_NAMES[t.language]
+        : t('settings.languageAuto', { language: LANGUAGE_NAMES[t.language] });
+    const view = t(prefs.detailedArrivals ? 'settings.viewDetailed' : 'settings.viewCompact');
+    const sort = t(prefs.sortBy === 'soonest' ? 'settings.sortSoonest' : 'settings.sortService');
+    const times = t({ relative: 'settings.timeRelative', '24h': 'settings.time24h', '12h': 'settings.time12h' }[prefs.timeFormat]);
+    const hidden = Object.values(prefs.hiddenServices).reduce((count, services) => count + services.length, 0);
+    const services = prefs.showAllServices ? t('settings.servicesAll') : t('settings.servicesCapped', { max: MAX_SERVICES_PER_STOP });
+    
+    const settingsKeyboard = {
+        inline_keyboard: [
+            [
+                { text: t('settings.radiusButton', { radius: prefs.radius }), callback_data: 'setting_radius' },
+                { text: t('settings.stopsButton', { maxStops: prefs.maxStops }), callback_data: 'setting_stops' }
+            ],
+            [{ text: t('settings.viewButton', { view }), callback_data: 'setting_view' }],
+            [{ text: t('settings.servicesButton', { services }), callback_data: 'setting_services' }],
+            [
+                { text: t('settings.sortButton', { sort }), callback_data: 'setting_sort' },
+                { text: t('settings.timeButton', { format: times }), callback_data: 'setting_time' }
+            ],
+            [{ text: t('settings.hiddenButton', { count: hidden }), callback_data: 'setting_hidden' }],
+            [{ text: t('settings.languageButton', { language: LANGUAGE_NAMES[t.language] }), callback_data: 'setting_language' }],
+            [{ text: t('settings.resetButton'), callback_data: 'setting_reset' }],
+            [{ text: t('settings.doneButton'), callback_data: 'setting_done' }]
+        ]
+    };
+    
+    const settingsMessage = t('settings.menu', { radius: prefs.radius, maxStops: prefs.maxStops, view, services, sort, times, hidden, language });
+    
+    if (messageId) {
         // Edit existing message
         await bot.editMessageText(settingsMessage, {
             chat_id: chatId,
@@ -679,178 +1546,263 @@ const showSettingsMenu = async (chatId, messageId = null) => {
     }
 };
 
+const showHiddenServices = async (chatId, messageId) => {
+    const t = translatorFor(chatId);
+    const stops = Object.entries(getUserPreferences(chatId).hiddenServices);
+    const stopName = (busStopCode) => findBusStop(busStopCode)?.Description || busStopCode;
+    
+    let message = t(stops.length > 0 ? 'settings.hiddenTitle' : 'settings.hiddenNone');
+    stops.forEach(([busStopCode, services]) => {
+        message += `\n• ${stopName(busStopCode)} (${busStopCode}): ${services.join(', ')}`;
+    });
+    
+    await bot.editMessageText(message, {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown',
+        reply_markup: {
+            inline_keyboard: [
+                ...stops.map(([busStopCode]) => [{
+                    text: t('settings.unhideButton', { stop: stopName(busStopCode) }),
+                    callback_data: `unhide_${busStopCode}`
+                }]),
+                [{ text: t('button.backToSettings'), callback_data: 'setting_back' }]
+            ]
+        }
+    });
+};
+
 // Bot Commands
 
-bot.onText(/\/start/, async (msg) => {
+// Matches "/name", "/name@ThisBot" and "/name arguments", only at the start of a message.
+// Commands addressed to another bot in the same group ("/name@OtherBot") are ignored.
+const onCommand = (name, handler) => {
+    bot.onText(new RegExp(`^\\/${name}(?:@(\\w+))?(?:\\s+([\\s\\S]*))?$`, 'i'), (msg, match) => {
+        const [, addressedTo, args = ''] = match;
+        if (addressedTo && addressedTo.toLowerCase() !== botUsername?.toLowerCase()) return;
+        return handler(msg, args.trim());
+    });
+};
+
+onCommand('start', async (msg) => {
     const chatId = msg.chat.id;
-    const userName = msg.from.first_name || 'there';
-    
-    console.log(`👤 User ${userName} (${chatId}) started the bot`);
-    
-    const welcomeMessage = 
-        `🚌 *Welcome to Singapore Bus Bot, ${userName}!*\n\n` +
-        `I help you find nearby bus stops and get real-time bus arrival information.\n\n` +
-        `*🆕 Enhanced Features:*\n` +
-        `• 📍 Increased search radius to ${SEARCH_RADIUS}m\n` +
-        `• 📱 Combined bus stop display\n` +
-        `• 🔍 Address search functionality\n` +
-        `• ⚙️ Customizable settings\n\n` +
-        `*How to use:*\n` +
-        `1️⃣ Share your location OR search by address\n` +
-        `2️⃣ View all nearby bus stops in one message\n` +
-        `3️⃣ See real-time arrivals with load status\n` +
-        `4️⃣ Use refresh button to update timing\n\n` +
-        `Ready to find your bus? Choose an option below! 🚌`;
-
-    await bot.sendMessage(chatId, welcomeMessage, {
+    const t = translatorFor(chatId, msg.from?.language_code);
+    const userName = msg.from.first_name || t('start.defaultName');
+    
+    logger.info('👤 User started the bot', { chatId });
+
+    await bot.sendMessage(chatId, t('start.welcome', { name: userName, radius: SEARCH_RADIUS }), {
         parse_mode: 'Markdown',
-        reply_markup: createMainKeyboard()
+        reply_markup: createMainKeyboard(chatId)
     });
 });
 
-bot.onText(/\/help/, async (msg) => {
-    const chatId = msg.chat.id;
+const showHelp = async (chatId) => {
+    const t = translatorFor(chatId);
     
-    const helpMessage = 
-        `❓ *Singapore Bus Bot Help*\n\n` +
-        `*Available Commands:*\n` +
-        `• /start - Start the bot\n` +
-        `• /help - Show this help message\n` +
-        `• /location - Request location sharing\n` +
-        `• /search - Search by address\n` +
-        `• /settings - Adjust preferences\n` +
-        `*Features:*\n` +
-        `📍 Share your GPS location for instant results\n` +
-        `🔍 Search by typing any Singapore address\n` +
-        `📱 All nearby stops shown in one message\n` +
-        `🔄 Real-time arrival updates\n` +
-        `⚙️ Customizable search radius\n\n` +
-        `*Tips:*\n` +
-        `• For address search, be specific (e.g., "Orchard Road MRT")\n` +
-        `• Bus timings are updated every 30 seconds\n` +
-        `• Load indicators: 🟢 Seats, 🟡 Standing, 🔴 Limited\n\n` +
-        `Need more help? Contact RandomG.`;
-
-    await bot.sendMessage(chatId, helpMessage, { 
+    await bot.sendMessage(chatId, t('help.text', { inlineMention: inlineMention(t) }), { 
         parse_mode: 'Markdown',
-        reply_markup: createMainKeyboard()
+        reply_markup: createMainKeyboard(chatId)
     });
+};
+
+onCommand('help', async (msg) => {
+    await showHelp(msg.chat.id);
 });
 
-bot.onText(/\/location/, async (msg) => {
+onCommand('location', async (msg) => {
     const chatId = msg.chat.id;
     
+    const t = translatorFor(chatId);
+    
+    // Location request buttons only work in private chats
+    if (isGroupChat(chatId)) {
+        await bot.sendMessage(chatId,
+            t('prompt.locationGroup'),
+            promptOptions(chatId, msg.message_id)
+        );
+        return;
+    }
+    
     await bot.sendMessage(chatId, 
-        '📍 Please share your location to find nearby bus stops:', {
+        t('prompt.location'), {
         reply_markup: {
-            keyboard: [[{ text: '📍 Share My Location', request_location: true }]],
+            keyboard: [[{ text: t('button.shareMyLocation'), request_location: true }]],
             resize_keyboard: true,
             one_time_keyboard: true
         }
     });
 });
 
-bot.onText(/\/search/, async (msg) => {
-    const chatId = msg.chat.id;
-    
-    await bot.sendMessage(chatId, 
-        `🔍 *Enhanced Address Search*\n\n` +
-        `I can now find almost any Singapore location! Try searching for:\n\n` +
-        `🚇 **MRT/LRT Stations:**\n` +
-        `• "Yew Tee Station" ✅\n` +
-        `• "Dhoby Ghaut"\n` +
-        `• "Jurong East MRT"\n\n` +
-        `🏬 **Shopping Malls:**\n` +
-        `• "Causeway Point" ✅\n` +
-        `• "Jurong Point"\n` +
-        `• "Marina Bay Sands"\n\n` +
-        `📍 **Areas & Landmarks:**\n` +
-        `• "Orchard Road"\n` +
-        `• "Little India"\n` +
-        `• "Changi Airport"\n\n` +
-        `💡 **Search Tips:**\n` +
-        `• Be specific: "Yew Tee MRT Station"\n` +
-        `• Include keywords: "Causeway Point Mall"\n` +
-        `• Try different variations if first attempt fails\n\n` +
-        `**Type your location below:**`, 
-        { parse_mode: 'Markdown' }
+// Shared by the commands and the reply keyboard buttons
+const promptAddressSearch = async (chatId, sessionId, replyToMessageId = null) => {
+    await bot.sendMessage(chatId, translatorFor(chatId)('prompt.address'),
+        { parse_mode: 'Markdown', ...promptOptions(chatId, replyToMessageId) }
     );
     
     // Set user state for address search
-    userSessions.set(chatId, { 
-        ...userSessions.get(chatId),
+    userSessions.set(sessionId, { 
+        ...userSessions.get(sessionId),
         waitingForAddress: true 
     });
+};
+
+const promptBusStopSearch = async (chatId, sessionId, replyToMessageId = null) => {
+    await bot.sendMessage(chatId, translatorFor(chatId)('prompt.busStop'),
+        { parse_mode: 'Markdown', ...promptOptions(chatId, replyToMessageId) }
+    );
+    
+    // Set user state for bus stop number search
+    userSessions.set(sessionId, { 
+        ...userSessions.get(sessionId),
+        waitingForBusStop: true 
+    });
+};
+
+onCommand('search', async (msg) => {
+    const chatId = msg.chat.id;
+    await promptAddressSearch(chatId, sessionKey(chatId, msg.from?.id), msg.message_id);
 });
 
-bot.onText(/\/busstop/, async (msg) => {
+onCommand('busstop', async (msg) => {
+    const chatId = msg.chat.id;
+    await promptBusStopSearch(chatId, sessionKey(chatId, msg.from?.id), msg.message_id);
+});
+
+onCommand('find', async (msg, args) => {
     const chatId = msg.chat.id;
     
-    await bot.sendMessage(chatId, 
-        `🚏 *Bus Stop Number Search*\n\n` +
-        `Enter a Singapore bus stop code to get real-time arrivals.\n\n` +
-        `📝 **Examples:**\n` +
-        `• 01012 (Raffles Place)\n` +
-        `• 43009 (Orchard Boulevard)\n` +
-        `• 28009 (Marina Bay Sands)\n` +
-        `• 59009 (Changi Airport)\n\n` +
-        `💡 **Tips:**\n` +
-        `• Bus stop codes are usually 5 digits\n` +
-        `• You can find codes on physical bus stop signs\n` +
-        `• Or use OneMap.gov.sg to find codes\n\n` +
-        `**Type the bus stop number below:**`, 
-        { parse_mode: 'Markdown' }
+    if (!args) {
+        await bot.sendMessage(chatId, translatorFor(chatId)('stopSearch.prompt'), {
+            parse_mode: 'Markdown',
+            ...promptOptions(chatId, msg.message_id)
+        });
+        const sessionId = sessionKey(chatId, msg.from?.id);
+        userSessions.set(sessionId, { ...userSessions.get(sessionId), waitingForBusStop: true });
+        return;
+    }
+    
+    await showStopNameResults(chatId, args, sessionKey(chatId, msg.from?.id));
+});
+
+onCommand('favourites', async (msg) => {
+    const chatId = msg.chat.id;
+    await showFavourites(chatId);
+});
+
+onCommand('alerts', async (msg) => {
+    const chatId = msg.chat.id;
+    await showAlerts(chatId);
+});
+
+onCommand('schedule', async (msg) => {
+    const chatId = msg.chat.id;
+    await showSchedules(chatId);
+});
+
+const showRoute = async (chatId, serviceNo) => {
+    const t = translatorFor(chatId);
+    const loadingMsg = await bot.sendMessage(chatId, 
+        busRoutesCache.services.size > 0
+            ? t('route.loading', { service: serviceNo })
+            : t('route.loadingFirst')
     );
     
-    // Set user state for bus stop number search
-    userSessions.set(chatId, { 
-        ...userSessions.get(chatId),
-        waitingForBusStop: true 
+    const services = await getAllBusRoutes();
+    const routePage = services.has(serviceNo) ? renderRoutePage(t, serviceNo, Math.min(...Object.keys(services.get(serviceNo)).map(Number)), 0) : null;
+    
+    if (!routePage) {
+        await bot.editMessageText(
+            services.size === 0
+                ? t('route.unavailable')
+                : t('route.notFound', { service: serviceNo }), {
+            chat_id: chatId,
+            message_id: loadingMsg.message_id
+        });
+        return;
+    }
+    
+    await bot.editMessageText(routePage.text, {
+        chat_id: chatId,
+        message_id: loadingMsg.message_id,
+        parse_mode: 'Markdown',
+        reply_markup: routePage.reply_markup
     });
+};
+
+onCommand('route', async (msg, args) => {
+    const chatId = msg.chat.id;
+    const serviceNo = args.split(/\s+/)[0].toUpperCase();
+    
+    if (!serviceNo) {
+        await bot.sendMessage(chatId, translatorFor(chatId)('route.usage'), { parse_mode: 'Markdown' });
+        return;
+    }
+    
+    await showRoute(chatId, serviceNo);
 });
 
 // FIXED: Settings command now uses the reusable function
-bot.onText(/\/settings/, async (msg) => {
+onCommand('settings', async (msg) => {
     const chatId = msg.chat.id;
     await showSettingsMenu(chatId);
 });
 
+// Admin commands are ignored for everyone else, as if they didn't exist
+const isAdmin = (chatId) => ADMIN_CHAT_IDS.has(String(chatId));
+
+const adminCommand = (handler) => async (msg, args) => {
+    if (!isAdmin(msg.chat.id)) {
+        logger.warn('🚫 Admin command refused', { chatId: msg.chat.id, command: msg.text.split(/\s/)[0] });
+        return;
+    }
+    await handler(msg, args);
+};
+
 // Enhanced debug command with more diagnostic info
-bot.onText(/\/debug/, async (msg) => {
+onCommand('debug', adminCommand(async (msg) => {
     const chatId = msg.chat.id;
     
     const debugInfo = 
         `🔧 *Debug Information*\n\n` +
         `*System Status:*\n` +
         `• Environment: ${NODE_ENV}\n` +
-        `• API Endpoint: ${WORKING_API_ENDPOINT ? WORKING_API_ENDPOINT : '❌ Not connected'}\n` +
+        `• API Endpoint: ${ltaClient.workingEndpoint ? ltaClient.workingEndpoint : '❌ Not connected'}\n` +
         `• Bot Token: ${BOT_TOKEN ? 'Set ✅' : 'Missing ❌'}\n` +
-        `• LTA API Key: ${LTA_API_KEY ? `Set ✅ (${LTA_API_KEY.substring(0, 8)}...)` : 'Missing ❌'}\n\n` +
+        `• LTA API Key: ${LTA_API_KEY ? 'Set ✅' : 'Missing ❌'}\n\n` +
         `*Cache Status:*\n` +
         `• Bus Stops Cached: ${busStopsCache.data.length}\n` +
         `• Last Updated: ${busStopsCache.lastUpdated ? new Date(busStopsCache.lastUpdated).toLocaleString() : 'Never'}\n` +
-        `• Cache Age: ${busStopsCache.lastUpdated ? Math.round((Date.now() - busStopsCache.lastUpdated) / 60000) + ' minutes' : 'N/A'}\n\n` +
+        `• Cache Age: ${busStopsCache.lastUpdated ? Math.round((Date.now() - busStopsCache.lastUpdated) / 60000) + ' minutes' : 'N/A'}\n` +
+        `• Arrivals Cached: ${arrivalCache.size} stops (${arrivalCache.stats.hits} hits, ${arrivalCache.stats.misses} misses, ${arrivalCache.stats.coalesced} shared, ${arrivalCache.stats.staleServed} stale)\n\n` +
         `*Configuration:*\n` +
         `• Search Radius: ${SEARCH_RADIUS}m\n` +
         `• Max Bus Stops: ${MAX_BUS_STOPS}\n` +
         `• Request Timeout: ${REQUEST_TIMEOUT}ms\n\n` +
-        `*API Endpoints Available:*\n` +
-        Object.entries(API_ENDPOINTS).map(([name, url]) => `• ${name}: ${url}`).join('\n') + '\n\n' +
+        `*API Endpoint Health:*\n` +
+        ltaClient.getHealth().map(endpoint => {
+            const icon = endpoint.state === 'closed' ? '🟢' : endpoint.state === 'half-open' ? '🟡' : '🔴';
+            return `${icon} ${endpoint.name}${endpoint.preferred ? ' (active)' : ''}: ${endpoint.state}, ` +
+                `${endpoint.successes} ok / ${endpoint.failures} failed` +
+                `${endpoint.avgLatency !== null ? `, ~${endpoint.avgLatency}ms` : ''}` +
+                `${endpoint.lastError ? `, last error ${endpoint.lastError}` : ''}`;
+        }).join('\n') + '\n' +
+        `• Rate limit tokens: ${ltaClient.availableTokens}/${LTA_RATE_LIMIT.capacity}\n\n` +
         `*Active Sessions:* ${userSessions.size}\n` +
-        `*User Preferences:* ${userPreferences.size}`;
+        `*User Preferences:* ${userPreferences.size}\n` +
+        `*Storage:* ${storage.driverName}`;
 
     await bot.sendMessage(chatId, debugInfo, { parse_mode: 'Markdown' });
-});
+}));
 
-bot.onText(/\/test/, async (msg) => {
+onCommand('test', adminCommand(async (msg) => {
     const chatId = msg.chat.id;
     
     const testMsg = await bot.sendMessage(chatId, '🧪 Testing API connection...');
     
-    const workingEndpoint = await testAPIConnection();
+    const workingEndpoint = await ltaClient.testConnection();
     
     if (workingEndpoint) {
-        WORKING_API_ENDPOINT = workingEndpoint;
         await bot.editMessageText(
             `✅ *API Connection Successful!*\n\n` +
             `Endpoint: ${workingEndpoint}\n` +
@@ -872,460 +1824,1357 @@ bot.onText(/\/test/, async (msg) => {
             parse_mode: 'Markdown'
         });
     }
-});
+}));
 
-// FIXED: Enhanced text message handler with better logic for bus stop codes
-bot.on('text', async (msg) => {
+onCommand('users', adminCommand(async (msg) => {
     const chatId = msg.chat.id;
-    const text = msg.text?.trim();
+    const stats = users.stats();
+    const countItems = (name) => [...storage.collection(name).values()]
+        .reduce((total, items) => total + (Array.isArray(items) ? items.length : 0), 0);
     
-    // Skip if it's a command or empty
-    if (!text || text.startsWith('/')) return;
+    await bot.sendMessage(chatId,
+        `👥 *Users*\n\n` +
+        `• Chats: ${stats.total} (${stats.groups} groups)\n` +
+        `• Active in last 24h: ${stats.active24h}\n` +
+        `• Active in last 7 days: ${stats.active7d}\n` +
+        `• New in last 7 days: ${stats.new7d}\n` +
+        `• Blocked the bot: ${stats.blocked}\n\n` +
+        `*Usage:*\n` +
+        `• Favourites: ${countItems('favourites')} stops in ${storage.collection('favourites').size} chats\n` +
+        `• Active alerts: ${alertScheduler.activeCount}\n` +
+        `• Commute schedules: ${countItems('schedules')}\n` +
+        `• Live messages: ${liveUpdater.activeCount}\n` +
+        `• Buses followed: ${busTracker.activeCount}\n` +
+        `• Sessions: ${userSessions.size}`,
+        { parse_mode: 'Markdown' }
+    );
+}));
+
+onCommand('reloadstops', adminCommand(async (msg) => {
+    const chatId = msg.chat.id;
+    const previous = busStopsCache.data;
+    const startedAt = Date.now();
     
-    const session = userSessions.get(chatId) || {};
+    const reloadMsg = await bot.sendMessage(chatId, '🔁 Re-downloading bus stop data...');
+    const stops = await getAllBusStops();
     
-    // Handle button presses first
-    if (text === '🔍 Search Address') {
-        await bot.sendMessage(chatId, 
-            `🔍 *Enhanced Address Search*\n\n` +
-            `Type any Singapore location. I can find:\n\n` +
-            `🚇 *MRT/LRT Stations:*\n` +
-            `• "Yew Tee Station"\n` +
-            `• "Dhoby Ghaut"\n` +
-            `• "Jurong East MRT"\n\n` +
-            `🏬 *Shopping Malls:*\n` +
-            `• "Causeway Point"\n` +
-            `• "Jurong Point"\n` +
-            `• "Marina Bay Sands"\n\n` +
-            `📍 *Areas & Roads:*\n` +
-            `• "Orchard Road"\n` +
-            `• "Raffles Place"\n` +
-            `• "Little India"\n\n` +
-            `Just type your location below:`, 
-            { parse_mode: 'Markdown' }
-        );
-        userSessions.set(chatId, { ...session, waitingForAddress: true });
+    // getAllBusStops keeps serving the old data when the download fails
+    if (busStopsCache.lastUpdated < startedAt) {
+        await bot.editMessageText(
+            `❌ *Bus stop reload failed*\n\nStill serving ${previous.length} stops from before. Check the logs or /debug.`, {
+            chat_id: chatId,
+            message_id: reloadMsg.message_id,
+            parse_mode: 'Markdown'
+        });
         return;
     }
     
-    if (text === '🚏 Bus Stop Number') {
-        await bot.sendMessage(chatId, 
-            `🚏 *Bus Stop Number Search*\n\n` +
-            `Enter a Singapore bus stop code to get real-time arrivals.\n\n` +
-            `📝 **Examples:**\n` +
-            `• 01012 (Raffles Place)\n` +
-            `• 43009 (Orchard Boulevard)\n` +
-            `• 28009 (Marina Bay Sands)\n` +
-            `• 59009 (Changi Airport)\n\n` +
-            `💡 **Tips:**\n` +
-            `• Bus stop codes are usually 5 digits\n` +
-            `• You can find codes on physical bus stop signs\n` +
-            `• Or use OneMap.gov.sg to find codes\n\n` +
-            `**Type the bus stop number below:**`, 
-            { parse_mode: 'Markdown' }
-        );
-        userSessions.set(chatId, { ...session, waitingForBusStop: true });
-        return;
-    }
+    const { added, removed, renamed } = diffBusStops(previous, stops);
+    await bot.editMessageText(
+        `✅ *Bus stops reloaded*\n\n` +
+        `• Stops: ${stops.length}\n` +
+        `• Added: ${added.length}\n` +
+        `• Removed: ${removed.length}\n` +
+        `• Renamed: ${renamed.length}\n` +
+        `• Took: ${((Date.now() - startedAt) / 1000).toFixed(1)}s`, {
+        chat_id: chatId,
+        message_id: reloadMsg.message_id,
+        parse_mode: 'Markdown'
+    });
+}));
+
+const broadcaster = createBroadcaster({
+    send: (chatId, text) => bot.sendMessage(chatId, text, { parse_mode: 'Markdown' }),
+    onBlocked: (chatId) => users.markBlocked(chatId)
+});
+
+const formatBroadcastProgress = ({ total, sent, blocked, failed }, done) =>
+    `${done ? '✅ *Broadcast finished*' : '📣 *Broadcasting...*'}\n\n` +
+    `• Sent: ${sent}/${total}\n` +
+    `• Blocked the bot: ${blocked}\n` +
+    `• Failed: ${failed}`;
+
+onCommand('broadcast', adminCommand(async (msg, args) => {
+    const chatId = msg.chat.id;
+    const text = args;
+    
+    if (!text) {
+        await bot.sendMessage(chatId,
+            '📣 *Broadcast*\n\nUsage: `/broadcast your message`\n\nYou will see a preview before anything is sent. Markdown formatting is supported.',
+            { parse_mode: 'Markdown' }
+        );
+        return;
+    }
+    if (broadcaster.running) {
+        await bot.sendMessage(chatId, '⏳ A broadcast is already being sent. Please wait for it to finish.');
+        return;
+    }
+    
+    const recipients = users.reachable().length;
+    const draftId = broadcaster.draft(text);
+    
+    await bot.sendMessage(chatId, `📣 *Broadcast preview* - this will be sent to ${recipients} chats:`, { parse_mode: 'Markdown' });
+    try {
+        // The preview is sent exactly as recipients will see it, so bad Markdown shows up here
+        await bot.sendMessage(chatId, text, {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [
+                    [{ text: `✅ Send to ${recipients} chats`, callback_data: `broadcast_send_${draftId}` }],
+                    [{ text: '❌ Cancel', callback_data: `broadcast_cancel_${draftId}` }]
+                ]
+            }
+        });
+    } catch (error) {
+        broadcaster.takeDraft(draftId);
+        await bot.sendMessage(chatId, `❌ Telegram rejected the message, so it was not sent:\n${error.message}`);
+    }
+}));
+
+// FIXED: Enhanced text message handler with better logic for bus stop codes
+// Free-text messages are routed by what they ask for (lib/intents.js); the prompts'
+// waitingFor* flags only decide what to do with text that doesn't say
+
+const showBusStopArrivals = async (chatId, busStopCode, { services = [], sessionId = chatId } = {}) => {
+    const searchMsg = await bot.sendMessage(chatId, translatorFor(chatId)('arrivals.lookingUp', { code: busStopCode }));
+    
+    try {
+        // Get bus stop name from cache if available
+        let busStopName = null;
+        if (busStopsCache.data.length > 0) {
+            const busStop = findBusStop(busStopCode);
+            if (busStop) {
+                busStopName = busStop.Description;
+            } else {
+                logger.debug('⚠️ Bus stop not found in cache', { busStopCode });
+            }
+        }
+        
+        const busMessage = await formatSingleBusStopMessage(busStopCode, busStopName, { services, ...displayOptionsFor(chatId) });
+        
+        // Clear the bus stop search state
+        const updatedSession = { ...userSessions.get(sessionId) };
+        delete updatedSession.waitingForBusStop;
+        updatedSession.lastBusStopCode = busStopCode;
+        userSessions.set(sessionId, updatedSession);
+        
+        await editArrivalsMessage(chatId, searchMsg.message_id, busMessage, createBusStopKeyboard(chatId, busStopCode), busStopCode);
+        
+    } catch (error) {
+        logger.error('❌ Bus stop search error', { busStopCode, error });
+        await bot.editMessageText(translatorFor(chatId)('arrivals.loadError', { code: busStopCode }), {
+            chat_id: chatId,
+            message_id: searchMsg.message_id,
+            parse_mode: 'Markdown'
+        });
+        
+        // Keep the session state so user can try again
+    }
+};
+
+const searchNearAddress = async (chatId, query, sessionId = chatId) => {
+    logger.debug('🔍 Processing address search', { chatId });
+    const t = translatorFor(chatId);
+    
+    const searchMsg = await bot.sendMessage(chatId, t('address.searching', { query }));
+    
+    try {
+        const location = await geocodeAddress(query);
+        
+        if (location) {
+            await bot.editMessageText(t('address.found', {
+                address: location.address,
+                provider: location.provider,
+                latitude: location.latitude.toFixed(4),
+                longitude: location.longitude.toFixed(4)
+            }), {
+                chat_id: chatId,
+                message_id: searchMsg.message_id,
+                parse_mode: 'Markdown'
+            });
+            
+            // Clear the address search state
+            const updatedSession = { ...userSessions.get(sessionId) };
+            delete updatedSession.waitingForAddress;
+            updatedSession.latitude = location.latitude;
+            updatedSession.longitude = location.longitude;
+            updatedSession.searchedAddress = location.address;
+            updatedSession.provider = location.provider;
+            userSessions.set(sessionId, updatedSession);
+            
+            await sleep(1000); // Brief pause for user to see the found location
+            await bot.deleteMessage(chatId, searchMsg.message_id);
+            await handleLocationSearch(chatId, location.latitude, location.longitude, 
+                t('address.results', { address: location.address }), sessionId);
+            
+        } else {
+            await bot.editMessageText(t('address.notFound', { query }), {
+                chat_id: chatId,
+                message_id: searchMsg.message_id,
+                parse_mode: 'Markdown'
+            });
+            
+            // Keep the address search state active for retry
+        }
+    } catch (error) {
+        logger.error('❌ Address search error', { error });
+        await bot.editMessageText(t('address.error'), {
+            chat_id: chatId,
+            message_id: searchMsg.message_id,
+            parse_mode: 'Markdown'
+        });
+    }
+};
+
+// Returns false when nothing matched, leaving a /busstop prompt open for another try
+const showStopNameResults = async (chatId, query, sessionId = chatId) => {
+    const t = translatorFor(chatId);
+    const results = renderStopSearchResults(query, t);
+    if (!results) {
+        await bot.sendMessage(chatId, t('stopSearch.notFound', { query }));
+        return false;
+    }
+    
+    const updatedSession = { ...userSessions.get(sessionId) };
+    delete updatedSession.waitingForBusStop;
+    userSessions.set(sessionId, updatedSession);
+    await bot.sendMessage(chatId, results.text, { parse_mode: 'Markdown', reply_markup: results.reply_markup });
+    return true;
+};
+
+const DESTINATION_RADIUS = 400; // Stops this close to a destination count as getting there
+const DESTINATION_MAX_STOPS = 8;
+const DESTINATION_RESULTS = 6;
+
+const stopDescription = (t, busStopCode) => findBusStop(busStopCode)?.Description || t('arrivals.busStop', { code: busStopCode });
+
+// Direct buses from the user's last searched location to somewhere else
+const searchDestination = async (chatId, query, sessionId = chatId) => {
+    const t = translatorFor(chatId);
+    const statusMsg = await bot.sendMessage(chatId, t('destination.searching', { query }));
+    const edit = (message, options = {}) => bot.editMessageText(message, {
+        chat_id: chatId,
+        message_id: statusMsg.message_id,
+        ...options
+    });
+    
+    try {
+        const destination = await geocodeAddress(query);
+        const destinationStops = destination
+            ? findNearbyBusStops(destination.latitude, destination.longitude, DESTINATION_RADIUS, DESTINATION_MAX_STOPS)
+            : [];
+        
+        if (destinationStops.length === 0) {
+            await edit(t('destination.noStops', { query }));
+            return;
+        }
+        
+        const services = await getAllBusRoutes();
+        if (services.size === 0) {
+            await edit(t('route.unavailable'));
+            return;
+        }
+        
+        const destinationCodes = destinationStops.map(stop => stop.BusStopCode);
+        const session = userSessions.get(sessionId) || {};
+        
+        // Without a starting point, the most we can say is which buses go there
+        if (!session.latitude || !session.longitude) {
+            const serving = servicesServingStops(services, destinationCodes);
+            await edit(t('destination.serving', {
+                place: destination.address,
+                services: serving.length > 0 ? `🚌 ${serving.join(', ')}` : t('destination.noServices')
+            }), { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        const { stops: originStops } = findStopsForLocation(chatId, session.latitude, session.longitude);
+        const journeys = findDirectJourneys(services, originStops.map(stop => stop.BusStopCode), destinationCodes, DESTINATION_RESULTS);
+        const origin = session.searchedAddress || t('destination.lastLocation');
+        
+        if (journeys.length === 0) {
+            await edit(t('destination.noDirect', { origin, place: destination.address }));
+            return;
+        }
+        
+        let message = `${t('destination.title', { place: destination.address, origin })}\n\n`;
+        journeys.forEach(journey => {
+            message += `${t('destination.journey', { service: journey.serviceNo, stop: stopDescription(t, journey.from), code: journey.from })}\n`;
+            message += `   ↳ ${t('destination.rideTo', { count: journey.stopCount, stop: stopDescription(t, journey.to) })}`;
+            message += journey.distance > 0 ? ` • ${journey.distance.toFixed(1)} km\n` : '\n';
+        });
+        message += `\n${t('destination.tapBus')}`;
+        
+        await edit(message, {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: journeys.map(journey => [{
+                    text: t('destination.button', { service: journey.serviceNo, stop: stopDescription(t, journey.from) }).slice(0, 40),
+                    callback_data: `stop_arr_${journey.from}_${journey.serviceNo}`
+                }])
+            }
+        });
+    } catch (error) {
+        logger.error('❌ Destination search error', { error });
+        await edit(t('destination.error'));
+    }
+};
+
+// Text we can't place gets one question: a stop name, a place to search around, or a destination
+const askWhatTheyMeant = async (chatId, text, sessionId, replyToMessageId) => {
+    userSessions.set(sessionId, { ...userSessions.get(sessionId), pendingText: text });
+    
+    const t = translatorFor(chatId);
+    const label = text.length > 20 ? `${text.slice(0, 19)}…` : text;
+    const rows = [];
+    if (busStopsCache.searchIndex?.search(text, 1).length > 0) {
+        rows.push([{ text: t('intent.stopsNamed', { text: label }), callback_data: 'intent_stops' }]);
+    }
+    rows.push([{ text: t('intent.stopsNear', { text: label }), callback_data: 'intent_near' }]);
+    rows.push([{ text: t('intent.busesTo', { text: label }), callback_data: 'intent_to' }]);
+    
+    await bot.sendMessage(chatId, t('intent.question', { text }), {
+        ...(isGroupChat(chatId) && { reply_to_message_id: replyToMessageId }),
+        reply_markup: { inline_keyboard: rows }
+    });
+};
+
+const handleIntent = async (chatId, intent, sessionId) => {
+    if (intent.type === 'arrivals') {
+        await showBusStopArrivals(chatId, intent.busStopCode, { services: intent.services, sessionId });
+    } else if (intent.type === 'route') {
+        await showRoute(chatId, intent.serviceNo);
+    } else if (intent.type === 'road') {
+        await showStopNameResults(chatId, intent.query, sessionId);
+    } else if (intent.type === 'nearby') {
+        await searchNearAddress(chatId, intent.query, sessionId);
+    } else if (intent.type === 'destination') {
+        await searchDestination(chatId, intent.query, sessionId);
+    }
+};
+
+bot.on('text', async (msg) => {
+    const chatId = msg.chat.id;
+    
+    // In groups, ignore the conversation unless it's addressed to us
+    if (!isAddressedToBot(msg)) return;
+    const text = stripBotMention(msg.text?.trim() || '');
+    
+    // Skip if it's a command or empty
+    if (!text || text.startsWith('/')) return;
+    
+    const sessionId = sessionKey(chatId, msg.from?.id);
+    const session = userSessions.get(sessionId) || {};
+    const t = translatorFor(chatId);
+    
+    // Handle button presses first
+    if (isKeyboardButton(text, 'button.searchAddress')) {
+        await promptAddressSearch(chatId, sessionId);
+        return;
+    }
     
-    if (text === '🔄 Refresh' && session.latitude && session.longitude) {
-        await handleLocationSearch(chatId, session.latitude, session.longitude, 'Refreshing bus arrivals...');
+    if (isKeyboardButton(text, 'button.busStopNumber')) {
+        await promptBusStopSearch(chatId, sessionId);
+        return;
+    }
+    
+    if (isKeyboardButton(text, 'button.refresh') && session.latitude && session.longitude) {
+        await handleLocationSearch(chatId, session.latitude, session.longitude, t('arrivals.refreshing'), sessionId);
         return;
     }
     
     // FIXED: Settings button now calls the reusable function directly
-    if (text === '⚙️ Settings') {
+    if (isKeyboardButton(text, 'button.settings')) {
         await showSettingsMenu(chatId);
         return;
     }
     
-    if (text === '❓ Help') {
-        // Reuse the help command handler
-        const helpMessage = 
-            `❓ *Singapore Bus Bot Help*\n\n` +
-            `*Available Commands:*\n` +
-            `• /start - Start the bot\n` +
-            `• /help - Show this help message\n` +
-            `• /location - Request location sharing\n` +
-            `• /search - Search by address\n` +
-            `• /settings - Adjust preferences\n` +
-            `*Features:*\n` +
-            `📍 Share your GPS location for instant results\n` +
-            `🔍 Search by typing any Singapore address\n` +
-            `📱 All nearby stops shown in one message\n` +
-            `🔄 Real-time arrival updates\n` +
-            `⚙️ Customizable search radius\n\n` +
-            `*Tips:*\n` +
-            `• For address search, be specific (e.g., "Orchard Road MRT")\n` +
-            `• Bus timings are updated every 30 seconds\n` +
-            `• Load indicators: 🟢 Seats, 🟡 Standing, 🔴 Limited\n\n` +
-            `Need more help? Contact RandomG.`;
-
-        await bot.sendMessage(chatId, helpMessage, { 
-            parse_mode: 'Markdown',
-            reply_markup: createMainKeyboard()
+    if (isKeyboardButton(text, 'button.favourites')) {
+        await showFavourites(chatId);
+        return;
+    }
+    
+    if (isKeyboardButton(text, 'button.help')) {
+        await showHelp(chatId);
+        return;
+    }
+    
+    // Text that says what it wants is answered directly, even mid-prompt, unless the
+    // prompt is for a nickname or schedule - those are handled below
+    const intent = routeText(text, session);
+    if (intent.type !== 'unknown' && intent.type !== 'prompt') {
+        const updatedSession = { ...session };
+        delete updatedSession.waitingForBusStop;
+        delete updatedSession.waitingForAddress;
+        userSessions.set(sessionId, updatedSession);
+        await handleIntent(chatId, intent, sessionId);
+        return;
+    }
+    
+    if (session.waitingForNickname) {
+        const busStopCode = session.waitingForNickname;
+        const updatedSession = { ...session };
+        delete updatedSession.waitingForNickname;
+        userSessions.set(sessionId, updatedSession);
+        
+        if (favourites.rename(chatId, busStopCode, text)) {
+            const favourite = favourites.find(chatId, busStopCode);
+            await bot.sendMessage(chatId, t('favourites.nicknameSaved', { code: busStopCode, name: favourites.displayName(favourite) }), {
+                reply_markup: createMainKeyboard(chatId)
+            });
+        } else {
+            await bot.sendMessage(chatId, t('favourites.gone', { code: busStopCode }));
+        }
+        return;
+    }
+    
+    if (session.waitingForSchedule) {
+        const parsed = parseScheduleInput(text);
+        
+        if (!parsed) {
+            await bot.sendMessage(chatId, t('schedules.invalid'), { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        const updatedSession = { ...session };
+        delete updatedSession.waitingForSchedule;
+        userSessions.set(sessionId, updatedSession);
+        
+        const busStop = findBusStop(parsed.busStopCode);
+        const result = commuteScheduler.create(chatId, {
+            ...parsed,
+            busStopName: busStop ? busStop.Description : null
         });
+        
+        if (!result.created) {
+            await bot.sendMessage(chatId, t('schedules.limit', { max: MAX_SCHEDULES_PER_USER }));
+            return;
+        }
+        
+        const detailMsg = await bot.sendMessage(chatId, t('schedules.created'));
+        await showScheduleDetail(chatId, detailMsg.message_id, result.schedule);
         return;
     }
     
-    // FIXED: Better handling of bus stop code validation and state management
     if (session.waitingForBusStop) {
-        console.log(`🚏 Processing bus stop code: "${text}" for user ${chatId}`);
+        // Codes were handled above, so this is a name ("Opp Blk 123") or a mistyped code
+        if (/[a-z]/i.test(text)) {
+            await showStopNameResults(chatId, text, sessionId);
+            return;
+        }
         
-        // More flexible validation - accept 4-5 digits with optional leading zeros
-        const cleanedCode = text.replace(/\D/g, ''); // Remove non-digits
-        let busStopCode = cleanedCode;
+        await bot.sendMessage(chatId, t('prompt.invalidCode', { text }), { parse_mode: 'Markdown' });
+        return;
+    }
+    
+    if (session.waitingForAddress) {
+        await searchNearAddress(chatId, text, sessionId);
+        return;
+    }
+    
+    // Replies to our messages in a group are often just conversation - only ask when @mentioned
+    if (isGroupChat(chatId) && !mentionPattern('i').test(msg.text)) return;
+    
+    await askWhatTheyMeant(chatId, text, sessionId, msg.message_id);
+});
+
+// Builds the combined nearby arrivals message ({ message, complete }), or null if there are no stops in range
+const buildNearbyArrivalsMessage = async (chatId, latitude, longitude) => {
+    const { stops, title } = findStopsForLocation(chatId, latitude, longitude);
+    
+    if (stops.length === 0) return null;
+    
+    return formatCombinedBusArrivalsMessage(stops, title, { ...displayOptionsFor(chatId), groupByDirection: true });
+};
+
+// Long arrivals are sent in pages with ◀ ▶ buttons that edit the message in place. The page
+// each message is on is kept in memory so refreshes and live updates stay on it.
+const MAX_TRACKED_PAGES = 1000;
+const viewedPages = new Map(); // "chatId:messageId" -> page, oldest first
+
+const viewedPage = (chatId, messageId) => viewedPages.get(`${chatId}:${messageId}`) || 0;
+
+const rememberPage = (chatId, messageId, page) => {
+    const key = `${chatId}:${messageId}`;
+    viewedPages.delete(key);
+    if (page > 0) viewedPages.set(key, page);
+    if (viewedPages.size > MAX_TRACKED_PAGES) {
+        viewedPages.delete(viewedPages.keys().next().value);
+    }
+};
+
+// pageTarget is what the page buttons re-render: a search location, a stop code or 'fav'.
+// The footer (e.g. the live notice) goes on every page.
+const paginateArrivals = (message, replyMarkup, pageTarget, page = 0, footer = '') => {
+    const pages = splitMessage(message, MESSAGE_PAGE_LIMIT - footer.length);
+    const currentPage = Math.min(Math.max(page, 0), pages.length - 1);
+    if (pages.length === 1) {
+        return { text: pages[0] + footer, reply_markup: replyMarkup };
+    }
+    
+    const navigation = [];
+    if (currentPage > 0) {
+        navigation.push({ text: '◀', callback_data: `page_${pageTarget}_${currentPage - 1}` });
+    }
+    navigation.push({ text: `${currentPage + 1}/${pages.length}`, callback_data: 'noop' });
+    if (currentPage < pages.length - 1) {
+        navigation.push({ text: '▶', callback_data: `page_${pageTarget}_${currentPage + 1}` });
+    }
+    
+    return {
+        text: pages[currentPage] + footer,
+        reply_markup: { ...replyMarkup, inline_keyboard: [navigation, ...(replyMarkup?.inline_keyboard || [])] }
+    };
+};
+
+const editArrivalsMessage = (chatId, messageId, message, replyMarkup, pageTarget) => {
+    const { text, reply_markup } = paginateArrivals(message, replyMarkup, pageTarget, viewedPage(chatId, messageId));
+    return bot.editMessageText(text, {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown',
+        reply_markup
+    });
+};
+
+const sendArrivalsMessage = (chatId, message, replyMarkup, pageTarget) => {
+    const { text, reply_markup } = paginateArrivals(message, replyMarkup, pageTarget);
+    return bot.sendMessage(chatId, text, { parse_mode: 'Markdown', reply_markup });
+};
+
+// Arrivals for a page target with its usual keyboard, or null if a location target has expired.
+// complete is as from formatCombinedBusArrivalsMessage.
+const renderArrivalsFor = async (chatId, pageTarget, live = false) => {
+    if (pageTarget === 'fav') {
+        const stops = favouriteArrivalStops(chatId);
+        const t = translatorFor(chatId);
+        const { message, complete } = await formatCombinedBusArrivalsMessage(stops, t('arrivals.favouritesTitle', { count: stops.length }), displayOptionsFor(chatId));
+        return { message, complete, replyMarkup: createFavouritesKeyboard(chatId) };
+    }
+    
+    if (isLocationTarget(pageTarget)) {
+        const location = resolveSearchLocation(pageTarget, chatId);
+        if (!location) return null;
+        
+        const nearby = await buildNearbyArrivalsMessage(chatId, location.latitude, location.longitude);
+        return {
+            message: nearby ? nearby.message : translatorFor(chatId)('arrivals.noStopsWithin', { km: NEAREST_FALLBACK_MAX_DISTANCE / 1000 }),
+            complete: nearby ? nearby.complete : null,
+            replyMarkup: createRefreshKeyboard(chatId, pageTarget, live)
+        };
+    }
+    
+    return {
+        message: await formatSingleBusStopMessage(pageTarget, findBusStop(pageTarget)?.Description || null, displayOptionsFor(chatId)),
+        complete: null,
+        replyMarkup: createBusStopKeyboard(chatId, pageTarget, live)
+    };
+};
+
+// Follow-up edit for combined messages whose slow stops loaded after the first render. It
+// waits for the first edit (sent) so the two can't reach Telegram in the wrong order.
+const editWhenComplete = (sent, complete, chatId, messageId, replyMarkup, pageTarget) => {
+    if (!complete) return;
+    Promise.all([sent, complete])
+        .then(([, message]) => editArrivalsMessage(chatId, messageId, message, replyMarkup, pageTarget))
+        .catch(error => logger.error('❌ Follow-up arrivals edit failed', { error }));
+};
+
+const formatLiveFooter = (expiresAt, t) => '\n\n' + t('arrivals.liveFooter', {
+    seconds: LIVE_UPDATE_INTERVAL / 1000,
+    time: formatTime(t.language, new Date(expiresAt), { hour: '2-digit', minute: '2-digit' })
+});
+
+const liveUpdater = createLiveUpdater({
+    edit: (chatId, messageId, { text, reply_markup }) => bot.editMessageText(text, {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown',
+        reply_markup
+    })
+});
+
+// "Where is my bus?" - the next bus of a service at the stop, from the arrivals cache
+const locateBus = async (busStopCode, serviceNo) => {
+    const arrivalsData = await getBusArrivals(busStopCode);
+    const service = arrivalsData?.Services?.find(candidate => candidate.ServiceNo === serviceNo);
+    return busPosition(service, findBusStop(busStopCode));
+};
+
+const formatBusPosition = (t, busStopCode, serviceNo, position, following = false) => {
+    const message = t('track.position', {
+        service: serviceNo,
+        stop: findBusStop(busStopCode)?.Description || busStopCode,
+        distance: position.distance ?? '?',
+        arrival: formatArrivalTime(position.estimatedArrival, t) || t('time.noData')
+    });
+    return following ? `${message}\n\n${t('track.following')}` : message;
+};
+
+const busTracker = createBusTracker({
+    locate: (entry) => locateBus(entry.busStopCode, entry.serviceNo),
+    move: async (entry, position) => {
+        await bot.editMessageLiveLocation(position.latitude, position.longitude, {
+            chat_id: entry.chatId,
+            message_id: entry.locationMessageId
+        });
+        await bot.editMessageText(formatBusPosition(translatorFor(entry.chatId), entry.busStopCode, entry.serviceNo, position, true), {
+            chat_id: entry.chatId,
+            message_id: entry.messageId,
+            parse_mode: 'Markdown',
+            reply_markup: createTrackingKeyboard(entry.chatId, entry.busStopCode, entry.serviceNo, true)
+        });
+    },
+    finish: async (entry, reason) => {
+        await bot.stopMessageLiveLocation({ chat_id: entry.chatId, message_id: entry.locationMessageId }).catch(() => {});
+        if (reason === 'failed') return;
         
-        // Pad with leading zeros if needed (common for Singapore bus stops)
-        if (cleanedCode.length === 4) {
-            busStopCode = '0' + cleanedCode;
+        const t = translatorFor(entry.chatId);
+        const stop = findBusStop(entry.busStopCode)?.Description || entry.busStopCode;
+        if (reason === 'arrived' || reason === 'lost') {
+            await bot.editMessageText(t(`track.${reason}`, { service: entry.serviceNo, stop }), {
+                chat_id: entry.chatId,
+                message_id: entry.messageId,
+                parse_mode: 'Markdown'
+            });
+            return;
         }
         
-        if (!/^\d{5}$/.test(busStopCode)) {
-            await bot.sendMessage(chatId, 
-                `❌ **Invalid bus stop code format**\n\n` +
-                `Please enter a valid bus stop code (4-5 digits).\n\n` +
-                `📝 **Examples:**\n` +
-                `• 01012 or 1012\n` +
-                `• 43009\n` +
-                `• 28009\n\n` +
-                `You entered: "${text}"\n` +
-                `Please try again:`, 
-                { parse_mode: 'Markdown' }
-            );
+        // Stopped, expired or replaced - where the bus was last, with the Follow button back
+        await bot.editMessageText(formatBusPosition(t, entry.busStopCode, entry.serviceNo, entry.position), {
+            chat_id: entry.chatId,
+            message_id: entry.messageId,
+            parse_mode: 'Markdown',
+            reply_markup: createTrackingKeyboard(entry.chatId, entry.busStopCode, entry.serviceNo)
+        });
+    }
+});
+
+// Location handler
+const handleLocationSearch = async (chatId, latitude, longitude, initialMessage, sessionId = chatId) => {
+    const t = translatorFor(chatId);
+    const searchingMsg = await bot.sendMessage(chatId, initialMessage);
+    const location = encodeSearchLocation(latitude, longitude);
+
+    try {
+        const currentSession = userSessions.get(sessionId) || {};
+        userSessions.set(sessionId, { 
+            ...currentSession,
+            latitude, 
+            longitude, 
+            timestamp: Date.now()
+        });
+
+        const busStopsData = busStopsCache.data.length > 0 ? busStopsCache.data : await getAllBusStops();
+        
+        if (busStopsData.length === 0) {
+            await bot.editMessageText(t('arrivals.stopsUnavailable'), {
+                chat_id: chatId,
+                message_id: searchingMsg.message_id
+            });
             return;
         }
+
+        const { stops: nearbyStops, title } = findStopsForLocation(chatId, latitude, longitude);
+
+        if (nearbyStops.length === 0) {
+            await bot.editMessageText(t('arrivals.noStopsNearby', { km: NEAREST_FALLBACK_MAX_DISTANCE / 1000 }), {
+                chat_id: chatId,
+                message_id: searchingMsg.message_id
+            });
+            return;
+        }
+
+        await bot.editMessageText(t('arrivals.foundNearby', { count: nearbyStops.length }), {
+            chat_id: chatId,
+            message_id: searchingMsg.message_id
+        });
+
+        const { message, complete } = await formatCombinedBusArrivalsMessage(nearbyStops, title, {
+            ...displayOptionsFor(chatId),
+            groupByDirection: true
+        });
         
-        const searchMsg = await bot.sendMessage(chatId, 
-            `🔍 Looking up bus stop ${busStopCode}...\n` +
-            `⏳ Getting real-time arrivals...`
-        );
+        const sent = editArrivalsMessage(chatId, searchingMsg.message_id, message, createRefreshKeyboard(chatId, location), location);
+        editWhenComplete(sent, complete, chatId, searchingMsg.message_id, createRefreshKeyboard(chatId, location), location);
+        await sent;
+
+    } catch (error) {
+        logger.error('❌ Error processing location', { error });
+        await bot.editMessageText(t('arrivals.searchError'), {
+            chat_id: chatId,
+            message_id: searchingMsg.message_id
+        });
+    }
+};
+
+bot.on('location', async (msg) => {
+    const chatId = msg.chat.id;
+    const { latitude, longitude } = msg.location;
+    
+    // Group members share locations for all sorts of reasons - only answer replies to /location
+    if (!isAddressedToBot(msg)) return;
+
+    logger.info('📍 Location received', { chatId });
+    const sessionId = sessionKey(chatId, msg.from?.id);
+    const { searchedAddress, ...session } = userSessions.get(sessionId) || {}; // No longer where they are
+    userSessions.set(sessionId, session);
+    await handleLocationSearch(chatId, latitude, longitude, translatorFor(chatId)('arrivals.searchingNearby'), sessionId);
+});
+
+// Inline mode: "@bot 01012", "@bot 190 at 01012" or "@bot orchard" from any chat
+const INLINE_CACHE_TIME = 15; // Seconds - arrivals go stale quickly
+const INLINE_MAX_RESULTS = 5;
+const INLINE_FETCH_BUDGET = 3000; // Telegram gives up on slow inline answers
+const INLINE_MIN_SEARCH_LENGTH = 3;
+
+// Splits out a 5-digit stop code and any service numbers; anything else is a name search
+const parseInlineQuery = (query) => {
+    const words = query.trim().split(/\s+/).filter(word => word && word.toLowerCase() !== 'at');
+    const busStopCode = words.find(word => /^\d{5}$/.test(word));
+    if (!busStopCode) return { search: query.trim() };
+    
+    const services = words
+        .filter(word => word !== busStopCode && /^\d{1,3}[a-z]?$/i.test(word))
+        .map(word => word.toUpperCase());
+    return { busStopCode, services };
+};
+
+const summariseArrivals = (arrivalsData, services, t) => {
+    if (!arrivalsData) return t('arrivals.unavailable');
+    const summary = (arrivalsData.Services || [])
+        .filter(service => services.length === 0 || services.includes(service.ServiceNo))
+        .map(service => `${service.ServiceNo}: ${formatArrivalTime(service.NextBus?.EstimatedArrival, t) || t('time.noData')}`)
+        .join(' • ');
+    return summary || t('arrivals.noServices');
+};
+
+const buildInlineResult = async (busStopCode, busStopName, services = [], display = {}) => {
+    const t = createTranslator(display.language);
+    const arrivalsData = await getBusArrivals(busStopCode);
+    // Served from the arrival cache, so this doesn't call DataMall again. Inline messages
+    // have no page buttons, so a long one is cut to its first page.
+    const [message] = splitMessage(await formatSingleBusStopMessage(busStopCode, busStopName, { services, ...display }));
+    
+    return {
+        type: 'article',
+        id: [busStopCode, ...services].join('_').slice(0, 64),
+        title: `🚏 ${busStopName || t('arrivals.busStop', { code: busStopCode })} (${busStopCode})${services.length ? ` • ${services.join(', ')}` : ''}`,
+        description: summariseArrivals(arrivalsData, services, t),
+        input_message_content: { message_text: message, parse_mode: 'Markdown' }
+    };
+};
+
+// Builds results for the stops in parallel and keeps whichever are ready when the budget runs out
+const buildInlineResults = async (targets, display) => {
+    const limit = createLimiter(COMBINED_FETCH_CONCURRENCY);
+    const results = new Map();
+    const allBuilt = Promise.all(targets.map(({ busStopCode, busStopName, services }) => limit(async () => {
+        results.set(busStopCode, await buildInlineResult(busStopCode, busStopName, services, display));
+    })));
+    
+    await settlesWithin(allBuilt, INLINE_FETCH_BUDGET);
+    return targets.map(target => results.get(target.busStopCode)).filter(Boolean);
+};
+
+bot.on('inline_query', async (inlineQuery) => {
+    const query = inlineQuery.query || '';
+    const parsed = parseInlineQuery(query);
+    let targets = [];
+    
+    if (parsed.busStopCode) {
+        targets = [{ busStopCode: parsed.busStopCode, busStopName: findBusStop(parsed.busStopCode)?.Description || null, services: parsed.services }];
+    } else if (parsed.search.length >= INLINE_MIN_SEARCH_LENGTH) {
+        targets = (busStopsCache.searchIndex?.search(parsed.search, INLINE_MAX_RESULTS) || [])
+            .map(stop => ({ busStopCode: stop.BusStopCode, busStopName: stop.Description, services: [] }));
+    } else if (!parsed.search) {
+        // Nothing typed yet - offer the user's own favourites
+        targets = favourites.list(inlineQuery.from.id)
+            .slice(0, INLINE_MAX_RESULTS)
+            .map(fav => ({ busStopCode: fav.busStopCode, busStopName: favourites.displayName(fav), services: [] }));
+    }
+    
+    try {
+        const results = await buildInlineResults(targets, displayOptionsFor(inlineQuery.from.id, inlineQuery.from.language_code));
+        logger.debug('💬 Inline query answered', { queryLength: query.length, results: results.length });
         
-        try {
-            // Get bus stop name from cache if available
-            let busStopName = null;
-            if (busStopsCache.data.length > 0) {
-                const busStop = busStopsCache.data.find(stop => stop.BusStopCode === busStopCode);
-                if (busStop) {
-                    busStopName = busStop.Description;
-                    console.log(`✅ Found bus stop name: ${busStopName}`);
-                } else {
-                    console.log(`⚠️ Bus stop ${busStopCode} not found in cache`);
+        await bot.answerInlineQuery(inlineQuery.id, results, {
+            cache_time: INLINE_CACHE_TIME,
+            // Results follow the user's language and display settings, so never share them
+            is_personal: true,
+            ...(results.length === 0 && {
+                button: JSON.stringify({
+                    text: translatorFor(inlineQuery.from.id, inlineQuery.from.language_code)('button.inlineSearch'),
+                    start_parameter: 'inline'
+                })
+            })
+        });
+    } catch (error) {
+        logger.error('❌ Inline query failed', { error });
+    }
+});
+
+// Callback query handler
+bot.on('callback_query', async (callbackQuery) => {
+    const chatId = callbackQuery.message.chat.id;
+    const messageId = callbackQuery.message.message_id;
+    const data = callbackQuery.data;
+    const t = translatorFor(chatId);
+
+    logger.debug('🔘 Callback query', { chatId, data });
+
+    try {
+        if (data === 'noop') {
+            // Label-only buttons such as page counters
+            await bot.answerCallbackQuery(callbackQuery.id);
+            return;
+        }
+        
+        if (data.startsWith('broadcast_')) {
+            if (!isAdmin(chatId)) {
+                await bot.answerCallbackQuery(callbackQuery.id);
+                return;
+            }
+            
+            const [, action, draftId] = data.split('_');
+            const text = broadcaster.takeDraft(draftId);
+            await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId })
+                .catch(() => {}); // Already removed by an earlier tap
+            
+            if (action === 'cancel' || !text) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: action === 'cancel' ? '❌ Broadcast cancelled' : '⌛ This preview has expired. Send /broadcast again.',
+                    show_alert: action !== 'cancel'
+                });
+                return;
+            }
+            if (broadcaster.running) {
+                await bot.answerCallbackQuery(callbackQuery.id, { text: '⏳ A broadcast is already being sent', show_alert: true });
+                return;
+            }
+            
+            await bot.answerCallbackQuery(callbackQuery.id, { text: '📣 Sending...' });
+            const recipients = users.reachable();
+            const statusMsg = await bot.sendMessage(chatId, formatBroadcastProgress({ total: recipients.length, sent: 0, blocked: 0, failed: 0 }, false), {
+                parse_mode: 'Markdown'
+            });
+            const showProgress = (progress, done) => bot.editMessageText(formatBroadcastProgress(progress, done), {
+                chat_id: chatId,
+                message_id: statusMsg.message_id,
+                parse_mode: 'Markdown'
+            });
+            
+            // Sending can take minutes, so don't hold up the callback
+            broadcaster.run(recipients, text, progress => showProgress(progress, false))
+                .then(progress => showProgress(progress, true))
+                .catch(error => logger.error('❌ Broadcast failed', { error }));
+            return;
+        }
+        
+        if (data === 'refresh_all' || data.startsWith('refresh_all_')) {
+            const target = data.replace(/^refresh_all_?/, '') || 'all';
+            const location = resolveSearchLocation(target, chatId);
+            if (!location) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: t('arrivals.noLocation'),
+                    show_alert: true
+                });
+                return;
+            }
+
+            await bot.editMessageText(t('arrivals.refreshingAll'), {
+                chat_id: chatId,
+                message_id: messageId
+            });
+
+            const nearby = await buildNearbyArrivalsMessage(chatId, location.latitude, location.longitude);
+
+            if (!nearby) {
+                await bot.editMessageText(t('arrivals.noStopsWithin', { km: NEAREST_FALLBACK_MAX_DISTANCE / 1000 }), {
+                    chat_id: chatId,
+                    message_id: messageId
+                });
+                return;
+            }
+            
+            const sent = editArrivalsMessage(chatId, messageId, nearby.message, createRefreshKeyboard(chatId, target), target);
+            editWhenComplete(sent, nearby.complete, chatId, messageId, createRefreshKeyboard(chatId, target), target);
+            await sent;
+            
+        } else if (/^page_.+_\d+$/.test(data)) {
+            const [, pageTarget, page] = data.match(/^page_(.+)_(\d+)$/);
+            rememberPage(chatId, messageId, parseInt(page));
+            
+            // Live messages re-render straight away on the new page
+            if (!liveUpdater.refresh(chatId, messageId)) {
+                const arrivals = await renderArrivalsFor(chatId, pageTarget);
+                if (!arrivals) {
+                    await bot.answerCallbackQuery(callbackQuery.id, {
+                        text: t('arrivals.noLocation'),
+                        show_alert: true
+                    });
+                    return;
+                }
+                const sent = editArrivalsMessage(chatId, messageId, arrivals.message, arrivals.replyMarkup, pageTarget);
+                editWhenComplete(sent, arrivals.complete, chatId, messageId, arrivals.replyMarkup, pageTarget);
+                await sent;
+            }
+            
+        } else if (data === 'new_search') {
+            if (isGroupChat(chatId)) {
+                await bot.sendMessage(chatId, t('prompt.newSearchGroup'));
+            } else {
+                await bot.sendMessage(chatId, 
+                    t('prompt.newSearch'), {
+                    reply_markup: createMainKeyboard(chatId)
+                });
+            }
+            
+        } else if (data.startsWith('refresh_stop_')) {
+            const busStopCode = data.replace('refresh_stop_', '');
+            
+            await bot.editMessageText(t('arrivals.refreshing'), {
+                chat_id: chatId,
+                message_id: messageId
+            });
+            
+            try {
+                // Get bus stop name from cache if available
+                let busStopName = null;
+                if (busStopsCache.data.length > 0) {
+                    const busStop = findBusStop(busStopCode);
+                    if (busStop) {
+                        busStopName = busStop.Description;
+                    }
                 }
+                
+                const busMessage = await formatSingleBusStopMessage(busStopCode, busStopName, displayOptionsFor(chatId));
+                
+                await editArrivalsMessage(chatId, messageId, busMessage, createBusStopKeyboard(chatId, busStopCode), busStopCode);
+                
+            } catch (error) {
+                logger.error('❌ Error refreshing bus stop', { busStopCode, error });
+                await bot.editMessageText(t('arrivals.refreshError', { code: busStopCode }), {
+                    chat_id: chatId,
+                    message_id: messageId
+                });
+            }
+            
+        } else if (data.startsWith('route_arr_') || data.startsWith('stop_arr_')) {
+            const [busStopCode, serviceNo] = data.replace(/^(route|stop)_arr_/, '').split('_');
+            const busStop = findBusStop(busStopCode);
+            const busMessage = await formatSingleBusStopMessage(busStopCode, busStop ? busStop.Description : null, {
+                services: serviceNo ? [serviceNo] : [],
+                ...displayOptionsFor(chatId)
+            });
+            
+            // Send separately so the route or search results stay open for more taps
+            await sendArrivalsMessage(chatId, busMessage, createBusStopKeyboard(chatId, busStopCode), busStopCode);
+            
+        } else if (data.startsWith('intent_')) {
+            // Answers to "What would you like to do with ...?" - only from the member who was asked
+            const sessionId = sessionKey(chatId, callbackQuery.from.id);
+            const { pendingText, ...session } = userSessions.get(sessionId) || {};
+            if (!pendingText) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: t('intent.expired'),
+                    show_alert: true
+                });
+                return;
+            }
+            userSessions.set(sessionId, session);
+            await bot.deleteMessage(chatId, messageId).catch(() => {});
+            
+            if (data === 'intent_stops') {
+                await showStopNameResults(chatId, pendingText, sessionId);
+            } else if (data === 'intent_near') {
+                await searchNearAddress(chatId, pendingText, sessionId);
+            } else if (data === 'intent_to') {
+                await searchDestination(chatId, pendingText, sessionId);
+            }
+            
+        } else if (data.startsWith('route_')) {
+            const [serviceNo, direction, page] = data.replace('route_', '').split('_');
+            const services = await getAllBusRoutes();
+            const routePage = services.has(serviceNo) ? renderRoutePage(t, serviceNo, parseInt(direction), parseInt(page)) : null;
+            
+            if (!routePage) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: t('route.expired'),
+                    show_alert: true
+                });
+                return;
+            }
+            
+            await bot.editMessageText(routePage.text, {
+                chat_id: chatId,
+                message_id: messageId,
+                parse_mode: 'Markdown',
+                reply_markup: routePage.reply_markup
+            });
+            
+        } else if (data.startsWith('live_menu_')) {
+            const target = data.replace('live_menu_', '');
+            await bot.editMessageReplyMarkup(createLiveDurationKeyboard(chatId, target), {
+                chat_id: chatId,
+                message_id: messageId
+            });
+            
+        } else if (data.startsWith('live_cancel_') || data.startsWith('live_off_')) {
+            const stopping = data.startsWith('live_off_');
+            const target = data.replace(stopping ? 'live_off_' : 'live_cancel_', '');
+            
+            // If the message is no longer live (e.g. after a restart) just restore the normal keyboard
+            if (!stopping || !await liveUpdater.stop(chatId, messageId)) {
+                await bot.editMessageReplyMarkup(
+                    isLocationTarget(target) ? createRefreshKeyboard(chatId, target) : createBusStopKeyboard(chatId, target), {
+                    chat_id: chatId,
+                    message_id: messageId
+                });
+            }
+            
+        } else if (data.startsWith('live_')) {
+            const [target, minutes] = data.replace('live_', '').split('_');
+            
+            if (isLocationTarget(target) && !resolveSearchLocation(target, chatId)) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: t('arrivals.noLocation'),
+                    show_alert: true
+                });
+                return;
+            }
+            
+            const render = async ({ live, expiresAt }) => {
+                const { message, replyMarkup } = await renderArrivalsFor(chatId, target, live);
+                return paginateArrivals(message, replyMarkup, target, viewedPage(chatId, messageId), live ? formatLiveFooter(expiresAt, t) : '');
+            };
+            
+            const result = liveUpdater.start(chatId, messageId, parseInt(minutes), render);
+            
+            if (!result.started) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: t('arrivals.liveCapacity', { max: MAX_LIVE_MESSAGES }),
+                    show_alert: true
+                });
+                return;
+            }
+            
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: t('arrivals.liveStarted', { minutes })
+            });
+            return;
+            
+        } else if (data.startsWith('fav_add_')) {
+            const busStopCode = data.replace('fav_add_', '');
+            const busStop = findBusStop(busStopCode);
+            const result = favourites.add(chatId, busStopCode, busStop ? busStop.Description : null);
+            
+            if (!result.added) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: result.reason === 'limit'
+                        ? t('favourites.limit', { max: MAX_FAVOURITES })
+                        : t('favourites.exists'),
+                    show_alert: result.reason === 'limit'
+                });
+                return;
+            }
+            
+            await bot.editMessageReplyMarkup(createBusStopKeyboard(chatId, busStopCode), {
+                chat_id: chatId,
+                message_id: messageId
+            });
+            await promptFavouriteNickname(chatId, busStopCode, sessionKey(chatId, callbackQuery.from.id));
+            
+        } else if (data.startsWith('fav_remove_') || data.startsWith('fav_del_')) {
+            const fromManager = data.startsWith('fav_del_');
+            const busStopCode = data.replace(fromManager ? 'fav_del_' : 'fav_remove_', '');
+            favourites.remove(chatId, busStopCode);
+            
+            if (fromManager) {
+                await showFavouritesManager(chatId, messageId);
+            } else {
+                await bot.editMessageReplyMarkup(createBusStopKeyboard(chatId, busStopCode), {
+                    chat_id: chatId,
+                    message_id: messageId
+                });
+            }
+            
+        } else if (data === 'fav_refresh') {
+            await showFavourites(chatId, messageId);
+            
+        } else if (data === 'fav_manage') {
+            await showFavouritesManager(chatId, messageId);
+            
+        } else if (data.startsWith('fav_up_') || data.startsWith('fav_down_')) {
+            const movingUp = data.startsWith('fav_up_');
+            const busStopCode = data.replace(movingUp ? 'fav_up_' : 'fav_down_', '');
+            
+            if (!favourites.move(chatId, busStopCode, movingUp ? -1 : 1)) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: movingUp ? t('favourites.atTop') : t('favourites.atBottom')
+                });
+                return;
+            }
+            await showFavouritesManager(chatId, messageId);
+            
+        } else if (data.startsWith('fav_rename_')) {
+            const busStopCode = data.replace('fav_rename_', '');
+            await promptFavouriteNickname(chatId, busStopCode, sessionKey(chatId, callbackQuery.from.id));
+            
+        } else if (data === 'fav_skipname') {
+            const sessionId = sessionKey(chatId, callbackQuery.from.id);
+            const updatedSession = { ...userSessions.get(sessionId) };
+            delete updatedSession.waitingForNickname;
+            userSessions.set(sessionId, updatedSession);
+            
+            await bot.editMessageText(t('favourites.saved'), {
+                chat_id: chatId,
+                message_id: messageId
+            });
+            
+        } else if (data.startsWith('alert_pick_')) {
+            const busStopCode = data.replace('alert_pick_', '');
+            const arrivalsData = await getBusArrivals(busStopCode);
+            const services = (arrivalsData?.Services || [])
+                .map(service => service.ServiceNo)
+                .sort(compareServiceNumbers);
+            
+            if (services.length === 0) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: t('arrivals.noServices'),
+                    show_alert: true
+                });
+                return;
+            }
+            
+            const rows = [];
+            for (let i = 0; i < services.length; i += 4) {
+                rows.push(services.slice(i, i + 4).map(serviceNo => ({
+                    text: `🚍 ${serviceNo}`,
+                    callback_data: `alert_svc_${busStopCode}_${serviceNo}`
+                })));
+            }
+            rows.push([{ text: t('button.backToArrivals'), callback_data: `refresh_stop_${busStopCode}` }]);
+            
+            await bot.editMessageText(t('alerts.pickService', { code: busStopCode }), {
+                chat_id: chatId,
+                message_id: messageId,
+                parse_mode: 'Markdown',
+                reply_markup: { inline_keyboard: rows }
+            });
+            
+        } else if (data.startsWith('alert_svc_')) {
+            const [busStopCode, serviceNo] = data.replace('alert_svc_', '').split('_');
+            
+            await bot.editMessageText(t('alerts.pickThreshold', { service: serviceNo, code: busStopCode }), {
+                chat_id: chatId,
+                message_id: messageId,
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        ALERT_THRESHOLDS.map(minutes => ({
+                            text: t('alerts.thresholdButton', { minutes }),
+                            callback_data: `alert_set_${busStopCode}_${serviceNo}_${minutes}`
+                        })),
+                        [{ text: t('button.back'), callback_data: `alert_pick_${busStopCode}` }]
+                    ]
+                }
+            });
+            
+        } else if (data.startsWith('alert_set_')) {
+            const [busStopCode, serviceNo, minutes] = data.replace('alert_set_', '').split('_');
+            const busStop = findBusStop(busStopCode);
+            const result = alertScheduler.create(chatId, busStopCode, serviceNo, parseInt(minutes), busStop ? busStop.Description : null);
+            
+            if (!result.created) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: result.reason === 'limit'
+                        ? t('alerts.limit', { max: MAX_ALERTS_PER_USER })
+                        : t('alerts.exists', { service: serviceNo }),
+                    show_alert: true
+                });
+                return;
             }
             
-            const busMessage = await formatSingleBusStopMessage(busStopCode, busStopName);
-            
-            // FIXED: Clear the bus stop search state properly
-            const updatedSession = { ...session };
-            delete updatedSession.waitingForBusStop;
-            updatedSession.lastBusStopCode = busStopCode;
-            userSessions.set(chatId, updatedSession);
-            
-            await bot.editMessageText(busMessage, {
+            await bot.editMessageText(t('alerts.set', { service: serviceNo, minutes, code: busStopCode }), {
                 chat_id: chatId,
-                message_id: searchMsg.message_id,
+                message_id: messageId,
                 parse_mode: 'Markdown',
                 reply_markup: {
                     inline_keyboard: [
-                        [{ text: '🔄 Refresh This Stop', callback_data: `refresh_stop_${busStopCode}` }],
-                        [{ text: '📍 New Search', callback_data: 'new_search' }]
+                        [{ text: t('button.cancelAlert'), callback_data: `alert_cancel_${result.alert.id}` }],
+                        [{ text: t('button.backToArrivals'), callback_data: `refresh_stop_${busStopCode}` }]
                     ]
                 }
             });
             
-        } catch (error) {
-            console.error('Bus stop search error:', error);
-            await bot.editMessageText(
-                `❌ **Error loading bus stop ${busStopCode}**\n\n` +
-                `This could mean:\n` +
-                `• Bus stop code doesn't exist\n` +
-                `• API connection issue\n` +
-                `• Bus stop is not in service\n\n` +
-                `🔄 **Try again** or use a different bus stop code.\n\n` +
-                `💡 **Tip:** Double-check the code on the physical bus stop sign.`, {
-                chat_id: chatId,
-                message_id: searchMsg.message_id,
-                parse_mode: 'Markdown'
+        } else if (data.startsWith('alert_cancel_')) {
+            const alertId = data.replace('alert_cancel_', '');
+            alertScheduler.cancel(chatId, alertId);
+            await showAlerts(chatId, messageId);
+            
+        } else if (data === 'sched_list') {
+            await showSchedules(chatId, messageId);
+            
+        } else if (data === 'sched_new') {
+            await bot.sendMessage(chatId, t('schedules.newPrompt'), { parse_mode: 'Markdown', ...promptOptions(chatId) });
+            const sessionId = sessionKey(chatId, callbackQuery.from.id);
+            userSessions.set(sessionId, {
+                ...userSessions.get(sessionId),
+                waitingForSchedule: true
             });
             
-            // Keep the session state so user can try again
-        }
-        return;
-    }
-    
-    // Handle address search
-    if (session.waitingForAddress) {
-        console.log(`🔍 Processing address search: "${text}" for user ${chatId}`);
-        
-        const searchMsg = await bot.sendMessage(chatId, 
-            `🔍 Searching for "${text}"...\n` +
-            `⏳ Checking multiple location databases...`
-        );
-        
-        try {
-            const location = await geocodeAddress(text);
-            
-            if (location) {
-                await bot.editMessageText(
-                    `✅ *Found Location!*\n\n` +
-                    `📍 **${location.address}**\n` +
-                    `🗺️ Source: ${location.provider}\n` +
-                    `📊 Coordinates: ${location.latitude.toFixed(4)}, ${location.longitude.toFixed(4)}\n\n` +
-                    `🔍 Searching for nearby bus stops...`, {
-                    chat_id: chatId,
-                    message_id: searchMsg.message_id,
-                    parse_mode: 'Markdown'
+        } else if (data.startsWith('sched_')) {
+            const [action, scheduleId, value] = data.replace('sched_', '').split('_');
+            const schedule = commuteScheduler.find(chatId, scheduleId);
+            
+            if (!schedule) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: t('schedules.notFound'),
+                    show_alert: true
                 });
-                
-                // FIXED: Clear the address search state properly
-                const updatedSession = { ...session };
-                delete updatedSession.waitingForAddress;
-                updatedSession.latitude = location.latitude;
-                updatedSession.longitude = location.longitude;
-                updatedSession.searchedAddress = location.address;
-                updatedSession.provider = location.provider;
-                userSessions.set(chatId, updatedSession);
-                
-                await sleep(1000); // Brief pause for user to see the found location
-                await bot.deleteMessage(chatId, searchMsg.message_id);
-                await handleLocationSearch(chatId, location.latitude, location.longitude, 
-                    `📍 Results for: **${location.address}**\n🔍 Loading bus stops...`);
-                
+                await showSchedules(chatId, messageId);
+                return;
+            }
+            
+            if (action === 'del') {
+                commuteScheduler.remove(chatId, scheduleId);
+                await showSchedules(chatId, messageId);
             } else {
-                await bot.editMessageText(
-                    `❌ **Location "${text}" not found**\n\n` +
-                    `🔍 **Try these search tips:**\n` +
-                    `• Add "MRT" or "Station": "${text} MRT"\n` +
-                    `• Add "Mall" or "Centre": "${text} Mall"\n` +
-                    `• Be more specific: "Causeway Point Woodlands"\n` +
-                    `• Try nearby landmarks or road names\n\n` +
-                    `📝 **Search Examples:**\n` +
-                    `• "Yew Tee MRT Station"\n` +
-                    `• "Causeway Point Shopping Centre"\n` +
-                    `• "Woodlands MRT"\n` +
-                    `• "Jurong Point Mall"\n\n` +
-                    `💡 Try a different location name or be more specific!`, {
-                    chat_id: chatId,
-                    message_id: searchMsg.message_id,
-                    parse_mode: 'Markdown'
-                });
+                let changes = {};
+                if (action === 'toggle') changes = { enabled: !schedule.enabled };
+                if (action === 'days' && DAY_PRESETS[value]) changes = { days: value };
+                if (action === 'hol' && HOLIDAY_MODES.includes(value)) changes = { holidays: value };
                 
-                // Keep the address search state active for retry
+                const updated = commuteScheduler.update(chatId, scheduleId, changes);
+                await showScheduleDetail(chatId, messageId, updated);
             }
-        } catch (error) {
-            console.error('Address search error:', error);
-            await bot.editMessageText(
-                `❌ **Search Error**\n\n` +
-                `Unable to search for locations right now.\n\n` +
-                `🔄 **Try again** or use **📍 Share Location** instead.\n\n` +
-                `💡 **Alternative:** Share your GPS location for instant results!`, {
-                chat_id: chatId,
-                message_id: searchMsg.message_id,
-                parse_mode: 'Markdown'
-            });
-        }
-        return;
-    }
-    
-    // If no special state, check if it looks like a bus stop code or address
-    const cleanedInput = text.replace(/\D/g, '');
-    if (cleanedInput.length >= 4 && cleanedInput.length <= 5) {
-        // Looks like a bus stop code, prompt user
-        await bot.sendMessage(chatId,
-            `🤔 "${text}" looks like a bus stop code!\n\n` +
-            `Would you like me to search for bus arrivals at this stop?\n\n` +
-            `Click "🚏 Bus Stop Number" to search by stop code, or\n` +
-            `Click "🔍 Search Address" to search by location name.`,
-            { reply_markup: createMainKeyboard() }
-        );
-    } else {
-        // Assume it's an address search
-        await bot.sendMessage(chatId,
-            `🤔 "${text}" looks like a location!\n\n` +
-            `Would you like me to search for nearby bus stops?\n\n` +
-            `Click "🔍 Search Address" to search by location, or\n` +
-            `Click "🚏 Bus Stop Number" if this is actually a bus stop code.`,
-            { reply_markup: createMainKeyboard() }
-        );
-    }
-});
-
-// Location handler
-const handleLocationSearch = async (chatId, latitude, longitude, initialMessage) => {
-    const searchingMsg = await bot.sendMessage(chatId, initialMessage);
-
-    try {
-        const currentSession = userSessions.get(chatId) || {};
-        userSessions.set(chatId, { 
-            ...currentSession,
-            latitude, 
-            longitude, 
-            timestamp: Date.now()
-        });
-
-        const busStopsData = busStopsCache.data.length > 0 ? busStopsCache.data : await getAllBusStops();
-        
-        if (busStopsData.length === 0) {
-            await bot.editMessageText(
-                '❌ Unable to load bus stops data. Please try /test to check API connection.', {
-                chat_id: chatId,
-                message_id: searchingMsg.message_id
-            });
-            return;
-        }
-
-        const userPrefs = userPreferences.get(chatId) || { radius: SEARCH_RADIUS, maxStops: MAX_BUS_STOPS };
-        const nearbyStops = findNearbyBusStops(latitude, longitude, busStopsData, userPrefs.radius);
-
-        if (nearbyStops.length === 0) {
-            await bot.editMessageText(
-                `❌ No bus stops found within ${userPrefs.radius} meters.\n\n` +
-                `Try:\n` +
-                `• Increasing search radius in /settings\n` +
-                `• Moving to a different location\n` +
-                `• Using /debug for system status`, {
-                chat_id: chatId,
-                message_id: searchingMsg.message_id
-            });
-            return;
-        }
-
-        await bot.editMessageText(
-            `📍 Found ${nearbyStops.length} bus stop${nearbyStops.length > 1 ? 's' : ''} nearby.\n` +
-            `🔄 Loading real-time arrivals...`, {
-            chat_id: chatId,
-            message_id: searchingMsg.message_id
-        });
-
-        const combinedMessage = await formatCombinedBusArrivalsMessage(nearbyStops.slice(0, userPrefs.maxStops));
-        
-        await bot.editMessageText(combinedMessage, {
-            chat_id: chatId,
-            message_id: searchingMsg.message_id,
-            parse_mode: 'Markdown',
-            reply_markup: createRefreshKeyboard()
-        });
-
-    } catch (error) {
-        console.error('Error processing location:', error);
-        await bot.editMessageText(
-            '❌ An error occurred while searching. Use /debug for more info.', {
-            chat_id: chatId,
-            message_id: searchingMsg.message_id
-        });
-    }
-};
-
-bot.on('location', async (msg) => {
-    const chatId = msg.chat.id;
-    const { latitude, longitude } = msg.location;
-
-    console.log(`📍 Location received from user ${chatId}: (${latitude}, ${longitude})`);
-    await handleLocationSearch(chatId, latitude, longitude, '🔍 Searching for nearby bus stops...');
-});
-
-// Callback query handler
-bot.on('callback_query', async (callbackQuery) => {
-    const chatId = callbackQuery.message.chat.id;
-    const messageId = callbackQuery.message.message_id;
-    const data = callbackQuery.data;
-
-    console.log(`🔘 Callback query from user ${chatId}: ${data}`);
-
-    try {
-        if (data === 'refresh_all') {
-            const userSession = userSessions.get(chatId);
-            if (!userSession || !userSession.latitude || !userSession.longitude) {
-                await bot.answerCallbackQuery(callbackQuery.id, {
-                    text: '❌ No location data. Please search again.',
-                    show_alert: true
-                });
+            
+        } else if (data.startsWith('hide_menu_')) {
+            const busStopCode = data.replace('hide_menu_', '');
+            const hideKeyboard = await createHideServicesKeyboard(chatId, busStopCode);
+            
+            if (!hideKeyboard) {
+                await bot.answerCallbackQuery(callbackQuery.id, { text: t('hide.noServices'), show_alert: true });
                 return;
             }
-
-            await bot.editMessageText('🔄 Refreshing all bus arrivals...', {
+            
+            await bot.editMessageReplyMarkup(hideKeyboard, {
                 chat_id: chatId,
                 message_id: messageId
             });
-
-            const userPrefs = userPreferences.get(chatId) || { radius: SEARCH_RADIUS, maxStops: MAX_BUS_STOPS };
-            const busStopsData = busStopsCache.data;
-            const nearbyStops = findNearbyBusStops(
-                userSession.latitude, 
-                userSession.longitude, 
-                busStopsData,
-                userPrefs.radius
-            );
-
-            if (nearbyStops.length === 0) {
-                await bot.editMessageText(
-                    `❌ No bus stops found within ${userPrefs.radius} meters.`, {
-                    chat_id: chatId,
-                    message_id: messageId
-                });
+            await bot.answerCallbackQuery(callbackQuery.id, { text: t('hide.hint') });
+            return;
+            
+        } else if (data.startsWith('track_pick_')) {
+            const busStopCode = data.replace('track_pick_', '');
+            const trackKeyboard = await createTrackServicesKeyboard(chatId, busStopCode);
+            
+            if (!trackKeyboard) {
+                await bot.answerCallbackQuery(callbackQuery.id, { text: t('track.noPositions'), show_alert: true });
                 return;
             }
-
-            const combinedMessage = await formatCombinedBusArrivalsMessage(nearbyStops.slice(0, userPrefs.maxStops));
             
-            await bot.editMessageText(combinedMessage, {
+            await bot.editMessageReplyMarkup(trackKeyboard, {
                 chat_id: chatId,
-                message_id: messageId,
-                parse_mode: 'Markdown',
-                reply_markup: createRefreshKeyboard()
-            });
-            
-        } else if (data === 'new_search') {
-            await bot.sendMessage(chatId, 
-                '📍 Choose how to search for bus stops:', {
-                reply_markup: createMainKeyboard()
+                message_id: messageId
             });
+            await bot.answerCallbackQuery(callbackQuery.id, { text: t('track.hint') });
+            return;
             
-        } else if (data.startsWith('refresh_stop_')) {
-            const busStopCode = data.replace('refresh_stop_', '');
-            
-            await bot.editMessageText('🔄 Refreshing bus arrivals...', {
+        } else if (data.startsWith('track_cancel_')) {
+            const busStopCode = data.replace('track_cancel_', '');
+            await bot.editMessageReplyMarkup(createBusStopKeyboard(chatId, busStopCode), {
                 chat_id: chatId,
                 message_id: messageId
             });
             
-            try {
-                // Get bus stop name from cache if available
-                let busStopName = null;
-                if (busStopsCache.data.length > 0) {
-                    const busStop = busStopsCache.data.find(stop => stop.BusStopCode === busStopCode);
-                    if (busStop) {
-                        busStopName = busStop.Description;
-                    }
-                }
+        } else if (data.startsWith('track_bus_') || data.startsWith('track_follow_')) {
+            const following = data.startsWith('track_follow_');
+            const [busStopCode, serviceNo] = data.replace(/^track_(bus|follow)_/, '').split('_');
+            const position = await locateBus(busStopCode, serviceNo);
+            
+            if (!position) {
+                await bot.answerCallbackQuery(callbackQuery.id, { text: t('track.noPosition', { service: serviceNo }), show_alert: true });
+                return;
+            }
+            
+            if (!following) {
+                // The map, then how far away the bus is underneath it; the stop's arrivals stay as they were
+                const locationMsg = await bot.sendLocation(chatId, position.latitude, position.longitude);
+                await bot.sendMessage(chatId, formatBusPosition(t, busStopCode, serviceNo, position), {
+                    parse_mode: 'Markdown',
+                    reply_to_message_id: locationMsg.message_id,
+                    reply_markup: createTrackingKeyboard(chatId, busStopCode, serviceNo)
+                });
+                await bot.editMessageReplyMarkup(createBusStopKeyboard(chatId, busStopCode), {
+                    chat_id: chatId,
+                    message_id: messageId
+                });
+            } else {
+                // Telegram can't make a sent location live, so following sends a new one
+                const locationMsg = await bot.sendLocation(chatId, position.latitude, position.longitude, {
+                    live_period: TRACK_LIVE_PERIOD,
+                    reply_to_message_id: messageId
+                });
+                const result = busTracker.start(chatId, messageId, { busStopCode, serviceNo, position, locationMessageId: locationMsg.message_id });
                 
-                const busMessage = await formatSingleBusStopMessage(busStopCode, busStopName);
+                if (!result.started) {
+                    await bot.deleteMessage(chatId, locationMsg.message_id).catch(() => {});
+                    await bot.answerCallbackQuery(callbackQuery.id, {
+                        text: t('track.capacity', { max: MAX_TRACKED_BUSES }),
+                        show_alert: true
+                    });
+                    return;
+                }
                 
-                await bot.editMessageText(busMessage, {
+                await bot.editMessageText(formatBusPosition(t, busStopCode, serviceNo, position, true), {
                     chat_id: chatId,
                     message_id: messageId,
                     parse_mode: 'Markdown',
-                    reply_markup: {
-                        inline_keyboard: [
-                            [{ text: '🔄 Refresh This Stop', callback_data: `refresh_stop_${busStopCode}` }],
-                            [{ text: '📍 New Search', callback_data: 'new_search' }]
-                        ]
-                    }
+                    reply_markup: createTrackingKeyboard(chatId, busStopCode, serviceNo, true)
                 });
-                
-            } catch (error) {
-                console.error('Error refreshing bus stop:', error);
-                await bot.editMessageText(
-                    `❌ Error refreshing bus stop ${busStopCode}. Please try again.`, {
+            }
+            
+        } else if (data.startsWith('track_stop_')) {
+            const [busStopCode, serviceNo] = data.replace('track_stop_', '').split('_');
+            
+            // Not followed any more (e.g. after a restart) - just put the Follow button back
+            if (!await busTracker.stop(chatId, messageId)) {
+                await bot.editMessageReplyMarkup(createTrackingKeyboard(chatId, busStopCode, serviceNo), {
                     chat_id: chatId,
                     message_id: messageId
                 });
             }
             
+        } else if (data.startsWith('hide_done_')) {
+            const busStopCode = data.replace('hide_done_', '');
+            const busMessage = await formatSingleBusStopMessage(busStopCode, findBusStop(busStopCode)?.Description || null, displayOptionsFor(chatId));
+            await editArrivalsMessage(chatId, messageId, busMessage, createBusStopKeyboard(chatId, busStopCode), busStopCode);
+            
+        } else if (data.startsWith('hide_')) {
+            const [busStopCode, serviceNo] = data.replace('hide_', '').split('_');
+            toggleHiddenService(chatId, busStopCode, serviceNo);
+            
+            const hideKeyboard = await createHideServicesKeyboard(chatId, busStopCode);
+            await bot.editMessageReplyMarkup(hideKeyboard || createBusStopKeyboard(chatId, busStopCode), {
+                chat_id: chatId,
+                message_id: messageId
+            });
+            
+        } else if (data.startsWith('unhide_')) {
+            const busStopCode = data.replace('unhide_', '');
+            const prefs = getUserPreferences(chatId);
+            const hiddenServices = { ...prefs.hiddenServices };
+            delete hiddenServices[busStopCode];
+            userPreferences.set(chatId, { ...prefs, hiddenServices });
+            
+            await showHiddenServices(chatId, messageId);
+            
         } else if (data.startsWith('setting_')) {
             const setting = data.replace('setting_', '');
-            const prefs = userPreferences.get(chatId) || { radius: SEARCH_RADIUS, maxStops: MAX_BUS_STOPS };
+            const prefs = getUserPreferences(chatId);
+            const backToSettings = [{ text: t('button.backToSettings'), callback_data: 'setting_back' }];
             
             if (setting === 'radius') {
                 const radiusKeyboard = {
@@ -1340,14 +3189,11 @@ bot.on('callback_query', async (callbackQuery) => {
                             { text: '500m', callback_data: 'radius_500' },
                             { text: '750m', callback_data: 'radius_750' }
                         ],
-                        [{ text: '← Back to Settings', callback_data: 'setting_back' }]
+                        backToSettings
                     ]
                 };
                 
-                await bot.editMessageText(
-                    `🎯 *Search Radius*\n\n` +
-                    `Current: ${prefs.radius}m\n\n` +
-                    `Choose new radius:`, {
+                await bot.editMessageText(t('settings.radiusTitle', { radius: prefs.radius }), {
                     chat_id: chatId,
                     message_id: messageId,
                     parse_mode: 'Markdown',
@@ -1355,56 +3201,85 @@ bot.on('callback_query', async (callbackQuery) => {
                 });
                 
             } else if (setting === 'stops') {
+                const stopsOption = (count) => ({ text: t('settings.stopsOption', { count }), callback_data: `stops_${count}` });
                 const stopsKeyboard = {
                     inline_keyboard: [
-                        [
-                            { text: '3 stops', callback_data: 'stops_3' },
-                            { text: '5 stops', callback_data: 'stops_5' },
-                            { text: '7 stops', callback_data: 'stops_7' }
-                        ],
-                        [
-                            { text: '10 stops', callback_data: 'stops_10' },
-                            { text: '15 stops', callback_data: 'stops_15' }
-                        ],
-                        [{ text: '← Back to Settings', callback_data: 'setting_back' }]
+                        [3, 5, 7].map(stopsOption),
+                        [10, 15].map(stopsOption),
+                        backToSettings
                     ]
                 };
                 
-                await bot.editMessageText(
-                    `📊 *Maximum Bus Stops*\n\n` +
-                    `Current: ${prefs.maxStops} stops\n\n` +
-                    `Choose maximum number of stops to display:`, {
+                await bot.editMessageText(t('settings.stopsTitle', { maxStops: prefs.maxStops }), {
                     chat_id: chatId,
                     message_id: messageId,
                     parse_mode: 'Markdown',
                     reply_markup: stopsKeyboard
                 });
                 
+            } else if (setting === 'view') {
+                userPreferences.set(chatId, { ...prefs, detailedArrivals: !prefs.detailedArrivals });
+                await showSettingsMenu(chatId, messageId);
+                
+            } else if (setting === 'services') {
+                userPreferences.set(chatId, { ...prefs, showAllServices: !prefs.showAllServices });
+                await showSettingsMenu(chatId, messageId);
+                
+            } else if (setting === 'sort') {
+                userPreferences.set(chatId, { ...prefs, sortBy: prefs.sortBy === 'soonest' ? 'service' : 'soonest' });
+                await showSettingsMenu(chatId, messageId);
+                
+            } else if (setting === 'time') {
+                const next = TIME_FORMATS[(TIME_FORMATS.indexOf(prefs.timeFormat) + 1) % TIME_FORMATS.length];
+                userPreferences.set(chatId, { ...prefs, timeFormat: next });
+                await showSettingsMenu(chatId, messageId);
+                
+            } else if (setting === 'hidden') {
+                await showHiddenServices(chatId, messageId);
+                
+            } else if (setting === 'language') {
+                const automatic = prefs.detectedLanguage || DEFAULT_LANGUAGE;
+                const languageKeyboard = {
+                    inline_keyboard: [
+                        ...LANGUAGES.map(language => [{
+                            text: `${prefs.language === language ? '✅ ' : ''}${LANGUAGE_NAMES[language]}`,
+                            callback_data: `lang_${language}`
+                        }]),
+                        [{
+                            text: `${prefs.language ? '' : '✅ '}${t('settings.languageAuto', { language: LANGUAGE_NAMES[automatic] })}`,
+                            callback_data: 'lang_auto'
+                        }],
+                        backToSettings
+                    ]
+                };
+                
+                await bot.editMessageText(t('settings.languageTitle', { language: LANGUAGE_NAMES[t.language] }), {
+                    chat_id: chatId,
+                    message_id: messageId,
+                    parse_mode: 'Markdown',
+                    reply_markup: languageKeyboard
+                });
+                
             } else if (setting === 'reset') {
-                userPreferences.set(chatId, { radius: SEARCH_RADIUS, maxStops: MAX_BUS_STOPS });
+                // Language and the buses hidden at each stop aren't search settings, so they survive a reset
+                userPreferences.set(chatId, {
+                    ...DEFAULT_PREFERENCES,
+                    language: prefs.language,
+                    detectedLanguage: prefs.detectedLanguage,
+                    hiddenServices: prefs.hiddenServices
+                });
                 
-                await bot.editMessageText(
-                    `✅ *Settings Reset*\n\n` +
-                    `Restored to default values:\n` +
-                    `• Search Radius: ${SEARCH_RADIUS}m\n` +
-                    `• Max Bus Stops: ${MAX_BUS_STOPS}`, {
+                await bot.editMessageText(t('settings.reset', { radius: SEARCH_RADIUS, maxStops: MAX_BUS_STOPS }), {
                     chat_id: chatId,
                     message_id: messageId,
                     parse_mode: 'Markdown',
                     reply_markup: {
-                        inline_keyboard: [[{ text: '← Back to Settings', callback_data: 'setting_back' }]]
+                        inline_keyboard: [backToSettings]
                     }
                 });
                 
             } else if (setting === 'done') {
-                const currentPrefs = userPreferences.get(chatId) || { radius: SEARCH_RADIUS, maxStops: MAX_BUS_STOPS };
-                
-                await bot.editMessageText(
-                    `✅ *Settings Saved*\n\n` +
-                    `Your preferences:\n` +
-                    `• Search Radius: ${currentPrefs.radius}m\n` +
-                    `• Max Bus Stops: ${currentPrefs.maxStops}\n\n` +
-                    `Use the menu below to search for bus stops!`, {
+                await bot.editMessageText(t('settings.saved', { radius: prefs.radius, maxStops: prefs.maxStops }), {
                     chat_id: chatId,
                     message_id: messageId,
                     parse_mode: 'Markdown'
@@ -1412,8 +3287,8 @@ bot.on('callback_query', async (callbackQuery) => {
                 
                 // Send new message with main keyboard
                 setTimeout(() => {
-                    bot.sendMessage(chatId, '🚌 Ready to search for buses!', {
-                        reply_markup: createMainKeyboard()
+                    bot.sendMessage(chatId, t('settings.ready'), {
+                        reply_markup: createMainKeyboard(chatId)
                     });
                 }, 1000);
                 
@@ -1424,120 +3299,285 @@ bot.on('callback_query', async (callbackQuery) => {
             
         } else if (data.startsWith('radius_')) {
             const radius = parseInt(data.replace('radius_', ''));
-            const prefs = userPreferences.get(chatId) || { radius: SEARCH_RADIUS, maxStops: MAX_BUS_STOPS };
+            const prefs = getUserPreferences(chatId);
             prefs.radius = radius;
             userPreferences.set(chatId, prefs);
             
-            await bot.editMessageText(
-                `✅ *Search Radius Updated*\n\n` +
-                `New radius: ${radius}m\n\n` +
-                `This will affect future searches.`, {
+            await bot.editMessageText(t('settings.radiusUpdated', { radius }), {
                 chat_id: chatId,
                 message_id: messageId,
                 parse_mode: 'Markdown',
                 reply_markup: {
-                    inline_keyboard: [[{ text: '← Back to Settings', callback_data: 'setting_back' }]]
+                    inline_keyboard: [[{ text: t('button.backToSettings'), callback_data: 'setting_back' }]]
                 }
             });
             
         } else if (data.startsWith('stops_')) {
             const maxStops = parseInt(data.replace('stops_', ''));
-            const prefs = userPreferences.get(chatId) || { radius: SEARCH_RADIUS, maxStops: MAX_BUS_STOPS };
+            const prefs = getUserPreferences(chatId);
             prefs.maxStops = maxStops;
             userPreferences.set(chatId, prefs);
             
-            await bot.editMessageText(
-                `✅ *Maximum Stops Updated*\n\n` +
-                `New limit: ${maxStops} stops\n\n` +
-                `This will affect future searches.`, {
+            await bot.editMessageText(t('settings.stopsUpdated', { maxStops }), {
                 chat_id: chatId,
                 message_id: messageId,
                 parse_mode: 'Markdown',
                 reply_markup: {
-                    inline_keyboard: [[{ text: '← Back to Settings', callback_data: 'setting_back' }]]
+                    inline_keyboard: [[{ text: t('button.backToSettings'), callback_data: 'setting_back' }]]
                 }
             });
+            
+        } else if (data.startsWith('lang_')) {
+            const language = data.replace('lang_', '');
+            userPreferences.set(chatId, {
+                ...getUserPreferences(chatId),
+                language: LANGUAGES.includes(language) ? language : null // lang_auto
+            });
+            
+            await showSettingsMenu(chatId, messageId);
+            
+            // Reply keyboards can only be replaced by sending a new message
+            await bot.sendMessage(chatId, translatorFor(chatId)('settings.languageUpdated'), {
+                reply_markup: createMainKeyboard(chatId)
+            });
+            
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: translatorFor(chatId)('callback.updated')
+            });
+            return;
         }
 
         await bot.answerCallbackQuery(callbackQuery.id, {
-            text: '✅ Updated!'
+            text: t('callback.updated')
         });
 
     } catch (error) {
-        console.error('Error handling callback:', error);
+        logger.error('❌ Error handling callback', { data, error });
         await bot.answerCallbackQuery(callbackQuery.id, {
-            text: '❌ Update failed. Please try again.',
+            text: t('callback.failed'),
             show_alert: true
         });
     }
 });
 
+// Health check, metrics and webhook server
+const pollingStatus = { lastError: null, lastErrorAt: 0 };
+const webhookStatus = { registered: false, updatesReceived: 0 };
+let shuttingDown = false;
+const processStartedAt = Date.now();
+
+metrics.gauge('sgbus_sessions', 'Chats with a stored session', () => userSessions.size);
+metrics.gauge('sgbus_active_users', 'Chats that used the bot within the window', () => {
+    const stats = users.stats();
+    return [{ labels: { window: '24h' }, value: stats.active24h }, { labels: { window: '7d' }, value: stats.active7d }];
+});
+metrics.gauge('sgbus_live_messages', 'Messages currently receiving live updates', () => liveUpdater.activeCount);
+metrics.gauge('sgbus_followed_buses', 'Buses being followed with a live location', () => busTracker.activeCount);
+metrics.gauge('sgbus_active_alerts', 'Bus arrival alerts waiting to fire', () => alertScheduler.activeCount);
+metrics.gauge('sgbus_bus_stops_cached', 'Bus stops in the cache', () => busStopsCache.data.length);
+metrics.gauge('sgbus_bus_stops_cache_age_seconds', 'Age of the bus stop cache', () =>
+    busStopsCache.lastUpdated ? Math.round((Date.now() - busStopsCache.lastUpdated) / 1000) : -1);
+metrics.gauge('sgbus_arrival_cache_stops', 'Bus stops with cached arrivals', () => arrivalCache.size);
+metrics.gauge('sgbus_lta_endpoint_up', 'Whether the circuit for an LTA endpoint is closed (1) or open (0)', () =>
+    ltaClient.getHealth().map(endpoint => ({ labels: { endpoint: endpoint.name }, value: endpoint.state === 'open' ? 0 : 1 })));
+metrics.gauge('sgbus_telegram_receiving', 'Whether the bot is receiving Telegram updates (polling or webhook)', () => isReceivingUpdates() ? 1 : 0);
+metrics.gauge('sgbus_inflight_updates', 'Update handlers still running', () => inflight.size);
+
+const isReceivingUpdates = () => BOT_MODE === 'webhook' ? webhookStatus.registered : bot.isPolling();
+
+// 503 only when the bot can't receive updates; a missing LTA endpoint still serves cached data
+const getHealthStatus = () => {
+    const receiving = isReceivingUpdates();
+    return {
+        status: shuttingDown ? 'shutting_down' : !receiving ? 'down' : ltaClient.workingEndpoint ? 'ok' : 'degraded',
+        uptimeSeconds: Math.round((Date.now() - processStartedAt) / 1000),
+        telegram: {
+            mode: BOT_MODE,
+            receiving,
+            polling: bot.isPolling(),
+            webhookRegistered: webhookStatus.registered,
+            inflightUpdates: inflight.size,
+            lastPollingError: pollingStatus.lastError,
+            lastPollingErrorAt: pollingStatus.lastErrorAt ? new Date(pollingStatus.lastErrorAt).toISOString() : null
+        },
+        lta: {
+            workingEndpoint: ltaClient.workingEndpoint,
+            endpoints: ltaClient.getHealth().map(({ name, state }) => ({ name, state }))
+        },
+        busStops: {
+            count: busStopsCache.data.length,
+            lastUpdated: busStopsCache.lastUpdated ? new Date(busStopsCache.lastUpdated).toISOString() : null,
+            ageSeconds: busStopsCache.lastUpdated ? Math.round((Date.now() - busStopsCache.lastUpdated) / 1000) : null,
+            stale: isBusStopsCacheStale()
+        }
+    };
+};
+
+// Each process gets its own webhook path, so an instance shutting down can tell
+// whether the registered webhook is still its own or already belongs to its replacement
+const WEBHOOK_PATH = `/telegram/webhook/${crypto.randomBytes(8).toString('hex')}`;
+const webhookUrl = `${WEBHOOK_URL}${WEBHOOK_PATH}`;
+
+const secretMatches = (received) => {
+    const expected = Buffer.from(WEBHOOK_SECRET);
+    const actual = Buffer.from(String(received || ''));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+const handleWebhookUpdate = async (req, body) => {
+    if (!secretMatches(req.headers['x-telegram-bot-api-secret-token'])) {
+        logger.warn('🚫 Webhook request with a bad secret token', { ip: req.socket.remoteAddress });
+        return text('Unauthorized\n', 401);
+    }
+    // Telegram retries anything that isn't a 2xx, so the replacement instance can pick it up
+    if (shuttingDown) return text('Shutting down\n', 503);
+    
+    let update;
+    try {
+        update = JSON.parse(body);
+    } catch (error) {
+        return text('Bad request\n', 400);
+    }
+    
+    webhookStatus.updatesReceived++;
+    // Answer Telegram straight away - handlers keep running and are tracked for shutdown
+    bot.processUpdate(update);
+    return text('OK\n');
+};
+
+const httpServer = createHttpServer({
+    port: HTTP_PORT,
+    routes: {
+        'GET /healthz': async () => {
+            const health = getHealthStatus();
+            return json(health, health.status === 'down' || health.status === 'shutting_down' ? 503 : 200);
+        },
+        'GET /metrics': async () => text(metrics.render(), 200, 'text/plain; version=0.0.4; charset=utf-8'),
+        ...(BOT_MODE === 'webhook' && { [`POST ${WEBHOOK_PATH}`]: handleWebhookUpdate })
+    }
+});
+
+const registerWebhook = async () => {
+    await bot.setWebHook(webhookUrl, { secret_token: WEBHOOK_SECRET });
+    webhookStatus.registered = true;
+    logger.info('🪝 Webhook registered', { url: webhookUrl });
+};
+
+// Only remove the webhook if it still points at this instance
+const removeWebhook = async () => {
+    const info = await bot.getWebHookInfo();
+    if (info.url === webhookUrl) {
+        await bot.deleteWebHook();
+        logger.info('🪝 Webhook removed');
+    } else {
+        logger.info('🪝 Webhook now belongs to another instance, leaving it in place');
+    }
+    webhookStatus.registered = false;
+};
+
 // Error handlers
 bot.on('error', (error) => {
-    console.error('❌ Bot error:', error.message);
+    logger.error('❌ Bot error', { error });
 });
 
 bot.on('polling_error', (error) => {
-    console.error('❌ Polling error:', error.message);
+    pollingStatus.lastError = error.message;
+    pollingStatus.lastErrorAt = Date.now();
+    logger.error('❌ Polling error', { error });
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('🛑 Shutting down Singapore Bus Bot...');
-    bot.stopPolling();
+// Graceful shutdown: stop taking updates, let the ones in progress finish, then exit
+const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('🛑 Shutting down Singapore Bus Bot', { signal, inflightUpdates: inflight.size });
+    
+    try {
+        if (BOT_MODE === 'webhook') {
+            await removeWebhook();
+        } else {
+            await bot.stopPolling({ cancel: true });
+        }
+    } catch (error) {
+        logger.error('❌ Failed to stop receiving updates', { error });
+    }
+    
+    alertScheduler.stop();
+    commuteScheduler.stop();
+    liveUpdater.stopAll();
+    busTracker.stopAll();
+    clearInterval(busStopsCache.refreshTimer);
+    ltaClient.stopProbing();
+    
+    const drained = await inflight.drain(SHUTDOWN_DRAIN_TIMEOUT);
+    if (!drained) {
+        logger.warn('⚠️ Gave up waiting for in-flight updates', { inflightUpdates: inflight.size, timeoutMs: SHUTDOWN_DRAIN_TIMEOUT });
+    }
+    
+    await httpServer.stop();
+    storage.flushSync();
     process.exit(0);
-});
+};
 
-process.on('SIGTERM', () => {
-    console.log('🛑 Shutting down Singapore Bus Bot...');
-    bot.stopPolling();
-    process.exit(0);
-});
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Initialize and start
 const initializeBot = async () => {
     try {
-        console.log('🚀 Starting Enhanced Singapore Bus Bot...');
-        console.log(`📝 Environment: ${NODE_ENV}`);
-        console.log(`🎯 Search Radius: ${SEARCH_RADIUS}m`);
-        console.log(`📊 Max Bus Stops: ${MAX_BUS_STOPS}`);
+        logger.info('🚀 Starting Enhanced Singapore Bus Bot', {
+            environment: NODE_ENV,
+            searchRadius: SEARCH_RADIUS,
+            maxBusStops: MAX_BUS_STOPS,
+            storage: STORAGE_DRIVER === 'file' ? `${STORAGE_DRIVER} (${STORAGE_PATH})` : STORAGE_DRIVER,
+            mode: BOT_MODE
+        });
         
-        // Test API connection first
-        WORKING_API_ENDPOINT = await testAPIConnection();
-        
-        if (!WORKING_API_ENDPOINT) {
-            console.error('❌ No working API endpoint found!');
-            console.error('🔧 Troubleshooting steps:');
-            console.error('   1. Check your LTA_API_KEY in .env file');
-            console.error('   2. Verify your API key at https://datamall.lta.gov.sg');
-            console.error('   3. Check if your API key is activated');
-            console.error('   4. Try running /test command in the bot');
-            console.error('');
-            console.error('⚠️  Bot will start but bus data will not work until API is fixed');
+        // Refuses to start without this year's public holidays, so check before going online
+        commuteScheduler.start();
+        
+        const me = await bot.getMe();
+        botUsername = me.username;
+        botId = me.id;
+        
+        // Health checks should answer while the rest of startup runs
+        if (BOT_MODE === 'webhook') {
+            // Without the server there's no way to receive updates, so this one is fatal
+            await httpServer.start();
+            await registerWebhook();
         } else {
-            console.log('✅ API connection successful');
-            // Pre-load bus stops data
-            console.log('📊 Pre-loading bus stops data...');
+            await httpServer.start().catch(error => logger.error('❌ HTTP server failed to start', { port: HTTP_PORT, error }));
+        }
+        
+        // Serve searches from the last snapshot straight away, before any network calls
+        const hasSnapshot = loadBusStopsSnapshot();
+        
+        // Test API connection first
+        const workingEndpoint = await ltaClient.testConnection();
+        ltaClient.startProbing();
+        
+        if (!workingEndpoint) {
+            // Check LTA_API_KEY, verify it is activated at https://datamall.lta.gov.sg, or run /test
+            logger.error('❌ No working API endpoint found - starting anyway and re-checking every minute');
+        } else if (!hasSnapshot) {
+            logger.info('✅ API connection successful', { endpoint: workingEndpoint });
+            // No snapshot yet - pre-load bus stops data before taking searches
             await getAllBusStops();
-            console.log('✅ Bus stops data loaded');
+        } else {
+            logger.info('✅ API connection successful', { endpoint: workingEndpoint });
+            if (isBusStopsCacheStale()) {
+                logger.info('🔁 Bus stop snapshot is stale, refreshing in background');
+                getAllBusStops();
+            }
         }
         
-        console.log('✅ Enhanced Singapore Bus Bot is running!');
-        console.log('💡 New Features:');
-        console.log('   • 📍 200m search radius');
-        console.log('   • 🔍 Address search with OneMap');
-        console.log('   • 📱 Combined bus stop display');
-        console.log('   • ⚙️ User customizable settings');
-        console.log('   • 🔄 Enhanced refresh functionality');
-        console.log('   • 🚏 Fixed bus stop number search');
-        console.log('   • ⚙️ Fixed settings menu button');
-        console.log('');
-        console.log('🤖 Bot commands menu configured');
-        console.log('📞 Ready for user interactions!');
+        startBusStopsRefresh();
+        alertScheduler.start();
+        
+        logger.info('✅ Enhanced Singapore Bus Bot is running');
         
     } catch (error) {
-        console.error('❌ Failed to initialize bot:', error.message);
-        console.error('Stack trace:', error.stack);
+        logger.error('❌ Failed to initialize bot', { error });
         process.exit(1);
     }
 };
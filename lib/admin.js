@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const logger = require('./logger').logger.child({ component: 'admin' });
+const { telegramErrorInfo } = require('./telegram-errors');
+
+// Admin tooling: who is an admin, which chats have used the bot, and
+// broadcasting one message to all of them without tripping Telegram's limits.
+const BROADCAST_RATE = 20; // Messages per second - Telegram allows ~30 to different chats
+const BROADCAST_PROGRESS_EVERY = 25; // Report progress after this many chats
+const BROADCAST_MAX_RETRIES = 3;
+const DRAFT_MAX_AGE = 15 * 60 * 1000; // Unconfirmed broadcasts expire
+const SEEN_RESOLUTION = 60 * 1000; // Don't rewrite lastSeen on every single update
+const DAY = 24 * 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// "12345, -100678" -> Set of chat ID strings
+const parseAdminIds = (value = '') => new Set(
+    value.split(',').map(id => id.trim()).filter(id => /^-?\d+$/.test(id))
+);
+
+const createUserRegistry = (collection) => {
+    const touch = (chatId, chatType) => {
+        const now = Date.now();
+        const existing = collection.get(chatId);
+        if (existing && !existing.blocked && now - existing.lastSeen < SEEN_RESOLUTION) return;
+
+        collection.set(chatId, {
+            firstSeen: existing?.firstSeen || now,
+            lastSeen: now,
+            chatType: chatType || existing?.chatType || 'unknown',
+            blocked: false // Writing to us again means they've unblocked the bot
+        });
+    };
+
+    const markBlocked = (chatId) => {
+        const existing = collection.get(chatId);
+        if (existing) collection.set(chatId, { ...existing, blocked: true });
+    };
+
+    // Chats that can still receive messages
+    const reachable = () => [...collection.entries()]
+        .filter(([, user]) => !user.blocked)
+        .map(([chatId]) => chatId);
+
+    const stats = (now = Date.now()) => {
+        const users = [...collection.values()];
+        const count = (predicate) => users.filter(predicate).length;
+        return {
+            total: users.length,
+            blocked: count(user => user.blocked),
+            groups: count(user => user.chatType === 'group' || user.chatType === 'supergroup'),
+            active24h: count(user => now - user.lastSeen < DAY),
+            active7d: count(user => now - user.lastSeen < 7 * DAY),
+            new7d: count(user => user.firstSeen && now - user.firstSeen < 7 * DAY)
+        };
+    };
+
+    return {
+        touch,
+        markBlocked,
+        reachable,
+        stats
+    };
+};
+
+const createBroadcaster = ({ send, onBlocked, rate = BROADCAST_RATE }) => {
+    const drafts = new Map(); // draftId -> { text, createdAt }
+    let current = null;
+
+    // Broadcasts are previewed first and only sent once confirmed
+    const draft = (text) => {
+        const now = Date.now();
+        for (const [draftId, entry] of drafts) {
+            if (now - entry.createdAt > DRAFT_MAX_AGE) drafts.delete(draftId);
+        }
+        const draftId = crypto.randomUUID();
+        drafts.set(draftId, { text, createdAt: now });
+        return draftId;
+    };
+
+    // Returns the draft text once; null if it expired or was already used
+    const takeDraft = (draftId) => {
+        const entry = drafts.get(draftId);
+        drafts.delete(draftId);
+        if (!entry || Date.now() - entry.createdAt > DRAFT_MAX_AGE) return null;
+        return entry.text;
+    };
+
+    const sendOne = async (chatId, text, progress) => {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await send(chatId, text);
+                progress.sent++;
+                return;
+            } catch (error) {
+                const info = telegramErrorInfo(error);
+                if (info.code === 429 && attempt < BROADCAST_MAX_RETRIES) {
+                    await sleep((info.retryAfter || 1) * 1000);
+                    continue;
+                }
+                if (info.code === 403) {
+                    progress.blocked++;
+                    onBlocked(chatId);
+                } else {
+                    progress.failed++;
+                    logger.warn('❌ Broadcast message failed', { chatId, description: info.description });
+                }
+                return;
+            }
+        }
+    };
+
+    const run = async (recipients, text, onProgress = async () => {}) => {
+        if (current) throw new Error('A broadcast is already running');
+
+        const progress = { total: recipients.length, sent: 0, blocked: 0, failed: 0 };
+        current = progress;
+        logger.info('📣 Broadcast started', { recipients: recipients.length });
+
+        try {
+            for (const [i, chatId] of recipients.entries()) {
+                await sendOne(chatId, text, progress);
+
+                const done = i + 1;
+                if (done % BROADCAST_PROGRESS_EVERY === 0 && done < recipients.length) {
+                    await onProgress({ ...progress }).catch(error => logger.warn('❌ Broadcast progress update failed', { error }));
+                }
+                await sleep(Math.ceil(1000 / rate));
+            }
+        } finally {
+            current = null;
+        }
+
+        logger.info('📣 Broadcast finished', progress);
+        return progress;
+    };
+
+    return {
+        draft,
+        takeDraft,
+        run,
+        get running() {
+            return current ? { ...current } : null;
+        }
+    };
+};
+
+module.exports = {
+    parseAdminIds,
+    createUserRegistry,
+    createBroadcaster
+};
@@ -0,0 +1,174 @@
+const logger = require('./logger').logger.child({ component: 'alerts' });
+
+// Bus arrival alerts: poll arrivals in the background and push a message
+// once the next bus of a service is within the user's threshold.
+const ALERT_POLL_INTERVAL = 30000; // 30 seconds
+const MAX_ALERTS_PER_USER = 3;
+const MAX_ALERT_AGE = 90 * 60 * 1000; // Give up after 90 minutes
+const ALERT_THRESHOLDS = [1, 2, 3, 5, 10, 15];
+
+// If the next bus estimate jumps later by this much between polls, the bus we
+// were tracking has left without ever dropping under the threshold.
+const PASSED_JUMP_MINUTES = 3;
+
+const minutesUntil = (arrivalTime, now = Date.now()) => {
+    if (!arrivalTime) return null;
+    const arrival = new Date(arrivalTime).getTime();
+    if (isNaN(arrival)) return null;
+    return (arrival - now) / 60000;
+};
+
+const createAlertId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+const createAlertScheduler = ({ collection, getBusArrivals, notify, pollInterval = ALERT_POLL_INTERVAL }) => {
+    let timer = null;
+    let polling = false;
+
+    const list = (chatId) => collection.get(chatId) || [];
+
+    const save = (chatId, alerts) => {
+        if (alerts.length === 0) {
+            collection.delete(chatId);
+        } else {
+            collection.set(chatId, alerts);
+        }
+    };
+
+    const create = (chatId, busStopCode, serviceNo, thresholdMinutes, busStopName = null) => {
+        const alerts = list(chatId);
+
+        if (alerts.some(alert => alert.busStopCode === busStopCode && alert.serviceNo === serviceNo)) {
+            return { created: false, reason: 'exists' };
+        }
+        if (alerts.length >= MAX_ALERTS_PER_USER) {
+            return { created: false, reason: 'limit' };
+        }
+
+        const alert = {
+            id: createAlertId(),
+            chatId,
+            busStopCode,
+            busStopName,
+            serviceNo,
+            thresholdMinutes,
+            createdAt: Date.now(),
+            lastMinutes: null
+        };
+        save(chatId, [...alerts, alert]);
+        logger.info('🔔 Alert created', { alertId: alert.id, serviceNo, busStopCode, thresholdMinutes, chatId });
+
+        // Check straight away so a bus that is already close triggers immediately
+        checkStop(busStopCode).catch(error => logger.error('❌ Initial alert check failed', { error }));
+
+        return { created: true, alert };
+    };
+
+    const cancel = (chatId, alertId) => {
+        const alerts = list(chatId);
+        const remaining = alerts.filter(alert => alert.id !== alertId);
+        save(chatId, remaining);
+        return remaining.length !== alerts.length;
+    };
+
+    const finish = async (alert, reason, minutes = null) => {
+        // Another check already finished this alert
+        if (!cancel(alert.chatId, alert.id)) return;
+        logger.info('🔔 Alert finished', { alertId: alert.id, reason });
+        try {
+            await notify(alert, reason, minutes);
+        } catch (error) {
+            logger.error('❌ Failed to deliver alert', { alertId: alert.id, error });
+        }
+    };
+
+    const evaluate = async (alert, arrivalsData, now) => {
+        if (now - alert.createdAt > MAX_ALERT_AGE) {
+            await finish(alert, 'expired');
+            return;
+        }
+
+        // Missing arrivals data means an API failure - try again next poll
+        if (!arrivalsData) return;
+
+        const service = (arrivalsData.Services || []).find(s => s.ServiceNo === alert.serviceNo);
+        const minutes = minutesUntil(service?.NextBus?.EstimatedArrival, now);
+
+        if (minutes === null) {
+            // Service has stopped running for the day
+            if (alert.lastMinutes !== null) await finish(alert, 'passed');
+            return;
+        }
+
+        if (minutes <= alert.thresholdMinutes) {
+            await finish(alert, 'triggered', minutes);
+            return;
+        }
+
+        if (alert.lastMinutes !== null && minutes - alert.lastMinutes >= PASSED_JUMP_MINUTES) {
+            await finish(alert, 'passed');
+            return;
+        }
+
+        save(alert.chatId, list(alert.chatId).map(a => (a.id === alert.id ? { ...a, lastMinutes: minutes } : a)));
+    };
+
+    const alertsForStop = (busStopCode) => collection.values()
+        .flat()
+        .filter(alert => alert.busStopCode === busStopCode);
+
+    const checkStop = async (busStopCode) => {
+        const alerts = alertsForStop(busStopCode);
+        if (alerts.length === 0) return;
+
+        const arrivalsData = await getBusArrivals(busStopCode);
+        const now = Date.now();
+        for (const alert of alerts) {
+            await evaluate(alert, arrivalsData, now);
+        }
+    };
+
+    // One arrivals request per stop, however many alerts are watching it
+    const poll = async () => {
+        if (polling) return;
+        polling = true;
+        try {
+            const stopCodes = [...new Set(collection.values().flat().map(alert => alert.busStopCode))];
+            for (const busStopCode of stopCodes) {
+                await checkStop(busStopCode);
+            }
+        } catch (error) {
+            logger.error('❌ Alert poll failed', { error });
+        } finally {
+            polling = false;
+        }
+    };
+
+    const start = () => {
+        if (timer) return;
+        timer = setInterval(poll, pollInterval);
+        const active = collection.values().flat().length;
+        logger.info('🔔 Alert scheduler started', { activeAlerts: active });
+    };
+
+    const stop = () => {
+        if (timer) clearInterval(timer);
+        timer = null;
+    };
+
+    return {
+        list,
+        create,
+        cancel,
+        start,
+        stop,
+        get activeCount() {
+            return collection.values().flat().length;
+        }
+    };
+};
+
+module.exports = {
+    ALERT_THRESHOLDS,
+    MAX_ALERTS_PER_USER,
+    createAlertScheduler
+};
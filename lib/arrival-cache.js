@@ -0,0 +1,89 @@
+const logger = require('./logger').logger.child({ component: 'arrival-cache' });
+
+// Short-lived cache of bus arrivals keyed by stop code. Concurrent lookups for
+// the same stop share one request, and when DataMall fails the last good
+// response is served marked as stale instead of an error.
+const ARRIVAL_CACHE_TTL = 15000; // LTA refreshes arrivals roughly every 20 seconds
+const ARRIVAL_STALE_MAX_AGE = 10 * 60 * 1000; // Don't serve anything older than this
+const MAX_CACHED_STOPS = 2000;
+
+const createArrivalCache = ({ fetch, ttl = ARRIVAL_CACHE_TTL, staleMaxAge = ARRIVAL_STALE_MAX_AGE }) => {
+    const entries = new Map(); // busStopCode -> { data, fetchedAt }
+    const inFlight = new Map(); // busStopCode -> Promise
+    const stats = { hits: 0, misses: 0, coalesced: 0, staleServed: 0 };
+
+    const prune = () => {
+        const now = Date.now();
+        for (const [busStopCode, entry] of entries) {
+            if (now - entry.fetchedAt > staleMaxAge) entries.delete(busStopCode);
+        }
+        // Still too big - drop the oldest (Map keeps insertion order)
+        while (entries.size > MAX_CACHED_STOPS) {
+            entries.delete(entries.keys().next().value);
+        }
+    };
+
+    const withMeta = (entry, isStale) => ({
+        ...entry.data,
+        cachedAt: entry.fetchedAt,
+        isStale
+    });
+
+    const refresh = async (busStopCode) => {
+        let data = null;
+        try {
+            data = await fetch(busStopCode);
+        } catch (error) {
+            logger.error('❌ Arrival fetch failed', { busStopCode, error });
+        }
+
+        if (data) {
+            entries.delete(busStopCode); // Re-insert so Map order tracks recency
+            entries.set(busStopCode, { data, fetchedAt: Date.now() });
+            if (entries.size > MAX_CACHED_STOPS) prune();
+            return withMeta(entries.get(busStopCode), false);
+        }
+
+        const previous = entries.get(busStopCode);
+        if (previous && Date.now() - previous.fetchedAt <= staleMaxAge) {
+            stats.staleServed++;
+            logger.warn('⚠️ Serving stale arrivals', { busStopCode, ageSeconds: Math.round((Date.now() - previous.fetchedAt) / 1000) });
+            return withMeta(previous, true);
+        }
+        return null;
+    };
+
+    const get = async (busStopCode) => {
+        const entry = entries.get(busStopCode);
+        if (entry && Date.now() - entry.fetchedAt < ttl) {
+            stats.hits++;
+            return withMeta(entry, false);
+        }
+
+        if (inFlight.has(busStopCode)) {
+            stats.coalesced++;
+            return inFlight.get(busStopCode);
+        }
+
+        stats.misses++;
+        const request = refresh(busStopCode).finally(() => inFlight.delete(busStopCode));
+        inFlight.set(busStopCode, request);
+        return request;
+    };
+
+    return {
+        get,
+        prune,
+        get size() {
+            return entries.size;
+        },
+        get stats() {
+            return { ...stats };
+        }
+    };
+};
+
+module.exports = {
+    ARRIVAL_CACHE_TTL,
+    createArrivalCache
+};
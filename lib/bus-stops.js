@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger').logger.child({ component: 'bus-stops' });
+
+// On-disk snapshot of the LTA BusStops dataset so restarts don't have to
+// re-download ~11 pages before the bot can answer location searches.
+const SNAPSHOT_VERSION = 1;
+const DIFF_LOG_LIMIT = 10; // Examples logged per change type
+
+const loadSnapshot = (filePath) => {
+    const resolved = path.resolve(filePath);
+    try {
+        if (!fs.existsSync(resolved)) return null;
+        const snapshot = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+        if (snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.stops) || snapshot.stops.length === 0) {
+            logger.warn('⚠️ Ignoring bus stop snapshot with unexpected format', { path: resolved });
+            return null;
+        }
+        return snapshot;
+    } catch (error) {
+        logger.error('❌ Failed to read bus stop snapshot', { path: resolved, error });
+        return null;
+    }
+};
+
+// Write to a temp file and rename so a crash mid-write never leaves a truncated snapshot
+const saveSnapshot = async (filePath, stops, lastUpdated) => {
+    const resolved = path.resolve(filePath);
+    const tmpPath = `${resolved}.tmp`;
+    await fs.promises.mkdir(path.dirname(resolved), { recursive: true });
+    await fs.promises.writeFile(tmpPath, JSON.stringify({ version: SNAPSHOT_VERSION, lastUpdated, stops }));
+    await fs.promises.rename(tmpPath, resolved);
+};
+
+const diffBusStops = (previous, next) => {
+    const before = new Map(previous.map(stop => [stop.BusStopCode, stop]));
+    const after = new Map(next.map(stop => [stop.BusStopCode, stop]));
+
+    const added = next.filter(stop => !before.has(stop.BusStopCode));
+    const removed = previous.filter(stop => !after.has(stop.BusStopCode));
+    const renamed = next
+        .filter(stop => before.has(stop.BusStopCode) && before.get(stop.BusStopCode).Description !== stop.Description)
+        .map(stop => ({ code: stop.BusStopCode, from: before.get(stop.BusStopCode).Description, to: stop.Description }));
+
+    return { added, removed, renamed };
+};
+
+const logBusStopsDiff = ({ added, removed, renamed }) => {
+    if (added.length === 0 && removed.length === 0 && renamed.length === 0) {
+        logger.info('🔁 Bus stop refresh: no changes');
+        return;
+    }
+
+    // Counts at info level, the examples only when debugging
+    logger.info('🔁 Bus stop refresh', { added: added.length, removed: removed.length, renamed: renamed.length });
+    logger.debug('🔁 Bus stop changes', {
+        added: added.slice(0, DIFF_LOG_LIMIT).map(stop => `${stop.BusStopCode} ${stop.Description}`),
+        removed: removed.slice(0, DIFF_LOG_LIMIT).map(stop => `${stop.BusStopCode} ${stop.Description}`),
+        renamed: renamed.slice(0, DIFF_LOG_LIMIT).map(change => `${change.code} "${change.from}" → "${change.to}"`)
+    });
+};
+
+module.exports = {
+    loadSnapshot,
+    saveSnapshot,
+    diffBusStops,
+    logBusStopsDiff
+};
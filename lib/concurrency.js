@@ -0,0 +1,62 @@
+// Limits how many async tasks run at once; extra tasks queue in order
+const createLimiter = (concurrency) => {
+    let active = 0;
+    const queue = [];
+
+    const next = () => {
+        if (active >= concurrency || queue.length === 0) return;
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return (task) => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+};
+
+// Resolves with true if the promise settled within ms, false otherwise
+const settlesWithin = (promise, ms) => {
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), ms);
+    });
+    return Promise.race([promise.then(() => true, () => true), timeout])
+        .finally(() => clearTimeout(timer));
+};
+
+// Keeps track of running async work so shutdown can wait for it to finish
+const createInflightTracker = () => {
+    const pending = new Set();
+
+    const track = (promise) => {
+        pending.add(promise);
+        const done = () => pending.delete(promise);
+        promise.then(done, done);
+        return promise;
+    };
+
+    // Resolves with true once everything tracked has settled, or false if ms ran out first
+    const drain = (ms) => settlesWithin(Promise.allSettled([...pending]), ms);
+
+    return {
+        track,
+        drain,
+        get size() {
+            return pending.size;
+        }
+    };
+};
+
+module.exports = {
+    createLimiter,
+    createInflightTracker,
+    settlesWithin
+};
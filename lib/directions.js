@@ -0,0 +1,57 @@
+// Where services are heading, from the OriginCode and DestinationCode DataMall gives
+// every incoming bus. A service that ends where it started is a loop.
+const serviceHeading = (service) => {
+    const bus = service.NextBus || {};
+    if (!bus.DestinationCode) return null;
+
+    return {
+        originCode: bus.OriginCode || null,
+        destinationCode: bus.DestinationCode,
+        loop: Boolean(bus.OriginCode) && bus.OriginCode === bus.DestinationCode
+    };
+};
+
+// Stops on opposite sides of a road share services running opposite ways, so two stops go
+// in the same group when a service calls at both on its way to the same destination.
+// Loops run both ways and are ignored. Groups come in the order of their nearest stop and
+// list their destinations most common first; stops without arrivals stand alone.
+const groupStopsByDirection = (stops, arrivalsFor) => {
+    const parent = stops.map((stop, index) => index);
+    const root = (index) => parent[index] === index ? index : (parent[index] = root(parent[index]));
+    const firstStopFor = new Map(); // "ServiceNo>DestinationCode" -> index of the first stop it calls at
+    const destinationsAt = stops.map(() => []);
+
+    stops.forEach((stop, index) => {
+        for (const service of arrivalsFor(stop)?.Services || []) {
+            const heading = serviceHeading(service);
+            if (!heading || heading.loop) continue;
+
+            destinationsAt[index].push(heading.destinationCode);
+            const key = `${service.ServiceNo}>${heading.destinationCode}`;
+            if (firstStopFor.has(key)) {
+                parent[root(index)] = root(firstStopFor.get(key));
+            } else {
+                firstStopFor.set(key, index);
+            }
+        }
+    });
+
+    const groups = new Map();
+    stops.forEach((stop, index) => {
+        const key = root(index);
+        if (!groups.has(key)) groups.set(key, { stops: [], counts: new Map() });
+        const group = groups.get(key);
+        group.stops.push(stop);
+        destinationsAt[index].forEach(code => group.counts.set(code, (group.counts.get(code) || 0) + 1));
+    });
+
+    return [...groups.values()].map(({ stops: groupStops, counts }) => ({
+        stops: groupStops,
+        destinationCodes: [...counts].sort((a, b) => b[1] - a[1]).map(([code]) => code)
+    }));
+};
+
+module.exports = {
+    serviceHeading,
+    groupStopsByDirection
+};
@@ -0,0 +1,91 @@
+// Favourite bus stops, stored per chat as an ordered list
+const MAX_FAVOURITES = 10;
+const MAX_NICKNAME_LENGTH = 32;
+
+const createFavourites = (collection) => {
+    const list = (chatId) => collection.get(chatId) || [];
+
+    const save = (chatId, favourites) => {
+        if (favourites.length === 0) {
+            collection.delete(chatId);
+        } else {
+            collection.set(chatId, favourites);
+        }
+        return favourites;
+    };
+
+    const find = (chatId, busStopCode) => list(chatId).find(fav => fav.busStopCode === busStopCode) || null;
+
+    const has = (chatId, busStopCode) => find(chatId, busStopCode) !== null;
+
+    const add = (chatId, busStopCode, description = null) => {
+        const favourites = list(chatId);
+        if (favourites.some(fav => fav.busStopCode === busStopCode)) {
+            return { added: false, reason: 'exists' };
+        }
+        if (favourites.length >= MAX_FAVOURITES) {
+            return { added: false, reason: 'limit' };
+        }
+
+        save(chatId, [...favourites, {
+            busStopCode,
+            description,
+            nickname: null,
+            addedAt: Date.now()
+        }]);
+        return { added: true };
+    };
+
+    const remove = (chatId, busStopCode) => {
+        const favourites = list(chatId);
+        const remaining = favourites.filter(fav => fav.busStopCode !== busStopCode);
+        save(chatId, remaining);
+        return remaining.length !== favourites.length;
+    };
+
+    const rename = (chatId, busStopCode, nickname) => {
+        // Strip Markdown control characters so nicknames can't break message formatting
+        const cleaned = nickname
+            ? nickname.replace(/[*_`\[\]]/g, '').trim().slice(0, MAX_NICKNAME_LENGTH)
+            : null;
+        let renamed = false;
+        const favourites = list(chatId).map(fav => {
+            if (fav.busStopCode !== busStopCode) return fav;
+            renamed = true;
+            return { ...fav, nickname: cleaned || null };
+        });
+        if (renamed) save(chatId, favourites);
+        return renamed;
+    };
+
+    // Move a favourite up (-1) or down (+1) in the list
+    const move = (chatId, busStopCode, offset) => {
+        const favourites = [...list(chatId)];
+        const from = favourites.findIndex(fav => fav.busStopCode === busStopCode);
+        const to = from + offset;
+        if (from === -1 || to < 0 || to >= favourites.length) return false;
+
+        [favourites[from], favourites[to]] = [favourites[to], favourites[from]];
+        save(chatId, favourites);
+        return true;
+    };
+
+    const displayName = (fav) => fav.nickname || fav.description || `Bus Stop ${fav.busStopCode}`;
+
+    return {
+        list,
+        find,
+        has,
+        add,
+        remove,
+        rename,
+        move,
+        displayName
+    };
+};
+
+module.exports = {
+    MAX_FAVOURITES,
+    MAX_NICKNAME_LENGTH,
+    createFavourites
+};
@@ -0,0 +1,90 @@
+const http = require('http');
+const logger = require('./logger').logger.child({ component: 'http' });
+
+// Embedded HTTP server for health checks and metrics. Routes map
+// "METHOD /path" to async handlers that return { status, headers, body }.
+const MAX_BODY_SIZE = 1024 * 1024;
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+            reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+});
+
+const json = (body, status = 200) => ({
+    status,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+});
+
+const text = (body, status = 200, contentType = 'text/plain; charset=utf-8') => ({
+    status,
+    headers: { 'Content-Type': contentType },
+    body
+});
+
+const createHttpServer = ({ port, host = '0.0.0.0', routes }) => {
+    const server = http.createServer(async (req, res) => {
+        const path = req.url.split('?')[0];
+        const handler = routes[`${req.method} ${path}`];
+
+        try {
+            if (!handler) {
+                const response = text('Not found\n', 404);
+                res.writeHead(response.status, response.headers);
+                res.end(response.body);
+                return;
+            }
+
+            const body = req.method === 'POST' ? await readBody(req) : null;
+            const response = await handler(req, body);
+            res.writeHead(response.status || 200, response.headers || {});
+            res.end(response.body || '');
+        } catch (error) {
+            const status = error.statusCode || 500;
+            if (status === 500) logger.error('❌ HTTP handler failed', { method: req.method, path, error });
+            if (!res.headersSent) res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end();
+        }
+    });
+
+    const start = () => new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            logger.info('🌐 HTTP server listening', { host, port });
+            resolve();
+        });
+    });
+
+    const stop = () => new Promise(resolve => {
+        if (!server.listening) {
+            resolve();
+            return;
+        }
+        server.close(() => resolve());
+        // Only on Node 18.2+; older versions wait for keep-alive sockets to time out
+        if (typeof server.closeIdleConnections === 'function') server.closeIdleConnections();
+    });
+
+    return {
+        start,
+        stop
+    };
+};
+
+module.exports = {
+    createHttpServer,
+    json,
+    text
+};
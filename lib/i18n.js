@@ -0,0 +1,80 @@
+const logger = require('./logger').logger.child({ component: 'i18n' });
+
+// Message catalogues for Singapore's four official languages. Keys missing from a
+// catalogue fall back to English, so strings can be translated a few at a time.
+const catalogues = {
+    en: require('./locales/en'),
+    zh: require('./locales/zh'),
+    ms: require('./locales/ms'),
+    ta: require('./locales/ta')
+};
+
+const LANGUAGES = Object.keys(catalogues);
+const DEFAULT_LANGUAGE = 'en';
+
+// Shown in the language picker, so each in its own language
+const LANGUAGE_NAMES = {
+    en: 'English',
+    zh: '中文',
+    ms: 'Bahasa Melayu',
+    ta: 'தமிழ்'
+};
+
+const DATE_LOCALES = {
+    en: 'en-SG',
+    zh: 'zh-SG',
+    ms: 'ms-SG',
+    ta: 'ta-SG'
+};
+
+const warned = new Set();
+
+// Telegram's language_code ("en-GB", "zh-hans") -> one of ours, or English
+const resolveLanguage = (languageCode) => {
+    const base = (languageCode || '').toLowerCase().split(/[-_]/)[0];
+    return LANGUAGES.includes(base) ? base : DEFAULT_LANGUAGE;
+};
+
+// Templates are strings with {name} placeholders, or functions of the params for
+// anything that needs plurals or conditional parts
+const translate = (language, key, params = {}) => {
+    const template = catalogues[language]?.[key] ?? catalogues[DEFAULT_LANGUAGE][key];
+
+    if (template === undefined) {
+        if (!warned.has(key)) {
+            warned.add(key);
+            logger.warn('⚠️ Missing translation', { key });
+        }
+        return key;
+    }
+
+    if (typeof template === 'function') return template(params);
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+};
+
+const createTranslator = (language) => {
+    const resolved = LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+    const t = (key, params) => translate(resolved, key, params);
+    t.language = resolved;
+    return t;
+};
+
+// Every language's version of a key - for recognising reply keyboard buttons
+const allTranslations = (key) => [...new Set(LANGUAGES.map(language => translate(language, key)))];
+
+// Singapore time in the language's own format (24-hour for Chinese, am/pm for English...)
+const formatTime = (language, date = new Date(), options = {}) =>
+    date.toLocaleTimeString(DATE_LOCALES[language] || DATE_LOCALES[DEFAULT_LANGUAGE], {
+        timeZone: 'Asia/Singapore',
+        ...options
+    });
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    LANGUAGE_NAMES,
+    resolveLanguage,
+    createTranslator,
+    allTranslations,
+    formatTime
+};
@@ -0,0 +1,67 @@
+const { parseRoadQuery } = require('./stop-search');
+
+// Works out what a free-text message is asking for, so users can just type
+// "01012" or "190 at 01012" instead of picking a mode first. Anything that
+// doesn't clearly match comes back as 'unknown' for the caller to resolve.
+const SERVICE = '(?:[a-z]{1,2})?\\d{1,3}[a-z]?'; // 190, 14e, NR1, CT18
+// Services need a separator between them, or "43009 1905" would read as service 190 and 5
+const SERVICE_LIST = `${SERVICE}(?:(?:\\s*(?:,|&|\\band\\b)\\s*|\\s+)${SERVICE})*`;
+
+const BUS_STOP_CODE_PATTERN = /^\d{4,5}$/;
+const SERVICES_AT_STOP_PATTERN = new RegExp(`^(?:bus(?:es)?\\s+)?(${SERVICE_LIST})\\s+(?:at|@)\\s+(\\d{4,5})$`, 'i');
+const STOP_THEN_SERVICES_PATTERN = new RegExp(`^(\\d{4,5})\\s+(?:for\\s+)?(${SERVICE_LIST})$`, 'i');
+const SERVICE_PATTERN = new RegExp(`^(?:bus|service)?\\s*(${SERVICE})$`, 'i');
+const DESTINATION_PATTERN = /^(?:how\s+(?:do\s+i\s+)?(?:get|go)\s+to|(?:going|get|go)\s+to|towards|to)\s+(.+)$/i;
+const NEARBY_PATTERN = /^(?:(?:bus\s+)?stops?\s+)?(?:near|nearby|around|close\s+to)\s+(.+)$/i;
+
+// Bus stop codes are 5 digits, but the leading zero is often left off
+const padBusStopCode = (code) => code.padStart(5, '0');
+
+const parseServices = (list) => list
+    .split(/\s*(?:,|&|\band\b)\s*|\s+/i)
+    .filter(Boolean)
+    .map(service => service.toUpperCase());
+
+const parseIntent = (input) => {
+    const text = (input || '').trim().replace(/[?.!]+$/, '');
+    let match;
+
+    if (BUS_STOP_CODE_PATTERN.test(text)) {
+        return { type: 'arrivals', busStopCode: padBusStopCode(text), services: [] };
+    }
+    if ((match = text.match(SERVICES_AT_STOP_PATTERN))) {
+        return { type: 'arrivals', busStopCode: padBusStopCode(match[2]), services: parseServices(match[1]) };
+    }
+    if ((match = text.match(STOP_THEN_SERVICES_PATTERN))) {
+        return { type: 'arrivals', busStopCode: padBusStopCode(match[1]), services: parseServices(match[2]) };
+    }
+    if ((match = text.match(SERVICE_PATTERN))) {
+        return { type: 'route', serviceNo: match[1].toUpperCase() };
+    }
+
+    const road = parseRoadQuery(text);
+    if (road) return { type: 'road', query: text };
+
+    if ((match = text.match(DESTINATION_PATTERN))) {
+        return { type: 'destination', query: match[1].trim() };
+    }
+    if ((match = text.match(NEARBY_PATTERN))) {
+        return { type: 'nearby', query: match[1].trim() };
+    }
+
+    return { type: 'unknown', text };
+};
+
+// Prompts asking for free-form text (a nickname, a schedule) get the message as typed; only
+// the bus stop and address prompts give way to text that says what it wants
+const FREE_TEXT_PROMPTS = ['waitingForNickname', 'waitingForSchedule'];
+
+const routeText = (input, session = {}) => {
+    const prompt = FREE_TEXT_PROMPTS.find(key => session[key]);
+    return prompt ? { type: 'prompt', prompt } : parseIntent(input);
+};
+
+module.exports = {
+    parseIntent,
+    routeText
+};
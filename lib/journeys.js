@@ -0,0 +1,58 @@
+const { compareServiceNumbers } = require('./services');
+
+// Direct bus journeys between two groups of stops, worked out from the route data
+// (ServiceNo -> { direction: [stops in sequence] }). No transfers - just which
+// services pass an origin stop and later a destination stop in the same direction.
+const findDirectJourneys = (services, originCodes, destinationCodes, limit = 5) => {
+    const origins = new Set(originCodes);
+    const destinations = new Set(destinationCodes);
+    const journeys = [];
+
+    for (const [serviceNo, directions] of services) {
+        for (const [direction, stops] of Object.entries(directions)) {
+            let best = null;
+            let boardIndex = -1;
+
+            stops.forEach((stop, index) => {
+                if (boardIndex >= 0 && destinations.has(stop.BusStopCode) && !origins.has(stop.BusStopCode)) {
+                    const stopCount = index - boardIndex;
+                    if (!best || stopCount < best.stopCount) {
+                        best = {
+                            serviceNo,
+                            direction: Number(direction),
+                            from: stops[boardIndex].BusStopCode,
+                            to: stop.BusStopCode,
+                            stopCount,
+                            distance: Math.max(0, (stop.Distance || 0) - (stops[boardIndex].Distance || 0))
+                        };
+                    }
+                }
+                // Board as late as possible - the origin stop closest before the destination
+                if (origins.has(stop.BusStopCode)) boardIndex = index;
+            });
+
+            if (best) journeys.push(best);
+        }
+    }
+
+    // One entry per service, fewest stops first
+    const byService = new Map();
+    for (const journey of journeys.sort((a, b) => a.stopCount - b.stopCount)) {
+        if (!byService.has(journey.serviceNo)) byService.set(journey.serviceNo, journey);
+    }
+    return [...byService.values()].slice(0, limit);
+};
+
+// Services that stop at any of the given stops, in natural service number order
+const servicesServingStops = (services, busStopCodes) => {
+    const codes = new Set(busStopCodes);
+    return [...services]
+        .filter(([, directions]) => Object.values(directions).some(stops => stops.some(stop => codes.has(stop.BusStopCode))))
+        .map(([serviceNo]) => serviceNo)
+        .sort(compareServiceNumbers);
+};
+
+module.exports = {
+    findDirectJourneys,
+    servicesServingStops
+};
@@ -0,0 +1,177 @@
+const logger = require('./logger').logger.child({ component: 'live' });
+const { telegramErrorInfo } = require('./telegram-errors');
+
+// Live arrivals: keep editing the same message on an interval until it expires
+const LIVE_UPDATE_INTERVAL = 30000; // 30 seconds
+const MAX_LIVE_MESSAGES = 20; // Across all users
+const LIVE_DURATIONS = [5, 10, 15, 30]; // Minutes
+const MAX_CONSECUTIVE_FAILURES = 3;
+const MAX_BACKOFF = 5 * 60 * 1000;
+
+const createLiveUpdater = ({ edit, interval = LIVE_UPDATE_INTERVAL, maxLive = MAX_LIVE_MESSAGES }) => {
+    const live = new Map();
+
+    const keyFor = (chatId, messageId) => `${chatId}:${messageId}`;
+
+    const clear = (entry) => {
+        if (entry.timer) clearTimeout(entry.timer);
+        live.delete(entry.key);
+    };
+
+    const schedule = (entry, delay) => {
+        entry.timer = setTimeout(() => {
+            entry.timer = null;
+            update(entry);
+        }, delay);
+    };
+
+    // Final edit swaps the live footer/keyboard back to the static version
+    const finish = async (entry, reason) => {
+        clear(entry);
+        logger.info('📡 Live message stopped', { key: entry.key, reason });
+        if (reason === 'failed') return;
+        try {
+            const content = await entry.render({ live: false, reason });
+            await edit(entry.chatId, entry.messageId, content);
+        } catch (error) {
+            logger.warn('❌ Final live update failed', { key: entry.key, description: telegramErrorInfo(error).description });
+        }
+    };
+
+    // Restarting a message replaces its entry, so an old update still running must not carry on
+    const isCurrent = (entry) => live.get(entry.key) === entry;
+
+    const update = async (entry) => {
+        if (!isCurrent(entry)) return;
+        entry.updating = true;
+        try {
+            await renderAndEdit(entry);
+        } finally {
+            entry.updating = false;
+        }
+
+        if (!isCurrent(entry)) return;
+        if (entry.rerun) {
+            // Refreshed mid-update - go again straight away rather than wait a full interval
+            entry.rerun = false;
+            schedule(entry, 0);
+        } else {
+            schedule(entry, entry.delay);
+        }
+    };
+
+    // One pass of an update; update() schedules the next one
+    const renderAndEdit = async (entry) => {
+        if (Date.now() >= entry.expiresAt) {
+            await finish(entry, 'expired');
+            return;
+        }
+
+        try {
+            const content = await entry.render({ live: true, expiresAt: entry.expiresAt });
+            if (!isCurrent(entry)) return;
+            await edit(entry.chatId, entry.messageId, content);
+            entry.failures = 0;
+            entry.delay = interval;
+        } catch (error) {
+            const info = telegramErrorInfo(error);
+
+            if (/message is not modified/i.test(info.description)) {
+                // Nothing changed - not a failure, just check again next time
+                entry.failures = 0;
+            } else if (info.code === 429) {
+                entry.delay = Math.max(interval, (info.retryAfter || 30) * 1000);
+                logger.warn('⏳ Live message rate limited', { key: entry.key, retryInMs: entry.delay });
+            } else {
+                entry.failures++;
+                entry.delay = Math.min(entry.delay * 2, MAX_BACKOFF);
+                logger.warn('❌ Live update failed', { key: entry.key, failures: entry.failures, maxFailures: MAX_CONSECUTIVE_FAILURES, description: info.description });
+
+                // Message deleted or chat blocked - give up rather than keep retrying
+                if (entry.failures >= MAX_CONSECUTIVE_FAILURES || info.code === 400 || info.code === 403) {
+                    await finish(entry, 'failed');
+                }
+            }
+        }
+    };
+
+    const start = (chatId, messageId, durationMinutes, render) => {
+        // Only one live message per chat - starting another replaces it
+        for (const entry of live.values()) {
+            if (entry.chatId !== chatId) continue;
+            if (entry.key === keyFor(chatId, messageId)) {
+                clear(entry);
+            } else {
+                finish(entry, 'replaced');
+            }
+        }
+
+        if (live.size >= maxLive) {
+            return { started: false, reason: 'capacity' };
+        }
+
+        const entry = {
+            key: keyFor(chatId, messageId),
+            chatId,
+            messageId,
+            render,
+            expiresAt: Date.now() + durationMinutes * 60000,
+            delay: interval,
+            failures: 0,
+            timer: null,
+            updating: false,
+            rerun: false
+        };
+        live.set(entry.key, entry);
+        logger.info('📡 Live message started', { key: entry.key, durationMinutes, active: live.size, maxLive });
+
+        // First update straight away so the live footer shows immediately
+        schedule(entry, 0);
+        return { started: true, expiresAt: entry.expiresAt };
+    };
+
+    const stop = async (chatId, messageId) => {
+        const entry = live.get(keyFor(chatId, messageId));
+        if (!entry) return false;
+        await finish(entry, 'stopped');
+        return true;
+    };
+
+    const isLive = (chatId, messageId) => live.has(keyFor(chatId, messageId));
+
+    // Re-render now (e.g. after paging) without waiting for the next tick. An update already
+    // running picks the change up by going again as soon as it finishes.
+    const refresh = (chatId, messageId) => {
+        const entry = live.get(keyFor(chatId, messageId));
+        if (!entry) return false;
+        if (entry.updating) {
+            entry.rerun = true;
+        } else {
+            if (entry.timer) clearTimeout(entry.timer);
+            schedule(entry, 0);
+        }
+        return true;
+    };
+
+    const stopAll = () => {
+        for (const entry of live.values()) clear(entry);
+    };
+
+    return {
+        start,
+        stop,
+        stopAll,
+        isLive,
+        refresh,
+        get activeCount() {
+            return live.size;
+        }
+    };
+};
+
+module.exports = {
+    LIVE_DURATIONS,
+    LIVE_UPDATE_INTERVAL,
+    MAX_LIVE_MESSAGES,
+    createLiveUpdater
+};
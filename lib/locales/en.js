@@ -0,0 +1,427 @@
+// English - the reference catalogue. Every key used by the bot must exist here.
+module.exports = {
+    // Command menu descriptions (setMyCommands)
+    'command.start': 'Start the bot and get welcome message',
+    'command.help': 'Show help and usage instructions',
+    'command.location': 'Share location to find nearby bus stops',
+    'command.search': 'Search by typing address or place name',
+    'command.busstop': 'Search by bus stop number (e.g. 01012)',
+    'command.favourites': 'Show arrivals for your favourite bus stops',
+    'command.alerts': 'View and cancel your bus arrival alerts',
+    'command.schedule': 'Get arrivals pushed at your commute times',
+    'command.route': 'Show the stops along a bus route (e.g. /route 190)',
+    'command.find': 'Find bus stops by name or road (e.g. /find Opp Blk 123)',
+    'command.settings': 'Adjust search radius, language and preferences',
+
+    // Reply keyboard
+    'button.shareLocation': '📍 Share Location',
+    'button.searchAddress': '🔍 Search Address',
+    'button.busStopNumber': '🚏 Bus Stop Number',
+    'button.refresh': '🔄 Refresh',
+    'button.settings': '⚙️ Settings',
+    'button.favourites': '⭐ Favourites',
+    'button.help': '❓ Help',
+    'button.shareMyLocation': '📍 Share My Location',
+
+    // Inline keyboards
+    'button.refreshAll': '🔄 Refresh All Arrivals',
+    'button.refreshStop': '🔄 Refresh This Stop',
+    'button.liveUpdates': '📡 Live Updates',
+    'button.stopLive': '⏹️ Stop Live Updates',
+    'button.newLocationSearch': '📍 New Location Search',
+    'button.newSearch': '📍 New Search',
+    'button.setAlert': '🔔 Set Arrival Alert',
+    'button.addFavourite': '⭐ Add to Favourites',
+    'button.removeFavourite': '★ Remove Favourite',
+    'button.refreshFavourites': '🔄 Refresh Favourites',
+    'button.manageFavourites': '✏️ Manage Favourites',
+    'button.liveMinutes': '{minutes} min',
+    'button.cancel': '✖️ Cancel',
+    'button.hideServices': '🙈 Hide Services',
+    'button.whereIsBus': '📍 Where is my bus?',
+    'button.followBus': '📡 Follow this bus',
+    'button.stopFollowing': '⏹️ Stop following',
+    'button.backToSettings': '← Back to Settings',
+    'button.inlineSearch': '🔍 Type a bus stop code or name',
+    'button.back': '← Back',
+    'button.backToArrivals': '← Back to Arrivals',
+    'button.viewArrivals': '🚏 View Arrivals',
+    'button.cancelAlert': '❌ Cancel Alert',
+    'button.newSchedule': '➕ New Schedule',
+    'button.pause': '⏸️ Pause',
+    'button.resume': '▶️ Resume',
+    'button.delete': '🗑️ Delete',
+    'button.backToSchedules': '← Back to Schedules',
+    'button.rename': '✏️ Rename',
+    'button.skip': '⏭️ Skip',
+    'button.backToFavourites': '← Back to Favourites',
+    'button.previous': '◀ Prev',
+    'button.next': 'Next ▶',
+    'button.oppositeDirection': '🔁 Opposite Direction',
+
+    // Arrival times and messages
+    'time.arriving': 'Arriving',
+    'time.minute': '1 min',
+    'time.minutes': '{minutes} mins',
+    'time.noData': 'No data',
+    'load.legend': '🟢 Seats Available • 🟡 Standing • 🔴 Limited Standing',
+    'load.detailLegend': '♿ Wheelchair accessible • ⏱️ Scheduled time, not tracked live',
+    'bus.type.SD': 'Single deck',
+    'bus.type.DD': 'Double deck',
+    'bus.type.BD': 'Bendy',
+    'bus.scheduled': 'scheduled',
+    'bus.loop': 'loop from {stop}',
+    'arrivals.busStop': 'Bus Stop {code}',
+    'arrivals.stopCode': '🏷️ Stop: {code}',
+    'arrivals.distance': '{distance}m away',
+    'arrivals.lastUpdated': '🔄 Last updated: {time}',
+    'arrivals.stale': '⚠️ _Live data unavailable - showing times from {minutes} min ago_',
+    'arrivals.error': '❌ Error loading arrivals (API issue)',
+    'arrivals.noServices': '❌ No buses currently serving this stop',
+    'arrivals.noRealtime': '⏰ No real-time arrivals available',
+    'arrivals.noRealtimeFor': '⏰ No real-time arrivals for bus {services}',
+    'arrivals.stillLoading': '⏳ Still loading arrivals...',
+    'arrivals.slowStops': '⏳ _Some stops are slow to respond - this message will update when they load_',
+    'arrivals.allHidden': '🙈 All buses at this stop are hidden',
+    'arrivals.hiddenCount': '🙈 _{count} hidden_',
+    'arrivals.moreServices': '➕ _{count} more buses - show all in /settings_',
+    'arrivals.unavailable': 'Arrivals unavailable right now',
+    'arrivals.nearbyTitle': 'Bus Arrivals ({count} stops within {radius}m)',
+    'arrivals.nearestTitle': 'Nearest {count} Bus Stops (none within {radius}m)',
+    'arrivals.towards': '🧭 Towards {places}',
+    'arrivals.favouritesTitle': 'Favourite Bus Stops ({count})',
+    'arrivals.liveFooter': '🔴 *Live* • updating every {seconds}s until {time}',
+    'arrivals.liveStarted': '📡 Live updates on for {minutes} min',
+    'arrivals.liveCapacity': '⏳ Too many live messages running right now (max {max}). Please use 🔄 Refresh or try again later.',
+    'arrivals.lookingUp': '🔍 Looking up bus stop {code}...\n⏳ Getting real-time arrivals...',
+    'arrivals.searchingNearby': '🔍 Searching for nearby bus stops...',
+    'arrivals.refreshing': '🔄 Refreshing bus arrivals...',
+    'arrivals.refreshingAll': '🔄 Refreshing all bus arrivals...',
+    'arrivals.noLocation': '❌ No location data. Please search again.',
+    'arrivals.loadError':
+        `❌ *Error loading bus stop {code}*\n\n` +
+        `This could mean:\n` +
+        `• Bus stop code doesn't exist\n` +
+        `• API connection issue\n` +
+        `• Bus stop is not in service\n\n` +
+        `🔄 *Try again* or use a different bus stop code.\n\n` +
+        `💡 *Tip:* Double-check the code on the physical bus stop sign.`,
+    'arrivals.refreshError': '❌ Error refreshing bus stop {code}. Please try again.',
+    'arrivals.stopsUnavailable': '❌ Unable to load bus stops data right now. Please try again in a few minutes.',
+    'arrivals.noStopsWithin': '❌ No bus stops found within {km}km.',
+    'arrivals.noStopsNearby': '❌ No bus stops found within {km}km.\n\nTry:\n• Moving to a different location\n• Searching by address or bus stop number instead',
+    'arrivals.foundNearby': ({ count }) => `📍 Found ${count} bus stop${count > 1 ? 's' : ''} nearby.\n🔄 Loading real-time arrivals...`,
+    'arrivals.searchError': '❌ An error occurred while searching. Please try again.',
+
+    // /start and /help
+    'start.welcome': ({ name, radius }) =>
+        `🚌 *Welcome to Singapore Bus Bot, ${name}!*\n\n` +
+        `I help you find nearby bus stops and get real-time bus arrival information.\n\n` +
+        `*🆕 Enhanced Features:*\n` +
+        `• 📍 Increased search radius to ${radius}m\n` +
+        `• 📱 Combined bus stop display\n` +
+        `• 🔍 Address search functionality\n` +
+        `• ⚙️ Customizable settings\n\n` +
+        `*How to use:*\n` +
+        `1️⃣ Share your location OR search by address\n` +
+        `2️⃣ View all nearby bus stops in one message\n` +
+        `3️⃣ See real-time arrivals with load status\n` +
+        `4️⃣ Use refresh button to update timing\n\n` +
+        `Ready to find your bus? Choose an option below! 🚌`,
+    'start.defaultName': 'there',
+    'help.text': ({ inlineMention }) =>
+        `❓ *Singapore Bus Bot Help*\n\n` +
+        `*Available Commands:*\n` +
+        `• /start - Start the bot\n` +
+        `• /help - Show this help message\n` +
+        `• /location - Request location sharing\n` +
+        `• /search - Search by address\n` +
+        `• /favourites - Arrivals for your favourite stops\n` +
+        `• /alerts - Manage bus arrival alerts\n` +
+        `• /schedule - Automatic commute updates\n` +
+        `• /route 190 - Stops along a bus route\n` +
+        `• /find Opp Blk 123 - Find stops by name or road\n` +
+        `• /settings - Adjust preferences and language\n` +
+        `*Features:*\n` +
+        `📍 Share your GPS location for instant results\n` +
+        `🔍 Search by typing any Singapore address\n` +
+        `📱 All nearby stops shown in one message\n` +
+        `🔄 Real-time arrival updates\n` +
+        `⚙️ Customizable search radius\n\n` +
+        `*Tips:*\n` +
+        `• Just type what you need: "01012", "190 at 01012", "to Orchard" or "near Bishan"\n` +
+        `• For address search, be specific (e.g., "Orchard Road MRT")\n` +
+        `• Tap 📡 Live Updates to refresh timings every 30 seconds\n` +
+        `• In any chat, type ${inlineMention} 01012 for arrivals\n` +
+        `• Load indicators: 🟢 Seats, 🟡 Standing, 🔴 Limited\n\n` +
+        `Need more help? Contact RandomG.`,
+    'help.inlineMentionFallback': "this bot's @username",
+
+    // Search prompts
+    'prompt.location': '📍 Please share your location to find nearby bus stops:',
+    'prompt.locationGroup': '📍 Reply to this message with a location (📎 → Location) to find nearby bus stops.',
+    'prompt.address':
+        `🔍 *Enhanced Address Search*\n\n` +
+        `Type any Singapore location. I can find:\n\n` +
+        `🚇 *MRT/LRT Stations:*\n` +
+        `• "Yew Tee Station"\n` +
+        `• "Dhoby Ghaut"\n` +
+        `• "Jurong East MRT"\n\n` +
+        `🏬 *Shopping Malls:*\n` +
+        `• "Causeway Point"\n` +
+        `• "Jurong Point"\n` +
+        `• "Marina Bay Sands"\n\n` +
+        `📍 *Areas & Roads:*\n` +
+        `• "Orchard Road"\n` +
+        `• "Raffles Place"\n` +
+        `• "Little India"\n\n` +
+        `💡 Be specific: "Yew Tee MRT Station" works better than "Yew Tee".\n\n` +
+        `Just type your location below:`,
+    'prompt.busStop':
+        `🚏 *Bus Stop Number Search*\n\n` +
+        `Enter a Singapore bus stop code to get real-time arrivals.\n\n` +
+        `📝 *Examples:*\n` +
+        `• 01012 (Raffles Place)\n` +
+        `• 43009 (Orchard Boulevard)\n` +
+        `• 28009 (Marina Bay Sands)\n` +
+        `• 59009 (Changi Airport)\n\n` +
+        `💡 *Tips:*\n` +
+        `• Bus stop codes are usually 5 digits\n` +
+        `• You can find codes on physical bus stop signs\n` +
+        `• Or use OneMap.gov.sg to find codes\n` +
+        `• Don't know the code? Type the stop name, e.g. "Opp Blk 123"\n\n` +
+        `*Type the bus stop number below:*`,
+    'prompt.newSearch': '📍 Choose how to search for bus stops:',
+    'prompt.newSearchGroup': '📍 Send /location, /search or /busstop and reply to my question to start a new search.',
+    'prompt.invalidCode':
+        `❌ *Invalid bus stop code format*\n\n` +
+        `Please enter a valid bus stop code (4-5 digits).\n\n` +
+        `📝 *Examples:*\n` +
+        `• 01012 or 1012\n` +
+        `• 43009\n` +
+        `• 28009\n\n` +
+        `You entered: "{text}"\n` +
+        `Please try again:`,
+
+    // Address search
+    'address.searching': '🔍 Searching for "{query}"...\n⏳ Checking multiple location databases...',
+    'address.found':
+        `✅ *Found Location!*\n\n` +
+        `📍 *{address}*\n` +
+        `🗺️ Source: {provider}\n` +
+        `📊 Coordinates: {latitude}, {longitude}\n\n` +
+        `🔍 Searching for nearby bus stops...`,
+    'address.results': '📍 Results for: *{address}*\n🔍 Loading bus stops...',
+    'address.notFound':
+        `❌ *Location "{query}" not found*\n\n` +
+        `🔍 *Try these search tips:*\n` +
+        `• Add "MRT" or "Station": "{query} MRT"\n` +
+        `• Add "Mall" or "Centre": "{query} Mall"\n` +
+        `• Be more specific: "Causeway Point Woodlands"\n` +
+        `• Try nearby landmarks or road names\n\n` +
+        `📝 *Search Examples:*\n` +
+        `• "Yew Tee MRT Station"\n` +
+        `• "Causeway Point Shopping Centre"\n` +
+        `• "Woodlands MRT"\n` +
+        `• "Jurong Point Mall"\n\n` +
+        `💡 Try a different location name or be more specific!`,
+    'address.error':
+        `❌ *Search Error*\n\n` +
+        `Unable to search for locations right now.\n\n` +
+        `🔄 *Try again* or use *📍 Share Location* instead.\n\n` +
+        `💡 *Alternative:* Share your GPS location for instant results!`,
+
+    // Stop name and road search
+    'stopSearch.title': '🔎 *Bus stops matching your search*',
+    'stopSearch.roadTitle': ({ road, count }) => `🛣️ *${road}* • ${count} bus stop${count === 1 ? '' : 's'}`,
+    'stopSearch.showingFirst': 'Showing the first {count}.',
+    'stopSearch.tapStop': '👇 Tap a stop to see its arrivals',
+    'stopSearch.notFound': '❌ No bus stops match "{query}".\n\n💡 Try fewer words, the road name ("stops on Orchard Rd") or the 5-digit code on the stop sign.',
+    'stopSearch.prompt':
+        `🔎 *Find a Bus Stop*\n\n` +
+        `Type part of the stop's name, or ask for a whole road:\n\n` +
+        `📝 *Examples:*\n` +
+        `• /find Opp Blk 123\n` +
+        `• /find Bef Orchard Stn\n` +
+        `• /find stops on Orchard Rd\n\n` +
+        `*Type the stop name below:*`,
+
+    // /route
+    'route.usage': '🛣️ *Bus Route Viewer*\n\nSend /route followed by a bus service number, e.g.:\n• /route 190\n• /route 14e\n• /route NR1',
+    'route.loading': '🛣️ Loading route for bus {service}...',
+    'route.loadingFirst': '🛣️ Loading route data for the first time...\n⏳ This can take up to a minute.',
+    'route.unavailable': '❌ Unable to load bus route data right now. Please try again later.',
+    'route.notFound': '❌ Bus service "{service}" not found.\n\nCheck the number and try again, e.g. /route 190',
+    'route.expired': '❌ Route data unavailable. Please try /route again.',
+    'route.title': '🚌 *Bus {service}* • {operator}',
+    'route.loop': '{stop} (loop)',
+    'route.direction': '↔️ Direction {direction} of {count}',
+    'route.stops': '📋 Stops {from}–{to} of {total}',
+
+    // "What would you like to do with ...?"
+    'intent.question': '🤔 What would you like to do with "{text}"?',
+    'intent.stopsNamed': '🚏 Bus stops named "{text}"',
+    'intent.stopsNear': '📍 Bus stops near "{text}"',
+    'intent.busesTo': '🧭 Buses to "{text}"',
+    'intent.expired': '❌ This question has expired. Please send your search again.',
+
+    // Buses to a destination
+    'destination.searching': '🧭 Looking for buses to "{query}"...',
+    'destination.noStops': '❌ Couldn\'t find any bus stops near "{query}".\n\n💡 Try a landmark, MRT station or road name.',
+    'destination.serving': '🧭 *Buses to {place}*\n\n{services}\n\n📍 Share your location or search an address first, then ask again to see which of these you can catch.',
+    'destination.noServices': 'No bus services stop nearby.',
+    'destination.lastLocation': 'your last location',
+    'destination.noDirect': '🧭 No direct bus from {origin} to {place}.\n\n💡 Try searching from a different location first.',
+    'destination.title': '🧭 *Direct buses to {place}*\n📍 From {origin}',
+    'destination.journey': '🚌 *{service}* from {stop} ({code})',
+    'destination.rideTo': ({ count, stop }) => `${count} stop${count === 1 ? '' : 's'} to ${stop}`,
+    'destination.tapBus': '👇 Tap a bus to see when it arrives',
+    'destination.button': '🚌 {service} from {stop}',
+    'destination.error': '❌ Unable to search right now. Please try again.',
+
+    // Favourites
+    'favourites.empty': ({ max }) =>
+        `⭐ *No Favourites Yet*\n\n` +
+        `Look up a bus stop and tap "⭐ Add to Favourites" to save it here.\n\n` +
+        `You can save up to ${max} stops and give them nicknames like "Home" or "Office".`,
+    'favourites.loading': '⭐ Loading favourite bus stops...',
+    'favourites.refreshing': '🔄 Loading favourite bus stops...',
+    'favourites.manage': '✏️ *Manage Favourites*\n\nTap a stop name to view its arrivals.\nUse ⬆️ ⬇️ to reorder, ✏️ to set a nickname or 🗑️ to remove.',
+    'favourites.nicknamePrompt': '✏️ *Nickname for Bus Stop {code}*\n\nType a short name like "Home" or "Office" (max 32 characters), or tap Skip to keep the stop name.',
+    'favourites.nicknamePromptGroup': '✏️ *Nickname for Bus Stop {code}*\n\nReply to this message with a short name like "Home" or "Office" (max 32 characters), or ignore it to keep the stop name.',
+    'favourites.nicknameSaved': '✅ Saved bus stop {code} as "{name}".\n\nTap ⭐ Favourites to see all your saved stops.',
+    'favourites.saved': '⭐ Saved to favourites. Tap ⭐ Favourites to see all your saved stops.',
+    'favourites.gone': '❌ Bus stop {code} is no longer in your favourites.',
+    'favourites.limit': '❌ You can save up to {max} favourites. Remove one first.',
+    'favourites.exists': '⭐ Already in your favourites',
+    'favourites.atTop': 'Already at the top',
+    'favourites.atBottom': 'Already at the bottom',
+    'hide.hint': 'Tap a bus to hide or show it at this stop',
+    'hide.noServices': '❌ No services to hide right now',
+    'track.hint': 'Tap a bus to see where it is',
+    'track.noPositions': '❌ None of the buses here are reporting where they are right now',
+    'track.noPosition': '❌ Bus {service} isn\'t reporting where it is right now',
+    'track.position': '📍 *Bus {service}* is {distance}m from {stop}\n⏱️ {arrival}',
+    'track.following': '📡 _Following - the map moves with the bus until it arrives_',
+    'track.arrived': '✅ *Bus {service}* has reached {stop}',
+    'track.lost': '⚠️ Lost track of bus {service} - it stopped reporting where it is',
+    'track.capacity': '⏳ Too many buses being followed right now (max {max}). Please try again later.',
+
+    // Arrival alerts
+    'alerts.etaNow': 'arriving now',
+    'alerts.etaMinutes': 'about {minutes} min away',
+    'alerts.triggered': '🔔 *Bus {service} is {eta}!*\n\n📍 {stop}\n⏰ You asked to be alerted at {threshold} min.',
+    'alerts.passed': '⌛ *Alert ended*\n\nBus {service} at {stop} has passed or is no longer running.',
+    'alerts.expired': '⌛ *Alert expired*\n\nBus {service} at {stop} did not come within {threshold} min in time.',
+    'alerts.none': '🔔 *No Active Alerts*\n\nLook up a bus stop and tap "🔔 Set Arrival Alert" to get a message when your bus is close.',
+    'alerts.title': '🔔 *Active Alerts ({count}/{max})*',
+    'alerts.item': '🚍 {service} at {stop} ({code}) • within {minutes} min',
+    'alerts.cancelButton': '❌ Cancel {service} at {code}',
+    'alerts.pickService': '🔔 *Set Arrival Alert*\n\nBus Stop {code}\n\nWhich bus do you want to be alerted about?',
+    'alerts.pickThreshold': '🔔 *Alert for Bus {service}*\n\nBus Stop {code}\n\nNotify me when the bus is this many minutes away:',
+    'alerts.thresholdButton': '{minutes} min',
+    'alerts.limit': '❌ You can have up to {max} active alerts. Cancel one with /alerts first.',
+    'alerts.exists': '🔔 You already have an alert for bus {service} at this stop.',
+    'alerts.set': '✅ *Alert Set*\n\nI\'ll message you when bus {service} is within {minutes} min of stop {code}.\n\nUse /alerts to see or cancel your alerts.',
+
+    // Commute schedules
+    'schedules.title': '⏰ *Commute Schedules*',
+    'schedules.empty': 'Get bus arrivals sent to you automatically, e.g. every weekday at 8:05am.\n\nTap "➕ New Schedule" to set one up.',
+    'schedules.unnamedStop': 'Bus Stop',
+    'schedules.days.daily': 'Every day',
+    'schedules.days.weekdays': 'Weekdays',
+    'schedules.days.weekends': 'Weekends',
+    'schedules.holidays.normal': 'Ignore public holidays',
+    'schedules.holidays.skip': 'Skip public holidays',
+    'schedules.holidays.weekend': 'Treat public holidays as weekends',
+    'schedules.summary.normal': '{days} at {time}',
+    'schedules.summary.skip': '{days} at {time}, not on public holidays',
+    'schedules.summary.weekend': '{days} at {time}, public holidays as weekends',
+    'schedules.detail':
+        `⏰ *Schedule at {time}*\n\n` +
+        `📍 {stop} ({code})\n` +
+        `🚍 Services: {services}\n` +
+        `📅 {summary}\n` +
+        `Status: {status}\n\n` +
+        `Choose which days to send arrivals:`,
+    'schedules.allServices': 'All',
+    'schedules.active': '🟢 Active',
+    'schedules.paused': '⏸️ Paused',
+    'schedules.newPrompt':
+        `➕ *New Commute Schedule*\n\n` +
+        `Send the bus stop code, the time (Singapore time) and optionally the services you take:\n\n` +
+        `📝 *Examples:*\n` +
+        `• \`43009 08:05\` - all services\n` +
+        `• \`43009 8:05am 190 972\` - only 190 and 972\n\n` +
+        `You can pick the days after saving.`,
+    'schedules.invalid':
+        `❌ *Couldn't read that schedule*\n\n` +
+        `Send the bus stop code, the time and optionally the services, e.g.:\n` +
+        `• \`43009 08:05\`\n` +
+        `• \`43009 8:05am 190 972\`\n\n` +
+        `Please try again:`,
+    'schedules.limit': '❌ You can have up to {max} schedules. Delete one in /schedule first.',
+    'schedules.created': '⏰ Schedule created!',
+    'schedules.notFound': '❌ Schedule not found. It may have been deleted.',
+    'schedules.update': '⏰ *Commute Update* • {time}',
+
+    // Settings
+    'settings.menu': ({ radius, maxStops, view, services, sort, times, hidden, language }) =>
+        `⚙️ *Settings*\n\n` +
+        `Current preferences:\n` +
+        `• Search Radius: ${radius}m\n` +
+        `• Max Bus Stops: ${maxStops}\n` +
+        `• Arrivals: ${view}\n` +
+        `• Buses per stop: ${services}\n` +
+        `• Sort: ${sort}\n` +
+        `• Times: ${times}\n` +
+        `• Hidden services: ${hidden}\n` +
+        `• Language: ${language}\n\n` +
+        `Tap to adjust:`,
+    'settings.radiusButton': 'Radius: {radius}m',
+    'settings.stopsButton': 'Max Stops: {maxStops}',
+    'settings.languageButton': '🌐 Language: {language}',
+    'settings.viewButton': '📋 Arrivals: {view}',
+    'settings.viewCompact': 'Compact',
+    'settings.viewDetailed': 'Detailed',
+    'settings.servicesButton': '🚌 Buses per stop: {services}',
+    'settings.servicesCapped': 'Up to {max}',
+    'settings.servicesAll': 'All',
+    'settings.resetButton': '🔄 Reset to Default',
+    'settings.doneButton': '✅ Done',
+    'settings.radiusTitle': '🎯 *Search Radius*\n\nCurrent: {radius}m\n\nChoose new radius:',
+    'settings.stopsTitle': '📊 *Maximum Bus Stops*\n\nCurrent: {maxStops} stops\n\nChoose maximum number of stops to display:',
+    'settings.stopsOption': '{count} stops',
+    'settings.languageTitle': '🌐 *Language*\n\nCurrent: {language}\n\nChoose the language for menus and arrivals:',
+    'settings.languageAuto': '🔄 Automatic ({language})',
+    'settings.sortButton': '🔢 Sort: {sort}',
+    'settings.sortService': 'Bus number',
+    'settings.sortSoonest': 'Soonest first',
+    'settings.timeButton': '🕒 Times: {format}',
+    'settings.timeRelative': 'Minutes',
+    'settings.time24h': '24-hour clock',
+    'settings.time12h': '12-hour clock',
+    'settings.hiddenButton': '🙈 Hidden services: {count}',
+    'settings.hiddenTitle': '🙈 *Hidden Services*\n\nThese buses are left out of arrivals at each stop:',
+    'settings.hiddenNone': '🙈 *Hidden Services*\n\nNothing is hidden. Open a bus stop\'s arrivals and tap 🙈 Hide Services to hide buses you never take.',
+    'settings.unhideButton': '👁️ Show all at {stop}',
+    'settings.reset': ({ radius, maxStops }) =>
+        `✅ *Settings Reset*\n\n` +
+        `Restored to default values:\n` +
+        `• Search Radius: ${radius}m\n` +
+        `• Max Bus Stops: ${maxStops}`,
+    'settings.saved': ({ radius, maxStops }) =>
+        `✅ *Settings Saved*\n\n` +
+        `Your preferences:\n` +
+        `• Search Radius: ${radius}m\n` +
+        `• Max Bus Stops: ${maxStops}\n\n` +
+        `Use the menu below to search for bus stops!`,
+    'settings.ready': '🚌 Ready to search for buses!',
+    'settings.radiusUpdated': '✅ *Search Radius Updated*\n\nNew radius: {radius}m\n\nThis will affect future searches.',
+    'settings.stopsUpdated': '✅ *Maximum Stops Updated*\n\nNew limit: {maxStops} stops\n\nThis will affect future searches.',
+    'settings.languageUpdated': '✅ Language set to English.',
+
+    // Callback answers
+    'callback.updated': '✅ Updated!',
+    'callback.failed': '❌ Update failed. Please try again.'
+};
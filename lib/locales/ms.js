@@ -0,0 +1,411 @@
+// Bahasa Melayu
+module.exports = {
+    'command.start': 'Mulakan bot dan lihat mesej alu-aluan',
+    'command.help': 'Bantuan dan cara penggunaan',
+    'command.location': 'Kongsi lokasi untuk cari perhentian bas berdekatan',
+    'command.search': 'Cari dengan menaip alamat atau nama tempat',
+    'command.busstop': 'Cari mengikut nombor perhentian bas (cth. 01012)',
+    'command.favourites': 'Ketibaan bas di perhentian kegemaran anda',
+    'command.alerts': 'Lihat dan batalkan amaran ketibaan bas',
+    'command.schedule': 'Terima maklumat ketibaan pada waktu perjalanan anda',
+    'command.route': 'Perhentian di sepanjang laluan bas (cth. /route 190)',
+    'command.find': 'Cari perhentian bas mengikut nama atau jalan (cth. /find Opp Blk 123)',
+    'command.settings': 'Ubah jarak carian, bahasa dan pilihan lain',
+
+    'button.shareLocation': '📍 Kongsi Lokasi',
+    'button.searchAddress': '🔍 Cari Alamat',
+    'button.busStopNumber': '🚏 Nombor Perhentian Bas',
+    'button.refresh': '🔄 Muat Semula',
+    'button.settings': '⚙️ Tetapan',
+    'button.favourites': '⭐ Kegemaran',
+    'button.help': '❓ Bantuan',
+    'button.shareMyLocation': '📍 Kongsi Lokasi Saya',
+
+    'button.refreshAll': '🔄 Muat Semula Semua Ketibaan',
+    'button.refreshStop': '🔄 Muat Semula Perhentian Ini',
+    'button.liveUpdates': '📡 Kemas Kini Langsung',
+    'button.stopLive': '⏹️ Hentikan Kemas Kini Langsung',
+    'button.newLocationSearch': '📍 Carian Lokasi Baharu',
+    'button.newSearch': '📍 Carian Baharu',
+    'button.setAlert': '🔔 Tetapkan Amaran Ketibaan',
+    'button.addFavourite': '⭐ Tambah ke Kegemaran',
+    'button.removeFavourite': '★ Buang dari Kegemaran',
+    'button.refreshFavourites': '🔄 Muat Semula Kegemaran',
+    'button.manageFavourites': '✏️ Urus Kegemaran',
+    'button.liveMinutes': '{minutes} min',
+    'button.cancel': '✖️ Batal',
+    'button.hideServices': '🙈 Sembunyikan Bas',
+    'button.whereIsBus': '📍 Di mana bas saya?',
+    'button.followBus': '📡 Ikut bas ini',
+    'button.stopFollowing': '⏹️ Berhenti mengikut',
+    'button.backToSettings': '← Kembali ke Tetapan',
+    'button.inlineSearch': '🔍 Taip kod atau nama perhentian bas',
+    'button.back': '← Kembali',
+    'button.backToArrivals': '← Kembali ke Ketibaan',
+    'button.viewArrivals': '🚏 Lihat Ketibaan',
+    'button.cancelAlert': '❌ Batalkan Amaran',
+    'button.newSchedule': '➕ Jadual Baharu',
+    'button.pause': '⏸️ Jeda',
+    'button.resume': '▶️ Sambung',
+    'button.delete': '🗑️ Padam',
+    'button.backToSchedules': '← Kembali ke Jadual',
+    'button.rename': '✏️ Namakan Semula',
+    'button.skip': '⏭️ Langkau',
+    'button.backToFavourites': '← Kembali ke Kegemaran',
+    'button.previous': '◀ Sebelum',
+    'button.next': 'Seterusnya ▶',
+    'button.oppositeDirection': '🔁 Arah Bertentangan',
+
+    'time.arriving': 'Tiba',
+    'time.minute': '1 min',
+    'time.minutes': '{minutes} min',
+    'time.noData': 'Tiada data',
+    'load.legend': '🟢 Ada Tempat Duduk • 🟡 Berdiri • 🔴 Sesak',
+    'load.detailLegend': '♿ Mesra kerusi roda • ⏱️ Masa jadual, bukan dijejak secara langsung',
+    'bus.type.SD': 'Satu tingkat',
+    'bus.type.DD': 'Dua tingkat',
+    'bus.type.BD': 'Bas berengsel',
+    'bus.scheduled': 'dijadualkan',
+    'bus.loop': 'pusingan dari {stop}',
+    'arrivals.busStop': 'Perhentian Bas {code}',
+    'arrivals.stopCode': '🏷️ Perhentian: {code}',
+    'arrivals.distance': '{distance}m dari sini',
+    'arrivals.lastUpdated': '🔄 Dikemas kini: {time}',
+    'arrivals.stale': '⚠️ _Data langsung tiada - menunjukkan masa dari {minutes} min yang lalu_',
+    'arrivals.error': '❌ Ralat memuatkan ketibaan (masalah API)',
+    'arrivals.noServices': '❌ Tiada bas berkhidmat di perhentian ini sekarang',
+    'arrivals.noRealtime': '⏰ Tiada maklumat ketibaan masa nyata',
+    'arrivals.noRealtimeFor': '⏰ Tiada maklumat ketibaan masa nyata untuk bas {services}',
+    'arrivals.stillLoading': '⏳ Masih memuatkan ketibaan...',
+    'arrivals.slowStops': '⏳ _Beberapa perhentian lambat menjawab - mesej ini akan dikemas kini apabila siap_',
+    'arrivals.allHidden': '🙈 Semua bas di perhentian ini disembunyikan',
+    'arrivals.hiddenCount': '🙈 _{count} disembunyikan_',
+    'arrivals.moreServices': '➕ _{count} bas lagi - tunjukkan semua dalam /settings_',
+    'arrivals.unavailable': 'Maklumat ketibaan tiada buat masa ini',
+    'arrivals.nearbyTitle': 'Ketibaan Bas ({count} perhentian dalam {radius}m)',
+    'arrivals.nearestTitle': '{count} Perhentian Bas Terdekat (tiada dalam {radius}m)',
+    'arrivals.towards': '🧭 Menuju {places}',
+    'arrivals.favouritesTitle': 'Perhentian Bas Kegemaran ({count})',
+    'arrivals.liveFooter': '🔴 *Langsung* • dikemas kini setiap {seconds}s sehingga {time}',
+    'arrivals.liveStarted': '📡 Kemas kini langsung dihidupkan selama {minutes} min',
+    'arrivals.liveCapacity': '⏳ Terlalu banyak mesej langsung sedang berjalan (maksimum {max}). Sila gunakan 🔄 Muat Semula atau cuba sebentar lagi.',
+    'arrivals.lookingUp': '🔍 Mencari perhentian bas {code}...\n⏳ Mendapatkan ketibaan masa nyata...',
+    'arrivals.searchingNearby': '🔍 Mencari perhentian bas berdekatan...',
+    'arrivals.refreshing': '🔄 Memuat semula ketibaan bas...',
+    'arrivals.refreshingAll': '🔄 Memuat semula semua ketibaan bas...',
+    'arrivals.noLocation': '❌ Tiada data lokasi. Sila cari semula.',
+    'arrivals.loadError':
+        `❌ *Ralat memuatkan perhentian bas {code}*\n\n` +
+        `Ini mungkin bermaksud:\n` +
+        `• Kod perhentian bas tidak wujud\n` +
+        `• Masalah sambungan API\n` +
+        `• Perhentian bas tidak beroperasi\n\n` +
+        `🔄 *Cuba lagi* atau gunakan kod perhentian bas lain.\n\n` +
+        `💡 *Petua:* Semak semula kod pada papan tanda perhentian bas.`,
+    'arrivals.refreshError': '❌ Ralat menyegar semula perhentian bas {code}. Sila cuba lagi.',
+    'arrivals.stopsUnavailable': '❌ Data perhentian bas tidak dapat dimuatkan sekarang. Sila cuba lagi dalam beberapa minit.',
+    'arrivals.noStopsWithin': '❌ Tiada perhentian bas dalam lingkungan {km}km.',
+    'arrivals.noStopsNearby': '❌ Tiada perhentian bas dalam lingkungan {km}km.\n\nCuba:\n• Pergi ke lokasi lain\n• Cari mengikut alamat atau nombor perhentian bas',
+    'arrivals.foundNearby': '📍 {count} perhentian bas ditemui berdekatan.\n🔄 Memuatkan waktu ketibaan masa nyata...',
+    'arrivals.searchError': '❌ Ralat berlaku semasa mencari. Sila cuba lagi.',
+
+    'start.welcome': ({ name, radius }) =>
+        `🚌 *Selamat datang ke Singapore Bus Bot, ${name}!*\n\n` +
+        `Saya membantu anda mencari perhentian bas berdekatan dan maklumat ketibaan bas masa nyata.\n\n` +
+        `*🆕 Ciri-ciri:*\n` +
+        `• 📍 Jarak carian sehingga ${radius}m\n` +
+        `• 📱 Semua perhentian dalam satu mesej\n` +
+        `• 🔍 Carian alamat\n` +
+        `• ⚙️ Tetapan yang boleh diubah\n\n` +
+        `*Cara guna:*\n` +
+        `1️⃣ Kongsi lokasi anda ATAU cari mengikut alamat\n` +
+        `2️⃣ Lihat semua perhentian bas berdekatan dalam satu mesej\n` +
+        `3️⃣ Lihat ketibaan masa nyata dengan tahap kesesakan\n` +
+        `4️⃣ Tekan butang muat semula untuk masa terkini\n\n` +
+        `Sedia mencari bas anda? Pilih di bawah! 🚌`,
+    'start.defaultName': 'kawan',
+    'help.text': ({ inlineMention }) =>
+        `❓ *Bantuan Singapore Bus Bot*\n\n` +
+        `*Arahan:*\n` +
+        `• /start - Mulakan bot\n` +
+        `• /help - Tunjukkan bantuan ini\n` +
+        `• /location - Kongsi lokasi\n` +
+        `• /search - Cari mengikut alamat\n` +
+        `• /favourites - Ketibaan di perhentian kegemaran\n` +
+        `• /alerts - Urus amaran ketibaan bas\n` +
+        `• /schedule - Kemas kini automatik waktu perjalanan\n` +
+        `• /route 190 - Perhentian di sepanjang laluan bas\n` +
+        `• /find Opp Blk 123 - Cari perhentian mengikut nama atau jalan\n` +
+        `• /settings - Ubah pilihan dan bahasa\n` +
+        `*Ciri-ciri:*\n` +
+        `📍 Kongsi lokasi GPS untuk hasil segera\n` +
+        `🔍 Cari dengan menaip mana-mana alamat di Singapura\n` +
+        `📱 Semua perhentian berdekatan dalam satu mesej\n` +
+        `🔄 Kemas kini ketibaan masa nyata\n` +
+        `⚙️ Jarak carian boleh diubah\n\n` +
+        `*Petua:*\n` +
+        `• Taip sahaja apa yang anda perlukan: "01012", "190 at 01012", "to Orchard" atau "near Bishan"\n` +
+        `• Untuk carian alamat, berikan butiran (cth. "Orchard Road MRT")\n` +
+        `• Tekan 📡 Kemas Kini Langsung untuk masa terkini setiap 30 saat\n` +
+        `• Dalam mana-mana sembang, taip ${inlineMention} 01012 untuk ketibaan\n` +
+        `• Tahap kesesakan: 🟢 Tempat duduk, 🟡 Berdiri, 🔴 Sesak\n\n` +
+        `Perlukan bantuan lagi? Hubungi RandomG.`,
+    'help.inlineMentionFallback': '@nama pengguna bot ini',
+
+    'prompt.location': '📍 Sila kongsi lokasi anda untuk mencari perhentian bas berdekatan:',
+    'prompt.locationGroup': '📍 Balas mesej ini dengan lokasi (📎 → Lokasi) untuk mencari perhentian bas berdekatan.',
+    'prompt.address':
+        `🔍 *Carian Alamat*\n\n` +
+        `Taip mana-mana lokasi di Singapura. Saya boleh cari:\n\n` +
+        `🚇 *Stesen MRT/LRT:*\n` +
+        `• "Yew Tee Station"\n` +
+        `• "Dhoby Ghaut"\n` +
+        `• "Jurong East MRT"\n\n` +
+        `🏬 *Pusat Beli-belah:*\n` +
+        `• "Causeway Point"\n` +
+        `• "Jurong Point"\n` +
+        `• "Marina Bay Sands"\n\n` +
+        `📍 *Kawasan & Jalan:*\n` +
+        `• "Orchard Road"\n` +
+        `• "Raffles Place"\n` +
+        `• "Little India"\n\n` +
+        `💡 Berikan butiran: "Yew Tee MRT Station" lebih tepat daripada "Yew Tee".\n\n` +
+        `Taip lokasi anda di bawah:`,
+    'prompt.busStop':
+        `🚏 *Carian Nombor Perhentian Bas*\n\n` +
+        `Masukkan kod perhentian bas Singapura untuk ketibaan masa nyata.\n\n` +
+        `📝 *Contoh:*\n` +
+        `• 01012 (Raffles Place)\n` +
+        `• 43009 (Orchard Boulevard)\n` +
+        `• 28009 (Marina Bay Sands)\n` +
+        `• 59009 (Lapangan Terbang Changi)\n\n` +
+        `💡 *Petua:*\n` +
+        `• Kod perhentian bas biasanya 5 digit\n` +
+        `• Kod tertera pada papan tanda perhentian bas\n` +
+        `• Atau gunakan OneMap.gov.sg untuk mencari kod\n` +
+        `• Tidak tahu kodnya? Taip nama perhentian, cth. "Opp Blk 123"\n\n` +
+        `*Taip nombor perhentian bas di bawah:*`,
+    'prompt.newSearch': '📍 Pilih cara mencari perhentian bas:',
+    'prompt.newSearchGroup': '📍 Hantar /location, /search atau /busstop dan balas soalan saya untuk carian baharu.',
+    'prompt.invalidCode':
+        `❌ *Format kod perhentian bas tidak sah*\n\n` +
+        `Sila masukkan kod perhentian bas yang sah (4-5 digit).\n\n` +
+        `📝 *Contoh:*\n` +
+        `• 01012 atau 1012\n` +
+        `• 43009\n` +
+        `• 28009\n\n` +
+        `Anda menaip: "{text}"\n` +
+        `Sila cuba lagi:`,
+
+    'address.searching': '🔍 Mencari "{query}"...\n⏳ Menyemak beberapa pangkalan data lokasi...',
+    'address.found':
+        `✅ *Lokasi Ditemui!*\n\n` +
+        `📍 *{address}*\n` +
+        `🗺️ Sumber: {provider}\n` +
+        `📊 Koordinat: {latitude}, {longitude}\n\n` +
+        `🔍 Mencari perhentian bas berdekatan...`,
+    'address.results': '📍 Keputusan untuk: *{address}*\n🔍 Memuatkan perhentian bas...',
+    'address.notFound':
+        `❌ *Lokasi "{query}" tidak ditemui*\n\n` +
+        `🔍 *Cuba petua carian ini:*\n` +
+        `• Tambah "MRT" atau "Station": "{query} MRT"\n` +
+        `• Tambah "Mall" atau "Centre": "{query} Mall"\n` +
+        `• Berikan butiran: "Causeway Point Woodlands"\n` +
+        `• Cuba mercu tanda atau nama jalan berdekatan\n\n` +
+        `📝 *Contoh Carian:*\n` +
+        `• "Yew Tee MRT Station"\n` +
+        `• "Causeway Point Shopping Centre"\n` +
+        `• "Woodlands MRT"\n` +
+        `• "Jurong Point Mall"\n\n` +
+        `💡 Cuba nama lokasi lain atau berikan lebih butiran!`,
+    'address.error':
+        `❌ *Ralat Carian*\n\n` +
+        `Lokasi tidak dapat dicari sekarang.\n\n` +
+        `🔄 *Cuba lagi* atau gunakan *📍 Kongsi Lokasi*.\n\n` +
+        `💡 *Alternatif:* Kongsi lokasi GPS anda untuk keputusan segera!`,
+
+    'stopSearch.title': '🔎 *Perhentian bas yang sepadan*',
+    'stopSearch.roadTitle': ({ road, count }) => `🛣️ *${road}* • ${count} perhentian bas`,
+    'stopSearch.showingFirst': 'Menunjukkan {count} yang pertama.',
+    'stopSearch.tapStop': '👇 Tekan perhentian untuk melihat ketibaan',
+    'stopSearch.notFound': '❌ Tiada perhentian bas sepadan dengan "{query}".\n\n💡 Cuba kurangkan perkataan, nama jalan ("stops on Orchard Rd") atau kod 5 digit pada papan tanda.',
+    'stopSearch.prompt':
+        `🔎 *Cari Perhentian Bas*\n\n` +
+        `Taip sebahagian nama perhentian, atau minta seluruh jalan:\n\n` +
+        `📝 *Contoh:*\n` +
+        `• /find Opp Blk 123\n` +
+        `• /find Bef Orchard Stn\n` +
+        `• /find stops on Orchard Rd\n\n` +
+        `*Taip nama perhentian di bawah:*`,
+
+    'route.usage': '🛣️ *Paparan Laluan Bas*\n\nHantar /route diikuti nombor perkhidmatan bas, cth.:\n• /route 190\n• /route 14e\n• /route NR1',
+    'route.loading': '🛣️ Memuatkan laluan bas {service}...',
+    'route.loadingFirst': '🛣️ Memuatkan data laluan buat kali pertama...\n⏳ Ini boleh mengambil masa sehingga seminit.',
+    'route.unavailable': '❌ Data laluan bas tidak dapat dimuatkan sekarang. Sila cuba lagi nanti.',
+    'route.notFound': '❌ Perkhidmatan bas "{service}" tidak ditemui.\n\nSemak nombor dan cuba lagi, cth. /route 190',
+    'route.expired': '❌ Data laluan tidak tersedia. Sila cuba /route sekali lagi.',
+    'route.title': '🚌 *Bas {service}* • {operator}',
+    'route.loop': '{stop} (gelung)',
+    'route.direction': '↔️ Arah {direction} daripada {count}',
+    'route.stops': '📋 Perhentian {from}–{to} daripada {total}',
+
+    'intent.question': '🤔 Apa yang anda mahu lakukan dengan "{text}"?',
+    'intent.stopsNamed': '🚏 Perhentian bernama "{text}"',
+    'intent.stopsNear': '📍 Perhentian berdekatan "{text}"',
+    'intent.busesTo': '🧭 Bas ke "{text}"',
+    'intent.expired': '❌ Soalan ini telah tamat tempoh. Sila hantar carian anda semula.',
+
+    'destination.searching': '🧭 Mencari bas ke "{query}"...',
+    'destination.noStops': '❌ Tiada perhentian bas ditemui berdekatan "{query}".\n\n💡 Cuba mercu tanda, stesen MRT atau nama jalan.',
+    'destination.serving': '🧭 *Bas ke {place}*\n\n{services}\n\n📍 Kongsi lokasi anda atau cari alamat dahulu, kemudian tanya lagi untuk melihat bas mana yang boleh anda naiki.',
+    'destination.noServices': 'Tiada perkhidmatan bas berhenti berdekatan.',
+    'destination.lastLocation': 'lokasi terakhir anda',
+    'destination.noDirect': '🧭 Tiada bas terus dari {origin} ke {place}.\n\n💡 Cuba cari dari lokasi lain dahulu.',
+    'destination.title': '🧭 *Bas terus ke {place}*\n📍 Dari {origin}',
+    'destination.journey': '🚌 *{service}* dari {stop} ({code})',
+    'destination.rideTo': '{count} perhentian ke {stop}',
+    'destination.tapBus': '👇 Ketik bas untuk melihat bila ia tiba',
+    'destination.button': '🚌 {service} dari {stop}',
+    'destination.error': '❌ Carian tidak dapat dibuat sekarang. Sila cuba lagi.',
+
+    'favourites.empty': ({ max }) =>
+        `⭐ *Belum Ada Kegemaran*\n\n` +
+        `Cari perhentian bas dan tekan "⭐ Tambah ke Kegemaran" untuk menyimpannya di sini.\n\n` +
+        `Anda boleh simpan sehingga ${max} perhentian dan beri nama seperti "Rumah" atau "Pejabat".`,
+    'favourites.loading': '⭐ Memuatkan perhentian bas kegemaran...',
+    'favourites.refreshing': '🔄 Memuatkan perhentian bas kegemaran...',
+    'favourites.manage': '✏️ *Urus Kegemaran*\n\nKetik nama perhentian untuk melihat waktu ketibaannya.\nGunakan ⬆️ ⬇️ untuk menyusun semula, ✏️ untuk nama samaran atau 🗑️ untuk membuang.',
+    'favourites.nicknamePrompt': '✏️ *Nama Samaran untuk Perhentian Bas {code}*\n\nTaip nama pendek seperti "Rumah" atau "Pejabat" (maksimum 32 aksara), atau ketik Langkau untuk mengekalkan nama perhentian.',
+    'favourites.nicknamePromptGroup': '✏️ *Nama Samaran untuk Perhentian Bas {code}*\n\nBalas mesej ini dengan nama pendek seperti "Rumah" atau "Pejabat" (maksimum 32 aksara), atau abaikan untuk mengekalkan nama perhentian.',
+    'favourites.nicknameSaved': '✅ Perhentian bas {code} disimpan sebagai "{name}".\n\nKetik ⭐ Kegemaran untuk melihat semua perhentian yang disimpan.',
+    'favourites.saved': '⭐ Disimpan ke kegemaran. Ketik ⭐ Kegemaran untuk melihat semua perhentian yang disimpan.',
+    'favourites.gone': '❌ Perhentian bas {code} tiada lagi dalam kegemaran anda.',
+    'favourites.limit': '❌ Anda boleh menyimpan sehingga {max} kegemaran. Buang satu dahulu.',
+    'favourites.exists': '⭐ Sudah ada dalam kegemaran anda',
+    'favourites.atTop': 'Sudah di atas sekali',
+    'favourites.atBottom': 'Sudah di bawah sekali',
+    'hide.hint': 'Tekan bas untuk menyembunyikan atau menunjukkannya di perhentian ini',
+    'hide.noServices': '❌ Tiada perkhidmatan untuk disembunyikan sekarang',
+    'track.hint': 'Tekan bas untuk melihat kedudukannya',
+    'track.noPositions': '❌ Tiada bas di sini yang melaporkan kedudukannya sekarang',
+    'track.noPosition': '❌ Bas {service} tidak melaporkan kedudukannya sekarang',
+    'track.position': '📍 *Bas {service}* berada {distance}m dari {stop}\n⏱️ {arrival}',
+    'track.following': '📡 _Mengikut - peta bergerak bersama bas sehingga ia tiba_',
+    'track.arrived': '✅ *Bas {service}* telah tiba di {stop}',
+    'track.lost': '⚠️ Bas {service} tidak dapat diikuti lagi - ia berhenti melaporkan kedudukannya',
+    'track.capacity': '⏳ Terlalu banyak bas sedang diikuti sekarang (maksimum {max}). Sila cuba sebentar lagi.',
+
+    'alerts.etaNow': 'sedang tiba',
+    'alerts.etaMinutes': 'kira-kira {minutes} min lagi',
+    'alerts.triggered': '🔔 *Bas {service} {eta}!*\n\n📍 {stop}\n⏰ Anda minta diberi amaran pada {threshold} min.',
+    'alerts.passed': '⌛ *Amaran tamat*\n\nBas {service} di {stop} telah lalu atau tidak lagi beroperasi.',
+    'alerts.expired': '⌛ *Amaran luput*\n\nBas {service} di {stop} tidak tiba dalam {threshold} min pada masanya.',
+    'alerts.none': '🔔 *Tiada Amaran Aktif*\n\nCari perhentian bas dan ketik "🔔 Tetapkan Amaran Ketibaan" untuk menerima mesej apabila bas anda hampir tiba.',
+    'alerts.title': '🔔 *Amaran Aktif ({count}/{max})*',
+    'alerts.item': '🚍 {service} di {stop} ({code}) • dalam {minutes} min',
+    'alerts.cancelButton': '❌ Batalkan {service} di {code}',
+    'alerts.pickService': '🔔 *Tetapkan Amaran Ketibaan*\n\nPerhentian Bas {code}\n\nBas mana yang anda mahu diberi amaran?',
+    'alerts.pickThreshold': '🔔 *Amaran untuk Bas {service}*\n\nPerhentian Bas {code}\n\nBeritahu saya apabila bas sejauh ini dalam minit:',
+    'alerts.thresholdButton': '{minutes} min',
+    'alerts.limit': '❌ Anda boleh ada sehingga {max} amaran aktif. Batalkan satu dalam /alerts dahulu.',
+    'alerts.exists': '🔔 Anda sudah ada amaran untuk bas {service} di perhentian ini.',
+    'alerts.set': '✅ *Amaran Ditetapkan*\n\nSaya akan menghantar mesej apabila bas {service} dalam {minutes} min dari perhentian {code}.\n\nGunakan /alerts untuk melihat atau membatalkan amaran anda.',
+
+    'schedules.title': '⏰ *Jadual Perjalanan*',
+    'schedules.empty': 'Terima waktu ketibaan bas secara automatik, cth. setiap hari bekerja pada 8:05 pagi.\n\nKetik "➕ Jadual Baharu" untuk menetapkannya.',
+    'schedules.unnamedStop': 'Perhentian Bas',
+    'schedules.days.daily': 'Setiap hari',
+    'schedules.days.weekdays': 'Hari bekerja',
+    'schedules.days.weekends': 'Hujung minggu',
+    'schedules.holidays.normal': 'Abaikan cuti umum',
+    'schedules.holidays.skip': 'Langkau cuti umum',
+    'schedules.holidays.weekend': 'Anggap cuti umum sebagai hujung minggu',
+    'schedules.summary.normal': '{days} pada {time}',
+    'schedules.summary.skip': '{days} pada {time}, kecuali cuti umum',
+    'schedules.summary.weekend': '{days} pada {time}, cuti umum sebagai hujung minggu',
+    'schedules.detail':
+        `⏰ *Jadual pada {time}*\n\n` +
+        `📍 {stop} ({code})\n` +
+        `🚍 Perkhidmatan: {services}\n` +
+        `📅 {summary}\n` +
+        `Status: {status}\n\n` +
+        `Pilih hari untuk menghantar waktu ketibaan:`,
+    'schedules.allServices': 'Semua',
+    'schedules.active': '🟢 Aktif',
+    'schedules.paused': '⏸️ Dijeda',
+    'schedules.newPrompt':
+        `➕ *Jadual Perjalanan Baharu*\n\n` +
+        `Hantar kod perhentian bas, masa (waktu Singapura) dan pilihan perkhidmatan yang anda naiki:\n\n` +
+        `📝 *Contoh:*\n` +
+        `• \`43009 08:05\` - semua perkhidmatan\n` +
+        `• \`43009 8:05am 190 972\` - hanya 190 dan 972\n\n` +
+        `Anda boleh memilih hari selepas menyimpan.`,
+    'schedules.invalid':
+        `❌ *Jadual itu tidak dapat dibaca*\n\n` +
+        `Hantar kod perhentian bas, masa dan pilihan perkhidmatan, cth.:\n` +
+        `• \`43009 08:05\`\n` +
+        `• \`43009 8:05am 190 972\`\n\n` +
+        `Sila cuba lagi:`,
+    'schedules.limit': '❌ Anda boleh ada sehingga {max} jadual. Padam satu dalam /schedule dahulu.',
+    'schedules.created': '⏰ Jadual dicipta!',
+    'schedules.notFound': '❌ Jadual tidak ditemui. Ia mungkin telah dipadam.',
+    'schedules.update': '⏰ *Maklumat Perjalanan* • {time}',
+
+    'settings.menu': ({ radius, maxStops, view, services, sort, times, hidden, language }) =>
+        `⚙️ *Tetapan*\n\n` +
+        `Pilihan semasa:\n` +
+        `• Jarak Carian: ${radius}m\n` +
+        `• Maksimum Perhentian: ${maxStops}\n` +
+        `• Paparan Ketibaan: ${view}\n` +
+        `• Bas setiap perhentian: ${services}\n` +
+        `• Susunan: ${sort}\n` +
+        `• Masa: ${times}\n` +
+        `• Bas disembunyikan: ${hidden}\n` +
+        `• Bahasa: ${language}\n\n` +
+        `Tekan untuk mengubah:`,
+    'settings.radiusButton': 'Jarak: {radius}m',
+    'settings.stopsButton': 'Maks. Perhentian: {maxStops}',
+    'settings.languageButton': '🌐 Bahasa: {language}',
+    'settings.viewButton': '📋 Ketibaan: {view}',
+    'settings.viewCompact': 'Ringkas',
+    'settings.viewDetailed': 'Terperinci',
+    'settings.servicesButton': '🚌 Bas setiap perhentian: {services}',
+    'settings.servicesCapped': 'Sehingga {max}',
+    'settings.servicesAll': 'Semua',
+    'settings.resetButton': '🔄 Tetapkan Semula',
+    'settings.doneButton': '✅ Selesai',
+    'settings.radiusTitle': '🎯 *Jarak Carian*\n\nSemasa: {radius}m\n\nPilih jarak baharu:',
+    'settings.stopsTitle': '📊 *Maksimum Perhentian Bas*\n\nSemasa: {maxStops} perhentian\n\nPilih bilangan maksimum perhentian untuk dipaparkan:',
+    'settings.stopsOption': '{count} perhentian',
+    'settings.languageTitle': '🌐 *Bahasa*\n\nSemasa: {language}\n\nPilih bahasa untuk menu dan ketibaan:',
+    'settings.languageAuto': '🔄 Automatik ({language})',
+    'settings.sortButton': '🔢 Susunan: {sort}',
+    'settings.sortService': 'Nombor bas',
+    'settings.sortSoonest': 'Paling awal',
+    'settings.timeButton': '🕒 Masa: {format}',
+    'settings.timeRelative': 'Minit',
+    'settings.time24h': 'Jam 24',
+    'settings.time12h': 'Jam 12',
+    'settings.hiddenButton': '🙈 Bas disembunyikan: {count}',
+    'settings.hiddenTitle': '🙈 *Bas Disembunyikan*\n\nBas ini tidak ditunjukkan dalam ketibaan di setiap perhentian:',
+    'settings.hiddenNone': '🙈 *Bas Disembunyikan*\n\nTiada yang disembunyikan. Buka ketibaan perhentian bas dan tekan 🙈 Sembunyikan Bas untuk menyembunyikan bas yang tidak pernah anda naiki.',
+    'settings.unhideButton': '👁️ Tunjuk semua di {stop}',
+    'settings.reset': ({ radius, maxStops }) =>
+        `✅ *Tetapan Dikembalikan*\n\n` +
+        `Kembali ke nilai asal:\n` +
+        `• Jarak Carian: ${radius}m\n` +
+        `• Maksimum Perhentian: ${maxStops}`,
+    'settings.saved': ({ radius, maxStops }) =>
+        `✅ *Tetapan Disimpan*\n\n` +
+        `Pilihan anda:\n` +
+        `• Jarak Carian: ${radius}m\n` +
+        `• Maksimum Perhentian: ${maxStops}\n\n` +
+        `Gunakan menu di bawah untuk mencari perhentian bas!`,
+    'settings.ready': '🚌 Sedia untuk mencari bas!',
+    'settings.radiusUpdated': '✅ *Jarak Carian Dikemas Kini*\n\nJarak baharu: {radius}m\n\nIni akan digunakan untuk carian seterusnya.',
+    'settings.stopsUpdated': '✅ *Maksimum Perhentian Dikemas Kini*\n\nHad baharu: {maxStops} perhentian\n\nIni akan digunakan untuk carian seterusnya.',
+    'settings.languageUpdated': '✅ Bahasa ditukar kepada Bahasa Melayu.',
+
+    'callback.updated': '✅ Dikemas kini!',
+    'callback.failed': '❌ Gagal dikemas kini. Sila cuba lagi.'
+};
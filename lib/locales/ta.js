@@ -0,0 +1,411 @@
+// தமிழ்
+module.exports = {
+    'command.start': 'பாட்டைத் தொடங்கி வரவேற்புச் செய்தியைப் பெறுக',
+    'command.help': 'உதவி மற்றும் பயன்பாட்டு வழிமுறைகள்',
+    'command.location': 'அருகிலுள்ள பேருந்து நிறுத்தங்களைக் கண்டறிய இருப்பிடத்தைப் பகிர்க',
+    'command.search': 'முகவரி அல்லது இடப் பெயரைத் தட்டச்சு செய்து தேடுக',
+    'command.busstop': 'பேருந்து நிறுத்த எண் மூலம் தேடுக (எ.கா. 01012)',
+    'command.favourites': 'பிடித்த நிறுத்தங்களின் பேருந்து வருகை நேரங்கள்',
+    'command.alerts': 'பேருந்து வருகை நினைவூட்டல்களைப் பார்த்து ரத்துசெய்க',
+    'command.schedule': 'உங்கள் பயண நேரங்களில் வருகை நேரங்களைப் பெறுக',
+    'command.route': 'பேருந்து வழித்தடத்தின் நிறுத்தங்கள் (எ.கா. /route 190)',
+    'command.find': 'பெயர் அல்லது சாலை மூலம் நிறுத்தங்களைக் கண்டறிக (எ.கா. /find Opp Blk 123)',
+    'command.settings': 'தேடல் தூரம், மொழி மற்றும் விருப்பங்களை மாற்றுக',
+
+    'button.shareLocation': '📍 இருப்பிடத்தைப் பகிர்',
+    'button.searchAddress': '🔍 முகவரி தேடல்',
+    'button.busStopNumber': '🚏 நிறுத்த எண்',
+    'button.refresh': '🔄 புதுப்பி',
+    'button.settings': '⚙️ அமைப்புகள்',
+    'button.favourites': '⭐ பிடித்தவை',
+    'button.help': '❓ உதவி',
+    'button.shareMyLocation': '📍 என் இருப்பிடத்தைப் பகிர்',
+
+    'button.refreshAll': '🔄 அனைத்து வருகைகளையும் புதுப்பி',
+    'button.refreshStop': '🔄 இந்த நிறுத்தத்தைப் புதுப்பி',
+    'button.liveUpdates': '📡 நேரடி புதுப்பிப்புகள்',
+    'button.stopLive': '⏹️ நேரடி புதுப்பிப்புகளை நிறுத்து',
+    'button.newLocationSearch': '📍 புதிய இருப்பிடத் தேடல்',
+    'button.newSearch': '📍 புதிய தேடல்',
+    'button.setAlert': '🔔 வருகை நினைவூட்டல் அமை',
+    'button.addFavourite': '⭐ பிடித்தவையில் சேர்',
+    'button.removeFavourite': '★ பிடித்தவையிலிருந்து நீக்கு',
+    'button.refreshFavourites': '🔄 பிடித்தவையைப் புதுப்பி',
+    'button.manageFavourites': '✏️ பிடித்தவையை நிர்வகி',
+    'button.liveMinutes': '{minutes} நிமி',
+    'button.cancel': '✖️ ரத்து',
+    'button.hideServices': '🙈 பேருந்துகளை மறை',
+    'button.whereIsBus': '📍 என் பேருந்து எங்கே?',
+    'button.followBus': '📡 இந்தப் பேருந்தைப் பின்தொடர்',
+    'button.stopFollowing': '⏹️ பின்தொடர்வதை நிறுத்து',
+    'button.backToSettings': '← அமைப்புகளுக்குத் திரும்பு',
+    'button.inlineSearch': '🔍 நிறுத்தக் குறியீடு அல்லது பெயரைத் தட்டச்சு செய்யவும்',
+    'button.back': '← திரும்பு',
+    'button.backToArrivals': '← வருகை நேரங்களுக்குத் திரும்பு',
+    'button.viewArrivals': '🚏 வருகை நேரங்களைக் காண்க',
+    'button.cancelAlert': '❌ நினைவூட்டலை ரத்துசெய்',
+    'button.newSchedule': '➕ புதிய அட்டவணை',
+    'button.pause': '⏸️ இடைநிறுத்து',
+    'button.resume': '▶️ தொடர்',
+    'button.delete': '🗑️ நீக்கு',
+    'button.backToSchedules': '← அட்டவணைகளுக்குத் திரும்பு',
+    'button.rename': '✏️ பெயர் மாற்று',
+    'button.skip': '⏭️ தவிர்',
+    'button.backToFavourites': '← பிடித்தவைக்குத் திரும்பு',
+    'button.previous': '◀ முந்தைய',
+    'button.next': 'அடுத்து ▶',
+    'button.oppositeDirection': '🔁 எதிர் திசை',
+
+    'time.arriving': 'வந்துகொண்டிருக்கிறது',
+    'time.minute': '1 நிமி',
+    'time.minutes': '{minutes} நிமி',
+    'time.noData': 'தரவு இல்லை',
+    'load.legend': '🟢 இருக்கைகள் உள்ளன • 🟡 நிற்க இடம் உண்டு • 🔴 நெரிசல்',
+    'load.detailLegend': '♿ சக்கர நாற்காலி அணுகல் • ⏱️ அட்டவணை நேரம், நேரலை கண்காணிப்பு அல்ல',
+    'bus.type.SD': 'ஒற்றை அடுக்கு',
+    'bus.type.DD': 'இரட்டை அடுக்கு',
+    'bus.type.BD': 'இணைப்புப் பேருந்து',
+    'bus.scheduled': 'அட்டவணை நேரம்',
+    'bus.loop': '{stop} சுற்றுப் பாதை',
+    'arrivals.busStop': 'பேருந்து நிறுத்தம் {code}',
+    'arrivals.stopCode': '🏷️ நிறுத்தம்: {code}',
+    'arrivals.distance': '{distance}மீ தொலைவில்',
+    'arrivals.lastUpdated': '🔄 கடைசியாகப் புதுப்பித்தது: {time}',
+    'arrivals.stale': '⚠️ _நேரடித் தரவு கிடைக்கவில்லை - {minutes} நிமிடங்களுக்கு முந்தைய நேரங்கள்_',
+    'arrivals.error': '❌ வருகை நேரங்களை ஏற்ற முடியவில்லை (API சிக்கல்)',
+    'arrivals.noServices': '❌ தற்போது இந்த நிறுத்தத்தில் பேருந்துகள் இல்லை',
+    'arrivals.noRealtime': '⏰ நேரடி வருகைத் தகவல் இல்லை',
+    'arrivals.noRealtimeFor': '⏰ பேருந்து {services}க்கு நேரடி வருகைத் தகவல் இல்லை',
+    'arrivals.stillLoading': '⏳ வருகை நேரங்கள் ஏற்றப்படுகின்றன...',
+    'arrivals.slowStops': '⏳ _சில நிறுத்தங்கள் தாமதமாகப் பதிலளிக்கின்றன - ஏற்றியதும் இந்தச் செய்தி புதுப்பிக்கப்படும்_',
+    'arrivals.allHidden': '🙈 இந்த நிறுத்தத்தின் அனைத்துப் பேருந்துகளும் மறைக்கப்பட்டுள்ளன',
+    'arrivals.hiddenCount': '🙈 _{count} மறைக்கப்பட்டவை_',
+    'arrivals.moreServices': '➕ _மேலும் {count} பேருந்துகள் - அனைத்தையும் காட்ட /settings_',
+    'arrivals.unavailable': 'தற்போது வருகை நேரங்கள் கிடைக்கவில்லை',
+    'arrivals.nearbyTitle': 'பேருந்து வருகைகள் ({radius}மீ-க்குள் {count} நிறுத்தங்கள்)',
+    'arrivals.nearestTitle': 'அருகிலுள்ள {count} பேருந்து நிறுத்தங்கள் ({radius}மீ-க்குள் எதுவும் இல்லை)',
+    'arrivals.towards': '🧭 {places} நோக்கி',
+    'arrivals.favouritesTitle': 'பிடித்த பேருந்து நிறுத்தங்கள் ({count})',
+    'arrivals.liveFooter': '🔴 *நேரடி* • ஒவ்வொரு {seconds} வினாடிக்கும் {time} வரை புதுப்பிக்கப்படும்',
+    'arrivals.liveStarted': '📡 {minutes} நிமிடங்களுக்கு நேரடிப் புதுப்பிப்புகள் இயக்கப்பட்டன',
+    'arrivals.liveCapacity': '⏳ இப்போது அதிகமான நேரடிச் செய்திகள் இயங்குகின்றன (அதிகபட்சம் {max}). 🔄 புதுப்பி பயன்படுத்தவும் அல்லது பின்னர் முயலவும்.',
+    'arrivals.lookingUp': '🔍 பேருந்து நிறுத்தம் {code} தேடப்படுகிறது...\n⏳ நேரடி வருகை நேரங்கள் பெறப்படுகின்றன...',
+    'arrivals.searchingNearby': '🔍 அருகிலுள்ள பேருந்து நிறுத்தங்கள் தேடப்படுகின்றன...',
+    'arrivals.refreshing': '🔄 பேருந்து வருகைகள் புதுப்பிக்கப்படுகின்றன...',
+    'arrivals.refreshingAll': '🔄 அனைத்து வருகைகளும் புதுப்பிக்கப்படுகின்றன...',
+    'arrivals.noLocation': '❌ இருப்பிடத் தரவு இல்லை. மீண்டும் தேடவும்.',
+    'arrivals.loadError':
+        `❌ *பேருந்து நிறுத்தம் {code} ஏற்றுவதில் பிழை*\n\n` +
+        `இதற்கான காரணங்கள்:\n` +
+        `• நிறுத்தக் குறியீடு இல்லை\n` +
+        `• API இணைப்புச் சிக்கல்\n` +
+        `• நிறுத்தம் சேவையில் இல்லை\n\n` +
+        `🔄 *மீண்டும் முயலவும்* அல்லது வேறு நிறுத்தக் குறியீட்டைப் பயன்படுத்தவும்.\n\n` +
+        `💡 *குறிப்பு:* நிறுத்தப் பலகையில் உள்ள குறியீட்டைச் சரிபார்க்கவும்.`,
+    'arrivals.refreshError': '❌ நிறுத்தம் {code} புதுப்பிப்பதில் பிழை. மீண்டும் முயலவும்.',
+    'arrivals.stopsUnavailable': '❌ இப்போது நிறுத்தத் தரவை ஏற்ற முடியவில்லை. சில நிமிடங்களில் மீண்டும் முயலவும்.',
+    'arrivals.noStopsWithin': '❌ {km}கி.மீ. தூரத்திற்குள் நிறுத்தங்கள் எதுவும் இல்லை.',
+    'arrivals.noStopsNearby': '❌ {km}கி.மீ. தூரத்திற்குள் நிறுத்தங்கள் எதுவும் இல்லை.\n\nமுயற்சிக்கவும்:\n• வேறு இடத்திற்குச் செல்லவும்\n• முகவரி அல்லது நிறுத்த எண் மூலம் தேடவும்',
+    'arrivals.foundNearby': '📍 அருகில் {count} நிறுத்தங்கள் கண்டறியப்பட்டன.\n🔄 நேரடி வருகை நேரங்களை ஏற்றுகிறது...',
+    'arrivals.searchError': '❌ தேடும்போது பிழை ஏற்பட்டது. மீண்டும் முயலவும்.',
+
+    'start.welcome': ({ name, radius }) =>
+        `🚌 *சிங்கப்பூர் பேருந்து பாட்டுக்கு வரவேற்கிறோம், ${name}!*\n\n` +
+        `அருகிலுள்ள பேருந்து நிறுத்தங்களையும் நேரடி வருகை நேரங்களையும் கண்டறிய நான் உதவுவேன்.\n\n` +
+        `*🆕 அம்சங்கள்:*\n` +
+        `• 📍 ${radius}மீ வரை தேடல் தூரம்\n` +
+        `• 📱 அனைத்து நிறுத்தங்களும் ஒரே செய்தியில்\n` +
+        `• 🔍 முகவரி தேடல்\n` +
+        `• ⚙️ மாற்றக்கூடிய அமைப்புகள்\n\n` +
+        `*பயன்படுத்தும் முறை:*\n` +
+        `1️⃣ உங்கள் இருப்பிடத்தைப் பகிரவும் அல்லது முகவரியைத் தேடவும்\n` +
+        `2️⃣ அருகிலுள்ள அனைத்து நிறுத்தங்களையும் ஒரே செய்தியில் பார்க்கவும்\n` +
+        `3️⃣ நெரிசல் நிலையுடன் நேரடி வருகை நேரங்களைப் பார்க்கவும்\n` +
+        `4️⃣ நேரங்களைப் புதுப்பிக்க புதுப்பி பொத்தானை அழுத்தவும்\n\n` +
+        `உங்கள் பேருந்தைக் கண்டறியத் தயாரா? கீழே தேர்வு செய்யவும்! 🚌`,
+    'start.defaultName': 'நண்பரே',
+    'help.text': ({ inlineMention }) =>
+        `❓ *சிங்கப்பூர் பேருந்து பாட் உதவி*\n\n` +
+        `*கட்டளைகள்:*\n` +
+        `• /start - பாட்டைத் தொடங்கு\n` +
+        `• /help - இந்த உதவியைக் காட்டு\n` +
+        `• /location - இருப்பிடத்தைப் பகிர்\n` +
+        `• /search - முகவரி மூலம் தேடு\n` +
+        `• /favourites - பிடித்த நிறுத்தங்களின் வருகைகள்\n` +
+        `• /alerts - வருகை நினைவூட்டல்களை நிர்வகி\n` +
+        `• /schedule - பயண நேரத் தானியங்கிப் புதுப்பிப்புகள்\n` +
+        `• /route 190 - பேருந்து வழித்தட நிறுத்தங்கள்\n` +
+        `• /find Opp Blk 123 - பெயர் அல்லது சாலை மூலம் நிறுத்தங்களைக் கண்டறி\n` +
+        `• /settings - விருப்பங்களும் மொழியும்\n` +
+        `*அம்சங்கள்:*\n` +
+        `📍 உடனடி முடிவுகளுக்கு GPS இருப்பிடத்தைப் பகிரவும்\n` +
+        `🔍 எந்த சிங்கப்பூர் முகவரியையும் தட்டச்சு செய்து தேடவும்\n` +
+        `📱 அருகிலுள்ள அனைத்து நிறுத்தங்களும் ஒரே செய்தியில்\n` +
+        `🔄 நேரடி வருகைப் புதுப்பிப்புகள்\n` +
+        `⚙️ மாற்றக்கூடிய தேடல் தூரம்\n\n` +
+        `*குறிப்புகள்:*\n` +
+        `• தேவையானதைத் தட்டச்சு செய்யவும்: "01012", "190 at 01012", "to Orchard" அல்லது "near Bishan"\n` +
+        `• முகவரி தேடலில் தெளிவாகக் குறிப்பிடவும் (எ.கா. "Orchard Road MRT")\n` +
+        `• 30 வினாடிக்கு ஒருமுறை புதுப்பிக்க 📡 நேரடி புதுப்பிப்புகளை அழுத்தவும்\n` +
+        `• எந்த அரட்டையிலும் ${inlineMention} 01012 என்று தட்டச்சு செய்யவும்\n` +
+        `• நெரிசல்: 🟢 இருக்கைகள், 🟡 நிற்க இடம், 🔴 நெரிசல்\n\n` +
+        `மேலும் உதவி வேண்டுமா? RandomG-ஐத் தொடர்பு கொள்ளவும்.`,
+    'help.inlineMentionFallback': 'இந்த பாட்டின் @பயனர்பெயர்',
+
+    'prompt.location': '📍 அருகிலுள்ள பேருந்து நிறுத்தங்களைக் கண்டறிய உங்கள் இருப்பிடத்தைப் பகிரவும்:',
+    'prompt.locationGroup': '📍 அருகிலுள்ள நிறுத்தங்களைக் கண்டறிய இந்தச் செய்திக்கு ஒரு இருப்பிடத்துடன் (📎 → Location) பதிலளிக்கவும்.',
+    'prompt.address':
+        `🔍 *முகவரி தேடல்*\n\n` +
+        `எந்த சிங்கப்பூர் இடத்தையும் தட்டச்சு செய்யவும். நான் கண்டறியக்கூடியவை:\n\n` +
+        `🚇 *MRT/LRT நிலையங்கள்:*\n` +
+        `• "Yew Tee Station"\n` +
+        `• "Dhoby Ghaut"\n` +
+        `• "Jurong East MRT"\n\n` +
+        `🏬 *வணிக வளாகங்கள்:*\n` +
+        `• "Causeway Point"\n` +
+        `• "Jurong Point"\n` +
+        `• "Marina Bay Sands"\n\n` +
+        `📍 *பகுதிகள் & சாலைகள்:*\n` +
+        `• "Orchard Road"\n` +
+        `• "Raffles Place"\n` +
+        `• "Little India"\n\n` +
+        `💡 தெளிவாகக் குறிப்பிடவும்: "Yew Tee" என்பதை விட "Yew Tee MRT Station" சிறந்தது.\n\n` +
+        `உங்கள் இருப்பிடத்தைக் கீழே தட்டச்சு செய்யவும்:`,
+    'prompt.busStop':
+        `🚏 *பேருந்து நிறுத்த எண் தேடல்*\n\n` +
+        `நேரடி வருகை நேரங்களுக்கு சிங்கப்பூர் பேருந்து நிறுத்தக் குறியீட்டை உள்ளிடவும்.\n\n` +
+        `📝 *எடுத்துக்காட்டுகள்:*\n` +
+        `• 01012 (Raffles Place)\n` +
+        `• 43009 (Orchard Boulevard)\n` +
+        `• 28009 (Marina Bay Sands)\n` +
+        `• 59009 (சாங்கி விமான நிலையம்)\n\n` +
+        `💡 *குறிப்புகள்:*\n` +
+        `• நிறுத்தக் குறியீடுகள் பொதுவாக 5 இலக்கங்கள்\n` +
+        `• குறியீடு நிறுத்தத்தின் அறிவிப்புப் பலகையில் இருக்கும்\n` +
+        `• அல்லது OneMap.gov.sg-இல் தேடவும்\n` +
+        `• குறியீடு தெரியாதா? நிறுத்தத்தின் பெயரைத் தட்டச்சு செய்யவும், எ.கா. "Opp Blk 123"\n\n` +
+        `*பேருந்து நிறுத்த எண்ணைக் கீழே தட்டச்சு செய்யவும்:*`,
+    'prompt.newSearch': '📍 பேருந்து நிறுத்தங்களைத் தேடும் முறையைத் தேர்வு செய்யவும்:',
+    'prompt.newSearchGroup': '📍 புதிய தேடலுக்கு /location, /search அல்லது /busstop அனுப்பி என் கேள்விக்குப் பதிலளிக்கவும்.',
+    'prompt.invalidCode':
+        `❌ *தவறான நிறுத்தக் குறியீட்டு வடிவம்*\n\n` +
+        `சரியான நிறுத்தக் குறியீட்டை (4-5 இலக்கங்கள்) உள்ளிடவும்.\n\n` +
+        `📝 *எடுத்துக்காட்டுகள்:*\n` +
+        `• 01012 அல்லது 1012\n` +
+        `• 43009\n` +
+        `• 28009\n\n` +
+        `நீங்கள் உள்ளிட்டது: "{text}"\n` +
+        `மீண்டும் முயலவும்:`,
+
+    'address.searching': '🔍 "{query}" தேடுகிறது...\n⏳ பல இருப்பிடத் தரவுத்தளங்களைச் சரிபார்க்கிறது...',
+    'address.found':
+        `✅ *இடம் கண்டறியப்பட்டது!*\n\n` +
+        `📍 *{address}*\n` +
+        `🗺️ மூலம்: {provider}\n` +
+        `📊 ஆயத்தொலைவுகள்: {latitude}, {longitude}\n\n` +
+        `🔍 அருகிலுள்ள நிறுத்தங்களைத் தேடுகிறது...`,
+    'address.results': '📍 முடிவுகள்: *{address}*\n🔍 நிறுத்தங்களை ஏற்றுகிறது...',
+    'address.notFound':
+        `❌ *"{query}" என்ற இடம் கிடைக்கவில்லை*\n\n` +
+        `🔍 *இந்தத் தேடல் குறிப்புகளை முயலவும்:*\n` +
+        `• "MRT" அல்லது "Station" சேர்க்கவும்: "{query} MRT"\n` +
+        `• "Mall" அல்லது "Centre" சேர்க்கவும்: "{query} Mall"\n` +
+        `• தெளிவாகக் குறிப்பிடவும்: "Causeway Point Woodlands"\n` +
+        `• அருகிலுள்ள அடையாளங்கள் அல்லது சாலைப் பெயர்களை முயலவும்\n\n` +
+        `📝 *தேடல் எடுத்துக்காட்டுகள்:*\n` +
+        `• "Yew Tee MRT Station"\n` +
+        `• "Causeway Point Shopping Centre"\n` +
+        `• "Woodlands MRT"\n` +
+        `• "Jurong Point Mall"\n\n` +
+        `💡 வேறு இடப் பெயரை முயலவும் அல்லது மேலும் தெளிவாகக் குறிப்பிடவும்!`,
+    'address.error':
+        `❌ *தேடல் பிழை*\n\n` +
+        `இப்போது இடங்களைத் தேட முடியவில்லை.\n\n` +
+        `🔄 *மீண்டும் முயலவும்* அல்லது *📍 இருப்பிடத்தைப் பகிர்* பயன்படுத்தவும்.\n\n` +
+        `💡 *மாற்று வழி:* உடனடி முடிவுகளுக்கு உங்கள் GPS இருப்பிடத்தைப் பகிரவும்!`,
+
+    'stopSearch.title': '🔎 *உங்கள் தேடலுக்குப் பொருந்தும் நிறுத்தங்கள்*',
+    'stopSearch.roadTitle': ({ road, count }) => `🛣️ *${road}* • ${count} பேருந்து நிறுத்தங்கள்`,
+    'stopSearch.showingFirst': 'முதல் {count} மட்டும் காட்டப்படுகின்றன.',
+    'stopSearch.tapStop': '👇 வருகை நேரங்களைப் பார்க்க நிறுத்தத்தை அழுத்தவும்',
+    'stopSearch.notFound': '❌ "{query}" உடன் பொருந்தும் நிறுத்தங்கள் இல்லை.\n\n💡 குறைவான சொற்கள், சாலைப் பெயர் ("stops on Orchard Rd") அல்லது பலகையில் உள்ள 5 இலக்கக் குறியீட்டை முயற்சிக்கவும்.',
+    'stopSearch.prompt':
+        `🔎 *பேருந்து நிறுத்தத்தைக் கண்டறி*\n\n` +
+        `நிறுத்தப் பெயரின் ஒரு பகுதியைத் தட்டச்சு செய்யவும், அல்லது முழுச் சாலையையும் கேட்கவும்:\n\n` +
+        `📝 *எடுத்துக்காட்டுகள்:*\n` +
+        `• /find Opp Blk 123\n` +
+        `• /find Bef Orchard Stn\n` +
+        `• /find stops on Orchard Rd\n\n` +
+        `*நிறுத்தப் பெயரைக் கீழே தட்டச்சு செய்யவும்:*`,
+
+    'route.usage': '🛣️ *பேருந்து வழித்தடம்*\n\n/route உடன் பேருந்துச் சேவை எண்ணை அனுப்பவும், எ.கா.:\n• /route 190\n• /route 14e\n• /route NR1',
+    'route.loading': '🛣️ பேருந்து {service} வழித்தடத்தை ஏற்றுகிறது...',
+    'route.loadingFirst': '🛣️ வழித்தடத் தரவை முதல் முறையாக ஏற்றுகிறது...\n⏳ இதற்கு ஒரு நிமிடம் வரை ஆகலாம்.',
+    'route.unavailable': '❌ இப்போது வழித்தடத் தரவை ஏற்ற முடியவில்லை. பின்னர் மீண்டும் முயலவும்.',
+    'route.notFound': '❌ பேருந்துச் சேவை "{service}" கிடைக்கவில்லை.\n\nஎண்ணைச் சரிபார்த்து மீண்டும் முயலவும், எ.கா. /route 190',
+    'route.expired': '❌ வழித்தடத் தரவு கிடைக்கவில்லை. /route மீண்டும் முயலவும்.',
+    'route.title': '🚌 *பேருந்து {service}* • {operator}',
+    'route.loop': '{stop} (சுற்று)',
+    'route.direction': '↔️ திசை {direction} / {count}',
+    'route.stops': '📋 நிறுத்தங்கள் {from}–{to} / {total}',
+
+    'intent.question': '🤔 "{text}" உடன் என்ன செய்ய விரும்புகிறீர்கள்?',
+    'intent.stopsNamed': '🚏 "{text}" என்ற பெயருள்ள நிறுத்தங்கள்',
+    'intent.stopsNear': '📍 "{text}" அருகிலுள்ள நிறுத்தங்கள்',
+    'intent.busesTo': '🧭 "{text}" செல்லும் பேருந்துகள்',
+    'intent.expired': '❌ இந்தக் கேள்வி காலாவதியாகிவிட்டது. உங்கள் தேடலை மீண்டும் அனுப்பவும்.',
+
+    'destination.searching': '🧭 "{query}" செல்லும் பேருந்துகளைத் தேடுகிறது...',
+    'destination.noStops': '❌ "{query}" அருகில் பேருந்து நிறுத்தங்கள் எதுவும் கிடைக்கவில்லை.\n\n💡 ஓர் அடையாளம், MRT நிலையம் அல்லது சாலைப் பெயரை முயலவும்.',
+    'destination.serving': '🧭 *{place} செல்லும் பேருந்துகள்*\n\n{services}\n\n📍 இவற்றில் எதைப் பிடிக்கலாம் என அறிய, முதலில் உங்கள் இருப்பிடத்தைப் பகிரவும் அல்லது முகவரியைத் தேடவும், பின்னர் மீண்டும் கேட்கவும்.',
+    'destination.noServices': 'அருகில் பேருந்துச் சேவைகள் எதுவும் நிற்பதில்லை.',
+    'destination.lastLocation': 'உங்கள் கடைசி இருப்பிடம்',
+    'destination.noDirect': '🧭 {origin} இலிருந்து {place} க்கு நேரடிப் பேருந்து இல்லை.\n\n💡 முதலில் வேறு இடத்திலிருந்து தேட முயலவும்.',
+    'destination.title': '🧭 *{place} க்கு நேரடிப் பேருந்துகள்*\n📍 {origin} இலிருந்து',
+    'destination.journey': '🚌 *{service}* - {stop} ({code}) இலிருந்து',
+    'destination.rideTo': '{stop} வரை {count} நிறுத்தங்கள்',
+    'destination.tapBus': '👇 பேருந்து எப்போது வரும் என அறிய அதைத் தட்டவும்',
+    'destination.button': '🚌 {service} - {stop}',
+    'destination.error': '❌ இப்போது தேட முடியவில்லை. மீண்டும் முயலவும்.',
+
+    'favourites.empty': ({ max }) =>
+        `⭐ *இன்னும் பிடித்தவை இல்லை*\n\n` +
+        `ஒரு நிறுத்தத்தைத் தேடி "⭐ பிடித்தவையில் சேர்" என்பதை அழுத்தி இங்கே சேமிக்கவும்.\n\n` +
+        `${max} நிறுத்தங்கள் வரை சேமித்து "வீடு" அல்லது "அலுவலகம்" போன்ற பெயர்களை வைக்கலாம்.`,
+    'favourites.loading': '⭐ பிடித்த நிறுத்தங்கள் ஏற்றப்படுகின்றன...',
+    'favourites.refreshing': '🔄 பிடித்த நிறுத்தங்கள் ஏற்றப்படுகின்றன...',
+    'favourites.manage': '✏️ *பிடித்தவையை நிர்வகி*\n\nவருகை நேரங்களைக் காண நிறுத்தப் பெயரைத் தட்டவும்.\nவரிசைப்படுத்த ⬆️ ⬇️, புனைப்பெயருக்கு ✏️, நீக்க 🗑️ பயன்படுத்தவும்.',
+    'favourites.nicknamePrompt': '✏️ *நிறுத்தம் {code} க்கான புனைப்பெயர்*\n\n"வீடு" அல்லது "அலுவலகம்" போன்ற சிறிய பெயரை (அதிகபட்சம் 32 எழுத்துகள்) தட்டச்சு செய்யவும், அல்லது நிறுத்தப் பெயரை வைத்திருக்க தவிர் என்பதைத் தட்டவும்.',
+    'favourites.nicknamePromptGroup': '✏️ *நிறுத்தம் {code} க்கான புனைப்பெயர்*\n\n"வீடு" அல்லது "அலுவலகம்" போன்ற சிறிய பெயருடன் (அதிகபட்சம் 32 எழுத்துகள்) இந்தச் செய்திக்குப் பதிலளிக்கவும், அல்லது நிறுத்தப் பெயரை வைத்திருக்கப் புறக்கணிக்கவும்.',
+    'favourites.nicknameSaved': '✅ நிறுத்தம் {code} "{name}" எனச் சேமிக்கப்பட்டது.\n\nசேமித்த நிறுத்தங்களைக் காண ⭐ பிடித்தவை தட்டவும்.',
+    'favourites.saved': '⭐ பிடித்தவையில் சேமிக்கப்பட்டது. சேமித்த நிறுத்தங்களைக் காண ⭐ பிடித்தவை தட்டவும்.',
+    'favourites.gone': '❌ நிறுத்தம் {code} இனி உங்கள் பிடித்தவையில் இல்லை.',
+    'favourites.limit': '❌ அதிகபட்சம் {max} பிடித்தவை மட்டுமே சேமிக்கலாம். முதலில் ஒன்றை நீக்கவும்.',
+    'favourites.exists': '⭐ ஏற்கனவே பிடித்தவையில் உள்ளது',
+    'favourites.atTop': 'ஏற்கனவே மேலே உள்ளது',
+    'favourites.atBottom': 'ஏற்கனவே கீழே உள்ளது',
+    'hide.hint': 'இந்த நிறுத்தத்தில் மறைக்க அல்லது காட்ட ஒரு பேருந்தைத் தட்டவும்',
+    'hide.noServices': '❌ இப்போது மறைக்க சேவைகள் இல்லை',
+    'track.hint': 'பேருந்து எங்கே உள்ளது என்று பார்க்க அதை அழுத்தவும்',
+    'track.noPositions': '❌ இங்குள்ள எந்தப் பேருந்தும் இப்போது தன் இருப்பிடத்தைத் தெரிவிக்கவில்லை',
+    'track.noPosition': '❌ பேருந்து {service} இப்போது தன் இருப்பிடத்தைத் தெரிவிக்கவில்லை',
+    'track.position': '📍 *பேருந்து {service}* {stop} இலிருந்து {distance}மீ தொலைவில் உள்ளது\n⏱️ {arrival}',
+    'track.following': '📡 _பின்தொடர்கிறது - பேருந்து வந்து சேரும் வரை வரைபடம் அதனுடன் நகரும்_',
+    'track.arrived': '✅ *பேருந்து {service}* {stop} ஐ அடைந்தது',
+    'track.lost': '⚠️ பேருந்து {service} ஐப் பின்தொடர முடியவில்லை - அது இருப்பிடத்தைத் தெரிவிப்பதை நிறுத்தியது',
+    'track.capacity': '⏳ இப்போது அதிகமான பேருந்துகள் பின்தொடரப்படுகின்றன (அதிகபட்சம் {max}). பின்னர் மீண்டும் முயற்சிக்கவும்.',
+
+    'alerts.etaNow': 'இப்போது வருகிறது',
+    'alerts.etaMinutes': 'சுமார் {minutes} நிமிடத்தில் வருகிறது',
+    'alerts.triggered': '🔔 *பேருந்து {service} {eta}!*\n\n📍 {stop}\n⏰ {threshold} நிமிடத்தில் நினைவூட்டக் கேட்டிருந்தீர்கள்.',
+    'alerts.passed': '⌛ *நினைவூட்டல் முடிந்தது*\n\n{stop} இல் பேருந்து {service} கடந்துவிட்டது அல்லது இனி இயங்கவில்லை.',
+    'alerts.expired': '⌛ *நினைவூட்டல் காலாவதியானது*\n\n{stop} இல் பேருந்து {service} நேரத்திற்குள் {threshold} நிமிட தூரத்திற்கு வரவில்லை.',
+    'alerts.none': '🔔 *செயலில் உள்ள நினைவூட்டல்கள் இல்லை*\n\nஒரு நிறுத்தத்தைத் தேடி "🔔 வருகை நினைவூட்டல் அமை" என்பதைத் தட்டினால், பேருந்து அருகில் வரும்போது செய்தி வரும்.',
+    'alerts.title': '🔔 *செயலில் உள்ள நினைவூட்டல்கள் ({count}/{max})*',
+    'alerts.item': '🚍 {stop} ({code}) இல் {service} • {minutes} நிமிடத்திற்குள்',
+    'alerts.cancelButton': '❌ {code} இல் {service} ரத்துசெய்',
+    'alerts.pickService': '🔔 *வருகை நினைவூட்டல் அமை*\n\nபேருந்து நிறுத்தம் {code}\n\nஎந்தப் பேருந்துக்கு நினைவூட்டல் வேண்டும்?',
+    'alerts.pickThreshold': '🔔 *பேருந்து {service} நினைவூட்டல்*\n\nபேருந்து நிறுத்தம் {code}\n\nபேருந்து இத்தனை நிமிடங்கள் தொலைவில் இருக்கும்போது தெரிவிக்கவும்:',
+    'alerts.thresholdButton': '{minutes} நிமி',
+    'alerts.limit': '❌ அதிகபட்சம் {max} நினைவூட்டல்கள் மட்டுமே வைத்திருக்கலாம். முதலில் /alerts இல் ஒன்றை ரத்துசெய்யவும்.',
+    'alerts.exists': '🔔 இந்த நிறுத்தத்தில் பேருந்து {service} க்கு ஏற்கனவே நினைவூட்டல் உள்ளது.',
+    'alerts.set': '✅ *நினைவூட்டல் அமைக்கப்பட்டது*\n\nபேருந்து {service} நிறுத்தம் {code} இலிருந்து {minutes} நிமிடத்திற்குள் வரும்போது செய்தி அனுப்புவேன்.\n\nநினைவூட்டல்களைப் பார்க்க அல்லது ரத்துசெய்ய /alerts பயன்படுத்தவும்.',
+
+    'schedules.title': '⏰ *பயண அட்டவணைகள்*',
+    'schedules.empty': 'பேருந்து வருகை நேரங்களைத் தானாகப் பெறுங்கள், எ.கா. ஒவ்வொரு வார நாளும் காலை 8:05 மணிக்கு.\n\nஅமைக்க "➕ புதிய அட்டவணை" என்பதைத் தட்டவும்.',
+    'schedules.unnamedStop': 'பேருந்து நிறுத்தம்',
+    'schedules.days.daily': 'ஒவ்வொரு நாளும்',
+    'schedules.days.weekdays': 'வார நாட்கள்',
+    'schedules.days.weekends': 'வார இறுதி',
+    'schedules.holidays.normal': 'பொது விடுமுறைகளைப் புறக்கணி',
+    'schedules.holidays.skip': 'பொது விடுமுறைகளில் தவிர்',
+    'schedules.holidays.weekend': 'பொது விடுமுறைகளை வார இறுதியாகக் கருது',
+    'schedules.summary.normal': '{days}, {time}',
+    'schedules.summary.skip': '{days}, {time}, பொது விடுமுறைகள் தவிர',
+    'schedules.summary.weekend': '{days}, {time}, பொது விடுமுறைகள் வார இறுதியாக',
+    'schedules.detail':
+        `⏰ *{time} அட்டவணை*\n\n` +
+        `📍 {stop} ({code})\n` +
+        `🚍 சேவைகள்: {services}\n` +
+        `📅 {summary}\n` +
+        `நிலை: {status}\n\n` +
+        `வருகை நேரங்களை அனுப்ப வேண்டிய நாட்களைத் தேர்வுசெய்யவும்:`,
+    'schedules.allServices': 'அனைத்தும்',
+    'schedules.active': '🟢 செயலில்',
+    'schedules.paused': '⏸️ இடைநிறுத்தப்பட்டது',
+    'schedules.newPrompt':
+        `➕ *புதிய பயண அட்டவணை*\n\n` +
+        `நிறுத்தக் குறியீடு, நேரம் (சிங்கப்பூர் நேரம்) மற்றும் விருப்பமாக நீங்கள் எடுக்கும் சேவைகளை அனுப்பவும்:\n\n` +
+        `📝 *எடுத்துக்காட்டுகள்:*\n` +
+        `• \`43009 08:05\` - அனைத்துச் சேவைகளும்\n` +
+        `• \`43009 8:05am 190 972\` - 190 மற்றும் 972 மட்டும்\n\n` +
+        `சேமித்த பிறகு நாட்களைத் தேர்வுசெய்யலாம்.`,
+    'schedules.invalid':
+        `❌ *அந்த அட்டவணையைப் புரிந்துகொள்ள முடியவில்லை*\n\n` +
+        `நிறுத்தக் குறியீடு, நேரம் மற்றும் விருப்பமாகச் சேவைகளை அனுப்பவும், எ.கா.:\n` +
+        `• \`43009 08:05\`\n` +
+        `• \`43009 8:05am 190 972\`\n\n` +
+        `மீண்டும் முயலவும்:`,
+    'schedules.limit': '❌ அதிகபட்சம் {max} அட்டவணைகள் மட்டுமே வைத்திருக்கலாம். முதலில் /schedule இல் ஒன்றை நீக்கவும்.',
+    'schedules.created': '⏰ அட்டவணை உருவாக்கப்பட்டது!',
+    'schedules.notFound': '❌ அட்டவணை கிடைக்கவில்லை. அது நீக்கப்பட்டிருக்கலாம்.',
+    'schedules.update': '⏰ *பயணத் தகவல்* • {time}',
+
+    'settings.menu': ({ radius, maxStops, view, services, sort, times, hidden, language }) =>
+        `⚙️ *அமைப்புகள்*\n\n` +
+        `தற்போதைய விருப்பங்கள்:\n` +
+        `• தேடல் தூரம்: ${radius}மீ\n` +
+        `• அதிகபட்ச நிறுத்தங்கள்: ${maxStops}\n` +
+        `• வருகைக் காட்சி: ${view}\n` +
+        `• ஒரு நிறுத்தத்தில் பேருந்துகள்: ${services}\n` +
+        `• வரிசை: ${sort}\n` +
+        `• நேரம்: ${times}\n` +
+        `• மறைக்கப்பட்ட பேருந்துகள்: ${hidden}\n` +
+        `• மொழி: ${language}\n\n` +
+        `மாற்ற அழுத்தவும்:`,
+    'settings.radiusButton': 'தூரம்: {radius}மீ',
+    'settings.stopsButton': 'அதிகபட்ச நிறுத்தங்கள்: {maxStops}',
+    'settings.languageButton': '🌐 மொழி: {language}',
+    'settings.viewButton': '📋 வருகைகள்: {view}',
+    'settings.viewCompact': 'சுருக்கம்',
+    'settings.viewDetailed': 'விரிவானது',
+    'settings.servicesButton': '🚌 ஒரு நிறுத்தத்தில் பேருந்துகள்: {services}',
+    'settings.servicesCapped': 'அதிகபட்சம் {max}',
+    'settings.servicesAll': 'அனைத்தும்',
+    'settings.resetButton': '🔄 இயல்புநிலைக்கு மாற்று',
+    'settings.doneButton': '✅ முடிந்தது',
+    'settings.radiusTitle': '🎯 *தேடல் தூரம்*\n\nதற்போது: {radius}மீ\n\nபுதிய தூரத்தைத் தேர்வு செய்யவும்:',
+    'settings.stopsTitle': '📊 *அதிகபட்ச நிறுத்தங்கள்*\n\nதற்போது: {maxStops} நிறுத்தங்கள்\n\nகாட்ட வேண்டிய அதிகபட்ச நிறுத்தங்களைத் தேர்வு செய்யவும்:',
+    'settings.stopsOption': '{count} நிறுத்தங்கள்',
+    'settings.languageTitle': '🌐 *மொழி*\n\nதற்போது: {language}\n\nமெனுக்கள் மற்றும் வருகைகளுக்கான மொழியைத் தேர்வு செய்யவும்:',
+    'settings.languageAuto': '🔄 தானியங்கி ({language})',
+    'settings.sortButton': '🔢 வரிசை: {sort}',
+    'settings.sortService': 'பேருந்து எண்',
+    'settings.sortSoonest': 'விரைவில் வருவது முதலில்',
+    'settings.timeButton': '🕒 நேரம்: {format}',
+    'settings.timeRelative': 'நிமிடங்கள்',
+    'settings.time24h': '24 மணி நேரம்',
+    'settings.time12h': '12 மணி நேரம்',
+    'settings.hiddenButton': '🙈 மறைக்கப்பட்ட பேருந்துகள்: {count}',
+    'settings.hiddenTitle': '🙈 *மறைக்கப்பட்ட பேருந்துகள்*\n\nஇந்தப் பேருந்துகள் ஒவ்வொரு நிறுத்தத்தின் வருகைகளிலும் காட்டப்படாது:',
+    'settings.hiddenNone': '🙈 *மறைக்கப்பட்ட பேருந்துகள்*\n\nஎதுவும் மறைக்கப்படவில்லை. ஒரு நிறுத்தத்தின் வருகைகளைத் திறந்து 🙈 பேருந்துகளை மறை என்பதைத் தட்டவும்.',
+    'settings.unhideButton': '👁️ {stop} இல் அனைத்தையும் காட்டு',
+    'settings.reset': ({ radius, maxStops }) =>
+        `✅ *அமைப்புகள் மீட்டமைக்கப்பட்டன*\n\n` +
+        `இயல்புநிலை மதிப்புகள்:\n` +
+        `• தேடல் தூரம்: ${radius}மீ\n` +
+        `• அதிகபட்ச நிறுத்தங்கள்: ${maxStops}`,
+    'settings.saved': ({ radius, maxStops }) =>
+        `✅ *அமைப்புகள் சேமிக்கப்பட்டன*\n\n` +
+        `உங்கள் விருப்பங்கள்:\n` +
+        `• தேடல் தூரம்: ${radius}மீ\n` +
+        `• அதிகபட்ச நிறுத்தங்கள்: ${maxStops}\n\n` +
+        `பேருந்து நிறுத்தங்களைத் தேட கீழே உள்ள மெனுவைப் பயன்படுத்தவும்!`,
+    'settings.ready': '🚌 பேருந்துகளைத் தேடத் தயார்!',
+    'settings.radiusUpdated': '✅ *தேடல் தூரம் புதுப்பிக்கப்பட்டது*\n\nபுதிய தூரம்: {radius}மீ\n\nஇனிவரும் தேடல்களுக்கு இது பொருந்தும்.',
+    'settings.stopsUpdated': '✅ *அதிகபட்ச நிறுத்தங்கள் புதுப்பிக்கப்பட்டன*\n\nபுதிய வரம்பு: {maxStops} நிறுத்தங்கள்\n\nஇனிவரும் தேடல்களுக்கு இது பொருந்தும்.',
+    'settings.languageUpdated': '✅ மொழி தமிழுக்கு மாற்றப்பட்டது.',
+
+    'callback.updated': '✅ புதுப்பிக்கப்பட்டது!',
+    'callback.failed': '❌ புதுப்பிக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.'
+};
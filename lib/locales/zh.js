@@ -0,0 +1,410 @@
+// 简体中文
+module.exports = {
+    'command.start': '启动机器人并查看欢迎信息',
+    'command.help': '查看帮助和使用说明',
+    'command.location': '分享位置，查找附近的巴士站',
+    'command.search': '输入地址或地名搜索',
+    'command.busstop': '按巴士站编号搜索（如 01012）',
+    'command.favourites': '查看收藏巴士站的到站时间',
+    'command.alerts': '查看和取消巴士到站提醒',
+    'command.schedule': '按通勤时间自动推送到站信息',
+    'command.route': '查看巴士路线的所有站点（如 /route 190）',
+    'command.find': '按站名或路名查找巴士站（如 /find Opp Blk 123）',
+    'command.settings': '调整搜索范围、语言和偏好',
+
+    'button.shareLocation': '📍 分享位置',
+    'button.searchAddress': '🔍 搜索地址',
+    'button.busStopNumber': '🚏 巴士站编号',
+    'button.refresh': '🔄 刷新',
+    'button.settings': '⚙️ 设置',
+    'button.favourites': '⭐ 收藏',
+    'button.help': '❓ 帮助',
+    'button.shareMyLocation': '📍 分享我的位置',
+
+    'button.refreshAll': '🔄 刷新全部到站时间',
+    'button.refreshStop': '🔄 刷新此站',
+    'button.liveUpdates': '📡 实时更新',
+    'button.stopLive': '⏹️ 停止实时更新',
+    'button.newLocationSearch': '📍 重新按位置搜索',
+    'button.newSearch': '📍 新搜索',
+    'button.setAlert': '🔔 设置到站提醒',
+    'button.addFavourite': '⭐ 加入收藏',
+    'button.removeFavourite': '★ 取消收藏',
+    'button.refreshFavourites': '🔄 刷新收藏',
+    'button.manageFavourites': '✏️ 管理收藏',
+    'button.liveMinutes': '{minutes} 分钟',
+    'button.cancel': '✖️ 取消',
+    'button.hideServices': '🙈 隐藏巴士',
+    'button.whereIsBus': '📍 我的巴士在哪？',
+    'button.followBus': '📡 跟踪这辆巴士',
+    'button.stopFollowing': '⏹️ 停止跟踪',
+    'button.backToSettings': '← 返回设置',
+    'button.inlineSearch': '🔍 输入巴士站编号或站名',
+    'button.back': '← 返回',
+    'button.backToArrivals': '← 返回到站时间',
+    'button.viewArrivals': '🚏 查看到站时间',
+    'button.cancelAlert': '❌ 取消提醒',
+    'button.newSchedule': '➕ 新建推送',
+    'button.pause': '⏸️ 暂停',
+    'button.resume': '▶️ 恢复',
+    'button.delete': '🗑️ 删除',
+    'button.backToSchedules': '← 返回推送列表',
+    'button.rename': '✏️ 改名',
+    'button.skip': '⏭️ 跳过',
+    'button.backToFavourites': '← 返回收藏',
+    'button.previous': '◀ 上一页',
+    'button.next': '下一页 ▶',
+    'button.oppositeDirection': '🔁 反方向',
+
+    'time.arriving': '即将到站',
+    'time.minute': '1 分钟',
+    'time.minutes': '{minutes} 分钟',
+    'time.noData': '无数据',
+    'load.legend': '🟢 有座位 • 🟡 可站立 • 🔴 拥挤',
+    'load.detailLegend': '♿ 轮椅可上 • ⏱️ 按时刻表估计，非实时定位',
+    'bus.type.SD': '单层',
+    'bus.type.DD': '双层',
+    'bus.type.BD': '铰接',
+    'bus.scheduled': '按时刻表',
+    'bus.loop': '从 {stop} 出发的环线',
+    'arrivals.busStop': '巴士站 {code}',
+    'arrivals.stopCode': '🏷️ 站号：{code}',
+    'arrivals.distance': '距离 {distance} 米',
+    'arrivals.lastUpdated': '🔄 更新时间：{time}',
+    'arrivals.stale': '⚠️ _暂无实时数据 - 显示 {minutes} 分钟前的时间_',
+    'arrivals.error': '❌ 无法加载到站信息（接口问题）',
+    'arrivals.noServices': '❌ 目前没有巴士服务此站',
+    'arrivals.noRealtime': '⏰ 暂无实时到站信息',
+    'arrivals.noRealtimeFor': '⏰ {services} 号巴士暂无实时到站信息',
+    'arrivals.stillLoading': '⏳ 正在加载到站信息...',
+    'arrivals.slowStops': '⏳ _部分站点响应较慢 - 加载完成后本消息会自动更新_',
+    'arrivals.allHidden': '🙈 此站的所有巴士都已隐藏',
+    'arrivals.hiddenCount': '🙈 _已隐藏 {count} 个_',
+    'arrivals.moreServices': '➕ _还有 {count} 辆巴士，可在 /settings 显示全部_',
+    'arrivals.unavailable': '暂时无法获取到站信息',
+    'arrivals.nearbyTitle': '巴士到站（{radius} 米内 {count} 个站）',
+    'arrivals.nearestTitle': '最近的 {count} 个巴士站（{radius} 米内没有）',
+    'arrivals.towards': '🧭 往 {places} 方向',
+    'arrivals.favouritesTitle': '收藏的巴士站（{count}）',
+    'arrivals.liveFooter': '🔴 *实时* • 每 {seconds} 秒更新，直到 {time}',
+    'arrivals.liveStarted': '📡 已开启实时更新 {minutes} 分钟',
+    'arrivals.liveCapacity': '⏳ 目前实时更新的消息太多（最多 {max} 条），请使用 🔄 刷新或稍后再试。',
+    'arrivals.lookingUp': '🔍 正在查询巴士站 {code}...\n⏳ 正在获取实时到站信息...',
+    'arrivals.searchingNearby': '🔍 正在搜索附近的巴士站...',
+    'arrivals.refreshing': '🔄 正在刷新到站时间...',
+    'arrivals.refreshingAll': '🔄 正在刷新全部到站时间...',
+    'arrivals.noLocation': '❌ 没有位置数据，请重新搜索。',
+    'arrivals.loadError':
+        `❌ *无法加载巴士站 {code}*\n\n` +
+        `可能的原因：\n` +
+        `• 巴士站编号不存在\n` +
+        `• API 连接问题\n` +
+        `• 巴士站暂停服务\n\n` +
+        `🔄 *请重试*，或使用其他巴士站编号。\n\n` +
+        `💡 *小提示：* 请核对巴士站站牌上的编号。`,
+    'arrivals.refreshError': '❌ 刷新巴士站 {code} 时出错，请重试。',
+    'arrivals.stopsUnavailable': '❌ 暂时无法加载巴士站资料，请几分钟后再试。',
+    'arrivals.noStopsWithin': '❌ {km} 公里内没有找到巴士站。',
+    'arrivals.noStopsNearby': '❌ {km} 公里内没有找到巴士站。\n\n可以试试：\n• 换一个地点\n• 改用地址或巴士站编号搜索',
+    'arrivals.foundNearby': '📍 在附近找到 {count} 个巴士站。\n🔄 正在加载实时到站时间...',
+    'arrivals.searchError': '❌ 搜索时出错，请重试。',
+
+    'start.welcome': ({ name, radius }) =>
+        `🚌 *欢迎使用新加坡巴士机器人，${name}！*\n\n` +
+        `我可以帮你查找附近的巴士站，并提供实时到站信息。\n\n` +
+        `*🆕 功能：*\n` +
+        `• 📍 搜索范围扩大到 ${radius} 米\n` +
+        `• 📱 多个巴士站合并显示\n` +
+        `• 🔍 地址搜索\n` +
+        `• ⚙️ 可自定义设置\n\n` +
+        `*使用方法：*\n` +
+        `1️⃣ 分享你的位置，或按地址搜索\n` +
+        `2️⃣ 在一条消息中查看所有附近的巴士站\n` +
+        `3️⃣ 查看实时到站时间和车厢拥挤程度\n` +
+        `4️⃣ 点击刷新按钮更新时间\n\n` +
+        `准备好了吗？请在下方选择！🚌`,
+    'start.defaultName': '朋友',
+    'help.text': ({ inlineMention }) =>
+        `❓ *新加坡巴士机器人帮助*\n\n` +
+        `*可用命令：*\n` +
+        `• /start - 启动机器人\n` +
+        `• /help - 显示本帮助\n` +
+        `• /location - 分享位置\n` +
+        `• /search - 按地址搜索\n` +
+        `• /favourites - 收藏巴士站的到站时间\n` +
+        `• /alerts - 管理到站提醒\n` +
+        `• /schedule - 通勤时间自动推送\n` +
+        `• /route 190 - 巴士路线的站点\n` +
+        `• /find Opp Blk 123 - 按站名或路名查找巴士站\n` +
+        `• /settings - 调整偏好和语言\n` +
+        `*功能：*\n` +
+        `📍 分享 GPS 位置即可查看结果\n` +
+        `🔍 输入任何新加坡地址进行搜索\n` +
+        `📱 附近所有巴士站显示在一条消息中\n` +
+        `🔄 实时到站更新\n` +
+        `⚙️ 可调整搜索范围\n\n` +
+        `*小提示：*\n` +
+        `• 直接输入你想查的：“01012”、“190 at 01012”、“to Orchard” 或 “near Bishan”\n` +
+        `• 搜索地址时尽量具体（如 “Orchard Road MRT”）\n` +
+        `• 点击 📡 实时更新，每 30 秒刷新一次时间\n` +
+        `• 在任何聊天中输入 ${inlineMention} 01012 即可查看到站时间\n` +
+        `• 拥挤程度：🟢 有座位，🟡 可站立，🔴 拥挤\n\n` +
+        `需要更多帮助？请联系 RandomG。`,
+    'help.inlineMentionFallback': '本机器人的 @用户名',
+
+    'prompt.location': '📍 请分享你的位置，查找附近的巴士站：',
+    'prompt.locationGroup': '📍 请回复本消息并附上位置（📎 → 位置），查找附近的巴士站。',
+    'prompt.address':
+        `🔍 *地址搜索*\n\n` +
+        `输入任何新加坡地点，我可以找到：\n\n` +
+        `🚇 *地铁/轻轨站：*\n` +
+        `• "Yew Tee Station"\n` +
+        `• "Dhoby Ghaut"\n` +
+        `• "Jurong East MRT"\n\n` +
+        `🏬 *购物中心：*\n` +
+        `• "Causeway Point"\n` +
+        `• "Jurong Point"\n` +
+        `• "Marina Bay Sands"\n\n` +
+        `📍 *地区和道路：*\n` +
+        `• "Orchard Road"\n` +
+        `• "Raffles Place"\n` +
+        `• "Little India"\n\n` +
+        `💡 越具体越好：“Yew Tee MRT Station” 比 “Yew Tee” 更准确。\n\n` +
+        `请在下方输入地点：`,
+    'prompt.busStop':
+        `🚏 *巴士站编号搜索*\n\n` +
+        `输入新加坡巴士站编号，查看实时到站时间。\n\n` +
+        `📝 *例子：*\n` +
+        `• 01012（Raffles Place）\n` +
+        `• 43009（Orchard Boulevard）\n` +
+        `• 28009（Marina Bay Sands）\n` +
+        `• 59009（樟宜机场）\n\n` +
+        `💡 *小提示：*\n` +
+        `• 巴士站编号通常是 5 位数字\n` +
+        `• 编号印在巴士站的站牌上\n` +
+        `• 也可以在 OneMap.gov.sg 查找\n` +
+        `• 不知道编号？输入站名，如 “Opp Blk 123”\n\n` +
+        `*请在下方输入巴士站编号：*`,
+    'prompt.newSearch': '📍 请选择搜索巴士站的方式：',
+    'prompt.newSearchGroup': '📍 发送 /location、/search 或 /busstop 并回复我的问题，开始新的搜索。',
+    'prompt.invalidCode':
+        `❌ *巴士站编号格式无效*\n\n` +
+        `请输入有效的巴士站编号（4-5 位数字）。\n\n` +
+        `📝 *例子：*\n` +
+        `• 01012 或 1012\n` +
+        `• 43009\n` +
+        `• 28009\n\n` +
+        `你输入的是：“{text}”\n` +
+        `请重试：`,
+
+    'address.searching': '🔍 正在搜索 “{query}”...\n⏳ 正在查询多个地点数据库...',
+    'address.found':
+        `✅ *找到地点！*\n\n` +
+        `📍 *{address}*\n` +
+        `🗺️ 来源：{provider}\n` +
+        `📊 坐标：{latitude}, {longitude}\n\n` +
+        `🔍 正在搜索附近的巴士站...`,
+    'address.results': '📍 搜索结果：*{address}*\n🔍 正在加载巴士站...',
+    'address.notFound':
+        `❌ *找不到地点 “{query}”*\n\n` +
+        `🔍 *搜索小提示：*\n` +
+        `• 加上 “MRT” 或 “Station”：“{query} MRT”\n` +
+        `• 加上 “Mall” 或 “Centre”：“{query} Mall”\n` +
+        `• 更具体一些：“Causeway Point Woodlands”\n` +
+        `• 试试附近的地标或路名\n\n` +
+        `📝 *搜索例子：*\n` +
+        `• "Yew Tee MRT Station"\n` +
+        `• "Causeway Point Shopping Centre"\n` +
+        `• "Woodlands MRT"\n` +
+        `• "Jurong Point Mall"\n\n` +
+        `💡 请换个地名或输入得更具体一些！`,
+    'address.error':
+        `❌ *搜索出错*\n\n` +
+        `暂时无法搜索地点。\n\n` +
+        `🔄 *请重试*，或改用 *📍 分享位置*。\n\n` +
+        `💡 *另一个办法：* 分享你的 GPS 位置，立即获得结果！`,
+
+    'stopSearch.title': '🔎 *符合搜索的巴士站*',
+    'stopSearch.roadTitle': ({ road, count }) => `🛣️ *${road}* • ${count} 个巴士站`,
+    'stopSearch.showingFirst': '只显示前 {count} 个。',
+    'stopSearch.tapStop': '👇 点击巴士站查看到站时间',
+    'stopSearch.notFound': '❌ 没有与 “{query}” 相符的巴士站。\n\n💡 试试减少字词、输入路名（“stops on Orchard Rd”）或站牌上的 5 位编号。',
+    'stopSearch.prompt':
+        `🔎 *查找巴士站*\n\n` +
+        `输入站名的一部分，或查询整条路：\n\n` +
+        `📝 *例子：*\n` +
+        `• /find Opp Blk 123\n` +
+        `• /find Bef Orchard Stn\n` +
+        `• /find stops on Orchard Rd\n\n` +
+        `*请在下方输入站名：*`,
+
+    'route.usage': '🛣️ *巴士路线查询*\n\n发送 /route 加上巴士号码，例如：\n• /route 190\n• /route 14e\n• /route NR1',
+    'route.loading': '🛣️ 正在加载 {service} 号巴士的路线...',
+    'route.loadingFirst': '🛣️ 首次加载路线数据...\n⏳ 最多需要一分钟。',
+    'route.unavailable': '❌ 暂时无法加载巴士路线数据，请稍后再试。',
+    'route.notFound': '❌ 找不到 “{service}” 号巴士。\n\n请检查号码后重试，例如 /route 190',
+    'route.expired': '❌ 路线数据不可用，请重新使用 /route。',
+    'route.title': '🚌 *{service} 号巴士* • {operator}',
+    'route.loop': '{stop}（环线）',
+    'route.direction': '↔️ 方向 {direction}/{count}',
+    'route.stops': '📋 第 {from}–{to} 站，共 {total} 站',
+
+    'intent.question': '🤔 你想用 “{text}” 做什么？',
+    'intent.stopsNamed': '🚏 名为 “{text}” 的巴士站',
+    'intent.stopsNear': '📍 “{text}” 附近的巴士站',
+    'intent.busesTo': '🧭 前往 “{text}” 的巴士',
+    'intent.expired': '❌ 这个问题已过期，请重新发送搜索。',
+
+    'destination.searching': '🧭 正在查找前往 “{query}” 的巴士...',
+    'destination.noStops': '❌ 找不到 “{query}” 附近的巴士站。\n\n💡 试试地标、地铁站或路名。',
+    'destination.serving': '🧭 *前往 {place} 的巴士*\n\n{services}\n\n📍 请先分享位置或搜索地址，再问一次，就能看到你可以搭哪一辆。',
+    'destination.noServices': '附近没有巴士停靠。',
+    'destination.lastLocation': '你上次搜索的位置',
+    'destination.noDirect': '🧭 没有从 {origin} 直达 {place} 的巴士。\n\n💡 试试先从其他地点搜索。',
+    'destination.title': '🧭 *直达 {place} 的巴士*\n📍 出发地：{origin}',
+    'destination.journey': '🚌 *{service}* 从 {stop}（{code}）上车',
+    'destination.rideTo': '坐 {count} 站到 {stop}',
+    'destination.tapBus': '👇 点击巴士查看到站时间',
+    'destination.button': '🚌 {service} 从 {stop}',
+    'destination.error': '❌ 暂时无法搜索，请重试。',
+
+    'favourites.empty': ({ max }) =>
+        `⭐ *还没有收藏*\n\n` +
+        `查询巴士站后点击 “⭐ 加入收藏” 即可保存到这里。\n\n` +
+        `最多可以收藏 ${max} 个巴士站，还可以设置 “家” 或 “公司” 等别名。`,
+    'favourites.loading': '⭐ 正在加载收藏的巴士站...',
+    'favourites.refreshing': '🔄 正在加载收藏的巴士站...',
+    'favourites.manage': '✏️ *管理收藏*\n\n点击站名查看到站时间。\n用 ⬆️ ⬇️ 调整顺序，✏️ 设置别名，🗑️ 删除。',
+    'favourites.nicknamePrompt': '✏️ *巴士站 {code} 的别名*\n\n输入一个简短的名字，如 “家” 或 “公司”（最多 32 个字符），或点击跳过保留站名。',
+    'favourites.nicknamePromptGroup': '✏️ *巴士站 {code} 的别名*\n\n回复本消息并输入一个简短的名字，如 “家” 或 “公司”（最多 32 个字符），不回复则保留站名。',
+    'favourites.nicknameSaved': '✅ 已将巴士站 {code} 保存为 “{name}”。\n\n点击 ⭐ 收藏查看所有收藏的巴士站。',
+    'favourites.saved': '⭐ 已加入收藏。点击 ⭐ 收藏查看所有收藏的巴士站。',
+    'favourites.gone': '❌ 巴士站 {code} 已不在你的收藏中。',
+    'favourites.limit': '❌ 最多只能收藏 {max} 个巴士站，请先删除一个。',
+    'favourites.exists': '⭐ 已在收藏中',
+    'favourites.atTop': '已经在最上面',
+    'favourites.atBottom': '已经在最下面',
+    'hide.hint': '点击巴士，在此站隐藏或显示',
+    'hide.noServices': '❌ 目前没有可隐藏的巴士',
+    'track.hint': '点击巴士查看它的位置',
+    'track.noPositions': '❌ 此站的巴士目前都没有回报位置',
+    'track.noPosition': '❌ {service} 号巴士目前没有回报位置',
+    'track.position': '📍 *{service} 号巴士* 距离{stop} {distance} 米\n⏱️ {arrival}',
+    'track.following': '📡 _跟踪中 - 地图会随巴士移动，直到巴士到站_',
+    'track.arrived': '✅ *{service} 号巴士* 已到达{stop}',
+    'track.lost': '⚠️ 无法继续跟踪 {service} 号巴士 - 它已停止回报位置',
+    'track.capacity': '⏳ 目前跟踪的巴士太多（最多 {max} 辆），请稍后再试。',
+
+    'alerts.etaNow': '即将到站',
+    'alerts.etaMinutes': '约 {minutes} 分钟后到站',
+    'alerts.triggered': '🔔 *{service} 号巴士{eta}！*\n\n📍 {stop}\n⏰ 你设置了在 {threshold} 分钟时提醒。',
+    'alerts.passed': '⌛ *提醒已结束*\n\n{stop} 的 {service} 号巴士已经开走或停止运行。',
+    'alerts.expired': '⌛ *提醒已过期*\n\n{stop} 的 {service} 号巴士没有在时限内进入 {threshold} 分钟范围。',
+    'alerts.none': '🔔 *没有进行中的提醒*\n\n查询巴士站后点击 “🔔 设置到站提醒”，巴士快到时就会通知你。',
+    'alerts.title': '🔔 *进行中的提醒（{count}/{max}）*',
+    'alerts.item': '🚍 {stop}（{code}）的 {service} 号 • {minutes} 分钟内',
+    'alerts.cancelButton': '❌ 取消 {code} 的 {service} 号',
+    'alerts.pickService': '🔔 *设置到站提醒*\n\n巴士站 {code}\n\n你想为哪一辆巴士设置提醒？',
+    'alerts.pickThreshold': '🔔 *{service} 号巴士提醒*\n\n巴士站 {code}\n\n巴士还有几分钟到站时通知你：',
+    'alerts.thresholdButton': '{minutes} 分钟',
+    'alerts.limit': '❌ 最多只能有 {max} 个进行中的提醒，请先在 /alerts 取消一个。',
+    'alerts.exists': '🔔 你已经为此站的 {service} 号巴士设置了提醒。',
+    'alerts.set': '✅ *提醒已设置*\n\n{service} 号巴士距离巴士站 {code} 不到 {minutes} 分钟时，我会通知你。\n\n使用 /alerts 查看或取消提醒。',
+
+    'schedules.title': '⏰ *通勤推送*',
+    'schedules.empty': '自动接收巴士到站时间，例如每个工作日早上 8:05。\n\n点击 “➕ 新建推送” 进行设置。',
+    'schedules.unnamedStop': '巴士站',
+    'schedules.days.daily': '每天',
+    'schedules.days.weekdays': '工作日',
+    'schedules.days.weekends': '周末',
+    'schedules.holidays.normal': '不理会公共假期',
+    'schedules.holidays.skip': '公共假期不推送',
+    'schedules.holidays.weekend': '公共假期按周末处理',
+    'schedules.summary.normal': '{days} {time}',
+    'schedules.summary.skip': '{days} {time}，公共假期除外',
+    'schedules.summary.weekend': '{days} {time}，公共假期按周末处理',
+    'schedules.detail':
+        `⏰ *{time} 的推送*\n\n` +
+        `📍 {stop}（{code}）\n` +
+        `🚍 巴士：{services}\n` +
+        `📅 {summary}\n` +
+        `状态：{status}\n\n` +
+        `选择推送到站时间的日子：`,
+    'schedules.allServices': '全部',
+    'schedules.active': '🟢 启用中',
+    'schedules.paused': '⏸️ 已暂停',
+    'schedules.newPrompt':
+        `➕ *新建通勤推送*\n\n` +
+        `发送巴士站编号、时间（新加坡时间），也可以加上你搭的巴士：\n\n` +
+        `📝 *例子：*\n` +
+        `• \`43009 08:05\` - 所有巴士\n` +
+        `• \`43009 8:05am 190 972\` - 只要 190 和 972\n\n` +
+        `保存后可以选择日子。`,
+    'schedules.invalid':
+        `❌ *无法识别这个推送*\n\n` +
+        `请发送巴士站编号、时间，也可以加上巴士号码，例如：\n` +
+        `• \`43009 08:05\`\n` +
+        `• \`43009 8:05am 190 972\`\n\n` +
+        `请重试：`,
+    'schedules.limit': '❌ 最多只能有 {max} 个推送，请先在 /schedule 删除一个。',
+    'schedules.created': '⏰ 推送已创建！',
+    'schedules.notFound': '❌ 找不到这个推送，可能已被删除。',
+    'schedules.update': '⏰ *通勤推送* • {time}',
+
+    'settings.menu': ({ radius, maxStops, view, services, sort, times, hidden, language }) =>
+        `⚙️ *设置*\n\n` +
+        `当前偏好：\n` +
+        `• 搜索范围：${radius} 米\n` +
+        `• 最多巴士站：${maxStops}\n` +
+        `• 到站显示：${view}\n` +
+        `• 每站巴士：${services}\n` +
+        `• 排序：${sort}\n` +
+        `• 时间：${times}\n` +
+        `• 已隐藏的巴士：${hidden}\n` +
+        `• 语言：${language}\n\n` +
+        `点击调整：`,
+    'settings.radiusButton': '范围：{radius} 米',
+    'settings.stopsButton': '最多站数：{maxStops}',
+    'settings.languageButton': '🌐 语言：{language}',
+    'settings.viewButton': '📋 到站显示：{view}',
+    'settings.viewCompact': '简洁',
+    'settings.viewDetailed': '详细',
+    'settings.servicesButton': '🚌 每站巴士：{services}',
+    'settings.servicesCapped': '最多 {max} 辆',
+    'settings.servicesAll': '全部',
+    'settings.resetButton': '🔄 恢复默认',
+    'settings.doneButton': '✅ 完成',
+    'settings.radiusTitle': '🎯 *搜索范围*\n\n当前：{radius} 米\n\n请选择新的范围：',
+    'settings.stopsTitle': '📊 *最多巴士站数*\n\n当前：{maxStops} 个站\n\n请选择最多显示的站数：',
+    'settings.stopsOption': '{count} 个站',
+    'settings.languageTitle': '🌐 *语言*\n\n当前：{language}\n\n请选择菜单和到站信息的语言：',
+    'settings.languageAuto': '🔄 自动（{language}）',
+    'settings.sortButton': '🔢 排序：{sort}',
+    'settings.sortService': '巴士号码',
+    'settings.sortSoonest': '最快到站',
+    'settings.timeButton': '🕒 时间：{format}',
+    'settings.timeRelative': '分钟',
+    'settings.time24h': '24 小时制',
+    'settings.time12h': '12 小时制',
+    'settings.hiddenButton': '🙈 已隐藏的巴士：{count}',
+    'settings.hiddenTitle': '🙈 *已隐藏的巴士*\n\n这些巴士不会出现在对应巴士站的到站信息中：',
+    'settings.hiddenNone': '🙈 *已隐藏的巴士*\n\n没有隐藏任何巴士。打开巴士站的到站信息，点击 “🙈 隐藏巴士” 即可隐藏从不搭乘的巴士。',
+    'settings.unhideButton': '👁️ 显示 {stop} 的全部巴士',
+    'settings.reset': ({ radius, maxStops }) =>
+        `✅ *已恢复默认设置*\n\n` +
+        `• 搜索范围：${radius} 米\n` +
+        `• 最多巴士站：${maxStops}`,
+    'settings.saved': ({ radius, maxStops }) =>
+        `✅ *设置已保存*\n\n` +
+        `你的偏好：\n` +
+        `• 搜索范围：${radius} 米\n` +
+        `• 最多巴士站：${maxStops}\n\n` +
+        `使用下方菜单搜索巴士站吧！`,
+    'settings.ready': '🚌 可以开始搜索巴士了！',
+    'settings.radiusUpdated': '✅ *搜索范围已更新*\n\n新范围：{radius} 米\n\n之后的搜索会使用新设置。',
+    'settings.stopsUpdated': '✅ *最多站数已更新*\n\n新上限：{maxStops} 个站\n\n之后的搜索会使用新设置。',
+    'settings.languageUpdated': '✅ 语言已设为中文。',
+
+    'callback.updated': '✅ 已更新！',
+    'callback.failed': '❌ 更新失败，请重试。'
+};
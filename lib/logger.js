@@ -0,0 +1,134 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// Levelled logger shared by the bot and every lib module. Production writes one
+// JSON object per line for log shippers, development writes readable lines.
+// Every entry is redacted before it is written, so registered secrets and user
+// coordinates never reach the logs.
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const REDACTED = '[redacted]';
+const REDACTED_KEYS = new Set(['latitude', 'longitude', 'lat', 'lng', 'lon', 'accountkey', 'authorization']);
+// "1.3521, 103.8198"-style pairs in free text
+const COORDINATE_PATTERN = /-?\d{1,3}\.\d{3,}\s*,\s*-?\d{1,3}\.\d{3,}/g;
+const MAX_DEPTH = 5;
+
+// Fields attached to every line logged while handling one Telegram update
+const context = new AsyncLocalStorage();
+
+const resolveLevel = (env) => {
+    const requested = (env.LOG_LEVEL || '').toLowerCase();
+    if (requested in LEVELS) return requested;
+    return env.NODE_ENV === 'production' ? 'info' : 'debug';
+};
+
+const resolveFormat = (env) => {
+    if (env.LOG_FORMAT === 'json' || env.LOG_FORMAT === 'pretty') return env.LOG_FORMAT;
+    return env.NODE_ENV === 'production' ? 'json' : 'pretty';
+};
+
+const settings = {
+    level: resolveLevel(process.env),
+    format: resolveFormat(process.env),
+    secrets: [],
+    secretPattern: null
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const redactString = (value) => {
+    const withoutSecrets = settings.secretPattern ? value.replace(settings.secretPattern, REDACTED) : value;
+    return withoutSecrets.replace(COORDINATE_PATTERN, '[coordinates]');
+};
+
+const redact = (value, depth = 0) => {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) return '[truncated]';
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = REDACTED_KEYS.has(key.toLowerCase()) ? REDACTED : redact(item, depth + 1);
+    }
+    return result;
+};
+
+// Only the parts of an error worth keeping - never axios' request config, headers or body
+const serializeError = (error, withStack) => {
+    if (!(error instanceof Error)) return error;
+    const serialized = { message: error.message };
+    if (error.code) serialized.code = error.code;
+    if (error.response?.status) serialized.status = error.response.status;
+    if (withStack && error.stack) serialized.stack = error.stack;
+    return serialized;
+};
+
+const formatPretty = ({ time, level, msg, requestId, ...fields }) => {
+    const extras = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join(' ');
+    return [
+        time.slice(11, 23),
+        level.toUpperCase().padEnd(5),
+        requestId ? `[${requestId}]` : null,
+        msg,
+        extras || null
+    ].filter(Boolean).join(' ');
+};
+
+const write = (level, entry) => {
+    const line = settings.format === 'json' ? JSON.stringify(entry) : formatPretty(entry);
+    const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+};
+
+const createLogger = (bindings = {}) => {
+    const log = (level, msg, fields = {}) => {
+        if (LEVELS[level] > LEVELS[settings.level]) return;
+
+        const { error, ...rest } = fields;
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...bindings,
+            ...context.getStore(),
+            ...rest
+        };
+        // Stack traces help with our own bugs; for HTTP and network errors they are just noise
+        if (error) entry.error = serializeError(error, level === 'error' && !error.response && !error.code);
+
+        write(level, redact(entry));
+    };
+
+    return {
+        error: (msg, fields) => log('error', msg, fields),
+        warn: (msg, fields) => log('warn', msg, fields),
+        info: (msg, fields) => log('info', msg, fields),
+        debug: (msg, fields) => log('debug', msg, fields),
+        child: (extra) => createLogger({ ...bindings, ...extra }),
+        isLevelEnabled: (level) => LEVELS[level] <= LEVELS[settings.level]
+    };
+};
+
+const logger = createLogger();
+
+// Values that must never appear in a log line, wherever they turn up (URLs, error messages...)
+const addSecrets = (...secrets) => {
+    settings.secrets.push(...secrets.filter(secret => typeof secret === 'string' && secret.length >= 6));
+    settings.secretPattern = settings.secrets.length > 0
+        ? new RegExp(settings.secrets.map(escapeRegExp).join('|'), 'g')
+        : null;
+};
+
+const createRequestId = () => crypto.randomBytes(6).toString('hex');
+
+const withContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+module.exports = {
+    LEVELS,
+    logger,
+    addSecrets,
+    createRequestId,
+    withContext
+};
@@ -0,0 +1,293 @@
+const axios = require('axios');
+const logger = require('./logger').logger.child({ component: 'lta' });
+
+// LTA DataMall client. Tracks the health of every configured endpoint, opens a
+// circuit breaker on endpoints that keep failing, fails over to the next one,
+// re-probes broken endpoints in the background and rate-limits all requests
+// through a token bucket.
+const FAILURE_THRESHOLD = 3; // Consecutive failures before the circuit opens
+const CIRCUIT_OPEN_DURATION = 60000; // How long to skip a broken endpoint before trying it again
+const PROBE_INTERVAL = 60000;
+const PROBE_STOP_CODE = '01012';
+const FAILOVER_DELAY = 250;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Refills continuously at ratePerSecond up to capacity; take() waits for a token
+const createTokenBucket = (capacity, ratePerSecond) => {
+    let tokens = capacity;
+    let lastRefill = Date.now();
+    let queue = Promise.resolve();
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * ratePerSecond);
+        lastRefill = now;
+    };
+
+    // Callers are served in order, so a burst can't starve earlier requests
+    const take = () => {
+        queue = queue.then(async () => {
+            refill();
+            if (tokens < 1) {
+                await sleep(Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+                refill();
+            }
+            tokens -= 1;
+        });
+        return queue;
+    };
+
+    return {
+        take,
+        get available() {
+            refill();
+            return Math.floor(tokens);
+        }
+    };
+};
+
+// 4xx responses (bad key, unknown endpoint) are the caller's problem, not the endpoint's
+const isEndpointFailure = (error) => {
+    const status = error.response?.status;
+    return !status || status >= 500 || status === 429;
+};
+
+const createLTAClient = ({
+    apiKey,
+    endpoints,
+    timeout = 20000,
+    rateLimit = { capacity: 10, perSecond: 5 },
+    failureThreshold = FAILURE_THRESHOLD,
+    openDuration = CIRCUIT_OPEN_DURATION,
+    probeInterval = PROBE_INTERVAL,
+    onResponse = () => {} // Called with { endpoint, path, latency, error } after every HTTP request
+}) => {
+    const bucket = createTokenBucket(rateLimit.capacity, rateLimit.perSecond);
+    let probeTimer = null;
+
+    // Endpoint order in `endpoints` is the preference order for failover
+    const health = Object.entries(endpoints).map(([name, baseUrl]) => ({
+        name,
+        baseUrl,
+        state: 'closed',
+        consecutiveFailures: 0,
+        openedAt: 0,
+        successes: 0,
+        failures: 0,
+        lastSuccess: 0,
+        lastFailure: 0,
+        lastError: null,
+        avgLatency: null,
+        trialInFlight: false
+    }));
+    let preferred = null;
+
+    const headers = {
+        'AccountKey': apiKey, // This is the correct header format per documentation
+        'accept': 'application/json',
+        'User-Agent': 'Singapore-Bus-Bot/3.0'
+    };
+
+    const recordSuccess = (endpoint, latency) => {
+        if (endpoint.state !== 'closed') {
+            logger.info('✅ Circuit closed', { endpoint: endpoint.name });
+        }
+        endpoint.state = 'closed';
+        endpoint.consecutiveFailures = 0;
+        endpoint.successes++;
+        endpoint.lastSuccess = Date.now();
+        endpoint.avgLatency = endpoint.avgLatency === null ? latency : Math.round(endpoint.avgLatency * 0.8 + latency * 0.2);
+    };
+
+    const recordFailure = (endpoint, error) => {
+        endpoint.consecutiveFailures++;
+        endpoint.failures++;
+        endpoint.lastFailure = Date.now();
+        endpoint.lastError = error.response?.status ? `HTTP ${error.response.status}` : error.message;
+
+        if (endpoint.state === 'half-open' || endpoint.consecutiveFailures >= failureThreshold) {
+            if (endpoint.state !== 'open') {
+                logger.error('🔌 Circuit opened', { endpoint: endpoint.name, failures: endpoint.consecutiveFailures, lastError: endpoint.lastError });
+            }
+            endpoint.state = 'open';
+            endpoint.openedAt = Date.now();
+        }
+    };
+
+    // Once its cool-down has passed an open circuit allows one trial request at a time
+    const isAvailable = (endpoint) => {
+        if (endpoint.state === 'closed') return true;
+        if (endpoint.trialInFlight) return false;
+        return endpoint.state === 'half-open' || Date.now() - endpoint.openedAt >= openDuration;
+    };
+
+    const inPreferenceOrder = () => preferred ? [preferred, ...health.filter(e => e !== preferred)] : health;
+
+    const candidates = () => inPreferenceOrder().filter(isAvailable);
+
+    // Runs synchronously up to the first await, so callers claim the trial as soon as they pick the endpoint
+    const get = async (endpoint, path, params) => {
+        const trial = endpoint.state !== 'closed';
+        if (trial) {
+            endpoint.state = 'half-open';
+            endpoint.trialInFlight = true;
+        }
+        await bucket.take();
+        const started = Date.now();
+        try {
+            const response = await axios.get(`${endpoint.baseUrl}/${path}`, { headers, params, timeout });
+            const latency = Date.now() - started;
+            onResponse({ endpoint: endpoint.name, path, latency });
+            return { data: response.data, latency };
+        } catch (error) {
+            onResponse({ endpoint: endpoint.name, path, latency: Date.now() - started, error });
+            throw error;
+        } finally {
+            if (trial) endpoint.trialInFlight = false;
+        }
+    };
+
+    const request = async (path, params = {}, retries = 3) => {
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= retries + 1; attempt++) {
+            const endpoint = candidates()[0];
+            if (!endpoint) {
+                throw lastError || new Error('No working API endpoint available (all circuits open)');
+            }
+
+            try {
+                const { data, latency } = await get(endpoint, path, params);
+                recordSuccess(endpoint, latency);
+
+                if (endpoint !== preferred) {
+                    logger.info('🔀 Switched LTA endpoint', { endpoint: endpoint.name, baseUrl: endpoint.baseUrl });
+                    preferred = endpoint;
+                }
+                return data;
+
+            } catch (error) {
+                lastError = error;
+                logger.warn('❌ API request failed', { endpoint: endpoint.name, path, attempt, error });
+
+                if (!isEndpointFailure(error)) throw error;
+                recordFailure(endpoint, error);
+
+                if (attempt <= retries) {
+                    // Move straight on if another endpoint is available, otherwise back off
+                    const switching = candidates()[0] && candidates()[0] !== endpoint;
+                    const delay = switching ? FAILOVER_DELAY : Math.pow(2, attempt) * 1000;
+                    await sleep(delay);
+                }
+            }
+        }
+
+        throw lastError;
+    };
+
+    // Checks every endpoint in order and prefers the first one that answers
+    const testConnection = async () => {
+        logger.info('🧪 Testing API connectivity');
+        let firstWorking = null;
+
+        for (const endpoint of health) {
+            logger.debug('🧪 Testing endpoint', { endpoint: endpoint.name, baseUrl: endpoint.baseUrl });
+            try {
+                const { data, latency } = await get(endpoint, 'v3/BusArrival', { BusStopCode: PROBE_STOP_CODE });
+                if (!data || !(data.Services || data.BusStopCode)) throw new Error('Unexpected response structure');
+
+                recordSuccess(endpoint, latency);
+                logger.info('✅ Endpoint working', { endpoint: endpoint.name, latencyMs: latency, services: data.Services?.length || 0 });
+                if (!firstWorking) firstWorking = endpoint;
+            } catch (error) {
+                // A 404 suggests the endpoint doesn't exist or the API structure changed
+                logger.warn('❌ Endpoint failed', { endpoint: endpoint.name, error });
+                if (isEndpointFailure(error)) {
+                    recordFailure(endpoint, error);
+                } else {
+                    endpoint.lastError = `HTTP ${error.response.status}`;
+                }
+            }
+        }
+
+        if (!firstWorking) {
+            logger.error('❌ All API endpoints failed');
+            return null;
+        }
+        preferred = firstWorking;
+        return firstWorking.baseUrl;
+    };
+
+    // Background check of open circuits so a recovered endpoint comes back without waiting for traffic
+    const probe = async () => {
+        // Nothing has ever answered (e.g. DataMall was down at startup) - run the full test again
+        if (!preferred) {
+            await testConnection();
+            return;
+        }
+
+        for (const endpoint of health) {
+            if (endpoint.state === 'closed' || !isAvailable(endpoint)) continue;
+            try {
+                const { latency } = await get(endpoint, 'v3/BusArrival', { BusStopCode: PROBE_STOP_CODE });
+                recordSuccess(endpoint, latency);
+                // Go back to a higher-priority endpoint once it recovers
+                if (!preferred || health.indexOf(endpoint) < health.indexOf(preferred)) {
+                    logger.info('🔀 Switched LTA endpoint back', { endpoint: endpoint.name, baseUrl: endpoint.baseUrl });
+                    preferred = endpoint;
+                }
+            } catch (error) {
+                recordFailure(endpoint, error);
+            }
+        }
+    };
+
+    const startProbing = () => {
+        if (probeTimer) return;
+        probeTimer = setInterval(() => {
+            probe().catch(error => logger.error('❌ Endpoint probe failed', { error }));
+        }, probeInterval);
+    };
+
+    const stopProbing = () => {
+        if (probeTimer) clearInterval(probeTimer);
+        probeTimer = null;
+    };
+
+    const getHealth = () => health.map(endpoint => ({
+        name: endpoint.name,
+        baseUrl: endpoint.baseUrl,
+        state: endpoint.state,
+        preferred: endpoint === preferred,
+        consecutiveFailures: endpoint.consecutiveFailures,
+        successes: endpoint.successes,
+        failures: endpoint.failures,
+        lastSuccess: endpoint.lastSuccess,
+        lastFailure: endpoint.lastFailure,
+        lastError: endpoint.lastError,
+        avgLatency: endpoint.avgLatency
+    }));
+
+    return {
+        request,
+        testConnection,
+        startProbing,
+        stopProbing,
+        getHealth,
+        // First endpoint with a closed circuit, or null until one has answered or while all are down
+        get workingEndpoint() {
+            if (!preferred) return null;
+            const endpoint = inPreferenceOrder().find(e => e.state === 'closed');
+            return endpoint ? endpoint.baseUrl : null;
+        },
+        get availableTokens() {
+            return bucket.available;
+        }
+    };
+};
+
+module.exports = {
+    createLTAClient,
+    createTokenBucket
+};
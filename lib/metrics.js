@@ -0,0 +1,93 @@
+// Minimal Prometheus registry: counters, gauges and histograms rendered in the
+// text exposition format, so /metrics doesn't need a client library.
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20]; // Seconds
+
+const escapeLabelValue = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+
+const formatLabels = (labels = {}) => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+const header = (name, help, type) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+const createRegistry = () => {
+    const metrics = [];
+
+    const register = (metric) => {
+        metrics.push(metric);
+        return metric;
+    };
+
+    const counter = (name, help) => {
+        const series = new Map(); // rendered labels -> value
+
+        return register({
+            inc: (labels = {}, value = 1) => {
+                const key = formatLabels(labels);
+                series.set(key, (series.get(key) || 0) + value);
+            },
+            render: () => [
+                ...header(name, help, 'counter'),
+                ...[...series].map(([labels, value]) => `${name}${labels} ${value}`)
+            ]
+        });
+    };
+
+    // Gauges are read when scraped; collect() returns a number or [{ labels, value }]
+    const gauge = (name, help, collect) => register({
+        render: () => {
+            const value = collect();
+            const samples = typeof value === 'number' ? [{ labels: {}, value }] : value;
+            return [
+                ...header(name, help, 'gauge'),
+                ...samples.map(sample => `${name}${formatLabels(sample.labels)} ${sample.value}`)
+            ];
+        }
+    });
+
+    const histogram = (name, help, buckets = DEFAULT_BUCKETS) => {
+        const series = new Map(); // rendered labels -> { labels, counts, sum, count }
+
+        return register({
+            observe: (labels, value) => {
+                const key = formatLabels(labels);
+                if (!series.has(key)) {
+                    series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+                }
+                const entry = series.get(key);
+                buckets.forEach((bound, i) => {
+                    if (value <= bound) entry.counts[i]++;
+                });
+                entry.sum += value;
+                entry.count++;
+            },
+            render: () => [
+                ...header(name, help, 'histogram'),
+                ...[...series.values()].flatMap(({ labels, counts, sum, count }) => [
+                    ...buckets.map((bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+                    `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+                    `${name}_sum${formatLabels(labels)} ${sum}`,
+                    `${name}_count${formatLabels(labels)} ${count}`
+                ])
+            ]
+        });
+    };
+
+    const render = () => `${metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+
+    return {
+        counter,
+        gauge,
+        histogram,
+        render
+    };
+};
+
+module.exports = {
+    createRegistry
+};
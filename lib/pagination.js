@@ -0,0 +1,48 @@
+// Telegram rejects messages over 4096 characters, which busy interchanges with 15 stops
+// can pass. Long messages are split into pages at blank lines (between stops), then at
+// line breaks if a single stop is still too long. The first block is the title and is
+// repeated at the top of every page.
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+const MESSAGE_PAGE_LIMIT = TELEGRAM_MESSAGE_LIMIT - 96; // Headroom for footers added after splitting
+
+const splitMessage = (text, limit = MESSAGE_PAGE_LIMIT) => {
+    if (text.length <= limit) return [text];
+
+    const [title, ...blocks] = text.split('\n\n');
+    const header = title.length < limit / 4 ? `${title}\n\n` : '';
+    const room = limit - header.length;
+    if (!header) blocks.unshift(title);
+
+    const pages = [];
+    let current = '';
+    const add = (piece, separator) => {
+        if (current && current.length + separator.length + piece.length <= room) {
+            current += separator + piece;
+        } else {
+            if (current) pages.push(current);
+            current = piece;
+        }
+    };
+
+    blocks.forEach(block => {
+        if (block.length <= room) {
+            add(block, '\n\n');
+            return;
+        }
+        block.split('\n').forEach((line, index) => {
+            // Only a runaway line gets here - cut it rather than fail to send at all
+            for (let start = 0; start < line.length || start === 0; start += room) {
+                add(line.slice(start, start + room), index === 0 && start === 0 ? '\n\n' : '\n');
+            }
+        });
+    });
+    if (current) pages.push(current);
+
+    return pages.map(page => header + page);
+};
+
+module.exports = {
+    TELEGRAM_MESSAGE_LIMIT,
+    MESSAGE_PAGE_LIMIT,
+    splitMessage
+};
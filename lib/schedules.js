@@ -0,0 +1,239 @@
+const logger = require('./logger').logger.child({ component: 'schedules' });
+
+// Recurring commute schedules: push arrivals for a stop at a fixed
+// Singapore time on matching days.
+const SCHEDULE_TICK_INTERVAL = 30000; // 30 seconds
+const MAX_SCHEDULES_PER_USER = 5;
+const CATCH_UP_WINDOW_MINUTES = 5; // Still deliver if a tick or restart made us late
+const SGT_OFFSET_MS = 8 * 60 * 60 * 1000; // Singapore has no DST
+
+// Labels for these are in lib/locales (schedules.days.* and schedules.holidays.*)
+const DAY_PRESETS = {
+    daily: [0, 1, 2, 3, 4, 5, 6],
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [0, 6]
+};
+
+const HOLIDAY_MODES = ['normal', 'skip', 'weekend'];
+
+// Gazetted Singapore public holidays (including days off in lieu). Later years come from
+// SG_PUBLIC_HOLIDAYS=YYYY-MM-DD,... until they're added here; the scheduler refuses to
+// start when the current year has none, and warns if a new year begins without any.
+const PUBLIC_HOLIDAYS = [
+    '2026-01-01', // New Year's Day
+    '2026-02-17', '2026-02-18', // Chinese New Year
+    '2026-03-21', // Hari Raya Puasa
+    '2026-04-03', // Good Friday
+    '2026-05-01', // Labour Day
+    '2026-05-27', // Hari Raya Haji
+    '2026-05-31', '2026-06-01', // Vesak Day (+ in lieu)
+    '2026-08-09', '2026-08-10', // National Day (+ in lieu)
+    '2026-11-08', '2026-11-09', // Deepavali (+ in lieu)
+    '2026-12-25' // Christmas Day
+];
+
+// Wall-clock time in Singapore as plain fields
+const toSingaporeTime = (timestamp = Date.now()) => {
+    const sgt = new Date(timestamp + SGT_OFFSET_MS);
+    const pad = (n) => String(n).padStart(2, '0');
+    return {
+        date: `${sgt.getUTCFullYear()}-${pad(sgt.getUTCMonth() + 1)}-${pad(sgt.getUTCDate())}`,
+        dayOfWeek: sgt.getUTCDay(),
+        minutesOfDay: sgt.getUTCHours() * 60 + sgt.getUTCMinutes()
+    };
+};
+
+// Accepts "8:05", "08:05", "0805", "8.05am" and "6:30pm"; returns "HH:MM"
+const parseTime = (text) => {
+    const match = text.trim().toLowerCase().match(/^(\d{1,2})[:.]?(\d{2})\s*(am|pm)?$/);
+    if (!match) return null;
+
+    let hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    const meridiem = match[3];
+
+    if (meridiem) {
+        if (hours < 1 || hours > 12) return null;
+        if (meridiem === 'pm' && hours !== 12) hours += 12;
+        if (meridiem === 'am' && hours === 12) hours = 0;
+    }
+    if (hours > 23 || minutes > 59) return null;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// "43009 8:05am 190 972" -> { busStopCode, time, services }
+const parseScheduleInput = (text) => {
+    const parts = text.trim().split(/[\s,/]+/).filter(Boolean);
+    if (parts.length < 2) return null;
+
+    const busStopCode = parts[0].length === 4 ? `0${parts[0]}` : parts[0];
+    if (!/^\d{5}$/.test(busStopCode)) return null;
+
+    const time = parseTime(parts[1]);
+    if (!time) return null;
+
+    const services = parts.slice(2).map(service => service.toUpperCase());
+    if (services.some(service => !/^\d{1,3}[A-Z]{0,2}$/.test(service))) return null;
+
+    return { busStopCode, time, services };
+};
+
+const timeToMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const createScheduleId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+const createScheduler = ({ collection, deliver, extraHolidays = [], tickInterval = SCHEDULE_TICK_INTERVAL }) => {
+    const holidays = new Set([...PUBLIC_HOLIDAYS, ...extraHolidays]);
+    const checkedYears = new Set();
+    let timer = null;
+    let ticking = false;
+
+    const hasHolidaysFor = (year) => [...holidays].some(holiday => holiday.startsWith(`${year}-`));
+
+    // Without the year's dates, 'skip' and 'weekend' schedules quietly run on holidays
+    const checkHolidaysListed = (date) => {
+        const year = date.slice(0, 4);
+        if (checkedYears.has(year)) return;
+        checkedYears.add(year);
+        if (!hasHolidaysFor(year)) {
+            logger.warn('⚠️ No public holidays listed for this year - set SG_PUBLIC_HOLIDAYS', { year });
+        }
+    };
+
+    const list = (chatId) => collection.get(chatId) || [];
+
+    const find = (chatId, scheduleId) => list(chatId).find(schedule => schedule.id === scheduleId) || null;
+
+    const save = (chatId, schedules) => {
+        if (schedules.length === 0) {
+            collection.delete(chatId);
+        } else {
+            collection.set(chatId, schedules);
+        }
+    };
+
+    const update = (chatId, scheduleId, changes) => {
+        let updated = null;
+        save(chatId, list(chatId).map(schedule => {
+            if (schedule.id !== scheduleId) return schedule;
+            updated = { ...schedule, ...changes };
+            return updated;
+        }));
+        return updated;
+    };
+
+    const create = (chatId, { busStopCode, busStopName = null, time, services = [] }) => {
+        const schedules = list(chatId);
+        if (schedules.length >= MAX_SCHEDULES_PER_USER) {
+            return { created: false, reason: 'limit' };
+        }
+
+        const schedule = {
+            id: createScheduleId(),
+            chatId,
+            busStopCode,
+            busStopName,
+            time,
+            services,
+            days: 'weekdays',
+            holidays: 'skip',
+            enabled: true,
+            lastRunDate: null,
+            createdAt: Date.now()
+        };
+        save(chatId, [...schedules, schedule]);
+        logger.info('⏰ Schedule created', { scheduleId: schedule.id, busStopCode, time, chatId });
+
+        return { created: true, schedule };
+    };
+
+    const remove = (chatId, scheduleId) => {
+        const schedules = list(chatId);
+        const remaining = schedules.filter(schedule => schedule.id !== scheduleId);
+        save(chatId, remaining);
+        return remaining.length !== schedules.length;
+    };
+
+    const isPublicHoliday = (date) => holidays.has(date);
+
+    const runsOn = (schedule, sgt) => {
+        const holiday = isPublicHoliday(sgt.date);
+        if (holiday && schedule.holidays === 'skip') return false;
+
+        // A public holiday counts as a Sunday when treated as a weekend
+        const dayOfWeek = holiday && schedule.holidays === 'weekend' ? 0 : sgt.dayOfWeek;
+        return DAY_PRESETS[schedule.days].includes(dayOfWeek);
+    };
+
+    const isDue = (schedule, sgt) => {
+        if (!schedule.enabled || schedule.lastRunDate === sgt.date) return false;
+
+        const lateBy = sgt.minutesOfDay - timeToMinutes(schedule.time);
+        return lateBy >= 0 && lateBy <= CATCH_UP_WINDOW_MINUTES && runsOn(schedule, sgt);
+    };
+
+    const tick = async () => {
+        if (ticking) return;
+        ticking = true;
+        try {
+            const sgt = toSingaporeTime();
+            checkHolidaysListed(sgt.date);
+            const due = collection.values().flat().filter(schedule => isDue(schedule, sgt));
+
+            for (const schedule of due) {
+                // Mark as run first so a slow delivery can't fire twice
+                update(schedule.chatId, schedule.id, { lastRunDate: sgt.date });
+                try {
+                    await deliver(schedule);
+                } catch (error) {
+                    logger.error('❌ Failed to deliver schedule', { scheduleId: schedule.id, error });
+                }
+            }
+        } finally {
+            ticking = false;
+        }
+    };
+
+    const start = () => {
+        if (timer) return;
+        const year = toSingaporeTime().date.slice(0, 4);
+        if (!hasHolidaysFor(year)) {
+            throw new Error(`No public holidays listed for ${year} - set SG_PUBLIC_HOLIDAYS=YYYY-MM-DD,...`);
+        }
+        checkedYears.add(year);
+        timer = setInterval(() => {
+            tick().catch(error => logger.error('❌ Schedule tick failed', { error }));
+        }, tickInterval);
+        const active = collection.values().flat().filter(schedule => schedule.enabled).length;
+        logger.info('⏰ Commute scheduler started', { activeSchedules: active });
+    };
+
+    const stop = () => {
+        if (timer) clearInterval(timer);
+        timer = null;
+    };
+
+    return {
+        list,
+        find,
+        create,
+        update,
+        remove,
+        isPublicHoliday,
+        start,
+        stop
+    };
+};
+
+module.exports = {
+    DAY_PRESETS,
+    HOLIDAY_MODES,
+    MAX_SCHEDULES_PER_USER,
+    parseScheduleInput,
+    toSingaporeTime,
+    createScheduler
+};
@@ -0,0 +1,17 @@
+// Natural order for bus service numbers: plain numbers first by value, each followed by
+// its suffixed variants (12, 12e, 13), then prefixed services by prefix (CT8, NR1, NR2).
+// parseInt alone puts NR services at 999 and can't tell 12 from 12e.
+const SERVICE_NUMBER = /^([a-z]*)(\d*)(.*)$/i;
+
+const compareServiceNumbers = (a, b) => {
+    const [, prefixA, numberA, suffixA] = String(a).match(SERVICE_NUMBER);
+    const [, prefixB, numberB, suffixB] = String(b).match(SERVICE_NUMBER);
+
+    return prefixA.localeCompare(prefixB, 'en', { sensitivity: 'base' })
+        || (parseInt(numberA, 10) || 0) - (parseInt(numberB, 10) || 0)
+        || suffixA.localeCompare(suffixB, 'en', { sensitivity: 'base' });
+};
+
+module.exports = {
+    compareServiceNumbers
+};
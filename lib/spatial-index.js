@@ -0,0 +1,120 @@
+// Grid-based spatial index for bus stops. Stops are bucketed into fixed-size
+// lat/lng cells so radius and nearest-N lookups only look at nearby cells
+// instead of scanning all ~5,000 stops.
+const EARTH_RADIUS = 6371e3;
+const METERS_PER_DEGREE_LAT = 111320;
+const DEFAULT_CELL_SIZE = 250; // metres
+
+const calculateDistance = (lat1, lon1, lat2, lon2) => {
+    const φ1 = lat1 * Math.PI / 180;
+    const φ2 = lat2 * Math.PI / 180;
+    const Δφ = (lat2 - lat1) * Math.PI / 180;
+    const Δλ = (lon2 - lon1) * Math.PI / 180;
+
+    const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+              Math.cos(φ1) * Math.cos(φ2) *
+              Math.sin(Δλ/2) * Math.sin(Δλ/2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+
+    return EARTH_RADIUS * c;
+};
+
+const createSpatialIndex = (points, { cellSize = DEFAULT_CELL_SIZE, getLat = p => p.Latitude, getLng = p => p.Longitude } = {}) => {
+    const valid = points.filter(p => Number.isFinite(getLat(p)) && Number.isFinite(getLng(p)));
+
+    // Singapore spans well under a degree, so one longitude scale for the whole grid is accurate enough
+    const meanLat = valid.length ? valid.reduce((sum, p) => sum + getLat(p), 0) / valid.length : 0;
+    const latStep = cellSize / METERS_PER_DEGREE_LAT;
+    const lngStep = cellSize / (METERS_PER_DEGREE_LAT * Math.cos(meanLat * Math.PI / 180));
+
+    const cells = new Map();
+    const cellOf = (lat, lng) => [Math.floor(lat / latStep), Math.floor(lng / lngStep)];
+    const keyOf = (row, col) => `${row}:${col}`;
+
+    let minRow = Infinity, maxRow = -Infinity, minCol = Infinity, maxCol = -Infinity;
+    for (const point of valid) {
+        const [row, col] = cellOf(getLat(point), getLng(point));
+        const key = keyOf(row, col);
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(point);
+        minRow = Math.min(minRow, row);
+        maxRow = Math.max(maxRow, row);
+        minCol = Math.min(minCol, col);
+        maxCol = Math.max(maxCol, col);
+    }
+
+    // Sort on exact distances, round only for display
+    const byDistance = (a, b) => a.exact - b.exact;
+    const toResult = ({ point, exact }) => ({ ...point, distance: Math.round(exact) });
+
+    // All points within radiusMeters, nearest first
+    const withinRadius = (lat, lng, radiusMeters, limit = Infinity) => {
+        const [row, col] = cellOf(lat, lng);
+        const rowSpan = Math.ceil(radiusMeters / cellSize);
+        const colSpan = Math.ceil(radiusMeters / (lngStep * METERS_PER_DEGREE_LAT * Math.cos(lat * Math.PI / 180)));
+
+        const results = [];
+        for (let r = row - rowSpan; r <= row + rowSpan; r++) {
+            for (let c = col - colSpan; c <= col + colSpan; c++) {
+                const cell = cells.get(keyOf(r, c));
+                if (!cell) continue;
+                for (const point of cell) {
+                    const exact = calculateDistance(lat, lng, getLat(point), getLng(point));
+                    if (exact <= radiusMeters) results.push({ point, exact });
+                }
+            }
+        }
+
+        return results.sort(byDistance).slice(0, limit).map(toResult);
+    };
+
+    // The k nearest points regardless of distance, searched in growing rings of cells
+    const nearest = (lat, lng, k) => {
+        if (valid.length === 0 || k <= 0) return [];
+
+        const [row, col] = cellOf(lat, lng);
+        const maxRing = Math.max(
+            Math.abs(row - minRow), Math.abs(row - maxRow),
+            Math.abs(col - minCol), Math.abs(col - maxCol)
+        );
+        const candidates = [];
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            for (let r = row - ring; r <= row + ring; r++) {
+                for (let c = col - ring; c <= col + ring; c++) {
+                    // Only the outer edge of the square is new in this ring
+                    if (Math.abs(r - row) !== ring && Math.abs(c - col) !== ring) continue;
+                    const cell = cells.get(keyOf(r, c));
+                    if (!cell) continue;
+                    for (const point of cell) {
+                        candidates.push({ point, exact: calculateDistance(lat, lng, getLat(point), getLng(point)) });
+                    }
+                }
+            }
+
+            // Anything in a later ring is at least `ring` whole cells away
+            if (candidates.length >= k) {
+                candidates.sort(byDistance);
+                if (candidates[k - 1].exact <= ring * cellSize) break;
+            }
+        }
+
+        return candidates.sort(byDistance).slice(0, k).map(toResult);
+    };
+
+    return {
+        withinRadius,
+        nearest,
+        get size() {
+            return valid.length;
+        },
+        get cellCount() {
+            return cells.size;
+        }
+    };
+};
+
+module.exports = {
+    calculateDistance,
+    createSpatialIndex
+};
@@ -0,0 +1,193 @@
+// Bus stop search over the cached stop list. Stop names and road names are indexed
+// once per dataset; every word typed has to match a word in the stop's description
+// or road name - exactly, as a prefix, inside it, or with a typo or two.
+const MIN_TYPO_LENGTH = 4; // Shorter words match too much with a typo allowed
+const TWO_TYPO_LENGTH = 8;
+
+// LTA writes stop and road names in abbreviated form ("Opp Blk 123", "Bef Orchard Stn",
+// "Ang Mo Kio Ave 3"). Both the index and the query are folded onto these spellings.
+const ABBREVIATIONS = {
+    opposite: 'opp',
+    before: 'bef',
+    after: 'aft',
+    block: 'blk',
+    station: 'stn',
+    mrt: 'stn',
+    lrt: 'stn',
+    interchange: 'int',
+    terminal: 'ter',
+    terminus: 'ter',
+    road: 'rd',
+    street: 'st',
+    avenue: 'ave',
+    drive: 'dr',
+    crescent: 'cres',
+    central: 'ctrl',
+    centre: 'ctr',
+    center: 'ctr',
+    boulevard: 'blvd',
+    place: 'pl',
+    upper: 'upp',
+    lorong: 'lor',
+    bukit: 'bt',
+    kampong: 'kg',
+    tanjong: 'tg',
+    jalan: 'jln',
+    school: 'sch',
+    primary: 'pr',
+    secondary: 'sec',
+    building: 'bldg',
+    industrial: 'ind',
+    estate: 'est',
+    condominium: 'condo',
+    hospital: 'hosp',
+    expressway: 'expwy'
+};
+
+// Phrasings that ask for every stop on a road rather than one stop
+const ROAD_QUERY_PATTERN = /^(?:all\s+)?(?:(?:the\s+)?bus\s+)?stops?\s+(?:on|along|at)\s+(.+)$/i;
+
+const canonical = (word) => ABBREVIATIONS[word] || word;
+
+const normalise = (text) => (text || '')
+    .toLowerCase()
+    .replace(/([a-z])(\d)/g, '$1 $2') // "blk123" -> "blk 123"
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(canonical);
+
+// Edit distance (with adjacent transpositions) if it is at most max, otherwise max + 1
+const boundedDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+            nextRow.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        previousRow = row;
+        row = nextRow;
+    }
+    return Math.min(row[b.length], max + 1);
+};
+
+const isNumber = (word) => /^\d+$/.test(word);
+
+const scoreWord = (queryWord, word) => {
+    if (word === queryWord) return 4;
+    if (word.startsWith(queryWord)) return 3;
+    // Block and stop numbers only match exactly or as a prefix - "123" is not "124"
+    if (isNumber(queryWord) || isNumber(word)) return 0;
+    if (queryWord.length >= 3 && word.includes(queryWord)) return 2;
+    if (queryWord.length < MIN_TYPO_LENGTH) return 0;
+
+    const maxEdits = queryWord.length >= TWO_TYPO_LENGTH ? 2 : 1;
+    // A typo in a partly typed word ("orchad" for "orchard") or in the whole word
+    if (boundedDistance(queryWord, word.slice(0, queryWord.length), maxEdits) <= maxEdits) return 1;
+    if (boundedDistance(queryWord, word, maxEdits) <= maxEdits) return 1;
+    return 0;
+};
+
+const bestWordScore = (queryWord, words) => words.reduce((best, word) => Math.max(best, scoreWord(queryWord, word)), 0);
+
+// Sum of the best match for each query word, or 0 unless every word matched something
+const scoreEntry = (queryWords, nameWords, roadWords) => {
+    let score = 0;
+    for (const queryWord of queryWords) {
+        // Road matches count for less than matches in the stop's own name
+        const best = Math.max(bestWordScore(queryWord, nameWords), bestWordScore(queryWord, roadWords) - 0.5);
+        if (best <= 0) return 0;
+        score += best;
+    }
+    return score;
+};
+
+const byStopCode = (a, b) => a.BusStopCode.localeCompare(b.BusStopCode);
+
+const createStopSearchIndex = (stops) => {
+    const entries = stops
+        .filter(stop => stop.BusStopCode && stop.Description)
+        .map(stop => ({
+            stop,
+            nameWords: normalise(stop.Description),
+            roadWords: normalise(stop.RoadName)
+        }));
+
+    // Canonical road name -> { name, words, stops }
+    const roads = new Map();
+    for (const entry of entries) {
+        if (entry.roadWords.length === 0) continue;
+        const key = entry.roadWords.join(' ');
+        if (!roads.has(key)) {
+            roads.set(key, { name: entry.stop.RoadName, words: entry.roadWords, stops: [] });
+        }
+        roads.get(key).stops.push(entry.stop);
+    }
+
+    // Best matches first; ties go to the shorter (more specific) name
+    const search = (query, limit = 5) => {
+        const queryWords = normalise(query);
+        if (queryWords.length === 0) return [];
+
+        return entries
+            .map(entry => ({ stop: entry.stop, score: scoreEntry(queryWords, entry.nameWords, entry.roadWords) }))
+            .filter(match => match.score > 0)
+            .sort((a, b) => b.score - a.score || a.stop.Description.length - b.stop.Description.length)
+            .slice(0, limit)
+            .map(match => match.stop);
+    };
+
+    // The road that best matches the query, with all of its stops; null if none does.
+    // Every query word has to match the road name, and of the roads that do, the one
+    // with the fewest words left over wins - "Orchard Rd" over "Orchard Link".
+    const searchRoad = (query) => {
+        const queryWords = normalise(query);
+        if (queryWords.length === 0) return null;
+
+        let best = null;
+        for (const road of roads.values()) {
+            const score = scoreEntry(queryWords, road.words, []);
+            if (score === 0) continue;
+            const unmatched = road.words.filter(word => bestWordScore(word, queryWords) === 0).length;
+            const rank = score - unmatched;
+            if (!best || rank > best.rank || (rank === best.rank && road.stops.length > best.road.stops.length)) {
+                best = { road, rank };
+            }
+        }
+
+        return best ? { roadName: best.road.name, stops: [...best.road.stops].sort(byStopCode) } : null;
+    };
+
+    return {
+        search,
+        searchRoad,
+        get size() {
+            return entries.length;
+        },
+        get roadCount() {
+            return roads.size;
+        }
+    };
+};
+
+// "stops on Orchard Rd" -> "Orchard Rd"; null if the text isn't a road query
+const parseRoadQuery = (text) => {
+    const match = (text || '').trim().match(ROAD_QUERY_PATTERN);
+    return match ? match[1].trim() : null;
+};
+
+module.exports = {
+    createStopSearchIndex,
+    parseRoadQuery
+};
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger').logger.child({ component: 'storage' });
+
+// Bump this and add a migration below whenever the stored shape changes.
+// Migrations run in order on load, each one upgrading state from version N-1 to N.
+const SCHEMA_VERSION = 2;
+
+const MIGRATIONS = {
+    // v0 -> v1: legacy files were a flat { preferences, sessions } object
+    1: (state) => ({
+        schemaVersion: 1,
+        collections: state.collections || {
+            preferences: state.preferences || {},
+            sessions: state.sessions || {}
+        }
+    }),
+    // v1 -> v2: add the users registry, seeded with every chat we already hold data for
+    2: (state) => {
+        const users = {};
+        for (const items of Object.values(state.collections)) {
+            for (const chatId of Object.keys(items)) {
+                users[chatId] = { firstSeen: 0, lastSeen: 0, chatType: 'unknown', blocked: false };
+            }
+        }
+        return {
+            schemaVersion: 2,
+            collections: { ...state.collections, users }
+        };
+    }
+};
+
+const SAVE_DEBOUNCE_MS = 1000;
+
+const emptyState = () => ({ schemaVersion: SCHEMA_VERSION, collections: {} });
+
+const migrate = (state) => {
+    let current = state;
+    let version = current.schemaVersion || 0;
+
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`Stored schema version ${version} is newer than supported version ${SCHEMA_VERSION}`);
+    }
+
+    while (version < SCHEMA_VERSION) {
+        version++;
+        logger.info('🗄️ Migrating storage schema', { version });
+        current = MIGRATIONS[version](current);
+        current.schemaVersion = version;
+    }
+
+    return current;
+};
+
+// Storage drivers only need to load and save the whole state object.
+// load() is synchronous so state is ready before the first Telegram update arrives.
+const createMemoryDriver = () => ({
+    name: 'memory',
+    load: () => null,
+    save: async () => {},
+    saveSync: () => {},
+    quarantine: () => null
+});
+
+const createFileDriver = (filePath) => {
+    const resolved = path.resolve(filePath);
+    const tmpPath = `${resolved}.tmp`;
+
+    const ensureDir = () => fs.mkdirSync(path.dirname(resolved), { recursive: true });
+
+    return {
+        name: 'file',
+        load: () => {
+            if (!fs.existsSync(resolved)) return null;
+            return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+        },
+        // Write to a temp file and rename so a crash mid-write never corrupts the store
+        save: async (state) => {
+            ensureDir();
+            await fs.promises.writeFile(tmpPath, JSON.stringify(state));
+            await fs.promises.rename(tmpPath, resolved);
+        },
+        saveSync: (state) => {
+            ensureDir();
+            fs.writeFileSync(tmpPath, JSON.stringify(state));
+            fs.renameSync(tmpPath, resolved);
+        },
+        // Move an unreadable store aside so the next save can't replace it
+        quarantine: () => {
+            if (!fs.existsSync(resolved)) return null;
+            const corruptPath = `${resolved}.corrupt-${Date.now()}`;
+            fs.renameSync(resolved, corruptPath);
+            return corruptPath;
+        }
+    };
+};
+
+const DRIVERS = {
+    memory: () => createMemoryDriver(),
+    file: (options) => createFileDriver(options.filePath)
+};
+
+const createStorage = (options = {}) => {
+    const driverName = options.driver || 'file';
+    const createDriver = DRIVERS[driverName];
+    if (!createDriver) {
+        throw new Error(`Unknown storage driver "${driverName}" (available: ${Object.keys(DRIVERS).join(', ')})`);
+    }
+
+    const driver = createDriver(options);
+    let state = emptyState();
+    let saveTimer = null;
+    let saving = Promise.resolve();
+    let readOnly = false; // Set when stored data couldn't be read or moved aside
+
+    const init = () => {
+        try {
+            const loaded = driver.load();
+            state = loaded ? migrate(loaded) : emptyState();
+            const counts = Object.fromEntries(Object.entries(state.collections)
+                .map(([name, items]) => [name, Object.keys(items).length]));
+            logger.info('🗄️ Storage ready', { driver: driver.name, schemaVersion: state.schemaVersion, collections: counts });
+        } catch (error) {
+            state = emptyState();
+            try {
+                const movedTo = driver.quarantine();
+                logger.error('❌ Failed to load storage, starting empty', { driver: driver.name, movedTo, error });
+            } catch (moveError) {
+                // Saving now would overwrite everyone's data - keep it for someone to recover
+                readOnly = true;
+                logger.error('❌ Failed to load storage or move it aside, changes will not be saved', { driver: driver.name, error, moveError });
+            }
+        }
+    };
+
+    const scheduleSave = () => {
+        if (saveTimer || readOnly) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            saving = saving
+                .then(() => driver.save(state))
+                .catch(error => logger.error('❌ Failed to save storage', { error }));
+        }, SAVE_DEBOUNCE_MS);
+    };
+
+    // Flush pending writes synchronously - used from shutdown handlers
+    const flushSync = () => {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        if (readOnly) return;
+        try {
+            driver.saveSync(state);
+        } catch (error) {
+            logger.error('❌ Failed to flush storage', { error });
+        }
+    };
+
+    const bucket = (name) => {
+        if (!state.collections[name]) state.collections[name] = {};
+        return state.collections[name];
+    };
+
+    // Map-like view over a named collection. Keys are stored as strings,
+    // so numeric chat IDs round-trip through JSON unchanged.
+    const collection = (name) => ({
+        get: (key) => bucket(name)[String(key)],
+        has: (key) => Object.prototype.hasOwnProperty.call(bucket(name), String(key)),
+        set(key, value) {
+            bucket(name)[String(key)] = value;
+            scheduleSave();
+            return this;
+        },
+        delete: (key) => {
+            const items = bucket(name);
+            if (!Object.prototype.hasOwnProperty.call(items, String(key))) return false;
+            delete items[String(key)];
+            scheduleSave();
+            return true;
+        },
+        keys: () => Object.keys(bucket(name)),
+        values: () => Object.values(bucket(name)),
+        entries: () => Object.entries(bucket(name)),
+        get size() {
+            return Object.keys(bucket(name)).length;
+        }
+    });
+
+    return {
+        init,
+        collection,
+        flushSync,
+        get driverName() {
+            return driver.name;
+        }
+    };
+};
+
+module.exports = {
+    SCHEMA_VERSION,
+    createStorage
+};
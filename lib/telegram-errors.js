@@ -0,0 +1,13 @@
+// node-telegram-bot-api puts the Bot API error in error.response.body
+const telegramErrorInfo = (error) => {
+    const body = error.response?.body || {};
+    return {
+        code: body.error_code,
+        description: body.description || error.message || '',
+        retryAfter: body.parameters?.retry_after
+    };
+};
+
+module.exports = {
+    telegramErrorInfo
+};
@@ -0,0 +1,166 @@
+const logger = require('./logger').logger.child({ component: 'tracking' });
+const { telegramErrorInfo } = require('./telegram-errors');
+const { calculateDistance } = require('./spatial-index');
+
+// Following a bus: move a live location with the bus until it reaches the stop
+const TRACK_UPDATE_INTERVAL = 20000; // DataMall refreshes positions about this often
+const TRACK_LIVE_PERIOD = 30 * 60; // Seconds Telegram keeps the location live
+const MAX_TRACKED_BUSES = 20; // Across all users
+const MAX_CONSECUTIVE_FAILURES = 3;
+const ARRIVED_DISTANCE = 50; // Metres from the stop
+
+// If the next bus estimate jumps later by this much, the bus we followed has left the stop
+const PASSED_JUMP_MINUTES = 3;
+
+// Where a service's next bus is, from the Latitude/Longitude DataMall sends with it. Buses
+// that haven't reported a position come back as 0,0, so those are null.
+const busPosition = (service, busStop) => {
+    const bus = service?.NextBus || {};
+    const latitude = parseFloat(bus.Latitude);
+    const longitude = parseFloat(bus.Longitude);
+    if (!latitude || !longitude) return null;
+
+    const estimatedArrival = bus.EstimatedArrival ? new Date(bus.EstimatedArrival).getTime() : NaN;
+    return {
+        latitude,
+        longitude,
+        distance: busStop ? Math.round(calculateDistance(latitude, longitude, busStop.Latitude, busStop.Longitude)) : null,
+        estimatedArrival: isNaN(estimatedArrival) ? null : estimatedArrival
+    };
+};
+
+const hasArrived = (entry, position, now = Date.now()) => {
+    if (position.distance !== null && position.distance <= ARRIVED_DISTANCE) return true;
+    if (position.estimatedArrival === null) return false;
+    if (position.estimatedArrival <= now) return true;
+    return entry.estimatedArrival !== null && position.estimatedArrival - entry.estimatedArrival > PASSED_JUMP_MINUTES * 60000;
+};
+
+// locate(entry) resolves to the bus's position or null, move(entry, position) edits the
+// messages and finish(entry, reason) tidies up once following stops
+const createBusTracker = ({ locate, move, finish, interval = TRACK_UPDATE_INTERVAL, maxTracked = MAX_TRACKED_BUSES }) => {
+    const tracked = new Map();
+
+    const keyFor = (chatId, messageId) => `${chatId}:${messageId}`;
+
+    const end = async (entry, reason) => {
+        if (entry.timer) clearTimeout(entry.timer);
+        tracked.delete(entry.key);
+        logger.info('📍 Stopped following bus', { key: entry.key, serviceNo: entry.serviceNo, reason });
+        try {
+            await finish(entry, reason);
+        } catch (error) {
+            logger.warn('❌ Final tracking update failed', { key: entry.key, description: telegramErrorInfo(error).description });
+        }
+    };
+
+    const update = async (entry) => {
+        if (!tracked.has(entry.key)) return;
+
+        if (Date.now() >= entry.expiresAt) {
+            await end(entry, 'expired');
+            return;
+        }
+
+        try {
+            const position = await locate(entry);
+            if (!tracked.has(entry.key)) return;
+
+            if (position && hasArrived(entry, position)) {
+                await end(entry, 'arrived');
+                return;
+            }
+            if (position) {
+                entry.estimatedArrival = position.estimatedArrival;
+                entry.position = position;
+                await move(entry, position);
+                entry.failures = 0;
+            } else if (++entry.failures >= MAX_CONSECUTIVE_FAILURES) {
+                // The service dropped out of arrivals or stopped reporting where it is
+                await end(entry, 'lost');
+                return;
+            }
+        } catch (error) {
+            const info = telegramErrorInfo(error);
+
+            if (!/message is not modified/i.test(info.description)) {
+                entry.failures++;
+                logger.warn('❌ Tracking update failed', { key: entry.key, failures: entry.failures, maxFailures: MAX_CONSECUTIVE_FAILURES, description: info.description });
+
+                // Message deleted or chat blocked - give up rather than keep retrying
+                if (entry.failures >= MAX_CONSECUTIVE_FAILURES || info.code === 400 || info.code === 403) {
+                    await end(entry, 'failed');
+                    return;
+                }
+            }
+        }
+
+        if (tracked.has(entry.key)) entry.timer = setTimeout(() => update(entry), interval);
+    };
+
+    // messageId is the status message with the stop button. details (stop, service, the live
+    // location's message and where the bus was) are kept on the entry for the callbacks.
+    const start = (chatId, messageId, details) => {
+        // Only one bus followed per chat - following another replaces it
+        for (const entry of tracked.values()) {
+            if (entry.chatId !== chatId) continue;
+            if (entry.key === keyFor(chatId, messageId)) {
+                clearTimeout(entry.timer);
+                tracked.delete(entry.key);
+            } else {
+                end(entry, 'replaced');
+            }
+        }
+
+        if (tracked.size >= maxTracked) {
+            return { started: false, reason: 'capacity' };
+        }
+
+        const entry = {
+            ...details,
+            key: keyFor(chatId, messageId),
+            chatId,
+            messageId,
+            expiresAt: Date.now() + TRACK_LIVE_PERIOD * 1000,
+            estimatedArrival: details.position?.estimatedArrival ?? null,
+            failures: 0,
+            timer: null
+        };
+        tracked.set(entry.key, entry);
+        logger.info('📍 Following bus', { key: entry.key, serviceNo: entry.serviceNo, busStopCode: entry.busStopCode, active: tracked.size, maxTracked });
+
+        entry.timer = setTimeout(() => update(entry), interval);
+        return { started: true, expiresAt: entry.expiresAt };
+    };
+
+    const stop = async (chatId, messageId) => {
+        const entry = tracked.get(keyFor(chatId, messageId));
+        if (!entry) return false;
+        await end(entry, 'stopped');
+        return true;
+    };
+
+    const stopAll = () => {
+        for (const entry of tracked.values()) {
+            clearTimeout(entry.timer);
+            tracked.delete(entry.key);
+        }
+    };
+
+    return {
+        start,
+        stop,
+        stopAll,
+        get activeCount() {
+            return tracked.size;
+        }
+    };
+};
+
+module.exports = {
+    TRACK_LIVE_PERIOD,
+    MAX_TRACKED_BUSES,
+    busPosition,
+    hasArrived,
+    createBusTracker
+};
@@ -0,0 +1,73 @@
+// Compares the old linear nearby-stop scan with the grid spatial index.
+// Usage: npm run bench:spatial
+const { calculateDistance, createSpatialIndex } = require('../lib/spatial-index');
+
+const STOP_COUNT = 5200; // Roughly the size of LTA's BusStops dataset
+const QUERY_COUNT = 2000;
+const RADIUS = 200;
+const LIMIT = 5;
+
+// Singapore bounding box
+const BOUNDS = { minLat: 1.24, maxLat: 1.47, minLng: 103.62, maxLng: 104.0 };
+
+// Deterministic pseudo-random numbers so runs are comparable
+let seed = 42;
+const random = () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+};
+
+const randomPoint = () => ({
+    Latitude: BOUNDS.minLat + random() * (BOUNDS.maxLat - BOUNDS.minLat),
+    Longitude: BOUNDS.minLng + random() * (BOUNDS.maxLng - BOUNDS.minLng)
+});
+
+const stops = Array.from({ length: STOP_COUNT }, (_, i) => ({
+    BusStopCode: String(10000 + i),
+    Description: `Stop ${i}`,
+    ...randomPoint()
+}));
+const queries = Array.from({ length: QUERY_COUNT }, randomPoint);
+
+// The original findNearbyBusStops implementation
+const linearScan = (lat, lng, radius, limit) => {
+    const nearby = [];
+    for (const stop of stops) {
+        const distance = calculateDistance(lat, lng, stop.Latitude, stop.Longitude);
+        if (distance <= radius) nearby.push({ ...stop, distance: Math.round(distance), exact: distance });
+    }
+    return nearby.sort((a, b) => a.exact - b.exact).slice(0, limit);
+};
+
+const linearNearest = (lat, lng, k) => stops
+    .map(stop => ({ stop, exact: calculateDistance(lat, lng, stop.Latitude, stop.Longitude) }))
+    .sort((a, b) => a.exact - b.exact)
+    .slice(0, k)
+    .map(({ stop, exact }) => ({ ...stop, distance: Math.round(exact) }));
+
+const time = (label, fn) => {
+    const start = process.hrtime.bigint();
+    const results = queries.map(q => fn(q.Latitude, q.Longitude));
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+    console.log(`   ${label.padEnd(28)} ${elapsed.toFixed(1).padStart(8)} ms total, ${(elapsed * 1000 / QUERY_COUNT).toFixed(1).padStart(7)} µs/query`);
+    return { results, elapsed };
+};
+
+const sameCodes = (a, b) => a.every((result, i) =>
+    result.map(s => s.BusStopCode).join() === b[i].map(s => s.BusStopCode).join());
+
+console.log(`🗺️ Spatial index benchmark: ${STOP_COUNT} stops, ${QUERY_COUNT} queries\n`);
+
+const buildStart = process.hrtime.bigint();
+const index = createSpatialIndex(stops);
+console.log(`   Index build: ${(Number(process.hrtime.bigint() - buildStart) / 1e6).toFixed(1)} ms (${index.cellCount} cells)\n`);
+
+console.log(`📍 Within ${RADIUS}m (limit ${LIMIT}):`);
+const linear = time('Linear scan', (lat, lng) => linearScan(lat, lng, RADIUS, LIMIT));
+const indexed = time('Grid index', (lat, lng) => index.withinRadius(lat, lng, RADIUS, LIMIT));
+console.log(`   Speed-up: ${(linear.elapsed / indexed.elapsed).toFixed(1)}x, results match: ${sameCodes(linear.results, indexed.results) ? '✅' : '❌'}\n`);
+
+console.log(`🎯 Nearest ${LIMIT} (any distance):`);
+const linearK = time('Linear scan + sort', (lat, lng) => linearNearest(lat, lng, LIMIT));
+const indexedK = time('Grid index', (lat, lng) => index.nearest(lat, lng, LIMIT));
+console.log(`   Speed-up: ${(linearK.elapsed / indexedK.elapsed).toFixed(1)}x, results match: ${sameCodes(linearK.results, indexedK.results) ? '✅' : '❌'}`);
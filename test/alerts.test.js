@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error'; // Keep info logs out of the test report
+const { MAX_ALERTS_PER_USER, createAlertScheduler } = require('../lib/alerts');
+
+const POLL_INTERVAL = 1000;
+
+// Just enough of a storage collection for the scheduler
+const createCollection = () => {
+    const items = new Map();
+    return {
+        get: (key) => items.get(String(key)),
+        set: (key, value) => items.set(String(key), value),
+        delete: (key) => items.delete(String(key)),
+        values: () => [...items.values()]
+    };
+};
+
+const arrivalsIn = (serviceNo, minutes) => ({
+    Services: minutes === null ? [] : [{
+        ServiceNo: serviceNo,
+        NextBus: { EstimatedArrival: new Date(Date.now() + minutes * 60000).toISOString() }
+    }]
+});
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+const setup = (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const arrivals = { minutes: null };
+    const notifications = [];
+    const scheduler = createAlertScheduler({
+        collection: createCollection(),
+        getBusArrivals: async () => arrivalsIn('190', arrivals.minutes),
+        notify: async (alert, reason, minutes) => notifications.push({ serviceNo: alert.serviceNo, reason, minutes }),
+        pollInterval: POLL_INTERVAL
+    });
+    scheduler.start();
+    t.after(() => scheduler.stop());
+
+    const poll = async (minutes) => {
+        arrivals.minutes = minutes;
+        t.mock.timers.tick(POLL_INTERVAL);
+        await settle();
+    };
+    return { arrivals, notifications, scheduler, poll };
+};
+
+test('stays quiet until the bus is within the threshold, then notifies once', async (t) => {
+    const { arrivals, notifications, scheduler, poll } = setup(t);
+    arrivals.minutes = 12;
+    scheduler.create(1, '43009', '190', 5);
+    await settle();
+    assert.deepEqual(notifications, []);
+
+    await poll(8);
+    assert.deepEqual(notifications, []);
+
+    await poll(4.5);
+    assert.equal(notifications.length, 1);
+    assert.equal(notifications[0].reason, 'triggered');
+    assert.ok(Math.abs(notifications[0].minutes - 4.5) < 0.1);
+    assert.deepEqual(scheduler.list(1), []);
+
+    // The alert is gone, so the bus getting closer doesn't notify again
+    await poll(2);
+    await poll(1);
+    assert.equal(notifications.length, 1);
+});
+
+test('a bus already within the threshold triggers straight away', async (t) => {
+    const { arrivals, notifications, scheduler } = setup(t);
+    arrivals.minutes = 2;
+    scheduler.create(1, '43009', '190', 3);
+    await settle();
+    assert.deepEqual(notifications.map(n => n.reason), ['triggered']);
+});
+
+test('ends the alert when the estimate jumps later because the bus went past', async (t) => {
+    const { arrivals, notifications, scheduler, poll } = setup(t);
+    arrivals.minutes = 7;
+    scheduler.create(1, '43009', '190', 5);
+    await settle();
+
+    await poll(6);
+    await poll(16);
+    assert.deepEqual(notifications.map(n => n.reason), ['passed']);
+});
+
+test('rejects a repeat alert for the same bus and caps alerts per user', async (t) => {
+    const { arrivals, scheduler } = setup(t);
+    arrivals.minutes = 30;
+
+    assert.equal(scheduler.create(1, '43009', '190', 5).created, true);
+    assert.deepEqual(scheduler.create(1, '43009', '190', 10), { created: false, reason: 'exists' });
+
+    for (let index = 1; index < MAX_ALERTS_PER_USER; index++) {
+        assert.equal(scheduler.create(1, `4300${index}`, '190', 5).created, true);
+    }
+    assert.deepEqual(scheduler.create(1, '99999', '190', 5), { created: false, reason: 'limit' });
+    assert.equal(scheduler.create(2, '99999', '190', 5).created, true);
+    await settle();
+});
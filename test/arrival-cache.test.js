@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error'; // Keep info logs out of the test report
+const { createArrivalCache } = require('../lib/arrival-cache');
+
+const TTL = 15000;
+const STALE_MAX_AGE = 60000;
+
+// A fetch that counts calls and resolves only when told to
+const createFetch = () => {
+    const pending = [];
+    const fetch = (busStopCode) => new Promise((resolve, reject) => pending.push({ busStopCode, resolve, reject }));
+    return { fetch, pending };
+};
+
+const setup = (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+    const { fetch, pending } = createFetch();
+    const cache = createArrivalCache({ fetch, ttl: TTL, staleMaxAge: STALE_MAX_AGE });
+    return { cache, pending };
+};
+
+test('concurrent lookups for a stop share one request', async (t) => {
+    const { cache, pending } = setup(t);
+
+    const lookups = [cache.get('43009'), cache.get('43009'), cache.get('43009')];
+    assert.equal(pending.length, 1);
+
+    pending[0].resolve({ Services: [{ ServiceNo: '190' }] });
+    const results = await Promise.all(lookups);
+
+    results.forEach(result => assert.deepEqual(result.Services, [{ ServiceNo: '190' }]));
+    assert.deepEqual(cache.stats, { hits: 0, misses: 1, coalesced: 2, staleServed: 0 });
+});
+
+test('serves from cache within the TTL and fetches again after it', async (t) => {
+    const { cache, pending } = setup(t);
+
+    const first = cache.get('43009');
+    pending[0].resolve({ Services: [] });
+    assert.equal((await first).isStale, false);
+
+    t.mock.timers.tick(TTL - 1);
+    const cached = await cache.get('43009');
+    assert.equal(pending.length, 1);
+    assert.equal(cached.cachedAt, 1_000_000);
+
+    t.mock.timers.tick(1);
+    const refreshed = cache.get('43009');
+    assert.equal(pending.length, 2);
+    pending[1].resolve({ Services: [] });
+    assert.equal((await refreshed).cachedAt, 1_000_000 + TTL);
+    assert.deepEqual(cache.stats, { hits: 1, misses: 2, coalesced: 0, staleServed: 0 });
+});
+
+test('falls back to the last good response when a refresh fails, until it is too old', async (t) => {
+    const { cache, pending } = setup(t);
+
+    const first = cache.get('43009');
+    pending[0].resolve({ Services: [{ ServiceNo: '190' }] });
+    await first;
+
+    t.mock.timers.tick(TTL);
+    const stale = cache.get('43009');
+    pending[1].reject(new Error('timeout'));
+    const result = await stale;
+    assert.equal(result.isStale, true);
+    assert.deepEqual(result.Services, [{ ServiceNo: '190' }]);
+
+    t.mock.timers.tick(STALE_MAX_AGE);
+    const expired = cache.get('43009');
+    pending[2].resolve(null);
+    assert.equal(await expired, null);
+    assert.equal(cache.stats.staleServed, 1);
+});
+
+test('a failed first fetch is not cached', async (t) => {
+    const { cache, pending } = setup(t);
+
+    const failed = cache.get('43009');
+    pending[0].reject(new Error('timeout'));
+    assert.equal(await failed, null);
+
+    const retry = cache.get('43009');
+    assert.equal(pending.length, 2);
+    pending[1].resolve({ Services: [] });
+    assert.equal((await retry).isStale, false);
+    assert.equal(cache.size, 1);
+});
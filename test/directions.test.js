@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { serviceHeading, groupStopsByDirection } = require('../lib/directions');
+
+const service = (ServiceNo, OriginCode, DestinationCode) => ({ ServiceNo, NextBus: { OriginCode, DestinationCode } });
+
+test('reads where a service is heading and spots loops', () => {
+    assert.deepEqual(serviceHeading(service('190', '22009', '75009')), { originCode: '22009', destinationCode: '75009', loop: false });
+    assert.deepEqual(serviceHeading(service('225G', '75009', '75009')), { originCode: '75009', destinationCode: '75009', loop: true });
+    assert.equal(serviceHeading({ ServiceNo: '190', NextBus: {} }), null);
+});
+
+test('groups stops served in the same direction, nearest group first', () => {
+    const arrivals = {
+        north1: { Services: [service('190', 'S', 'N'), service('12', 'S', 'N')] },
+        south1: { Services: [service('190', 'N', 'S')] },
+        north2: { Services: [service('12', 'S', 'N'), service('65', 'S', 'E')] },
+        south2: { Services: [service('190', 'N', 'S')] }
+    };
+    const stops = ['south1', 'north1', 'north2', 'south2'].map(BusStopCode => ({ BusStopCode }));
+
+    const groups = groupStopsByDirection(stops, stop => arrivals[stop.BusStopCode]);
+
+    assert.deepEqual(groups.map(group => group.stops.map(stop => stop.BusStopCode)), [['south1', 'south2'], ['north1', 'north2']]);
+    assert.deepEqual(groups[0].destinationCodes, ['S']);
+    assert.deepEqual(groups[1].destinationCodes, ['N', 'E']);
+});
+
+test('loops and stops without arrivals do not join groups', () => {
+    const arrivals = {
+        a: { Services: [service('225G', 'X', 'X')] },
+        b: { Services: [service('225G', 'X', 'X')] },
+        c: undefined
+    };
+    const stops = ['a', 'b', 'c'].map(BusStopCode => ({ BusStopCode }));
+
+    const groups = groupStopsByDirection(stops, stop => arrivals[stop.BusStopCode]);
+
+    assert.equal(groups.length, 3);
+    assert.ok(groups.every(group => group.destinationCodes.length === 0));
+});
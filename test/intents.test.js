@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseIntent, routeText } = require('../lib/intents');
+const { parseScheduleInput } = require('../lib/schedules');
+
+test('bus stop codes, with or without the leading zero', () => {
+    assert.deepEqual(parseIntent('01012'), { type: 'arrivals', busStopCode: '01012', services: [] });
+    assert.deepEqual(parseIntent('1012'), { type: 'arrivals', busStopCode: '01012', services: [] });
+});
+
+test('services at a stop', () => {
+    assert.deepEqual(parseIntent('190 at 01012'), { type: 'arrivals', busStopCode: '01012', services: ['190'] });
+    assert.deepEqual(parseIntent('bus 14e, 65 & NR1 @ 43009'), { type: 'arrivals', busStopCode: '43009', services: ['14E', '65', 'NR1'] });
+    assert.deepEqual(parseIntent('43009 190 972'), { type: 'arrivals', busStopCode: '43009', services: ['190', '972'] });
+    assert.deepEqual(parseIntent('43009 for 190 and 972'), { type: 'arrivals', busStopCode: '43009', services: ['190', '972'] });
+});
+
+test('runs of digits are not split into several services', () => {
+    assert.equal(parseIntent('43009 1905').type, 'unknown');
+    assert.equal(parseIntent('43009 0805').type, 'unknown');
+    assert.equal(parseIntent('1905 at 43009').type, 'unknown');
+});
+
+test('routes, destinations and nearby searches', () => {
+    assert.deepEqual(parseIntent('190'), { type: 'route', serviceNo: '190' });
+    assert.deepEqual(parseIntent('bus nr1'), { type: 'route', serviceNo: 'NR1' });
+    assert.deepEqual(parseIntent('How do I get to Changi Airport?'), { type: 'destination', query: 'Changi Airport' });
+    assert.deepEqual(parseIntent('stops near Raffles Place'), { type: 'nearby', query: 'Raffles Place' });
+    assert.equal(parseIntent('hello there').type, 'unknown');
+});
+
+test('nickname prompts keep text that looks like an intent', () => {
+    const session = { waitingForNickname: '01012' };
+    for (const nickname of ['To work', 'Near office', '88']) {
+        assert.deepEqual(routeText(nickname, session), { type: 'prompt', prompt: 'waitingForNickname' });
+    }
+    assert.equal(routeText('To work').type, 'destination');
+    assert.equal(routeText('88').type, 'route');
+});
+
+test('schedule prompts keep stop and time input', () => {
+    const session = { waitingForSchedule: true };
+    assert.deepEqual(routeText('43009 1905', session), { type: 'prompt', prompt: 'waitingForSchedule' });
+    assert.deepEqual(routeText('43009 190', session), { type: 'prompt', prompt: 'waitingForSchedule' });
+    assert.equal(parseScheduleInput('43009 1905').time, '19:05');
+    assert.equal(parseScheduleInput('43009 0805').time, '08:05');
+});
+
+test('bus stop and address prompts give way to intents', () => {
+    assert.equal(routeText('190 at 01012', { waitingForBusStop: true }).type, 'arrivals');
+    assert.equal(routeText('stops near Bishan', { waitingForAddress: true }).type, 'nearby');
+});
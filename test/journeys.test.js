@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findDirectJourneys, servicesServingStops } = require('../lib/journeys');
+
+const route = (...codes) => codes.map((BusStopCode, index) => ({ BusStopCode, Distance: index * 0.5 }));
+
+const services = new Map([
+    ['190', { 1: route('A', 'B', 'C', 'D'), 2: route('D', 'C', 'B', 'A') }],
+    ['12', { 1: route('A', 'X', 'Y', 'Z', 'D') }],
+    ['NR1', { 1: route('B', 'D') }],
+    ['65', { 1: route('X', 'Y') }]
+]);
+
+test('finds services from an origin to a later destination stop, fewest stops first', () => {
+    const journeys = findDirectJourneys(services, ['A', 'B'], ['D']);
+    assert.deepEqual(journeys.map(journey => journey.serviceNo), ['NR1', '190', '12']);
+    assert.deepEqual(journeys[1], { serviceNo: '190', direction: 1, from: 'B', to: 'D', stopCount: 2, distance: 1 });
+});
+
+test('ignores services that only run the other way', () => {
+    const journeys = findDirectJourneys(services, ['D'], ['A']);
+    assert.deepEqual(journeys.map(journey => `${journey.serviceNo}/${journey.direction}`), ['190/2']);
+});
+
+test('returns nothing when no service connects the stops, and respects the limit', () => {
+    assert.deepEqual(findDirectJourneys(services, ['Z'], ['X']), []);
+    assert.equal(findDirectJourneys(services, ['A', 'B'], ['D'], 1).length, 1);
+});
+
+test('lists services serving any of the stops in natural order', () => {
+    assert.deepEqual(servicesServingStops(services, ['Y']), ['12', '65']);
+    assert.deepEqual(servicesServingStops(services, ['B']), ['190', 'NR1']);
+});
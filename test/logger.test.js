@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_FORMAT = 'json';
+process.env.LOG_LEVEL = 'debug';
+const { logger, addSecrets, withContext } = require('../lib/logger');
+
+const TOKEN = '123456789:AAH-test-bot-token';
+addSecrets(TOKEN, 'lta-account-key', 'abc');
+
+// Collects the JSON lines written while fn runs
+const capture = (fn) => {
+    const lines = [];
+    const originals = { stdout: process.stdout.write, stderr: process.stderr.write };
+    const collect = (chunk) => {
+        lines.push(JSON.parse(chunk));
+        return true;
+    };
+    process.stdout.write = collect;
+    process.stderr.write = collect;
+    try {
+        fn();
+    } finally {
+        process.stdout.write = originals.stdout;
+        process.stderr.write = originals.stderr;
+    }
+    return lines;
+};
+
+test('redacts registered secrets wherever they appear', () => {
+    const [entry] = capture(() => logger.error(`❌ Request to https://api.telegram.org/bot${TOKEN}/getMe failed`, {
+        url: `https://api.telegram.org/bot${TOKEN}/getUpdates`,
+        headers: { AccountKey: 'lta-account-key' },
+        error: new Error(`connect ETIMEDOUT for bot${TOKEN}`)
+    }));
+
+    const written = JSON.stringify(entry);
+    assert.equal(written.includes(TOKEN), false);
+    assert.equal(written.includes('lta-account-key'), false);
+    assert.equal(entry.msg, '❌ Request to https://api.telegram.org/bot[redacted]/getMe failed');
+    assert.equal(entry.error.message, 'connect ETIMEDOUT for bot[redacted]');
+});
+
+test('ignores secrets too short to redact safely', () => {
+    const [entry] = capture(() => logger.info('abc stays'));
+    assert.equal(entry.msg, 'abc stays');
+});
+
+test('redacts coordinates in fields, free text and callback data', () => {
+    const [entry] = capture(() => logger.debug('📍 Location search near 1.35210, 103.81980', {
+        chatId: 42,
+        latitude: 1.3521,
+        location: { lat: 1.3521, lng: 103.8198 },
+        data: 'refresh_all_1.35210,103.81980'
+    }));
+
+    assert.equal(entry.msg, '📍 Location search near [coordinates]');
+    assert.equal(entry.latitude, '[redacted]');
+    assert.deepEqual(entry.location, { lat: '[redacted]', lng: '[redacted]' });
+    assert.equal(entry.data, 'refresh_all_[coordinates]');
+    assert.equal(entry.chatId, 42);
+});
+
+test('leaves bus stop codes and service numbers alone', () => {
+    const [entry] = capture(() => logger.info('🔘 Callback query', { data: 'stop_arr_43009_190', busStopCode: '01012' }));
+    assert.equal(entry.data, 'stop_arr_43009_190');
+    assert.equal(entry.busStopCode, '01012');
+});
+
+test('keeps only the useful parts of HTTP errors', () => {
+    const error = Object.assign(new Error('Request failed with status code 503'), {
+        response: { status: 503, data: 'upstream body' },
+        config: { headers: { AccountKey: 'lta-account-key' } }
+    });
+    const [entry] = capture(() => logger.error('❌ API request failed', { error }));
+    assert.deepEqual(entry.error, { message: 'Request failed with status code 503', status: 503 });
+});
+
+test('adds bindings and request context to every line', () => {
+    const child = logger.child({ component: 'test' });
+    const [entry] = capture(() => withContext({ requestId: 'abc123' }, () => child.warn('⚠️ Slow')));
+    assert.equal(entry.level, 'warn');
+    assert.equal(entry.component, 'test');
+    assert.equal(entry.requestId, 'abc123');
+});
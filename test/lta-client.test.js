@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+process.env.LOG_LEVEL = 'error'; // Keep info logs out of the test report
+const { createLTAClient } = require('../lib/lta-client');
+
+const OPEN_DURATION = 60000;
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+// Answers each request from the endpoint's current behaviour: a status code or 'ok'
+const setup = (t, endpoints = { primary: 'https://primary.test' }) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+
+    const behaviour = {};
+    const calls = [];
+    t.mock.method(axios, 'get', async (url) => {
+        const name = Object.keys(endpoints).find(key => url.startsWith(endpoints[key]));
+        calls.push(name);
+        if (behaviour[name] !== 'ok') throw httpError(behaviour[name]);
+        return { data: { Services: [] } };
+    });
+
+    const client = createLTAClient({
+        apiKey: 'test-key',
+        endpoints,
+        rateLimit: { capacity: 100, perSecond: 100 },
+        openDuration: OPEN_DURATION
+    });
+    const state = (name) => client.getHealth().find(endpoint => endpoint.name === name).state;
+    // No retries, so failing requests don't sleep between attempts
+    const request = () => client.request('v3/BusArrival', { BusStopCode: '43009' }, 0);
+    return { client, behaviour, calls, state, request };
+};
+
+test('opens the circuit after repeated failures and stops calling the endpoint', async (t) => {
+    const { behaviour, calls, state, request } = setup(t);
+    behaviour.primary = 503;
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        assert.equal(state('primary'), 'closed');
+        await assert.rejects(request(), /503/);
+    }
+    assert.equal(state('primary'), 'open');
+
+    await assert.rejects(request(), /all circuits open/);
+    assert.equal(calls.length, 3);
+});
+
+test('lets a trial request through once the circuit has cooled down', async (t) => {
+    const { behaviour, calls, state, request } = setup(t);
+    behaviour.primary = 503;
+    for (let attempt = 1; attempt <= 3; attempt++) await assert.rejects(request());
+
+    t.mock.timers.tick(OPEN_DURATION - 1);
+    await assert.rejects(request(), /all circuits open/);
+    assert.equal(calls.length, 3);
+
+    // A failed trial opens the circuit again straight away
+    t.mock.timers.tick(1);
+    await assert.rejects(request(), /503/);
+    assert.equal(calls.length, 4);
+    assert.equal(state('primary'), 'open');
+
+    // A successful one closes it
+    t.mock.timers.tick(OPEN_DURATION);
+    behaviour.primary = 'ok';
+    assert.deepEqual(await request(), { Services: [] });
+    assert.equal(state('primary'), 'closed');
+    assert.equal(calls.length, 5);
+});
+
+test('allows only one trial request at a time while half-open', async (t) => {
+    const { behaviour, calls, state, request } = setup(t);
+    behaviour.primary = 503;
+    for (let attempt = 1; attempt <= 3; attempt++) await assert.rejects(request());
+
+    t.mock.timers.tick(OPEN_DURATION);
+    behaviour.primary = 'ok';
+    const [trial, concurrent] = await Promise.allSettled([request(), request()]);
+    assert.equal(trial.status, 'fulfilled');
+    assert.match(concurrent.reason.message, /all circuits open/);
+    assert.equal(calls.length, 4);
+    assert.equal(state('primary'), 'closed');
+});
+
+test('client errors do not count against the endpoint', async (t) => {
+    const { behaviour, state, request } = setup(t);
+    behaviour.primary = 401;
+
+    for (let attempt = 1; attempt <= 5; attempt++) await assert.rejects(request(), /401/);
+    assert.equal(state('primary'), 'closed');
+});
+
+test('fails over to the next endpoint while the preferred one is open', async (t) => {
+    const { client, behaviour, calls, state, request } = setup(t, { primary: 'https://primary.test', backup: 'https://backup.test' });
+    behaviour.primary = 'ok';
+    behaviour.backup = 'ok';
+    await request();
+    assert.equal(client.workingEndpoint, 'https://primary.test');
+
+    behaviour.primary = 500;
+    for (let attempt = 1; attempt <= 3; attempt++) await assert.rejects(request());
+    assert.equal(state('primary'), 'open');
+    assert.equal(client.workingEndpoint, 'https://backup.test');
+
+    calls.length = 0;
+    assert.deepEqual(await request(), { Services: [] });
+    assert.deepEqual(calls, ['backup']);
+    assert.equal(client.workingEndpoint, 'https://backup.test');
+});
+
+test('reports no working endpoint while every circuit is open', async (t) => {
+    const { client, behaviour, request } = setup(t);
+    behaviour.primary = 'ok';
+    await request();
+    assert.equal(client.workingEndpoint, 'https://primary.test');
+
+    behaviour.primary = 503;
+    for (let attempt = 1; attempt <= 3; attempt++) await assert.rejects(request());
+    assert.equal(client.workingEndpoint, null);
+});
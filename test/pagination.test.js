@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitMessage, MESSAGE_PAGE_LIMIT, TELEGRAM_MESSAGE_LIMIT } = require('../lib/pagination');
+
+const stopSection = (index) => `📍 *Stop ${index}*\n` + Array.from({ length: 12 }, (_, bus) => `Bus ${bus}: 3 min • 9 min`).join('\n');
+
+test('short messages are left alone', () => {
+    assert.deepEqual(splitMessage('🚌 *Title*\n\nshort'), ['🚌 *Title*\n\nshort']);
+});
+
+test('splits between stops and repeats the title on every page', () => {
+    const sections = Array.from({ length: 15 }, (_, index) => stopSection(index));
+    const message = `🚌 *Title*\n\n${sections.join('\n\n')}`;
+
+    const pages = splitMessage(message, 1000);
+
+    assert.ok(pages.length > 1);
+    pages.forEach(page => {
+        assert.ok(page.length <= 1000);
+        assert.ok(page.startsWith('🚌 *Title*\n\n'));
+    });
+    // Every stop survives whole, in order
+    const body = pages.map(page => page.slice('🚌 *Title*\n\n'.length)).join('\n\n');
+    assert.equal(body, sections.join('\n\n'));
+});
+
+test('splits a single oversized stop at line breaks, then cuts runaway lines', () => {
+    const lines = Array.from({ length: 100 }, (_, index) => `Bus ${index}: 3 min`);
+    const pages = splitMessage(`Title\n\n${lines.join('\n')}`, 300);
+    assert.ok(pages.every(page => page.length <= 300));
+    assert.equal(pages.map(page => page.slice('Title\n\n'.length)).join('\n'), lines.join('\n'));
+
+    const cut = splitMessage(`T\n\n${'x'.repeat(2500)}`, 1000);
+    assert.ok(cut.every(page => page.length <= 1000));
+    assert.equal(cut.map(page => page.slice(3)).join(''), 'x'.repeat(2500));
+});
+
+test('the default limit leaves room under Telegram\'s', () => {
+    assert.ok(MESSAGE_PAGE_LIMIT < TELEGRAM_MESSAGE_LIMIT);
+    const pages = splitMessage(`T\n\n${Array.from({ length: 60 }, (_, index) => stopSection(index)).join('\n\n')}`);
+    assert.ok(pages.every(page => page.length <= MESSAGE_PAGE_LIMIT));
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error'; // Keep info logs out of the test report
+const { parseScheduleInput, createScheduler } = require('../lib/schedules');
+
+const TICK_INTERVAL = 1000;
+
+const createCollection = () => {
+    const items = new Map();
+    return {
+        get: (key) => items.get(String(key)),
+        set: (key, value) => items.set(String(key), value),
+        delete: (key) => items.delete(String(key)),
+        values: () => [...items.values()]
+    };
+};
+
+// UTC timestamp for a Singapore wall-clock time (UTC+8)
+const singaporeTime = (date, time) => Date.parse(`${date}T${time}:00+08:00`);
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+// Runs one scheduler tick at the given Singapore time and returns the schedules delivered
+const deliveredAt = async (t, date, time, changes, options = {}) => {
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: singaporeTime(date, time) });
+
+    const delivered = [];
+    const scheduler = createScheduler({
+        collection: createCollection(),
+        deliver: async (schedule) => delivered.push(schedule.id),
+        tickInterval: TICK_INTERVAL,
+        ...options
+    });
+    const { schedule } = scheduler.create(1, { busStopCode: '43009', time: '08:05' });
+    scheduler.update(1, schedule.id, changes);
+    scheduler.start();
+    t.after(() => scheduler.stop());
+
+    t.mock.timers.tick(TICK_INTERVAL);
+    await settle();
+    return delivered.length;
+};
+
+test('parses stop code, time and optional services', () => {
+    assert.deepEqual(parseScheduleInput('43009 08:05'), { busStopCode: '43009', time: '08:05', services: [] });
+    assert.deepEqual(parseScheduleInput('43009 8:05am 190 972'), { busStopCode: '43009', time: '08:05', services: ['190', '972'] });
+    assert.deepEqual(parseScheduleInput('1012 6:30pm 12e'), { busStopCode: '01012', time: '18:30', services: ['12E'] });
+    assert.deepEqual(parseScheduleInput('43009, 12:00am/190'), { busStopCode: '43009', time: '00:00', services: ['190'] });
+    assert.equal(parseScheduleInput('43009 0805').time, '08:05');
+});
+
+test('rejects bad stop codes, times and services', () => {
+    assert.equal(parseScheduleInput('43009'), null);
+    assert.equal(parseScheduleInput('430 08:05'), null);
+    assert.equal(parseScheduleInput('43009 24:00'), null);
+    assert.equal(parseScheduleInput('43009 13:00pm'), null);
+    assert.equal(parseScheduleInput('43009 8:65'), null);
+    assert.equal(parseScheduleInput('43009 08:05 bus190'), null);
+});
+
+// Each case gets its own subtest so it has its own mocked clock
+const runsOn = (cases, options) => async (t) => {
+    for (const [name, date, time, changes, expected] of cases) {
+        await t.test(name, async (t) => {
+            assert.equal(await deliveredAt(t, date, time, changes, options), expected);
+        });
+    }
+};
+
+test('weekday schedules run on weekdays only', runsOn([
+    ['Tuesday', '2026-05-05', '08:05', { days: 'weekdays' }, 1],
+    ['Saturday', '2026-05-09', '08:05', { days: 'weekdays' }, 0],
+    ['Saturday, weekend schedule', '2026-05-09', '08:05', { days: 'weekends' }, 1]
+]));
+
+test('runs late within the catch-up window but not before the time', runsOn([
+    ['4 minutes late', '2026-05-05', '08:09', { days: 'daily' }, 1],
+    ['a minute early', '2026-05-05', '08:04', { days: 'daily' }, 0],
+    ['15 minutes late', '2026-05-05', '08:20', { days: 'daily' }, 0],
+    ['paused', '2026-05-05', '08:05', { days: 'daily', enabled: false }, 0]
+]));
+
+// Labour Day 2026 is a Friday
+test('public holidays are skipped, ignored or treated as weekends', runsOn([
+    ['skip', '2026-05-01', '08:05', { days: 'weekdays', holidays: 'skip' }, 0],
+    ['normal', '2026-05-01', '08:05', { days: 'weekdays', holidays: 'normal' }, 1],
+    ['weekend, weekday schedule', '2026-05-01', '08:05', { days: 'weekdays', holidays: 'weekend' }, 0],
+    ['weekend, weekend schedule', '2026-05-01', '08:05', { days: 'weekends', holidays: 'weekend' }, 1]
+]));
+
+test('extra holidays count as public holidays', runsOn([
+    ['skip', '2026-05-05', '08:05', { days: 'weekdays', holidays: 'skip' }, 0]
+], { extraHolidays: ['2026-05-05'] }));
+
+test('refuses to start without public holidays for the current year', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: singaporeTime('2030-01-02', '08:00') });
+
+    const scheduler = createScheduler({ collection: createCollection(), deliver: async () => {} });
+    assert.throws(() => scheduler.start(), /No public holidays listed for 2030/);
+
+    const configured = createScheduler({ collection: createCollection(), deliver: async () => {}, extraHolidays: ['2030-01-01'] });
+    configured.start();
+    t.after(() => configured.stop());
+});
@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compareServiceNumbers } = require('../lib/services');
+
+test('sorts service numbers naturally', () => {
+    const services = ['NR2', '972M', '12e', '190', 'CT8', '7A', '243W', '2', 'NR1', '12', '243G'];
+    assert.deepEqual([...services].sort(compareServiceNumbers),
+        ['2', '7A', '12', '12e', '190', '243G', '243W', '972M', 'CT8', 'NR1', 'NR2']);
+});
+
+test('compares case-insensitively and accepts numbers', () => {
+    assert.equal(compareServiceNumbers('12E', '12e'), 0);
+    assert.equal(compareServiceNumbers('nr1', 'NR1'), 0);
+    assert.ok(compareServiceNumbers(9, '10') < 0);
+});
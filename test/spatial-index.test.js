@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateDistance, createSpatialIndex } = require('../lib/spatial-index');
+
+// Singapore bounding box
+const BOUNDS = { minLat: 1.24, maxLat: 1.47, minLng: 103.62, maxLng: 104.0 };
+
+// Deterministic pseudo-random numbers so failures can be reproduced
+let seed = 7;
+const random = () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+};
+
+const randomPoint = () => ({
+    Latitude: BOUNDS.minLat + random() * (BOUNDS.maxLat - BOUNDS.minLat),
+    Longitude: BOUNDS.minLng + random() * (BOUNDS.maxLng - BOUNDS.minLng)
+});
+
+const stops = Array.from({ length: 3000 }, (_, i) => ({ BusStopCode: String(10000 + i), ...randomPoint() }));
+const queries = Array.from({ length: 200 }, randomPoint);
+
+const linearScan = (lat, lng) => stops
+    .map(stop => ({ code: stop.BusStopCode, exact: calculateDistance(lat, lng, stop.Latitude, stop.Longitude) }))
+    .sort((a, b) => a.exact - b.exact);
+
+const codes = (results) => results.map(result => result.BusStopCode ?? result.code);
+
+test('radius lookups match a linear scan', () => {
+    const index = createSpatialIndex(stops);
+    for (const radius of [100, 300, 1000]) {
+        for (const { Latitude, Longitude } of queries) {
+            const expected = linearScan(Latitude, Longitude).filter(stop => stop.exact <= radius);
+            assert.deepEqual(codes(index.withinRadius(Latitude, Longitude, radius)), codes(expected));
+        }
+    }
+});
+
+test('radius lookups respect the limit and round distances', () => {
+    const index = createSpatialIndex(stops);
+    const { Latitude, Longitude } = queries[0];
+    const expected = linearScan(Latitude, Longitude).filter(stop => stop.exact <= 2000).slice(0, 3);
+
+    const results = index.withinRadius(Latitude, Longitude, 2000, 3);
+    assert.deepEqual(codes(results), codes(expected));
+    assert.deepEqual(results.map(result => result.distance), expected.map(stop => Math.round(stop.exact)));
+});
+
+test('nearest lookups match a linear scan, however far away the stops are', () => {
+    const index = createSpatialIndex(stops, { cellSize: 100 });
+    for (const { Latitude, Longitude } of queries) {
+        assert.deepEqual(codes(index.nearest(Latitude, Longitude, 5)), codes(linearScan(Latitude, Longitude).slice(0, 5)));
+    }
+    // Well outside the grid
+    assert.deepEqual(codes(index.nearest(1.2, 104.2, 3)), codes(linearScan(1.2, 104.2).slice(0, 3)));
+});
+
+test('skips stops without coordinates and handles an empty index', () => {
+    const index = createSpatialIndex([...stops.slice(0, 10), { BusStopCode: 'X', Latitude: null, Longitude: 103.8 }]);
+    assert.equal(index.size, 10);
+    assert.equal(codes(index.nearest(1.3, 103.8, 20)).includes('X'), false);
+
+    const empty = createSpatialIndex([]);
+    assert.deepEqual(empty.withinRadius(1.3, 103.8, 500), []);
+    assert.deepEqual(empty.nearest(1.3, 103.8, 5), []);
+});
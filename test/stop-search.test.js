@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStopSearchIndex, parseRoadQuery } = require('../lib/stop-search');
+
+const stop = (BusStopCode, Description, RoadName) => ({ BusStopCode, Description, RoadName });
+
+const stops = [
+    stop('09022', 'Orchard Stn/Tang Plaza', 'Orchard Rd'),
+    stop('09023', 'Opp Orchard Stn/ION', 'Orchard Rd'),
+    stop('09038', 'Opp Ngee Ann City', 'Orchard Rd'),
+    stop('09111', 'Orchard Link Twr', 'Orchard Link'),
+    stop('11401', 'Tanglin Mall', 'Tanglin Rd'),
+    stop('08057', 'Dhoby Ghaut Stn', 'Penang Rd'),
+    stop('54009', 'Ang Mo Kio Int', 'Ang Mo Kio Ave 8'),
+    stop('54241', 'Blk 123', 'Ang Mo Kio Ave 3'),
+    stop('54251', 'Blk 124', 'Ang Mo Kio Ave 3'),
+    stop('43009', 'Bt Batok Int', 'Bt Batok Ctrl'),
+    stop('99999', '', 'Nowhere Rd')
+];
+
+const codes = (results) => results.map(result => result.BusStopCode);
+
+// Equal scores go to the shorter name, so "Opp Orchard Stn/ION" comes before "Orchard Stn/Tang Plaza"
+test('ranks exact matches, then prefixes, then matches inside a word', () => {
+    const index = createStopSearchIndex(stops);
+    assert.deepEqual(codes(index.search('orchard stn')), ['09023', '09022']);
+    assert.deepEqual(codes(index.search('ngee ann')), ['09038']);
+    assert.deepEqual(codes(index.search('tang')).slice(0, 2), ['09022', '11401']);
+    assert.deepEqual(codes(index.search('glin')), ['11401']);
+    assert.deepEqual(codes(index.search('orch')).slice(0, 3), ['09111', '09023', '09022']);
+});
+
+test('stop name matches rank above road name matches', () => {
+    const index = createStopSearchIndex(stops);
+    const results = codes(index.search('orchard', 10));
+    assert.deepEqual(results.slice(0, 3), ['09111', '09023', '09022']);
+    assert.equal(results[3], '09038');
+});
+
+test('tolerates typos in longer words but not in short ones or numbers', () => {
+    const index = createStopSearchIndex(stops);
+    assert.deepEqual(codes(index.search('orchrad stn')), ['09023', '09022']);
+    assert.deepEqual(codes(index.search('dohby gaut')), ['08057']);
+    assert.deepEqual(codes(index.search('blk 123')), ['54241']);
+    assert.deepEqual(index.search('ang mo kio int xyz'), []);
+});
+
+test('folds long spellings onto LTA abbreviations', () => {
+    const index = createStopSearchIndex(stops);
+    assert.deepEqual(codes(index.search('bukit batok interchange')), ['43009']);
+    assert.deepEqual(codes(index.search('block 124')), ['54251']);
+    assert.deepEqual(codes(index.search('orchard mrt station')), ['09023', '09022']);
+});
+
+test('finds every stop on the best matching road', () => {
+    const index = createStopSearchIndex(stops);
+    assert.deepEqual(index.searchRoad('orchard road'), { roadName: 'Orchard Rd', stops: stops.slice(0, 3) });
+    assert.deepEqual(codes(index.searchRoad('ang mo kio avenue 3').stops), ['54241', '54251']);
+    assert.equal(index.searchRoad('changi'), null);
+    assert.equal(index.size, 10);
+});
+
+test('recognises road queries', () => {
+    assert.equal(parseRoadQuery('stops on Orchard Rd'), 'Orchard Rd');
+    assert.equal(parseRoadQuery('all bus stops along Ang Mo Kio Ave 3 '), 'Ang Mo Kio Ave 3');
+    assert.equal(parseRoadQuery('Orchard Rd'), null);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'error'; // Keep info logs out of the test report
+const { SCHEMA_VERSION, createStorage } = require('../lib/storage');
+
+const tempStore = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return { dir, filePath: path.join(dir, 'data', 'store.json') };
+};
+
+const writeJson = (filePath, value) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(value));
+};
+
+const readJson = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+test('migrates a legacy flat file into collections', (t) => {
+    const { filePath } = tempStore(t);
+    writeJson(filePath, { preferences: { 42: { radius: 300 } }, sessions: { 42: { latitude: 1.3 } } });
+
+    const storage = createStorage({ filePath });
+    storage.init();
+
+    assert.deepEqual(storage.collection('preferences').get(42), { radius: 300 });
+    assert.deepEqual(storage.collection('sessions').get('42'), { latitude: 1.3 });
+
+    storage.flushSync();
+    assert.equal(readJson(filePath).schemaVersion, SCHEMA_VERSION);
+});
+
+test('seeds the users registry from existing chats when upgrading from v1', (t) => {
+    const { filePath } = tempStore(t);
+    writeJson(filePath, {
+        schemaVersion: 1,
+        collections: { preferences: { 42: { radius: 300 } }, favourites: { 42: [], '-100': [] } }
+    });
+
+    const storage = createStorage({ filePath });
+    storage.init();
+
+    const users = storage.collection('users');
+    assert.deepEqual(users.keys().sort(), ['-100', '42']);
+    assert.deepEqual(users.get(42), { firstSeen: 0, lastSeen: 0, chatType: 'unknown', blocked: false });
+    assert.deepEqual(storage.collection('preferences').get(42), { radius: 300 });
+});
+
+test('saves atomically through a temp file and loads the result back', (t) => {
+    const { filePath } = tempStore(t);
+
+    const storage = createStorage({ filePath });
+    storage.init();
+    storage.collection('preferences').set(7, { radius: 800 });
+    storage.flushSync();
+
+    assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+    assert.deepEqual(readJson(filePath).collections.preferences, { 7: { radius: 800 } });
+
+    const reloaded = createStorage({ filePath });
+    reloaded.init();
+    assert.deepEqual(reloaded.collection('preferences').get(7), { radius: 800 });
+});
+
+test('moves an unreadable file aside instead of overwriting it', (t) => {
+    const { filePath } = tempStore(t);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, '{"collections": {');
+
+    const storage = createStorage({ filePath });
+    storage.init();
+    assert.equal(storage.collection('preferences').size, 0);
+
+    const moved = fs.readdirSync(path.dirname(filePath)).filter(name => name.startsWith('store.json.corrupt-'));
+    assert.equal(moved.length, 1);
+    assert.equal(fs.readFileSync(path.join(path.dirname(filePath), moved[0]), 'utf8'), '{"collections": {');
+
+    storage.collection('preferences').set(1, { radius: 500 });
+    storage.flushSync();
+    assert.deepEqual(readJson(filePath).collections.preferences, { 1: { radius: 500 } });
+});
+
+test('refuses a file from a newer schema version', (t) => {
+    const { filePath } = tempStore(t);
+    writeJson(filePath, { schemaVersion: SCHEMA_VERSION + 1, collections: { preferences: { 1: {} } } });
+
+    const storage = createStorage({ filePath });
+    storage.init();
+
+    assert.equal(storage.collection('preferences').size, 0);
+    assert.equal(fs.existsSync(filePath), false);
+});
+
+test('memory driver keeps data for the life of the process only', () => {
+    const storage = createStorage({ driver: 'memory' });
+    storage.init();
+    storage.collection('sessions').set(1, { latitude: 1.3 });
+    storage.flushSync();
+
+    assert.equal(storage.driverName, 'memory');
+    assert.deepEqual(storage.collection('sessions').entries(), [['1', { latitude: 1.3 }]]);
+    assert.throws(() => createStorage({ driver: 'sqlite' }), /Unknown storage driver "sqlite"/);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { busPosition, hasArrived } = require('../lib/tracking');
+
+const NOW = Date.parse('2026-05-05T08:00:00+08:00');
+const minutesFromNow = (minutes) => NOW + minutes * 60000;
+
+const busStop = { BusStopCode: '43009', Latitude: 1.35, Longitude: 103.75 };
+
+const position = (distance, estimatedArrival) => ({ latitude: 1.35, longitude: 103.75, distance, estimatedArrival });
+
+test('reads the next bus position from DataMall arrivals', () => {
+    const service = {
+        ServiceNo: '190',
+        NextBus: { Latitude: '1.351', Longitude: '103.75', EstimatedArrival: '2026-05-05T08:03:00+08:00' }
+    };
+
+    const result = busPosition(service, busStop);
+    assert.equal(result.latitude, 1.351);
+    assert.equal(result.longitude, 103.75);
+    assert.ok(Math.abs(result.distance - 111) <= 1);
+    assert.equal(result.estimatedArrival, minutesFromNow(3));
+});
+
+test('buses that have not reported a position have none', () => {
+    assert.equal(busPosition({ NextBus: { Latitude: '0', Longitude: '0' } }, busStop), null);
+    assert.equal(busPosition({ NextBus: { Latitude: '', Longitude: '' } }, busStop), null);
+    assert.equal(busPosition(undefined, busStop), null);
+    assert.deepEqual(busPosition({ NextBus: { Latitude: '1.35', Longitude: '103.75', EstimatedArrival: '' } }, null),
+        { latitude: 1.35, longitude: 103.75, distance: null, estimatedArrival: null });
+});
+
+test('a bus within 50m of the stop has arrived', () => {
+    const entry = { estimatedArrival: minutesFromNow(2) };
+    assert.equal(hasArrived(entry, position(50, minutesFromNow(1)), NOW), true);
+    assert.equal(hasArrived(entry, position(51, minutesFromNow(1)), NOW), false);
+    assert.equal(hasArrived(entry, position(20, null), NOW), true);
+});
+
+test('a bus whose arrival time has passed has arrived', () => {
+    const entry = { estimatedArrival: minutesFromNow(1) };
+    assert.equal(hasArrived(entry, position(200, NOW), NOW), true);
+    assert.equal(hasArrived(entry, position(200, minutesFromNow(-1)), NOW), true);
+});
+
+test('an estimate jumping more than 3 minutes later means the bus left', () => {
+    const entry = { estimatedArrival: minutesFromNow(1) };
+    assert.equal(hasArrived(entry, position(800, minutesFromNow(4)), NOW), false);
+    assert.equal(hasArrived(entry, position(800, minutesFromNow(4.5)), NOW), true);
+    assert.equal(hasArrived({ estimatedArrival: null }, position(800, minutesFromNow(12)), NOW), false);
+});
+
+test('without a distance or estimate the bus has not arrived', () => {
+    assert.equal(hasArrived({ estimatedArrival: minutesFromNow(1) }, position(null, null), NOW), false);
+});